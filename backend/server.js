@@ -3,6 +3,7 @@ const cors = require('cors');
 const bodyParser = require('body-parser');
 const session = require('express-session');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
 const mysql = require('mysql2/promise');
 
 const app = express();
@@ -21,6 +22,210 @@ const dbConfig = {
 
 let pool;
 
+// User roles
+const ROLES = {
+    ADMIN: 'admin',
+    STOREKEEPER: 'storekeeper',
+    AUDITOR: 'auditor'
+};
+
+// Seeded administrator account - must be changed on first login
+const DEFAULT_ADMIN_USERNAME = 'admin';
+const DEFAULT_ADMIN_PASSWORD = 'admin123';
+
+const MIN_PASSWORD_LENGTH = 6;
+const PASSWORD_RESET_TOKEN_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+// Login brute-force protection
+const MAX_FAILED_LOGINS_PER_USER = 5; // consecutive failures before the account is locked
+const MAX_FAILED_LOGINS_PER_IP = 20; // failures from one address within the window before it is blocked
+const LOGIN_LOCKOUT_SECONDS = 15 * 60;
+const LOGIN_DELAY_BASE_MS = 500;
+const LOGIN_DELAY_MAX_MS = 8000;
+
+// Sessions
+const SESSION_SECRET = process.env.SESSION_SECRET || 'sims-secret-key-2024';
+const SESSION_MAX_AGE = 24 * 60 * 60 * 1000; // 24 hours
+const SESSION_IDLE_TIMEOUT = (parseInt(process.env.SESSION_IDLE_MINUTES) || 30) * 60 * 1000;
+const SESSION_ACTIVITY_INTERVAL = 60 * 1000; // how often last-seen is written back
+const SESSION_CLEANUP_INTERVAL = 15 * 60 * 1000;
+
+// Personal API tokens
+const API_TOKEN_PREFIX = 'sims_';
+const API_TOKEN_SCOPES = {
+    READ: 'read',
+    STOCK_WRITE: 'stock-write'
+};
+// Routes a stock-write token may change; every other route is read-only for tokens.
+// Tokens record stock movements. Master data, reservations, work orders, purchase order
+// edits and stocktakes stay with signed-in users
+const API_TOKEN_WRITE_PATHS = [
+    '/api/stock-in', '/api/stock-out', '/api/stock-out-documents', '/api/transfers', '/api/returns'
+];
+// Movements posted through another resource; only POST to these paths is allowed
+const API_TOKEN_WRITE_ACTIONS = [/^\/api\/kits\/\d+\/issue$/, /^\/api\/purchase-orders\/\d+\/receive$/];
+// Account and administration routes can only be used from a signed-in session
+const API_TOKEN_BLOCKED_PATHS = ['/api/auth', '/api/api-tokens', '/api/users', '/api/security', '/api/settings'];
+
+// Two-factor authentication (RFC 6238 time-based one-time passwords)
+const TOTP_ISSUER = 'SmartPark SIMS';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+// Codes from one step either side of the current one are accepted to allow for clock drift
+const TOTP_ALLOWED_DRIFT_STEPS = 1;
+const TWO_FACTOR_LOGIN_TTL = 5 * 60 * 1000;
+const RECOVERY_CODE_COUNT = 10;
+
+// Keys of the admin-managed Settings table
+const SETTINGS = {
+    REQUIRE_ADMIN_TWO_FACTOR: 'requireAdminTwoFactor'
+};
+
+// Label for stock movements recorded before CreatedBy was tracked
+const UNKNOWN_USER = 'Unknown';
+
+// Label for stock issued without a customer
+const NO_CUSTOMER = 'No customer';
+
+// Add a column to a table created by an earlier version of the schema
+const columnExists = async (connection, table, column) => {
+    const [columns] = await connection.execute(`
+        SELECT COLUMN_NAME
+        FROM INFORMATION_SCHEMA.COLUMNS
+        WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? AND COLUMN_NAME = ?
+    `, [dbConfig.database, table, column]);
+
+    return columns.length > 0;
+};
+
+// Column type as MySQL reports it, e.g. "enum('a','b')", or null when the column doesn't exist
+const getColumnType = async (connection, table, column) => {
+    const [columns] = await connection.execute(`
+        SELECT COLUMN_TYPE
+        FROM INFORMATION_SCHEMA.COLUMNS
+        WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? AND COLUMN_NAME = ?
+    `, [dbConfig.database, table, column]);
+
+    return columns.length > 0 ? columns[0].COLUMN_TYPE : null;
+};
+
+const addColumnIfMissing = async (connection, table, column, definition) => {
+    if (!await columnExists(connection, table, column)) {
+        await connection.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        return true;
+    }
+
+    return false;
+};
+
+// Earlier versions keyed spare parts by Name, and Stock_In/Stock_Out referenced that name,
+// so a part could never be renamed. Give every part a numeric PartID and point the
+// movement tables at it. The old foreign keys also cascaded deletes into the history
+const migrateToPartIds = async (connection) => {
+    const [nameKeys] = await connection.execute(`
+        SELECT TABLE_NAME, CONSTRAINT_NAME
+        FROM INFORMATION_SCHEMA.KEY_COLUMN_USAGE
+        WHERE TABLE_SCHEMA = ? AND REFERENCED_TABLE_NAME = 'Spare_Part' AND COLUMN_NAME = 'SparePartName'
+    `, [dbConfig.database]);
+    for (const key of nameKeys) {
+        await connection.query(`ALTER TABLE ${key.TABLE_NAME} DROP FOREIGN KEY \`${key.CONSTRAINT_NAME}\``);
+    }
+
+    if (!await columnExists(connection, 'Spare_Part', 'PartID')) {
+        await connection.query(`
+            ALTER TABLE Spare_Part
+            DROP PRIMARY KEY,
+            ADD COLUMN PartID INT NOT NULL AUTO_INCREMENT PRIMARY KEY FIRST,
+            ADD UNIQUE KEY uq_spare_part_name (Name)
+        `);
+    }
+
+    for (const [table, idColumn] of [['Stock_In', 'StockInID'], ['Stock_Out', 'StockOutID']]) {
+        if (!await columnExists(connection, table, 'SparePartName')) {
+            continue;
+        }
+
+        await addColumnIfMissing(connection, table, 'PartID', `INT NULL AFTER ${idColumn}`);
+        await connection.query(`
+            UPDATE ${table} t
+            JOIN Spare_Part sp ON t.SparePartName = sp.Name
+            SET t.PartID = sp.PartID
+        `);
+        await connection.query(`
+            ALTER TABLE ${table}
+            MODIFY PartID INT NOT NULL,
+            DROP COLUMN SparePartName,
+            ADD FOREIGN KEY (PartID) REFERENCES Spare_Part(PartID) ON DELETE RESTRICT
+        `);
+    }
+};
+
+// Categories offered on a fresh install, matching the list the part form used to hard-code
+const DEFAULT_CATEGORIES = ['Engine', 'Brakes', 'Transmission', 'Electrical', 'Suspension', 'Body', 'Other'];
+
+// Earlier versions stored the category as free text on each part. Turn every distinct
+// value into a top-level category (names differing only by case collapse into one)
+// and point the parts at it. Fresh databases get the default categories instead
+const migrateToCategoryIds = async (connection) => {
+    if (await columnExists(connection, 'Spare_Part', 'Category')) {
+        await connection.query(`
+            INSERT IGNORE INTO Category (Name)
+            SELECT DISTINCT TRIM(Category) FROM Spare_Part WHERE TRIM(Category) <> ''
+        `);
+        await connection.query("INSERT IGNORE INTO Category (Name) VALUES ('Other')");
+        await addColumnIfMissing(connection, 'Spare_Part', 'CategoryID', 'INT NULL AFTER Barcode');
+        await connection.query(`
+            UPDATE Spare_Part sp
+            JOIN Category c ON c.Name = COALESCE(NULLIF(TRIM(sp.Category), ''), 'Other')
+            SET sp.CategoryID = c.CategoryID
+        `);
+        await connection.query(`
+            ALTER TABLE Spare_Part
+            MODIFY CategoryID INT NOT NULL,
+            DROP COLUMN Category,
+            ADD FOREIGN KEY (CategoryID) REFERENCES Category(CategoryID) ON DELETE RESTRICT
+        `);
+    }
+
+    const [[{ categoryCount }]] = await connection.query('SELECT COUNT(*) as categoryCount FROM Category');
+    if (categoryCount === 0) {
+        await connection.query('INSERT INTO Category (Name) VALUES ?', [DEFAULT_CATEGORIES.map(name => [name])]);
+    }
+};
+
+// Location that holds stock recorded before locations existed, on a fresh install
+const DEFAULT_LOCATION = 'Main Store';
+
+// Earlier versions only kept a single Quantity per part. Put all existing stock and movement
+// history in the default location, creating it if needed, so per-location quantities add up
+// to Spare_Part.Quantity from the start
+const migrateToLocations = async (connection) => {
+    const [[{ locationCount }]] = await connection.query('SELECT COUNT(*) as locationCount FROM Location');
+    if (locationCount === 0) {
+        await connection.execute('INSERT INTO Location (Name, IsDefault) VALUES (?, TRUE)', [DEFAULT_LOCATION]);
+    }
+    const defaultLocationId = await getDefaultLocationId(connection);
+
+    for (const [table, afterColumn] of [['Stock_In', 'InvoiceNumber'], ['Stock_Out', 'CustomerID']]) {
+        if (await addColumnIfMissing(connection, table, 'LocationID', `INT NULL AFTER ${afterColumn}`)) {
+            await connection.execute(`UPDATE ${table} SET LocationID = ?`, [defaultLocationId]);
+            await connection.query(`
+                ALTER TABLE ${table}
+                MODIFY LocationID INT NOT NULL,
+                ADD FOREIGN KEY (LocationID) REFERENCES Location(LocationID) ON DELETE RESTRICT
+            `);
+        }
+    }
+
+    await connection.execute(`
+        INSERT INTO Part_Location (PartID, LocationID, Quantity)
+        SELECT sp.PartID, ?, sp.Quantity
+        FROM Spare_Part sp
+        WHERE sp.Quantity > 0
+            AND NOT EXISTS (SELECT 1 FROM Part_Location pl WHERE pl.PartID = sp.PartID)
+    `, [defaultLocationId]);
+};
+
 // Initialize database
 const initializeDatabase = async () => {
     try {
@@ -46,59 +251,619 @@ const initializeDatabase = async () => {
                 UserID INT AUTO_INCREMENT PRIMARY KEY,
                 Username VARCHAR(50) NOT NULL UNIQUE,
                 Password VARCHAR(255) NOT NULL,
+                Role ENUM('admin', 'storekeeper', 'auditor') NOT NULL DEFAULT 'storekeeper',
+                IsActive BOOLEAN NOT NULL DEFAULT TRUE,
+                MustChangePassword BOOLEAN NOT NULL DEFAULT FALSE,
+                FailedLoginCount INT NOT NULL DEFAULT 0,
+                LockedUntil DATETIME NULL,
+                TwoFactorEnabled BOOLEAN NOT NULL DEFAULT FALSE,
+                TwoFactorSecret VARCHAR(64) NULL,
+                TwoFactorLastStep BIGINT NULL,
                 CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
             )
         `);
+        await addColumnIfMissing(connection, 'Users', 'IsActive', 'BOOLEAN NOT NULL DEFAULT TRUE');
+        await addColumnIfMissing(connection, 'Users', 'MustChangePassword', 'BOOLEAN NOT NULL DEFAULT FALSE');
+        await addColumnIfMissing(connection, 'Users', 'FailedLoginCount', 'INT NOT NULL DEFAULT 0');
+        await addColumnIfMissing(connection, 'Users', 'LockedUntil', 'DATETIME NULL');
+        await addColumnIfMissing(connection, 'Users', 'TwoFactorEnabled', 'BOOLEAN NOT NULL DEFAULT FALSE');
+        await addColumnIfMissing(connection, 'Users', 'TwoFactorSecret', 'VARCHAR(64) NULL');
+        await addColumnIfMissing(connection, 'Users', 'TwoFactorLastStep', 'BIGINT NULL');
+        const addedRole = await addColumnIfMissing(
+            connection, 'Users', 'Role',
+            "ENUM('admin', 'storekeeper', 'auditor') NOT NULL DEFAULT 'storekeeper' AFTER Password"
+        );
+        if (addedRole) {
+            // Existing databases only have the seeded admin account with full access
+            await connection.execute("UPDATE Users SET Role = 'admin' WHERE Username = 'admin'");
+        }
+
+        // Create Category table
+        // Categories nest through ParentID; a category in use can't be deleted out from under its parts
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS Category (
+                CategoryID INT AUTO_INCREMENT PRIMARY KEY,
+                Name VARCHAR(50) NOT NULL,
+                ParentID INT NULL,
+                CreatedBy VARCHAR(50) NULL,
+                CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UpdatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                UNIQUE KEY uq_category_name (Name),
+                FOREIGN KEY (ParentID) REFERENCES Category(CategoryID) ON DELETE RESTRICT
+            )
+        `);
 
         // Create Spare_Part table
         await connection.execute(`
             CREATE TABLE IF NOT EXISTS Spare_Part (
-                Name VARCHAR(100) PRIMARY KEY,
-                Category VARCHAR(50) NOT NULL,
+                PartID INT AUTO_INCREMENT PRIMARY KEY,
+                Name VARCHAR(100) NOT NULL,
+                SKU VARCHAR(50) NULL,
+                Barcode VARCHAR(100) NULL,
+                CategoryID INT NOT NULL,
                 Quantity INT NOT NULL DEFAULT 0,
                 UnitPrice DECIMAL(10, 2) NOT NULL,
                 TotalPrice DECIMAL(10, 2) GENERATED ALWAYS AS (Quantity * UnitPrice) STORED,
+                ReorderPoint INT NOT NULL DEFAULT 10,
+                MinLevel INT NOT NULL DEFAULT 0,
+                MaxLevel INT NOT NULL DEFAULT 20,
+                CostingMethod ENUM('AVERAGE', 'FIFO') NOT NULL DEFAULT 'AVERAGE',
+                ArchivedAt DATETIME NULL,
+                ArchivedBy VARCHAR(50) NULL,
                 CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                UpdatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+                UpdatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                UNIQUE KEY uq_spare_part_name (Name),
+                UNIQUE KEY uq_spare_part_sku (SKU),
+                UNIQUE KEY uq_spare_part_barcode (Barcode),
+                FOREIGN KEY (CategoryID) REFERENCES Category(CategoryID) ON DELETE RESTRICT
+            )
+        `);
+        await addColumnIfMissing(connection, 'Spare_Part', 'ArchivedAt', 'DATETIME NULL');
+        await addColumnIfMissing(connection, 'Spare_Part', 'ArchivedBy', 'VARCHAR(50) NULL');
+        // Defaults match the old fixed thresholds: low below 10 units, well stocked from 20
+        await addColumnIfMissing(connection, 'Spare_Part', 'ReorderPoint', 'INT NOT NULL DEFAULT 10 AFTER TotalPrice');
+        await addColumnIfMissing(connection, 'Spare_Part', 'MinLevel', 'INT NOT NULL DEFAULT 0 AFTER ReorderPoint');
+        await addColumnIfMissing(connection, 'Spare_Part', 'MaxLevel', 'INT NOT NULL DEFAULT 20 AFTER MinLevel');
+        await addColumnIfMissing(
+            connection, 'Spare_Part', 'CostingMethod',
+            "ENUM('AVERAGE', 'FIFO') NOT NULL DEFAULT 'AVERAGE' AFTER MaxLevel"
+        );
+        if (await addColumnIfMissing(connection, 'Spare_Part', 'SKU', 'VARCHAR(50) NULL AFTER Name')) {
+            await connection.execute('ALTER TABLE Spare_Part ADD UNIQUE KEY uq_spare_part_sku (SKU)');
+        }
+        if (await addColumnIfMissing(connection, 'Spare_Part', 'Barcode', 'VARCHAR(100) NULL AFTER SKU')) {
+            await connection.execute('ALTER TABLE Spare_Part ADD UNIQUE KEY uq_spare_part_barcode (Barcode)');
+        }
+        await migrateToCategoryIds(connection);
+
+        // Create Location table
+        // Stock recorded without a location goes to the default one; exactly one location is the default
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS Location (
+                LocationID INT AUTO_INCREMENT PRIMARY KEY,
+                Name VARCHAR(100) NOT NULL,
+                Description VARCHAR(255) NULL,
+                IsDefault BOOLEAN NOT NULL DEFAULT FALSE,
+                CreatedBy VARCHAR(50) NULL,
+                CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UpdatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                UNIQUE KEY uq_location_name (Name)
+            )
+        `);
+
+        // Create Supplier table
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS Supplier (
+                SupplierID INT AUTO_INCREMENT PRIMARY KEY,
+                Name VARCHAR(100) NOT NULL,
+                ContactPerson VARCHAR(100) NULL,
+                Phone VARCHAR(30) NULL,
+                Email VARCHAR(100) NULL,
+                Address VARCHAR(255) NULL,
+                PaymentTerms VARCHAR(100) NULL,
+                CreatedBy VARCHAR(50) NULL,
+                CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UpdatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                UNIQUE KEY uq_supplier_name (Name)
             )
         `);
 
         // Create Stock_In table
+        // Supplier and invoice are optional; receipts recorded before suppliers existed have neither
         await connection.execute(`
             CREATE TABLE IF NOT EXISTS Stock_In (
                 StockInID INT AUTO_INCREMENT PRIMARY KEY,
-                SparePartName VARCHAR(100) NOT NULL,
+                PartID INT NOT NULL,
                 StockInQuantity INT NOT NULL,
+                UnitCost DECIMAL(10, 2) NULL,
                 StockInDate DATE NOT NULL,
+                SupplierID INT NULL,
+                InvoiceNumber VARCHAR(50) NULL,
+                LocationID INT NOT NULL,
+                CreatedBy VARCHAR(50) NULL,
+                UpdatedBy VARCHAR(50) NULL,
+                CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UpdatedAt TIMESTAMP NULL DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (PartID) REFERENCES Spare_Part(PartID) ON DELETE RESTRICT,
+                FOREIGN KEY (SupplierID) REFERENCES Supplier(SupplierID) ON DELETE RESTRICT,
+                FOREIGN KEY (LocationID) REFERENCES Location(LocationID) ON DELETE RESTRICT
+            )
+        `);
+
+        // Create Customer table
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS Customer (
+                CustomerID INT AUTO_INCREMENT PRIMARY KEY,
+                Name VARCHAR(100) NOT NULL,
+                Phone VARCHAR(30) NULL,
+                Email VARCHAR(100) NULL,
+                Address VARCHAR(255) NULL,
+                CreatedBy VARCHAR(50) NULL,
                 CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (SparePartName) REFERENCES Spare_Part(Name) ON DELETE CASCADE
+                UpdatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                UNIQUE KEY uq_customer_name (Name)
             )
         `);
 
         // Create Stock_Out table
+        // The customer is optional; walk-in sales and older records have none
         await connection.execute(`
             CREATE TABLE IF NOT EXISTS Stock_Out (
                 StockOutID INT AUTO_INCREMENT PRIMARY KEY,
-                SparePartName VARCHAR(100) NOT NULL,
+                PartID INT NOT NULL,
                 StockOutQuantity INT NOT NULL,
                 StockOutUnitPrice DECIMAL(10, 2) NOT NULL,
                 StockOutTotalPrice DECIMAL(10, 2) GENERATED ALWAYS AS (StockOutQuantity * StockOutUnitPrice) STORED,
                 StockOutDate DATE NOT NULL,
+                CustomerID INT NULL,
+                LocationID INT NOT NULL,
+                CreatedBy VARCHAR(50) NULL,
+                UpdatedBy VARCHAR(50) NULL,
                 CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (SparePartName) REFERENCES Spare_Part(Name) ON DELETE CASCADE
+                UpdatedAt TIMESTAMP NULL DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (PartID) REFERENCES Spare_Part(PartID) ON DELETE RESTRICT,
+                FOREIGN KEY (CustomerID) REFERENCES Customer(CustomerID) ON DELETE RESTRICT,
+                FOREIGN KEY (LocationID) REFERENCES Location(LocationID) ON DELETE RESTRICT
             )
         `);
 
-        // Insert default admin user if not exists
-        const hashedPassword = await bcrypt.hash('admin123', 10);
+        await migrateToPartIds(connection);
+
+        // Create Part_Location table
+        // Quantity of each part held at each location; Spare_Part.Quantity is the total across all of them
+        // This and Stock_Transfer come after migrateToPartIds, which gives older Spare_Part tables their PartID
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS Part_Location (
+                PartID INT NOT NULL,
+                LocationID INT NOT NULL,
+                Quantity INT NOT NULL DEFAULT 0,
+                UpdatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                PRIMARY KEY (PartID, LocationID),
+                FOREIGN KEY (PartID) REFERENCES Spare_Part(PartID) ON DELETE RESTRICT,
+                FOREIGN KEY (LocationID) REFERENCES Location(LocationID) ON DELETE RESTRICT
+            )
+        `);
+
+        // Create Stock_Transfer table
+        // A transfer moves quantity between locations and leaves the part's total unchanged
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS Stock_Transfer (
+                TransferID INT AUTO_INCREMENT PRIMARY KEY,
+                PartID INT NOT NULL,
+                FromLocationID INT NOT NULL,
+                ToLocationID INT NOT NULL,
+                TransferQuantity INT NOT NULL,
+                TransferDate DATE NOT NULL,
+                Notes VARCHAR(255) NULL,
+                CreatedBy VARCHAR(50) NULL,
+                CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (PartID) REFERENCES Spare_Part(PartID) ON DELETE RESTRICT,
+                FOREIGN KEY (FromLocationID) REFERENCES Location(LocationID) ON DELETE RESTRICT,
+                FOREIGN KEY (ToLocationID) REFERENCES Location(LocationID) ON DELETE RESTRICT
+            )
+        `);
+
+        // Create Stocktake table
+        // A count of one location, optionally limited to one category and its subcategories
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS Stocktake (
+                StocktakeID INT AUTO_INCREMENT PRIMARY KEY,
+                LocationID INT NOT NULL,
+                CategoryID INT NULL,
+                Status ENUM('OPEN', 'POSTED', 'CANCELLED') NOT NULL DEFAULT 'OPEN',
+                Notes VARCHAR(255) NULL,
+                CreatedBy VARCHAR(50) NULL,
+                CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PostedBy VARCHAR(50) NULL,
+                PostedAt DATETIME NULL,
+                FOREIGN KEY (LocationID) REFERENCES Location(LocationID) ON DELETE RESTRICT,
+                FOREIGN KEY (CategoryID) REFERENCES Category(CategoryID) ON DELETE SET NULL
+            )
+        `);
+
+        // Create Stocktake_Line table
+        // CountedQuantity stays NULL until the part is counted; SystemQuantity is recorded when the count is posted
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS Stocktake_Line (
+                StocktakeID INT NOT NULL,
+                PartID INT NOT NULL,
+                CountedQuantity INT NULL,
+                SystemQuantity INT NULL,
+                PRIMARY KEY (StocktakeID, PartID),
+                FOREIGN KEY (StocktakeID) REFERENCES Stocktake(StocktakeID) ON DELETE CASCADE,
+                FOREIGN KEY (PartID) REFERENCES Spare_Part(PartID) ON DELETE RESTRICT
+            )
+        `);
+
+        // Create Stock_Adjustment table
+        // A signed correction to the quantity held at one location, valued at the unit cost when it was posted
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS Stock_Adjustment (
+                AdjustmentID INT AUTO_INCREMENT PRIMARY KEY,
+                PartID INT NOT NULL,
+                LocationID INT NOT NULL,
+                StocktakeID INT NULL,
+                AdjustmentQuantity INT NOT NULL,
+                UnitCost DECIMAL(10, 2) NOT NULL,
+                AdjustmentDate DATE NOT NULL,
+                Reason VARCHAR(255) NULL,
+                CreatedBy VARCHAR(50) NULL,
+                CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (PartID) REFERENCES Spare_Part(PartID) ON DELETE RESTRICT,
+                FOREIGN KEY (LocationID) REFERENCES Location(LocationID) ON DELETE RESTRICT,
+                FOREIGN KEY (StocktakeID) REFERENCES Stocktake(StocktakeID) ON DELETE RESTRICT
+            )
+        `);
+
+        // Create Purchase_Order table
+        // Parts ordered from a supplier before they arrive; receipts against the order are Stock_In records
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS Purchase_Order (
+                PurchaseOrderID INT AUTO_INCREMENT PRIMARY KEY,
+                SupplierID INT NOT NULL,
+                Status ENUM('DRAFT', 'SENT', 'PARTIALLY_RECEIVED', 'RECEIVED', 'CANCELLED') NOT NULL DEFAULT 'DRAFT',
+                OrderDate DATE NOT NULL,
+                ExpectedDate DATE NULL,
+                Notes VARCHAR(255) NULL,
+                CreatedBy VARCHAR(50) NULL,
+                UpdatedBy VARCHAR(50) NULL,
+                CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UpdatedAt TIMESTAMP NULL DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (SupplierID) REFERENCES Supplier(SupplierID) ON DELETE RESTRICT
+            )
+        `);
+
+        // Create Purchase_Order_Line table
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS Purchase_Order_Line (
+                LineID INT AUTO_INCREMENT PRIMARY KEY,
+                PurchaseOrderID INT NOT NULL,
+                PartID INT NOT NULL,
+                OrderedQuantity INT NOT NULL,
+                ExpectedUnitCost DECIMAL(10, 2) NOT NULL,
+                UNIQUE KEY uq_purchase_order_part (PurchaseOrderID, PartID),
+                FOREIGN KEY (PurchaseOrderID) REFERENCES Purchase_Order(PurchaseOrderID) ON DELETE CASCADE,
+                FOREIGN KEY (PartID) REFERENCES Spare_Part(PartID) ON DELETE RESTRICT
+            )
+        `);
+
+        // Create Kit tables
+        // A kit is sold as one item but issued as its component parts
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS Kit (
+                KitID INT AUTO_INCREMENT PRIMARY KEY,
+                Name VARCHAR(100) NOT NULL,
+                Description VARCHAR(255) NULL,
+                CreatedBy VARCHAR(50) NULL,
+                UpdatedBy VARCHAR(50) NULL,
+                CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UpdatedAt TIMESTAMP NULL DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP,
+                UNIQUE KEY uq_kit_name (Name)
+            )
+        `);
+
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS Kit_Component (
+                ComponentID INT AUTO_INCREMENT PRIMARY KEY,
+                KitID INT NOT NULL,
+                PartID INT NOT NULL,
+                Quantity INT NOT NULL,
+                UNIQUE KEY uq_kit_part (KitID, PartID),
+                FOREIGN KEY (KitID) REFERENCES Kit(KitID) ON DELETE CASCADE,
+                FOREIGN KEY (PartID) REFERENCES Spare_Part(PartID) ON DELETE RESTRICT
+            )
+        `);
+
+        // Create Stock_Out_Document table
+        // One issue note or invoice; its lines are the Stock_Out rows that point at it
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS Stock_Out_Document (
+                DocumentID INT AUTO_INCREMENT PRIMARY KEY,
+                DocumentNumber VARCHAR(20) NULL,
+                DocumentDate DATE NOT NULL,
+                CustomerID INT NULL,
+                LocationID INT NOT NULL,
+                Notes VARCHAR(255) NULL,
+                CreatedBy VARCHAR(50) NULL,
+                CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE KEY uq_stock_out_document_number (DocumentNumber),
+                FOREIGN KEY (CustomerID) REFERENCES Customer(CustomerID) ON DELETE RESTRICT,
+                FOREIGN KEY (LocationID) REFERENCES Location(LocationID) ON DELETE RESTRICT
+            )
+        `);
+
+        // Create Stock_Return table
+        // A customer return points at the Stock_Out it reverses and is either restocked or written off.
+        // A supplier return points at the Stock_In it reverses and always leaves stock
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS Stock_Return (
+                ReturnID INT AUTO_INCREMENT PRIMARY KEY,
+                ReturnType ENUM('CUSTOMER', 'SUPPLIER') NOT NULL,
+                StockOutID INT NULL,
+                StockInID INT NULL,
+                PartID INT NOT NULL,
+                LocationID INT NOT NULL,
+                ReturnQuantity INT NOT NULL,
+                Disposition ENUM('RESTOCK', 'WRITE_OFF') NULL,
+                ReturnDate DATE NOT NULL,
+                Reason VARCHAR(255) NULL,
+                CreatedBy VARCHAR(50) NULL,
+                CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (StockOutID) REFERENCES Stock_Out(StockOutID) ON DELETE RESTRICT,
+                FOREIGN KEY (StockInID) REFERENCES Stock_In(StockInID) ON DELETE RESTRICT,
+                FOREIGN KEY (PartID) REFERENCES Spare_Part(PartID) ON DELETE RESTRICT,
+                FOREIGN KEY (LocationID) REFERENCES Location(LocationID) ON DELETE RESTRICT
+            )
+        `);
+
+        // Create Stock_Reservation table
+        // Stock promised for a job stays on hand at its location but can't be issued to anyone else.
+        // Stock out records that fulfil a reservation point back at it, so the issued quantity isn't stored twice
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS Stock_Reservation (
+                ReservationID INT AUTO_INCREMENT PRIMARY KEY,
+                PartID INT NOT NULL,
+                LocationID INT NOT NULL,
+                Quantity INT NOT NULL,
+                Reference VARCHAR(255) NOT NULL,
+                ExpiresAt DATE NULL,
+                CancelledAt TIMESTAMP NULL DEFAULT NULL,
+                CancelledBy VARCHAR(50) NULL,
+                CreatedBy VARCHAR(50) NULL,
+                UpdatedBy VARCHAR(50) NULL,
+                CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UpdatedAt TIMESTAMP NULL DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (PartID) REFERENCES Spare_Part(PartID) ON DELETE RESTRICT,
+                FOREIGN KEY (LocationID) REFERENCES Location(LocationID) ON DELETE RESTRICT
+            )
+        `);
+
+        // Create Work_Order table
+        // A repair job on one vehicle. Parts used on it are the Stock_Out rows that point at it
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS Work_Order (
+                WorkOrderID INT AUTO_INCREMENT PRIMARY KEY,
+                VehiclePlate VARCHAR(20) NOT NULL,
+                CustomerID INT NULL,
+                Technician VARCHAR(100) NULL,
+                Description VARCHAR(255) NULL,
+                Status ENUM('OPEN', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED') NOT NULL DEFAULT 'OPEN',
+                OpenedDate DATE NOT NULL,
+                CompletedDate DATE NULL,
+                CreatedBy VARCHAR(50) NULL,
+                UpdatedBy VARCHAR(50) NULL,
+                CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UpdatedAt TIMESTAMP NULL DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP,
+                INDEX idx_work_order_vehicle (VehiclePlate),
+                FOREIGN KEY (CustomerID) REFERENCES Customer(CustomerID) ON DELETE RESTRICT
+            )
+        `);
+
+        if (await addColumnIfMissing(connection, 'Stock_In', 'SupplierID', 'INT NULL AFTER StockInDate')) {
+            await connection.execute(`
+                ALTER TABLE Stock_In
+                ADD FOREIGN KEY (SupplierID) REFERENCES Supplier(SupplierID) ON DELETE RESTRICT
+            `);
+        }
+        await addColumnIfMissing(connection, 'Stock_In', 'InvoiceNumber', 'VARCHAR(50) NULL AFTER SupplierID');
+        // Receipts recorded before costs were captured keep a NULL cost
+        await addColumnIfMissing(connection, 'Stock_In', 'UnitCost', 'DECIMAL(10, 2) NULL AFTER StockInQuantity');
+        // Set on receipts made against a purchase order line
+        if (await addColumnIfMissing(connection, 'Stock_In', 'PurchaseOrderLineID', 'INT NULL AFTER InvoiceNumber')) {
+            await connection.execute(`
+                ALTER TABLE Stock_In
+                ADD FOREIGN KEY (PurchaseOrderLineID) REFERENCES Purchase_Order_Line(LineID) ON DELETE RESTRICT
+            `);
+        }
+        if (await addColumnIfMissing(connection, 'Stock_Out', 'CustomerID', 'INT NULL AFTER StockOutDate')) {
+            await connection.execute(`
+                ALTER TABLE Stock_Out
+                ADD FOREIGN KEY (CustomerID) REFERENCES Customer(CustomerID) ON DELETE RESTRICT
+            `);
+        }
+        // Set on lines issued as part of a stock out document
+        if (await addColumnIfMissing(connection, 'Stock_Out', 'DocumentID', 'INT NULL AFTER LocationID')) {
+            await connection.execute(`
+                ALTER TABLE Stock_Out
+                ADD FOREIGN KEY (DocumentID) REFERENCES Stock_Out_Document(DocumentID) ON DELETE RESTRICT
+            `);
+        }
+        // Set on stock issued to fulfil a reservation
+        if (await addColumnIfMissing(connection, 'Stock_Out', 'ReservationID', 'INT NULL AFTER DocumentID')) {
+            await connection.execute(`
+                ALTER TABLE Stock_Out
+                ADD FOREIGN KEY (ReservationID) REFERENCES Stock_Reservation(ReservationID) ON DELETE RESTRICT
+            `);
+        }
+        // Set on documents that issue a kit, with the number of kits issued
+        if (await addColumnIfMissing(connection, 'Stock_Out_Document', 'KitID', 'INT NULL AFTER LocationID')) {
+            await connection.execute(`
+                ALTER TABLE Stock_Out_Document
+                ADD FOREIGN KEY (KitID) REFERENCES Kit(KitID) ON DELETE RESTRICT
+            `);
+        }
+        await addColumnIfMissing(connection, 'Stock_Out_Document', 'KitQuantity', 'INT NULL AFTER KitID');
+        // Set on parts issued for a work order
+        if (await addColumnIfMissing(connection, 'Stock_Out', 'WorkOrderID', 'INT NULL AFTER ReservationID')) {
+            await connection.execute(`
+                ALTER TABLE Stock_Out
+                ADD FOREIGN KEY (WorkOrderID) REFERENCES Work_Order(WorkOrderID) ON DELETE RESTRICT
+            `);
+        }
+        await migrateToLocations(connection);
+
+        // Usernames are stored rather than UserIDs so they survive a user being deleted
+        for (const table of ['Stock_In', 'Stock_Out']) {
+            await addColumnIfMissing(connection, table, 'CreatedBy', 'VARCHAR(50) NULL');
+            await addColumnIfMissing(connection, table, 'UpdatedBy', 'VARCHAR(50) NULL');
+            await addColumnIfMissing(
+                connection, table, 'UpdatedAt',
+                'TIMESTAMP NULL DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP'
+            );
+        }
+
+        // Create Audit_Log table
+        // UserID is not a foreign key so the trail survives when a user is deleted
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS Audit_Log (
+                AuditID INT AUTO_INCREMENT PRIMARY KEY,
+                UserID INT NULL,
+                Username VARCHAR(50) NOT NULL,
+                Entity VARCHAR(50) NOT NULL,
+                EntityID VARCHAR(100) NOT NULL,
+                Action ENUM('create', 'update', 'delete', 'archive', 'restore') NOT NULL,
+                OldValues JSON NULL,
+                NewValues JSON NULL,
+                CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_audit_entity (Entity, EntityID),
+                INDEX idx_audit_created (CreatedAt)
+            )
+        `);
+        // Tables created before archiving existed lack the archive and restore actions.
+        // Only alter when they are missing, since MODIFY rebuilds the table
+        if (await getColumnType(connection, 'Audit_Log', 'Action') !== "enum('create','update','delete','archive','restore')") {
+            await connection.execute(`
+                ALTER TABLE Audit_Log
+                MODIFY Action ENUM('create', 'update', 'delete', 'archive', 'restore') NOT NULL
+            `);
+        }
+
+        // Create Password_Reset_Token table
+        // Only a SHA-256 hash of each one-time token is stored
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS Password_Reset_Token (
+                TokenID INT AUTO_INCREMENT PRIMARY KEY,
+                UserID INT NOT NULL,
+                TokenHash CHAR(64) NOT NULL UNIQUE,
+                ExpiresAt DATETIME NOT NULL,
+                UsedAt DATETIME NULL,
+                CreatedBy VARCHAR(50) NOT NULL,
+                CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (UserID) REFERENCES Users(UserID) ON DELETE CASCADE
+            )
+        `);
+
+        // Create Login_Attempt table
+        // Cleared is set when an administrator lifts a block on the client address
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS Login_Attempt (
+                AttemptID INT AUTO_INCREMENT PRIMARY KEY,
+                Username VARCHAR(50) NOT NULL,
+                IPAddress VARCHAR(45) NOT NULL,
+                Success BOOLEAN NOT NULL,
+                Reason VARCHAR(50) NULL,
+                Cleared BOOLEAN NOT NULL DEFAULT FALSE,
+                CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_login_attempt_ip (IPAddress, CreatedAt),
+                INDEX idx_login_attempt_created (CreatedAt)
+            )
+        `);
+
+        // Create User_Session table (express-session store)
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS User_Session (
+                UserSessionID INT AUTO_INCREMENT PRIMARY KEY,
+                SessionID VARCHAR(128) NOT NULL UNIQUE,
+                UserID INT NULL,
+                Data TEXT NOT NULL,
+                IPAddress VARCHAR(45) NULL,
+                UserAgent VARCHAR(255) NULL,
+                ExpiresAt DATETIME NOT NULL,
+                LastSeenAt DATETIME NULL,
+                CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_session_user (UserID),
+                INDEX idx_session_expires (ExpiresAt),
+                FOREIGN KEY (UserID) REFERENCES Users(UserID) ON DELETE CASCADE
+            )
+        `);
+
+        // Create Api_Token table
+        // Only a SHA-256 hash of each token is stored; TokenPrefix lets users recognise their tokens
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS Api_Token (
+                TokenID INT AUTO_INCREMENT PRIMARY KEY,
+                UserID INT NOT NULL,
+                Name VARCHAR(100) NOT NULL,
+                TokenPrefix VARCHAR(20) NOT NULL,
+                TokenHash CHAR(64) NOT NULL UNIQUE,
+                Scope ENUM('read', 'stock-write') NOT NULL DEFAULT 'read',
+                ExpiresAt DATETIME NULL,
+                LastUsedAt DATETIME NULL,
+                RevokedAt DATETIME NULL,
+                CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (UserID) REFERENCES Users(UserID) ON DELETE CASCADE
+            )
+        `);
+
+        // Create Two_Factor_Recovery_Code table
+        // Each code can be used once in place of an authenticator code; only hashes are stored
+        await connection.execute(`
+            CREATE TABLE IF NOT EXISTS Two_Factor_Recovery_Code (
+                CodeID INT AUTO_INCREMENT PRIMARY KEY,
+                UserID INT NOT NULL,
+                CodeHash CHAR(64) NOT NULL,
+                UsedAt DATETIME NULL,
+                CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_recovery_code_user (UserID, CodeHash),
+                FOREIGN KEY (UserID) REFERENCES Users(UserID) ON DELETE CASCADE
+            )
+        `);
+
+        // Create Settings table
         await connection.execute(`
-            INSERT IGNORE INTO Users (Username, Password)
-            VALUES ('admin', ?)
-        `, [hashedPassword]);
+            CREATE TABLE IF NOT EXISTS Settings (
+                SettingKey VARCHAR(100) PRIMARY KEY,
+                SettingValue VARCHAR(255) NOT NULL,
+                UpdatedBy VARCHAR(50) NULL,
+                UpdatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Insert default admin user if not exists
+        const hashedPassword = await bcrypt.hash(DEFAULT_ADMIN_PASSWORD, 10);
+        const [seedResult] = await connection.execute(`
+            INSERT IGNORE INTO Users (Username, Password, Role, MustChangePassword)
+            VALUES (?, ?, 'admin', TRUE)
+        `, [DEFAULT_ADMIN_USERNAME, hashedPassword]);
+
+        // Databases from earlier versions may still use the default password
+        const [admins] = await connection.execute(
+            'SELECT UserID, Password FROM Users WHERE Username = ?',
+            [DEFAULT_ADMIN_USERNAME]
+        );
+        if (admins.length > 0 && await bcrypt.compare(DEFAULT_ADMIN_PASSWORD, admins[0].Password)) {
+            await connection.execute(
+                'UPDATE Users SET MustChangePassword = TRUE WHERE UserID = ?',
+                [admins[0].UserID]
+            );
+        }
 
         connection.release();
         console.log('Database tables initialized successfully');
-        console.log('Default admin user created (username: admin, password: admin123)');
+        if (seedResult.affectedRows > 0) {
+            console.log(`Default admin user created (username: ${DEFAULT_ADMIN_USERNAME}). ` +
+                'Sign in with the default password to set a new one.');
+        }
 
     } catch (error) {
         console.error('Database initialization failed:', error.message);
@@ -115,495 +880,8449 @@ app.use(cors({
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 
+// express-session store backed by the User_Session table, so sessions survive
+// restarts and can be listed and revoked per user
+class MySQLSessionStore extends session.Store {
+    get(sid, callback) {
+        pool.execute(
+            'SELECT Data FROM User_Session WHERE SessionID = ? AND ExpiresAt > NOW()',
+            [sid]
+        )
+            .then(([rows]) => callback(null, rows.length > 0 ? JSON.parse(rows[0].Data) : null))
+            .catch(callback);
+    }
+
+    set(sid, sess, callback) {
+        const expiresAt = sess.cookie?.expires
+            ? new Date(sess.cookie.expires)
+            : new Date(Date.now() + SESSION_MAX_AGE);
+        const lastSeenAt = sess.lastSeenAt ? new Date(sess.lastSeenAt) : null;
+
+        pool.execute(`
+            INSERT INTO User_Session (SessionID, UserID, Data, IPAddress, UserAgent, ExpiresAt, LastSeenAt)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE
+                UserID = VALUES(UserID),
+                Data = VALUES(Data),
+                IPAddress = VALUES(IPAddress),
+                UserAgent = VALUES(UserAgent),
+                ExpiresAt = VALUES(ExpiresAt),
+                LastSeenAt = VALUES(LastSeenAt)
+        `, [
+            sid,
+            sess.user?.id || null,
+            JSON.stringify(sess),
+            sess.client?.ipAddress || null,
+            sess.client?.userAgent?.slice(0, 255) || null,
+            expiresAt,
+            lastSeenAt
+        ])
+            .then(() => callback(null))
+            .catch(callback);
+    }
+
+    touch(sid, sess, callback) {
+        const expiresAt = sess.cookie?.expires
+            ? new Date(sess.cookie.expires)
+            : new Date(Date.now() + SESSION_MAX_AGE);
+
+        pool.execute('UPDATE User_Session SET ExpiresAt = ? WHERE SessionID = ?', [expiresAt, sid])
+            .then(() => callback(null))
+            .catch(callback);
+    }
+
+    destroy(sid, callback) {
+        pool.execute('DELETE FROM User_Session WHERE SessionID = ?', [sid])
+            .then(() => callback(null))
+            .catch(callback);
+    }
+}
+
 // Session configuration
 app.use(session({
-    secret: 'sims-secret-key-2024',
+    secret: SESSION_SECRET,
+    store: new MySQLSessionStore(),
     resave: false,
     saveUninitialized: false,
     cookie: {
         secure: false,
         httpOnly: true,
-        maxAge: 24 * 60 * 60 * 1000 // 24 hours
+        maxAge: SESSION_MAX_AGE
     }
 }));
 
-// Authentication middleware
-const requireAuth = (req, res, next) => {
-    if (req.session && req.session.user) {
-        next();
-    } else {
-        res.status(401).json({ error: 'Authentication required' });
-    }
-};
+// End sessions that have been idle too long, and keep last-seen and client details current
+app.use((req, res, next) => {
+    if (!req.session || !req.session.user) {
+        return next();
+    }
+
+    const now = Date.now();
+
+    if (req.session.lastSeenAt && now - req.session.lastSeenAt > SESSION_IDLE_TIMEOUT) {
+        return req.session.destroy((err) => {
+            if (err) {
+                return next(err);
+            }
+            res.clearCookie('connect.sid');
+            next();
+        });
+    }
+
+    if (!req.session.lastSeenAt || now - req.session.lastSeenAt > SESSION_ACTIVITY_INTERVAL) {
+        req.session.lastSeenAt = now;
+        req.session.client = {
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent') || null
+        };
+    }
+
+    next();
+});
+
+// Routes a user who must change their password can still reach
+const PASSWORD_CHANGE_ALLOWED_PATHS = ['/api/auth/change-password'];
+
+// Routes a user who must set up two-factor authentication can still reach
+const TWO_FACTOR_SETUP_ALLOWED_PATHS = ['/api/auth/2fa', '/api/auth/2fa/setup', '/api/auth/2fa/enable'];
+
+// Shape of the user kept in the session and returned to the frontend
+const toSessionUser = (row) => ({
+    id: row.UserID,
+    username: row.Username,
+    role: row.Role,
+    mustChangePassword: Boolean(row.MustChangePassword),
+    twoFactorEnabled: Boolean(row.TwoFactorEnabled)
+});
+
+const getSetting = async (key) => {
+    const [rows] = await pool.execute('SELECT SettingValue FROM Settings WHERE SettingKey = ?', [key]);
+    return rows.length > 0 ? rows[0].SettingValue : null;
+};
+
+// Admins must enroll in two-factor authentication once the setting is turned on
+const isTwoFactorSetupRequired = async (row) => {
+    if (row.Role !== ROLES.ADMIN || row.TwoFactorEnabled) {
+        return false;
+    }
+    return await getSetting(SETTINGS.REQUIRE_ADMIN_TWO_FACTOR) === 'true';
+};
+
+// Returns a message describing why a new password is unacceptable, or null if it is fine
+const getPasswordError = (password) => {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// TWO-FACTOR HELPERS
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = ((value << 8) | byte) & 0xffff;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+const base32Decode = (input) => {
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of input.replace(/=+$/, '').toUpperCase()) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        value = ((value << 5) | index) & 0xffff;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+// HOTP value (RFC 4226) for a TOTP time step
+const generateTotp = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+    return String(code).padStart(TOTP_DIGITS, '0');
+};
+
+// Returns the time step the code matches, or null.
+// Steps at or before lastStep are rejected so each code only works once
+const verifyTotp = (secret, code, lastStep = null) => {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+        return null;
+    }
+
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+    for (let step = currentStep - TOTP_ALLOWED_DRIFT_STEPS; step <= currentStep + TOTP_ALLOWED_DRIFT_STEPS; step++) {
+        if (lastStep !== null && step <= lastStep) {
+            continue;
+        }
+        if (crypto.timingSafeEqual(Buffer.from(generateTotp(secret, step)), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+const getOtpauthUri = (username, secret) => {
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${username}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: TOTP_ISSUER,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Recovery codes are compared without dashes, spaces or case
+const normalizeRecoveryCode = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+
+// Replaces all of a user's recovery codes and returns the new plain codes
+const replaceRecoveryCodes = async (connection, userId) => {
+    await connection.execute('DELETE FROM Two_Factor_Recovery_Code WHERE UserID = ?', [userId]);
+
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        const code = crypto.randomBytes(5).toString('hex');
+        await connection.execute(
+            'INSERT INTO Two_Factor_Recovery_Code (UserID, CodeHash) VALUES (?, ?)',
+            [userId, hashToken(code)]
+        );
+        codes.push(`${code.slice(0, 5)}-${code.slice(5)}`);
+    }
+    return codes;
+};
+
+// Marks a recovery code as used; false if it does not exist or was used already
+const consumeRecoveryCode = async (userId, code) => {
+    const [result] = await pool.execute(`
+        UPDATE Two_Factor_Recovery_Code
+        SET UsedAt = NOW()
+        WHERE UserID = ? AND CodeHash = ? AND UsedAt IS NULL
+    `, [userId, hashToken(normalizeRecoveryCode(code))]);
+    return result.affectedRows > 0;
+};
+
+const countRecoveryCodes = async (userId) => {
+    const [rows] = await pool.execute(
+        'SELECT COUNT(*) as Remaining FROM Two_Factor_Recovery_Code WHERE UserID = ? AND UsedAt IS NULL',
+        [userId]
+    );
+    return rows[0].Remaining;
+};
+
+const pathMatches = (path, prefixes) => prefixes.some(prefix => path === prefix || path.startsWith(`${prefix}/`));
+
+// Whether an API token with the given scope may make this request.
+// Express matches routes case-insensitively, so the path is compared in lower case
+const isRequestAllowedForToken = (req, scope) => {
+    const path = req.path.toLowerCase();
+
+    if (pathMatches(path, API_TOKEN_BLOCKED_PATHS)) {
+        return false;
+    }
+    if (req.method === 'GET' || req.method === 'HEAD') {
+        return true;
+    }
+    if (scope !== API_TOKEN_SCOPES.STOCK_WRITE) {
+        return false;
+    }
+    return pathMatches(path, API_TOKEN_WRITE_PATHS) ||
+        (req.method === 'POST' && API_TOKEN_WRITE_ACTIONS.some(pattern => pattern.test(path.replace(/\/$/, ''))));
+};
+
+// Authenticate a request made with a personal API token instead of a session
+const authenticateApiToken = async (req, res, next, token) => {
+    try {
+        const [rows] = await pool.execute(`
+            SELECT t.TokenID, t.Scope, u.UserID, u.Username, u.Role, u.IsActive, u.MustChangePassword
+            FROM Api_Token t
+            JOIN Users u ON t.UserID = u.UserID
+            WHERE t.TokenHash = ?
+                AND t.RevokedAt IS NULL
+                AND (t.ExpiresAt IS NULL OR t.ExpiresAt > NOW())
+        `, [hashToken(token)]);
+
+        if (rows.length === 0 || !rows[0].IsActive) {
+            return res.status(401).json({ error: 'Invalid, expired or revoked API token' });
+        }
+
+        if (!isRequestAllowedForToken(req, rows[0].Scope)) {
+            return res.status(403).json({
+                error: `This API token (scope: ${rows[0].Scope}) is not allowed to ${req.method} ${req.path}`
+            });
+        }
+
+        await pool.execute('UPDATE Api_Token SET LastUsedAt = NOW() WHERE TokenID = ?', [rows[0].TokenID]);
+
+        req.user = toSessionUser(rows[0]);
+        req.apiToken = {
+            id: rows[0].TokenID,
+            scope: rows[0].Scope
+        };
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Authentication middleware
+// Accepts either the session cookie or an "Authorization: Bearer <token>" header.
+// Reloads the user on every request so role changes and disabled accounts take effect immediately
+const requireAuth = async (req, res, next) => {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    if (scheme === 'Bearer' && token) {
+        return authenticateApiToken(req, res, next, token);
+    }
+
+    if (!req.session || !req.session.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    try {
+        const [rows] = await pool.execute(
+            'SELECT UserID, Username, Role, IsActive, MustChangePassword, TwoFactorEnabled FROM Users WHERE UserID = ?',
+            [req.session.user.id]
+        );
+
+        if (rows.length === 0 || !rows[0].IsActive) {
+            return req.session.destroy(() => {
+                res.status(401).json({ error: 'Authentication required' });
+            });
+        }
+
+        req.user = {
+            ...toSessionUser(rows[0]),
+            twoFactorSetupRequired: await isTwoFactorSetupRequired(rows[0])
+        };
+        req.session.user = req.user;
+
+        if (req.user.mustChangePassword && !PASSWORD_CHANGE_ALLOWED_PATHS.includes(req.path)) {
+            return res.status(403).json({
+                error: 'You must change your password before continuing',
+                code: 'PASSWORD_CHANGE_REQUIRED'
+            });
+        }
+
+        if (req.user.twoFactorSetupRequired && !TWO_FACTOR_SETUP_ALLOWED_PATHS.includes(req.path)) {
+            return res.status(403).json({
+                error: 'Administrators must set up two-factor authentication before continuing',
+                code: 'TWO_FACTOR_SETUP_REQUIRED'
+            });
+        }
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Authorization middleware - must run after requireAuth
+const requireRole = (...roles) => (req, res, next) => {
+    if (roles.includes(req.user.role)) {
+        next();
+    } else {
+        res.status(403).json({ error: 'You do not have permission to perform this action' });
+    }
+};
+
+// Columns captured in the audit log for each audited table
+const AUDIT_SNAPSHOT_QUERIES = {
+    Category: `
+        SELECT CategoryID, Name, ParentID FROM Category WHERE CategoryID = ?
+    `,
+    Supplier: `
+        SELECT SupplierID, Name, ContactPerson, Phone, Email, Address, PaymentTerms
+        FROM Supplier WHERE SupplierID = ?
+    `,
+    Customer: `
+        SELECT CustomerID, Name, Phone, Email, Address FROM Customer WHERE CustomerID = ?
+    `,
+    Location: `
+        SELECT LocationID, Name, Description, IsDefault FROM Location WHERE LocationID = ?
+    `,
+    Spare_Part: `
+        SELECT sp.PartID, sp.Name, sp.SKU, sp.Barcode, sp.CategoryID, c.Name as Category, sp.Quantity, sp.UnitPrice,
+            sp.ReorderPoint, sp.MinLevel, sp.MaxLevel, sp.CostingMethod, DATE_FORMAT(sp.ArchivedAt, '%Y-%m-%d %H:%i:%s') as ArchivedAt
+        FROM Spare_Part sp
+        JOIN Category c ON sp.CategoryID = c.CategoryID
+        WHERE sp.PartID = ?
+    `,
+    Stock_In: `
+        SELECT si.StockInID, si.PartID, sp.Name as SparePartName, si.StockInQuantity, si.UnitCost,
+            DATE_FORMAT(si.StockInDate, '%Y-%m-%d') as StockInDate, si.SupplierID, si.InvoiceNumber, si.PurchaseOrderLineID,
+            si.LocationID
+        FROM Stock_In si
+        JOIN Spare_Part sp ON si.PartID = sp.PartID
+        WHERE si.StockInID = ?
+    `,
+    Stock_Out: `
+        SELECT so.StockOutID, so.PartID, sp.Name as SparePartName, so.StockOutQuantity, so.StockOutUnitPrice,
+            DATE_FORMAT(so.StockOutDate, '%Y-%m-%d') as StockOutDate, so.CustomerID, so.LocationID, so.DocumentID,
+            so.ReservationID, so.WorkOrderID
+        FROM Stock_Out so
+        JOIN Spare_Part sp ON so.PartID = sp.PartID
+        WHERE so.StockOutID = ?
+    `,
+    Stock_Transfer: `
+        SELECT st.TransferID, st.PartID, sp.Name as SparePartName, st.FromLocationID, st.ToLocationID,
+            st.TransferQuantity, DATE_FORMAT(st.TransferDate, '%Y-%m-%d') as TransferDate, st.Notes
+        FROM Stock_Transfer st
+        JOIN Spare_Part sp ON st.PartID = sp.PartID
+        WHERE st.TransferID = ?
+    `,
+    Stocktake: `
+        SELECT StocktakeID, LocationID, CategoryID, Status, Notes,
+            DATE_FORMAT(PostedAt, '%Y-%m-%d %H:%i:%s') as PostedAt
+        FROM Stocktake
+        WHERE StocktakeID = ?
+    `,
+    Stock_Adjustment: `
+        SELECT sa.AdjustmentID, sa.PartID, sp.Name as SparePartName, sa.LocationID, sa.StocktakeID,
+            sa.AdjustmentQuantity, sa.UnitCost, DATE_FORMAT(sa.AdjustmentDate, '%Y-%m-%d') as AdjustmentDate, sa.Reason
+        FROM Stock_Adjustment sa
+        JOIN Spare_Part sp ON sa.PartID = sp.PartID
+        WHERE sa.AdjustmentID = ?
+    `,
+    Stock_Reservation: `
+        SELECT r.ReservationID, r.PartID, sp.Name as SparePartName, r.LocationID, r.Quantity, r.Reference,
+            DATE_FORMAT(r.ExpiresAt, '%Y-%m-%d') as ExpiresAt, r.CancelledAt
+        FROM Stock_Reservation r
+        JOIN Spare_Part sp ON r.PartID = sp.PartID
+        WHERE r.ReservationID = ?
+    `,
+    Stock_Return: `
+        SELECT r.ReturnID, r.ReturnType, r.StockOutID, r.StockInID, r.PartID, sp.Name as SparePartName, r.LocationID,
+            r.ReturnQuantity, r.Disposition, DATE_FORMAT(r.ReturnDate, '%Y-%m-%d') as ReturnDate, r.Reason
+        FROM Stock_Return r
+        JOIN Spare_Part sp ON r.PartID = sp.PartID
+        WHERE r.ReturnID = ?
+    `,
+    Purchase_Order: `
+        SELECT po.PurchaseOrderID, po.SupplierID, s.Name as SupplierName, po.Status,
+            DATE_FORMAT(po.OrderDate, '%Y-%m-%d') as OrderDate, DATE_FORMAT(po.ExpectedDate, '%Y-%m-%d') as ExpectedDate,
+            po.Notes,
+            (
+                SELECT GROUP_CONCAT(
+                    CONCAT(pol.PartID, ' x ', pol.OrderedQuantity, ' @ ', pol.ExpectedUnitCost) ORDER BY pol.LineID SEPARATOR ', '
+                )
+                FROM Purchase_Order_Line pol
+                WHERE pol.PurchaseOrderID = po.PurchaseOrderID
+            ) as OrderLines
+        FROM Purchase_Order po
+        JOIN Supplier s ON po.SupplierID = s.SupplierID
+        WHERE po.PurchaseOrderID = ?
+    `,
+    Stock_Out_Document: `
+        SELECT d.DocumentID, d.DocumentNumber, DATE_FORMAT(d.DocumentDate, '%Y-%m-%d') as DocumentDate,
+            d.CustomerID, d.LocationID, d.KitID, d.KitQuantity, d.Notes
+        FROM Stock_Out_Document d
+        WHERE d.DocumentID = ?
+    `,
+    Work_Order: `
+        SELECT wo.WorkOrderID, wo.VehiclePlate, wo.CustomerID, wo.Technician, wo.Description, wo.Status,
+            DATE_FORMAT(wo.OpenedDate, '%Y-%m-%d') as OpenedDate, DATE_FORMAT(wo.CompletedDate, '%Y-%m-%d') as CompletedDate
+        FROM Work_Order wo
+        WHERE wo.WorkOrderID = ?
+    `,
+    Kit: `
+        SELECT k.KitID, k.Name, k.Description,
+            (
+                SELECT GROUP_CONCAT(CONCAT(kc.PartID, ' x ', kc.Quantity) ORDER BY kc.ComponentID SEPARATOR ', ')
+                FROM Kit_Component kc
+                WHERE kc.KitID = k.KitID
+            ) as Components
+        FROM Kit k
+        WHERE k.KitID = ?
+    `
+};
+
+// Read the current state of an audited row, or null if it doesn't exist
+const getAuditSnapshot = async (connection, entity, entityId) => {
+    const [rows] = await connection.execute(AUDIT_SNAPSHOT_QUERIES[entity], [entityId]);
+    return rows.length > 0 ? rows[0] : null;
+};
+
+// Record an inventory mutation - call with the connection of the open transaction
+const writeAuditLog = async (connection, req, { entity, entityId, action, before = null, after = null }) => {
+    await connection.execute(`
+        INSERT INTO Audit_Log (UserID, Username, Entity, EntityID, Action, OldValues, NewValues)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+        req.user.id,
+        req.user.username,
+        entity,
+        String(entityId),
+        action,
+        before ? JSON.stringify(before) : null,
+        after ? JSON.stringify(after) : null
+    ]);
+};
+
+// Health check endpoint
+app.get('/api/health', (req, res) => {
+    res.json({
+        status: 'OK',
+        message: 'SIMS Backend Server is running',
+        timestamp: new Date().toISOString()
+    });
+});
+
+// SESSION HELPERS
+// Active sessions of a user; the session ID itself is never sent to the client
+const listUserSessions = async (userId, currentSessionId) => {
+    const [rows] = await pool.execute(`
+        SELECT UserSessionID, SessionID, IPAddress, UserAgent, CreatedAt, LastSeenAt, ExpiresAt
+        FROM User_Session
+        WHERE UserID = ?
+            AND ExpiresAt > NOW()
+            AND (LastSeenAt IS NULL OR LastSeenAt > DATE_SUB(NOW(), INTERVAL ? SECOND))
+        ORDER BY LastSeenAt DESC
+    `, [userId, SESSION_IDLE_TIMEOUT / 1000]);
+
+    return rows.map(({ SessionID, ...row }) => ({
+        ...row,
+        IsCurrent: SessionID === currentSessionId
+    }));
+};
+
+// LOGIN PROTECTION HELPERS
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Exponential delay once more than one failure has been seen
+const getLoginFailureDelay = (failures) => {
+    if (failures <= 1) return 0;
+    return Math.min(LOGIN_DELAY_BASE_MS * 2 ** (failures - 2), LOGIN_DELAY_MAX_MS);
+};
+
+// Count a failed sign-in against the account and lock it once there are too many.
+// The increment and the lock decision happen in one UPDATE so parallel guesses can't
+// overwrite each other's count. Returns { failures, lockedUntil }
+const recordUserLoginFailure = async (userId) => {
+    // Counting starts again once an earlier lockout has expired; a guess that arrives while
+    // the account is locked keeps it locked. MySQL assigns left to right, so LockedUntil
+    // sees the new FailedLoginCount
+    await pool.execute(`
+        UPDATE Users
+        SET FailedLoginCount = IF(LockedUntil IS NULL OR LockedUntil > NOW(), FailedLoginCount, 0) + 1,
+            LockedUntil = IF(FailedLoginCount >= ?, DATE_ADD(NOW(), INTERVAL ? SECOND), NULL)
+        WHERE UserID = ?
+    `, [MAX_FAILED_LOGINS_PER_USER, LOGIN_LOCKOUT_SECONDS, userId]);
+
+    const [rows] = await pool.execute(
+        'SELECT FailedLoginCount, LockedUntil FROM Users WHERE UserID = ?',
+        [userId]
+    );
+
+    return {
+        failures: rows[0].FailedLoginCount,
+        lockedUntil: rows[0].LockedUntil
+    };
+};
+
+const recordLoginAttempt = async (username, ipAddress, success, reason = null) => {
+    await pool.execute(`
+        INSERT INTO Login_Attempt (Username, IPAddress, Success, Reason)
+        VALUES (?, ?, ?, ?)
+    `, [username.slice(0, 50), ipAddress, success, reason]);
+};
+
+// Failed attempts from an address inside the lockout window, and when the block on it ends
+const getIpLoginFailures = async (ipAddress) => {
+    const [rows] = await pool.execute(`
+        SELECT
+            COUNT(*) as Failures,
+            DATE_ADD(MIN(CreatedAt), INTERVAL ? SECOND) as BlockedUntil
+        FROM Login_Attempt
+        WHERE IPAddress = ?
+            AND Success = FALSE
+            AND Cleared = FALSE
+            AND CreatedAt > DATE_SUB(NOW(), INTERVAL ? SECOND)
+    `, [LOGIN_LOCKOUT_SECONDS, ipAddress, LOGIN_LOCKOUT_SECONDS]);
+
+    return {
+        failures: rows[0].Failures,
+        blockedUntil: rows[0].BlockedUntil
+    };
+};
+
+const regenerateSession = (req) => new Promise((resolve, reject) => {
+    req.session.regenerate((err) => (err ? reject(err) : resolve()));
+});
+
+// Clears failure counters and signs the user in on a fresh session ID
+const completeLogin = async (req, user) => {
+    await pool.execute(
+        'UPDATE Users SET FailedLoginCount = 0, LockedUntil = NULL WHERE UserID = ?',
+        [user.UserID]
+    );
+    await recordLoginAttempt(user.Username, req.ip, true);
+
+    await regenerateSession(req);
+
+    req.session.user = {
+        ...toSessionUser(user),
+        twoFactorSetupRequired: await isTwoFactorSetupRequired(user)
+    };
+    req.session.lastSeenAt = Date.now();
+    req.session.client = {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent') || null
+    };
+};
+
+// AUTH ROUTES
+// Login
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { username, password } = req.body;
+        const ipAddress = req.ip;
+
+        if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+            return res.status(400).json({
+                error: 'Username and password are required'
+            });
+        }
+
+        // Block addresses that are guessing across many accounts
+        const ipFailures = await getIpLoginFailures(ipAddress);
+        if (ipFailures.failures >= MAX_FAILED_LOGINS_PER_IP) {
+            await recordLoginAttempt(username, ipAddress, false, 'ip_blocked');
+            return res.status(429).json({
+                error: 'Too many failed sign-in attempts from this device',
+                code: 'IP_LOCKED',
+                lockedUntil: ipFailures.blockedUntil
+            });
+        }
+
+        const [rows] = await pool.execute(
+            'SELECT *, LockedUntil > NOW() as IsLocked FROM Users WHERE Username = ?',
+            [username]
+        );
+        const user = rows[0];
+
+        if (user && user.IsLocked) {
+            await recordLoginAttempt(username, ipAddress, false, 'account_locked');
+            return res.status(423).json({
+                error: 'This account is temporarily locked after too many failed sign-in attempts',
+                code: 'ACCOUNT_LOCKED',
+                lockedUntil: user.LockedUntil
+            });
+        }
+
+        const isValidPassword = user ? await bcrypt.compare(password, user.Password) : false;
+
+        if (!isValidPassword) {
+            await recordLoginAttempt(username, ipAddress, false, user ? 'invalid_password' : 'unknown_user');
+
+            const userFailure = user ? await recordUserLoginFailure(user.UserID) : { failures: 0, lockedUntil: null };
+
+            // Slow down repeated guessing before answering
+            await sleep(getLoginFailureDelay(Math.max(userFailure.failures, ipFailures.failures + 1)));
+
+            if (userFailure.lockedUntil) {
+                return res.status(423).json({
+                    error: 'Too many failed sign-in attempts. This account is temporarily locked',
+                    code: 'ACCOUNT_LOCKED',
+                    lockedUntil: userFailure.lockedUntil
+                });
+            }
+
+            return res.status(401).json({
+                error: 'Invalid username or password'
+            });
+        }
+
+        if (!user.IsActive) {
+            await recordLoginAttempt(username, ipAddress, false, 'disabled');
+            return res.status(403).json({
+                error: 'This account has been disabled. Contact an administrator.'
+            });
+        }
+
+        if (user.TwoFactorEnabled) {
+            // The password was right; hold the sign-in until the one-time code is checked
+            await regenerateSession(req);
+            req.session.pendingTwoFactor = {
+                userId: user.UserID,
+                startedAt: Date.now(),
+                failures: 0
+            };
+
+            return res.json({
+                success: true,
+                message: 'Enter the code from your authenticator app',
+                twoFactorRequired: true
+            });
+        }
+
+        await completeLogin(req, user);
+
+        res.json({
+            success: true,
+            message: 'Login successful',
+            user: req.session.user
+        });
+
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({
+            error: 'Internal server error during login'
+        });
+    }
+});
+
+// Second sign-in step for accounts with two-factor authentication
+app.post('/api/auth/login/verify', async (req, res) => {
+    try {
+        const { code, recoveryCode } = req.body;
+        const pending = req.session && req.session.pendingTwoFactor;
+
+        if (!pending || Date.now() - pending.startedAt > TWO_FACTOR_LOGIN_TTL) {
+            if (pending) {
+                delete req.session.pendingTwoFactor;
+            }
+            return res.status(400).json({
+                error: 'Your sign-in has expired. Enter your username and password again',
+                code: 'TWO_FACTOR_EXPIRED'
+            });
+        }
+
+        if (!code && !recoveryCode) {
+            return res.status(400).json({
+                error: 'Enter the code from your authenticator app or a recovery code'
+            });
+        }
+
+        const ipFailures = await getIpLoginFailures(req.ip);
+        if (ipFailures.failures >= MAX_FAILED_LOGINS_PER_IP) {
+            return res.status(429).json({
+                error: 'Too many failed sign-in attempts from this device',
+                code: 'IP_LOCKED',
+                lockedUntil: ipFailures.blockedUntil
+            });
+        }
+
+        const [rows] = await pool.execute(
+            'SELECT *, LockedUntil > NOW() as IsLocked FROM Users WHERE UserID = ?',
+            [pending.userId]
+        );
+        const user = rows[0];
+
+        if (!user || !user.IsActive || !user.TwoFactorEnabled) {
+            delete req.session.pendingTwoFactor;
+            return res.status(400).json({
+                error: 'Your sign-in has expired. Enter your username and password again',
+                code: 'TWO_FACTOR_EXPIRED'
+            });
+        }
+
+        if (user.IsLocked) {
+            delete req.session.pendingTwoFactor;
+            await recordLoginAttempt(user.Username, req.ip, false, 'account_locked');
+            return res.status(423).json({
+                error: 'This account is temporarily locked after too many failed sign-in attempts',
+                code: 'ACCOUNT_LOCKED',
+                lockedUntil: user.LockedUntil
+            });
+        }
+
+        let verified = false;
+        if (code) {
+            const step = verifyTotp(user.TwoFactorSecret, code, user.TwoFactorLastStep);
+            if (step !== null) {
+                // Claim the step in the same statement that checks it, so a code sent twice
+                // in parallel is only accepted once
+                const [result] = await pool.execute(`
+                    UPDATE Users
+                    SET TwoFactorLastStep = ?
+                    WHERE UserID = ? AND (TwoFactorLastStep IS NULL OR TwoFactorLastStep < ?)
+                `, [step, user.UserID, step]);
+                verified = result.affectedRows === 1;
+            }
+        } else {
+            verified = await consumeRecoveryCode(user.UserID, recoveryCode);
+        }
+
+        if (!verified) {
+            await recordLoginAttempt(user.Username, req.ip, false, 'invalid_2fa_code');
+            pending.failures += 1;
+
+            // Wrong codes count against the account like wrong passwords, so starting a new
+            // sign-in doesn't give another round of guesses
+            const userFailure = await recordUserLoginFailure(user.UserID);
+
+            if (userFailure.lockedUntil) {
+                delete req.session.pendingTwoFactor;
+                return res.status(423).json({
+                    error: 'Too many failed sign-in attempts. This account is temporarily locked',
+                    code: 'ACCOUNT_LOCKED',
+                    lockedUntil: userFailure.lockedUntil
+                });
+            }
+
+            if (pending.failures >= MAX_FAILED_LOGINS_PER_USER) {
+                delete req.session.pendingTwoFactor;
+                return res.status(400).json({
+                    error: 'Too many incorrect codes. Enter your username and password again',
+                    code: 'TWO_FACTOR_EXPIRED'
+                });
+            }
+
+            await sleep(getLoginFailureDelay(Math.max(pending.failures, userFailure.failures)));
+            return res.status(400).json({
+                error: code ? 'Invalid authentication code' : 'Invalid or already used recovery code'
+            });
+        }
+
+        await completeLogin(req, user);
+
+        res.json({
+            success: true,
+            message: 'Login successful',
+            user: req.session.user,
+            recoveryCodesRemaining: recoveryCode ? await countRecoveryCodes(user.UserID) : undefined
+        });
+
+    } catch (error) {
+        console.error('Two-factor verification error:', error);
+        res.status(500).json({
+            error: 'Internal server error during login'
+        });
+    }
+});
+
+// Logout
+app.post('/api/auth/logout', (req, res) => {
+    if (!req.session) {
+        res.clearCookie('connect.sid');
+        return res.json({
+            success: true,
+            message: 'Logout successful'
+        });
+    }
+
+    req.session.destroy((err) => {
+        if (err) {
+            console.error('Logout error:', err);
+            return res.status(500).json({
+                error: 'Failed to logout'
+            });
+        }
+
+        res.clearCookie('connect.sid');
+        res.json({
+            success: true,
+            message: 'Logout successful'
+        });
+    });
+});
+
+// Check session
+app.get('/api/auth/session', (req, res) => {
+    if (req.session && req.session.user) {
+        res.json({
+            authenticated: true,
+            user: req.session.user
+        });
+    } else {
+        res.json({
+            authenticated: false
+        });
+    }
+});
+
+// Change own password
+app.post('/api/auth/change-password', requireAuth, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        if (typeof currentPassword !== 'string' || !currentPassword || !newPassword) {
+            return res.status(400).json({
+                error: 'Current password and new password are required'
+            });
+        }
+
+        const passwordError = getPasswordError(newPassword);
+        if (passwordError) {
+            return res.status(400).json({
+                error: passwordError
+            });
+        }
+
+        const [rows] = await pool.execute(
+            'SELECT Password FROM Users WHERE UserID = ?',
+            [req.user.id]
+        );
+
+        const isValidPassword = await bcrypt.compare(currentPassword, rows[0].Password);
+        if (!isValidPassword) {
+            return res.status(400).json({
+                error: 'Current password is incorrect'
+            });
+        }
+
+        if (await bcrypt.compare(newPassword, rows[0].Password)) {
+            return res.status(400).json({
+                error: 'New password must be different from the current password'
+            });
+        }
+
+        const hashedPassword = await bcrypt.hash(newPassword, 10);
+        await pool.execute(
+            'UPDATE Users SET Password = ?, MustChangePassword = FALSE WHERE UserID = ?',
+            [hashedPassword, req.user.id]
+        );
+
+        // Sign out every other session of this account
+        await pool.execute(
+            'DELETE FROM User_Session WHERE UserID = ? AND SessionID <> ?',
+            [req.user.id, req.sessionID]
+        );
+
+        req.session.user = { ...req.user, mustChangePassword: false };
+
+        res.json({
+            success: true,
+            message: 'Password changed successfully',
+            user: req.session.user
+        });
+
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({
+            error: 'Failed to change password'
+        });
+    }
+});
+
+// TWO-FACTOR ROUTES
+// Get own two-factor status
+app.get('/api/auth/2fa', requireAuth, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: {
+                enabled: req.user.twoFactorEnabled,
+                required: req.user.role === ROLES.ADMIN &&
+                    await getSetting(SETTINGS.REQUIRE_ADMIN_TWO_FACTOR) === 'true',
+                recoveryCodesRemaining: req.user.twoFactorEnabled ? await countRecoveryCodes(req.user.id) : 0
+            }
+        });
+
+    } catch (error) {
+        console.error('Get two-factor status error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch two-factor status'
+        });
+    }
+});
+
+// Start enrollment - the secret is kept in the session until a code confirms it
+app.post('/api/auth/2fa/setup', requireAuth, async (req, res) => {
+    try {
+        if (req.user.twoFactorEnabled) {
+            return res.status(400).json({
+                error: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        const secret = base32Encode(crypto.randomBytes(20));
+        req.session.twoFactorSetup = { secret };
+
+        res.json({
+            success: true,
+            data: {
+                secret,
+                otpauthUri: getOtpauthUri(req.user.username, secret)
+            }
+        });
+
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+        res.status(500).json({
+            error: 'Failed to start two-factor setup'
+        });
+    }
+});
+
+// Finish enrollment with a code from the authenticator app
+app.post('/api/auth/2fa/enable', requireAuth, async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        const { code } = req.body;
+        const setup = req.session.twoFactorSetup;
+
+        if (!setup) {
+            return res.status(400).json({
+                error: 'Start two-factor setup first'
+            });
+        }
+
+        const step = verifyTotp(setup.secret, code);
+        if (step === null) {
+            return res.status(400).json({
+                error: 'Invalid authentication code. Check the time on your device and try again'
+            });
+        }
+
+        await connection.beginTransaction();
+
+        await connection.execute(`
+            UPDATE Users
+            SET TwoFactorEnabled = TRUE, TwoFactorSecret = ?, TwoFactorLastStep = ?
+            WHERE UserID = ?
+        `, [setup.secret, step, req.user.id]);
+        const recoveryCodes = await replaceRecoveryCodes(connection, req.user.id);
+
+        await connection.commit();
+
+        delete req.session.twoFactorSetup;
+        req.session.user = { ...req.user, twoFactorEnabled: true, twoFactorSetupRequired: false };
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled',
+            data: { recoveryCodes },
+            user: req.session.user
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Enable two-factor error:', error);
+        res.status(500).json({
+            error: 'Failed to enable two-factor authentication'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Turn off two-factor authentication - requires the current password
+app.post('/api/auth/2fa/disable', requireAuth, async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        const { password } = req.body;
+
+        if (!req.user.twoFactorEnabled) {
+            return res.status(400).json({
+                error: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        if (req.user.role === ROLES.ADMIN && await getSetting(SETTINGS.REQUIRE_ADMIN_TWO_FACTOR) === 'true') {
+            return res.status(403).json({
+                error: 'Two-factor authentication is required for administrators'
+            });
+        }
+
+        const [rows] = await connection.execute('SELECT Password FROM Users WHERE UserID = ?', [req.user.id]);
+        if (typeof password !== 'string' || !password || !await bcrypt.compare(password, rows[0].Password)) {
+            return res.status(400).json({
+                error: 'Password is incorrect'
+            });
+        }
+
+        await connection.beginTransaction();
+
+        await connection.execute(`
+            UPDATE Users
+            SET TwoFactorEnabled = FALSE, TwoFactorSecret = NULL, TwoFactorLastStep = NULL
+            WHERE UserID = ?
+        `, [req.user.id]);
+        await connection.execute('DELETE FROM Two_Factor_Recovery_Code WHERE UserID = ?', [req.user.id]);
+
+        await connection.commit();
+
+        req.session.user = { ...req.user, twoFactorEnabled: false };
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication disabled',
+            user: req.session.user
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Disable two-factor error:', error);
+        res.status(500).json({
+            error: 'Failed to disable two-factor authentication'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Replace recovery codes - requires the current password
+app.post('/api/auth/2fa/recovery-codes', requireAuth, async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        const { password } = req.body;
+
+        if (!req.user.twoFactorEnabled) {
+            return res.status(400).json({
+                error: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        const [rows] = await connection.execute('SELECT Password FROM Users WHERE UserID = ?', [req.user.id]);
+        if (typeof password !== 'string' || !password || !await bcrypt.compare(password, rows[0].Password)) {
+            return res.status(400).json({
+                error: 'Password is incorrect'
+            });
+        }
+
+        await connection.beginTransaction();
+        const recoveryCodes = await replaceRecoveryCodes(connection, req.user.id);
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: 'New recovery codes generated. The old codes no longer work',
+            data: { recoveryCodes }
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Regenerate recovery codes error:', error);
+        res.status(500).json({
+            error: 'Failed to generate recovery codes'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// API TOKEN ROUTES
+// Get own API tokens
+app.get('/api/api-tokens', requireAuth, async (req, res) => {
+    try {
+        const [rows] = await pool.execute(`
+            SELECT TokenID, Name, TokenPrefix, Scope, ExpiresAt, LastUsedAt, RevokedAt, CreatedAt
+            FROM Api_Token
+            WHERE UserID = ?
+            ORDER BY RevokedAt IS NULL DESC, CreatedAt DESC
+        `, [req.user.id]);
+
+        res.json({
+            success: true,
+            data: rows
+        });
+
+    } catch (error) {
+        console.error('Get API tokens error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch API tokens'
+        });
+    }
+});
+
+// Create an API token - the plain token is only returned in this response
+app.post('/api/api-tokens', requireAuth, async (req, res) => {
+    try {
+        const { name, scope = API_TOKEN_SCOPES.READ, expiresInDays } = req.body;
+
+        if (!name || !name.trim()) {
+            return res.status(400).json({
+                error: 'Token name is required'
+            });
+        }
+
+        if (!Object.values(API_TOKEN_SCOPES).includes(scope)) {
+            return res.status(400).json({
+                error: `Scope must be one of: ${Object.values(API_TOKEN_SCOPES).join(', ')}`
+            });
+        }
+
+        if (scope === API_TOKEN_SCOPES.STOCK_WRITE && ![ROLES.ADMIN, ROLES.STOREKEEPER].includes(req.user.role)) {
+            return res.status(403).json({
+                error: 'Your role cannot record stock movements, so it cannot create stock-write tokens'
+            });
+        }
+
+        if (expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== '' &&
+            (!Number.isInteger(Number(expiresInDays)) || Number(expiresInDays) <= 0)) {
+            return res.status(400).json({
+                error: 'Expiry must be a positive number of days'
+            });
+        }
+
+        const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+        const tokenPrefix = token.slice(0, API_TOKEN_PREFIX.length + 6);
+        const expiresAt = expiresInDays
+            ? new Date(Date.now() + Number(expiresInDays) * 24 * 60 * 60 * 1000)
+            : null;
+
+        const [result] = await pool.execute(`
+            INSERT INTO Api_Token (UserID, Name, TokenPrefix, TokenHash, Scope, ExpiresAt)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [req.user.id, name.trim().slice(0, 100), tokenPrefix, hashToken(token), scope, expiresAt]);
+
+        res.status(201).json({
+            success: true,
+            message: 'API token created successfully',
+            data: {
+                tokenId: result.insertId,
+                name: name.trim(),
+                scope,
+                expiresAt,
+                token
+            }
+        });
+
+    } catch (error) {
+        console.error('Create API token error:', error);
+        res.status(500).json({
+            error: 'Failed to create API token'
+        });
+    }
+});
+
+// Revoke an API token
+app.delete('/api/api-tokens/:id', requireAuth, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const [result] = await pool.execute(`
+            UPDATE Api_Token
+            SET RevokedAt = NOW()
+            WHERE TokenID = ? AND UserID = ? AND RevokedAt IS NULL
+        `, [id, req.user.id]);
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                error: 'API token not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'API token revoked successfully'
+        });
+
+    } catch (error) {
+        console.error('Revoke API token error:', error);
+        res.status(500).json({
+            error: 'Failed to revoke API token'
+        });
+    }
+});
+
+// Get own active sessions
+app.get('/api/auth/sessions', requireAuth, async (req, res) => {
+    try {
+        const sessions = await listUserSessions(req.user.id, req.sessionID);
+
+        res.json({
+            success: true,
+            data: sessions
+        });
+
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch sessions'
+        });
+    }
+});
+
+// Revoke all own sessions except the current one
+app.delete('/api/auth/sessions', requireAuth, async (req, res) => {
+    try {
+        const [result] = await pool.execute(
+            'DELETE FROM User_Session WHERE UserID = ? AND SessionID <> ?',
+            [req.user.id, req.sessionID]
+        );
+
+        res.json({
+            success: true,
+            message: `Signed out of ${result.affectedRows} other session(s)`
+        });
+
+    } catch (error) {
+        console.error('Revoke sessions error:', error);
+        res.status(500).json({
+            error: 'Failed to revoke sessions'
+        });
+    }
+});
+
+// Revoke one own session
+app.delete('/api/auth/sessions/:id', requireAuth, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const [result] = await pool.execute(
+            'DELETE FROM User_Session WHERE UserSessionID = ? AND UserID = ?',
+            [id, req.user.id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                error: 'Session not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Session revoked successfully'
+        });
+
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({
+            error: 'Failed to revoke session'
+        });
+    }
+});
+
+// Set a new password with a one-time reset token issued by an administrator
+app.post('/api/auth/reset-password', async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { token, newPassword } = req.body;
+
+        if (typeof token !== 'string' || !token.trim() || !newPassword) {
+            return res.status(400).json({
+                error: 'Reset code and new password are required'
+            });
+        }
+
+        const passwordError = getPasswordError(newPassword);
+        if (passwordError) {
+            return res.status(400).json({
+                error: passwordError
+            });
+        }
+
+        const [tokens] = await connection.execute(`
+            SELECT TokenID, UserID
+            FROM Password_Reset_Token
+            WHERE TokenHash = ? AND UsedAt IS NULL AND ExpiresAt > NOW()
+            FOR UPDATE
+        `, [hashToken(token.trim())]);
+
+        if (tokens.length === 0) {
+            return res.status(400).json({
+                error: 'This reset code is invalid, expired or has already been used'
+            });
+        }
+
+        const { TokenID, UserID } = tokens[0];
+        const hashedPassword = await bcrypt.hash(newPassword, 10);
+
+        await connection.execute(`
+            UPDATE Users
+            SET Password = ?, MustChangePassword = FALSE, FailedLoginCount = 0, LockedUntil = NULL
+            WHERE UserID = ?
+        `, [hashedPassword, UserID]);
+        await connection.execute(
+            'UPDATE Password_Reset_Token SET UsedAt = NOW() WHERE TokenID = ?',
+            [TokenID]
+        );
+
+        // Sign the account out everywhere
+        await connection.execute('DELETE FROM User_Session WHERE UserID = ?', [UserID]);
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: 'Password has been reset. You can now sign in.'
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Reset password error:', error);
+        res.status(500).json({
+            error: 'Failed to reset password'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Register a new user
+app.post('/api/auth/register', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const { password, role = ROLES.STOREKEEPER } = req.body;
+        const username = typeof req.body.username === 'string' ? req.body.username.trim() : '';
+
+        if (!username || !password) {
+            return res.status(400).json({
+                error: 'Username and password are required'
+            });
+        }
+
+        if (username.length > 50) {
+            return res.status(400).json({
+                error: 'Username must be at most 50 characters'
+            });
+        }
+
+        const passwordError = getPasswordError(password);
+        if (passwordError) {
+            return res.status(400).json({
+                error: passwordError
+            });
+        }
+
+        if (!Object.values(ROLES).includes(role)) {
+            return res.status(400).json({
+                error: `Role must be one of: ${Object.values(ROLES).join(', ')}`
+            });
+        }
+
+        // Check if username is already taken
+        const [existingUsers] = await pool.execute(
+            'SELECT UserID FROM Users WHERE Username = ?',
+            [username]
+        );
+
+        if (existingUsers.length > 0) {
+            return res.status(409).json({
+                error: 'A user with this username already exists'
+            });
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 10);
+        const [result] = await pool.execute(`
+            INSERT INTO Users (Username, Password, Role)
+            VALUES (?, ?, ?)
+        `, [username, hashedPassword, role]);
+
+        res.status(201).json({
+            success: true,
+            message: 'User registered successfully',
+            data: {
+                id: result.insertId,
+                username,
+                role
+            }
+        });
+
+    } catch (error) {
+        console.error('Register user error:', error);
+        res.status(500).json({
+            error: 'Failed to register user'
+        });
+    }
+});
+
+// USER ROUTES
+// Get all users
+app.get('/api/users', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const [rows] = await pool.execute(`
+            SELECT
+                UserID, Username, Role, IsActive, TwoFactorEnabled, FailedLoginCount, CreatedAt,
+                IF(LockedUntil > NOW(), LockedUntil, NULL) as LockedUntil
+            FROM Users
+            ORDER BY Username
+        `);
+
+        res.json({
+            success: true,
+            data: rows
+        });
+
+    } catch (error) {
+        console.error('Get users error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch users'
+        });
+    }
+});
+
+// Enable or disable a user
+app.put('/api/users/:id/status', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { isActive } = req.body;
+
+        if (typeof isActive !== 'boolean') {
+            return res.status(400).json({
+                error: 'isActive must be true or false'
+            });
+        }
+
+        if (parseInt(id) === req.user.id) {
+            return res.status(400).json({
+                error: 'You cannot change the status of your own account'
+            });
+        }
+
+        const [result] = await pool.execute(
+            'UPDATE Users SET IsActive = ? WHERE UserID = ?',
+            [isActive, id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                error: 'User not found'
+            });
+        }
+
+        if (!isActive) {
+            await pool.execute('DELETE FROM User_Session WHERE UserID = ?', [id]);
+        }
+
+        res.json({
+            success: true,
+            message: isActive ? 'User enabled successfully' : 'User disabled successfully'
+        });
+
+    } catch (error) {
+        console.error('Update user status error:', error);
+        res.status(500).json({
+            error: 'Failed to update user status'
+        });
+    }
+});
+
+// Issue a one-time password reset token for a user
+app.post('/api/users/:id/reset-password', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const [users] = await pool.execute(
+            'SELECT UserID, Username FROM Users WHERE UserID = ?',
+            [id]
+        );
+
+        if (users.length === 0) {
+            return res.status(404).json({
+                error: 'User not found'
+            });
+        }
+
+        // Only the most recent token is valid
+        await pool.execute(`
+            UPDATE Password_Reset_Token
+            SET ExpiresAt = NOW()
+            WHERE UserID = ? AND UsedAt IS NULL AND ExpiresAt > NOW()
+        `, [id]);
+
+        const token = crypto.randomBytes(16).toString('hex');
+        const expiresAt = new Date(Date.now() + PASSWORD_RESET_TOKEN_TTL);
+
+        await pool.execute(`
+            INSERT INTO Password_Reset_Token (UserID, TokenHash, ExpiresAt, CreatedBy)
+            VALUES (?, ?, ?, ?)
+        `, [id, hashToken(token), expiresAt, req.user.username]);
+
+        res.status(201).json({
+            success: true,
+            message: `Reset code issued for ${users[0].Username}`,
+            data: {
+                username: users[0].Username,
+                token,
+                expiresAt
+            }
+        });
+
+    } catch (error) {
+        console.error('Issue password reset error:', error);
+        res.status(500).json({
+            error: 'Failed to issue password reset'
+        });
+    }
+});
+
+// Get a user's active sessions
+app.get('/api/users/:id/sessions', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const sessions = await listUserSessions(req.params.id, req.sessionID);
+
+        res.json({
+            success: true,
+            data: sessions
+        });
+
+    } catch (error) {
+        console.error('Get user sessions error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch user sessions'
+        });
+    }
+});
+
+// Revoke all of a user's sessions (except the administrator's own current one)
+app.delete('/api/users/:id/sessions', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const [result] = await pool.execute(
+            'DELETE FROM User_Session WHERE UserID = ? AND SessionID <> ?',
+            [req.params.id, req.sessionID]
+        );
+
+        res.json({
+            success: true,
+            message: `Revoked ${result.affectedRows} session(s)`
+        });
+
+    } catch (error) {
+        console.error('Revoke user sessions error:', error);
+        res.status(500).json({
+            error: 'Failed to revoke user sessions'
+        });
+    }
+});
+
+// Revoke one of a user's sessions
+app.delete('/api/users/:id/sessions/:sessionId', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const { id, sessionId } = req.params;
+
+        const [result] = await pool.execute(
+            'DELETE FROM User_Session WHERE UserSessionID = ? AND UserID = ?',
+            [sessionId, id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                error: 'Session not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Session revoked successfully'
+        });
+
+    } catch (error) {
+        console.error('Revoke user session error:', error);
+        res.status(500).json({
+            error: 'Failed to revoke user session'
+        });
+    }
+});
+
+// Clear a user's failed sign-in count and lockout
+app.delete('/api/users/:id/lockout', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const [result] = await pool.execute(
+            'UPDATE Users SET FailedLoginCount = 0, LockedUntil = NULL WHERE UserID = ?',
+            [id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                error: 'User not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'User unlocked successfully'
+        });
+
+    } catch (error) {
+        console.error('Unlock user error:', error);
+        res.status(500).json({
+            error: 'Failed to unlock user'
+        });
+    }
+});
+
+// Turn off two-factor authentication for a user who lost their device
+app.delete('/api/users/:id/two-factor', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        const { id } = req.params;
+
+        if (Number(id) === req.user.id) {
+            return res.status(400).json({
+                error: 'Use your own account settings to change your two-factor authentication'
+            });
+        }
+
+        await connection.beginTransaction();
+
+        const [result] = await connection.execute(`
+            UPDATE Users
+            SET TwoFactorEnabled = FALSE, TwoFactorSecret = NULL, TwoFactorLastStep = NULL
+            WHERE UserID = ?
+        `, [id]);
+
+        if (result.affectedRows === 0) {
+            await connection.rollback();
+            return res.status(404).json({
+                error: 'User not found'
+            });
+        }
+
+        await connection.execute('DELETE FROM Two_Factor_Recovery_Code WHERE UserID = ?', [id]);
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication reset. The user can set it up again after signing in'
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Reset two-factor error:', error);
+        res.status(500).json({
+            error: 'Failed to reset two-factor authentication'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Change a user's role
+app.put('/api/users/:id/role', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { role } = req.body;
+
+        if (!Object.values(ROLES).includes(role)) {
+            return res.status(400).json({
+                error: `Role must be one of: ${Object.values(ROLES).join(', ')}`
+            });
+        }
+
+        if (parseInt(id) === req.user.id) {
+            return res.status(400).json({
+                error: 'You cannot change the role of your own account'
+            });
+        }
+
+        const [result] = await pool.execute(
+            'UPDATE Users SET Role = ? WHERE UserID = ?',
+            [role, id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                error: 'User not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'User role updated successfully'
+        });
+
+    } catch (error) {
+        console.error('Update user role error:', error);
+        res.status(500).json({
+            error: 'Failed to update user role'
+        });
+    }
+});
+
+// Delete user
+app.delete('/api/users/:id', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (parseInt(id) === req.user.id) {
+            return res.status(400).json({
+                error: 'You cannot delete your own account'
+            });
+        }
+
+        const [result] = await pool.execute('DELETE FROM Users WHERE UserID = ?', [id]);
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                error: 'User not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'User deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete user error:', error);
+        res.status(500).json({
+            error: 'Failed to delete user'
+        });
+    }
+});
+
+// SECURITY ROUTES
+// Get recent sign-in attempts
+app.get('/api/security/login-attempts', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const { username, ipAddress } = req.query;
+
+        const conditions = [];
+        const params = [];
+
+        if (username) {
+            conditions.push('Username = ?');
+            params.push(username);
+        }
+        if (ipAddress) {
+            conditions.push('IPAddress = ?');
+            params.push(ipAddress);
+        }
+
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const [rows] = await pool.execute(`
+            SELECT AttemptID, Username, IPAddress, Success, Reason, CreatedAt
+            FROM Login_Attempt
+            ${whereClause}
+            ORDER BY CreatedAt DESC, AttemptID DESC
+            LIMIT 200
+        `, params);
+
+        res.json({
+            success: true,
+            data: rows
+        });
+
+    } catch (error) {
+        console.error('Get login attempts error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch login attempts'
+        });
+    }
+});
+
+// Get currently locked accounts and blocked client addresses
+app.get('/api/security/lockouts', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const [lockedUsers] = await pool.execute(`
+            SELECT UserID, Username, FailedLoginCount, LockedUntil
+            FROM Users
+            WHERE LockedUntil > NOW()
+            ORDER BY LockedUntil DESC
+        `);
+
+        const [blockedAddresses] = await pool.execute(`
+            SELECT
+                IPAddress,
+                COUNT(*) as Failures,
+                MAX(CreatedAt) as LastAttemptAt,
+                DATE_ADD(MIN(CreatedAt), INTERVAL ? SECOND) as BlockedUntil
+            FROM Login_Attempt
+            WHERE Success = FALSE
+                AND Cleared = FALSE
+                AND CreatedAt > DATE_SUB(NOW(), INTERVAL ? SECOND)
+            GROUP BY IPAddress
+            HAVING COUNT(*) >= ?
+            ORDER BY LastAttemptAt DESC
+        `, [LOGIN_LOCKOUT_SECONDS, LOGIN_LOCKOUT_SECONDS, MAX_FAILED_LOGINS_PER_IP]);
+
+        res.json({
+            success: true,
+            data: {
+                lockedUsers,
+                blockedAddresses
+            }
+        });
+
+    } catch (error) {
+        console.error('Get lockouts error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch lockouts'
+        });
+    }
+});
+
+// Lift the block on a client address
+app.delete('/api/security/ip-lockouts/:ipAddress', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const { ipAddress } = req.params;
+
+        await pool.execute(`
+            UPDATE Login_Attempt
+            SET Cleared = TRUE
+            WHERE IPAddress = ? AND Success = FALSE AND Cleared = FALSE
+        `, [ipAddress]);
+
+        res.json({
+            success: true,
+            message: `Sign-in block cleared for ${ipAddress}`
+        });
+
+    } catch (error) {
+        console.error('Clear IP lockout error:', error);
+        res.status(500).json({
+            error: 'Failed to clear address block'
+        });
+    }
+});
+
+// SETTINGS ROUTES
+// Get system settings
+app.get('/api/settings', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: {
+                requireAdminTwoFactor: await getSetting(SETTINGS.REQUIRE_ADMIN_TWO_FACTOR) === 'true'
+            }
+        });
+
+    } catch (error) {
+        console.error('Get settings error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch settings'
+        });
+    }
+});
+
+// Update system settings
+app.put('/api/settings', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const { requireAdminTwoFactor } = req.body;
+
+        if (typeof requireAdminTwoFactor !== 'boolean') {
+            return res.status(400).json({
+                error: 'requireAdminTwoFactor must be true or false'
+            });
+        }
+
+        await pool.execute(`
+            INSERT INTO Settings (SettingKey, SettingValue, UpdatedBy)
+            VALUES (?, ?, ?)
+            ON DUPLICATE KEY UPDATE SettingValue = VALUES(SettingValue), UpdatedBy = VALUES(UpdatedBy)
+        `, [SETTINGS.REQUIRE_ADMIN_TWO_FACTOR, String(requireAdminTwoFactor), req.user.username]);
+
+        res.json({
+            success: true,
+            message: 'Settings updated successfully',
+            data: { requireAdminTwoFactor }
+        });
+
+    } catch (error) {
+        console.error('Update settings error:', error);
+        res.status(500).json({
+            error: 'Failed to update settings'
+        });
+    }
+});
+
+// CATEGORY ROUTES
+// True when candidateId is categoryId itself or one of its descendants
+const isCategoryInSubtree = async (connection, categoryId, candidateId) => {
+    let currentId = candidateId;
+    while (currentId) {
+        if (String(currentId) === String(categoryId)) {
+            return true;
+        }
+        const [rows] = await connection.execute('SELECT ParentID FROM Category WHERE CategoryID = ?', [currentId]);
+        currentId = rows.length > 0 ? rows[0].ParentID : null;
+    }
+    return false;
+};
+
+// Check a category name and parent sent by the client; returns an error message or null
+const validateCategoryInput = async (connection, name, parentId, categoryId = null) => {
+    if (!name) {
+        return 'Category name is required';
+    }
+
+    if (name.length > 50) {
+        return 'Category name must be at most 50 characters';
+    }
+
+    if (parentId) {
+        if (!await getAuditSnapshot(connection, 'Category', parentId)) {
+            return 'Parent category not found';
+        }
+        if (categoryId && await isCategoryInSubtree(connection, categoryId, parentId)) {
+            return 'A category cannot be moved under itself or one of its subcategories';
+        }
+    }
+
+    return null;
+};
+
+// Get all categories as a flat list; clients build the tree from ParentID
+app.get('/api/categories', requireAuth, async (req, res) => {
+    try {
+        const [rows] = await pool.execute(`
+            SELECT c.CategoryID, c.Name, c.ParentID, c.CreatedBy, c.CreatedAt,
+                COUNT(sp.PartID) as PartCount
+            FROM Category c
+            LEFT JOIN Spare_Part sp ON sp.CategoryID = c.CategoryID
+            GROUP BY c.CategoryID
+            ORDER BY c.Name
+        `);
+
+        res.json({
+            success: true,
+            data: rows
+        });
+
+    } catch (error) {
+        console.error('Get categories error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch categories'
+        });
+    }
+});
+
+// Add new category, optionally under a parent
+app.post('/api/categories', requireAuth, requireRole(ROLES.ADMIN, ROLES.STOREKEEPER), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+        const parentId = req.body.parentId || null;
+
+        const inputError = await validateCategoryInput(connection, name, parentId);
+
+        if (inputError) {
+            return res.status(400).json({
+                error: inputError
+            });
+        }
+
+        const [existing] = await connection.execute('SELECT CategoryID FROM Category WHERE Name = ?', [name]);
+
+        if (existing.length > 0) {
+            return res.status(409).json({
+                error: 'Category with this name already exists'
+            });
+        }
+
+        const [result] = await connection.execute(
+            'INSERT INTO Category (Name, ParentID, CreatedBy) VALUES (?, ?, ?)',
+            [name, parentId, req.user.username]
+        );
+
+        await writeAuditLog(connection, req, {
+            entity: 'Category',
+            entityId: result.insertId,
+            action: 'create',
+            after: await getAuditSnapshot(connection, 'Category', result.insertId)
+        });
+
+        await connection.commit();
+
+        res.status(201).json({
+            success: true,
+            message: 'Category added successfully',
+            data: {
+                categoryId: result.insertId
+            }
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Add category error:', error);
+        res.status(500).json({
+            error: 'Failed to add category'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Rename a category or move it under another parent
+app.put('/api/categories/:id', requireAuth, requireRole(ROLES.ADMIN, ROLES.STOREKEEPER), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { id } = req.params;
+        const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+        const parentId = req.body.parentId || null;
+
+        const before = await getAuditSnapshot(connection, 'Category', id);
+
+        if (!before) {
+            return res.status(404).json({
+                error: 'Category not found'
+            });
+        }
+
+        const inputError = await validateCategoryInput(connection, name, parentId, id);
+
+        if (inputError) {
+            return res.status(400).json({
+                error: inputError
+            });
+        }
+
+        const [existing] = await connection.execute(
+            'SELECT CategoryID FROM Category WHERE Name = ? AND CategoryID <> ?',
+            [name, id]
+        );
+
+        if (existing.length > 0) {
+            return res.status(409).json({
+                error: 'Category with this name already exists'
+            });
+        }
+
+        await connection.execute(
+            'UPDATE Category SET Name = ?, ParentID = ? WHERE CategoryID = ?',
+            [name, parentId, id]
+        );
+
+        await writeAuditLog(connection, req, {
+            entity: 'Category',
+            entityId: id,
+            action: 'update',
+            before,
+            after: await getAuditSnapshot(connection, 'Category', id)
+        });
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: 'Category updated successfully'
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Update category error:', error);
+        res.status(500).json({
+            error: 'Failed to update category'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Delete a category - subcategories move up to its parent, and parts (archived ones included)
+// must be moved to ?reassignTo=<CategoryID>, which is how duplicate categories get merged
+app.delete('/api/categories/:id', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { id } = req.params;
+        const reassignTo = req.query.reassignTo || null;
+
+        const before = await getAuditSnapshot(connection, 'Category', id);
+
+        if (!before) {
+            return res.status(404).json({
+                error: 'Category not found'
+            });
+        }
+
+        const [parts] = await connection.execute('SELECT PartID FROM Spare_Part WHERE CategoryID = ?', [id]);
+
+        if (parts.length > 0 && !reassignTo) {
+            return res.status(409).json({
+                error: `This category has ${parts.length} spare parts. Choose a category to move them to`
+            });
+        }
+
+        if (reassignTo) {
+            if (String(reassignTo) === String(id)) {
+                return res.status(400).json({
+                    error: 'Parts cannot be moved to the category being deleted'
+                });
+            }
+            if (!await getAuditSnapshot(connection, 'Category', reassignTo)) {
+                return res.status(400).json({
+                    error: 'Category to move parts to was not found'
+                });
+            }
+        }
+
+        for (const { PartID } of parts) {
+            const partBefore = await getAuditSnapshot(connection, 'Spare_Part', PartID);
+            await connection.execute('UPDATE Spare_Part SET CategoryID = ? WHERE PartID = ?', [reassignTo, PartID]);
+            await writeAuditLog(connection, req, {
+                entity: 'Spare_Part',
+                entityId: PartID,
+                action: 'update',
+                before: partBefore,
+                after: await getAuditSnapshot(connection, 'Spare_Part', PartID)
+            });
+        }
+
+        const [children] = await connection.execute('SELECT CategoryID FROM Category WHERE ParentID = ?', [id]);
+
+        for (const { CategoryID } of children) {
+            const childBefore = await getAuditSnapshot(connection, 'Category', CategoryID);
+            await connection.execute('UPDATE Category SET ParentID = ? WHERE CategoryID = ?', [before.ParentID, CategoryID]);
+            await writeAuditLog(connection, req, {
+                entity: 'Category',
+                entityId: CategoryID,
+                action: 'update',
+                before: childBefore,
+                after: await getAuditSnapshot(connection, 'Category', CategoryID)
+            });
+        }
+
+        await connection.execute('DELETE FROM Category WHERE CategoryID = ?', [id]);
+
+        await writeAuditLog(connection, req, {
+            entity: 'Category',
+            entityId: id,
+            action: 'delete',
+            before
+        });
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: parts.length > 0
+                ? `Category "${before.Name}" deleted and ${parts.length} spare parts moved`
+                : `Category "${before.Name}" deleted`
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Delete category error:', error);
+        res.status(500).json({
+            error: 'Failed to delete category'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// LOCATION ROUTES
+// ID of the location that receives stock recorded without one
+const getDefaultLocationId = async (connection) => {
+    const [rows] = await connection.execute('SELECT LocationID FROM Location WHERE IsDefault = TRUE LIMIT 1');
+    return rows.length > 0 ? rows[0].LocationID : null;
+};
+
+// The location a movement should use: the one requested, or the default when none was given.
+// Returns null if the requested location doesn't exist
+const resolveLocation = async (connection, locationId) => {
+    const id = locationId || await getDefaultLocationId(connection);
+    return id ? getAuditSnapshot(connection, 'Location', id) : null;
+};
+
+// Quantity of a part held at one location, locked until the transaction ends
+const getLocationQuantity = async (connection, partId, locationId) => {
+    const [rows] = await connection.execute(
+        'SELECT Quantity FROM Part_Location WHERE PartID = ? AND LocationID = ? FOR UPDATE',
+        [partId, locationId]
+    );
+    return rows.length > 0 ? rows[0].Quantity : 0;
+};
+
+// Add quantity at a location, or remove it with a negative change - callers check availability first
+const changeLocationQuantity = async (connection, partId, locationId, change) => {
+    await connection.execute(`
+        INSERT INTO Part_Location (PartID, LocationID, Quantity)
+        VALUES (?, ?, ?)
+        ON DUPLICATE KEY UPDATE Quantity = Quantity + VALUES(Quantity)
+    `, [partId, locationId, change]);
+};
+
+// Every location with the number of parts it holds and their total quantity and value
+const getLocationSummaries = async (connection) => {
+    const [rows] = await connection.execute(`
+        SELECT
+            l.LocationID, l.Name, l.Description, l.IsDefault, l.CreatedBy, l.CreatedAt,
+            COUNT(sp.PartID) as PartCount,
+            COALESCE(SUM(pl.Quantity), 0) as TotalQuantity,
+            COALESCE(SUM(pl.Quantity * sp.UnitPrice), 0) as TotalValue
+        FROM Location l
+        LEFT JOIN Part_Location pl ON pl.LocationID = l.LocationID AND pl.Quantity > 0
+        LEFT JOIN Spare_Part sp ON pl.PartID = sp.PartID
+        GROUP BY l.LocationID
+        ORDER BY l.IsDefault DESC, l.Name
+    `);
+
+    return rows.map(row => ({
+        ...row,
+        IsDefault: Boolean(row.IsDefault),
+        TotalQuantity: parseInt(row.TotalQuantity),
+        TotalValue: parseFloat(row.TotalValue).toFixed(2)
+    }));
+};
+
+// Read the location fields from a request body; a blank description becomes NULL
+const readLocationInput = (body) => ({
+    name: typeof body.name === 'string' ? body.name.trim() : '',
+    description: typeof body.description === 'string' ? body.description.trim() || null : null
+});
+
+// Returns an error message for invalid location input, or null
+const validateLocationInput = (input) => {
+    if (!input.name) {
+        return 'Location name is required';
+    }
+    if (input.name.length > 100) {
+        return 'Location name must be at most 100 characters';
+    }
+    if (input.description && input.description.length > 255) {
+        return 'Description must be at most 255 characters';
+    }
+    return null;
+};
+
+// Get all locations with a summary of the stock held at each
+app.get('/api/locations', requireAuth, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await getLocationSummaries(pool)
+        });
+
+    } catch (error) {
+        console.error('Get locations error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch locations'
+        });
+    }
+});
+
+// Get the quantity of every part at every location where it is held
+app.get('/api/locations/stock-levels', requireAuth, async (req, res) => {
+    try {
+        const [rows] = await pool.execute(`
+            SELECT pl.PartID, pl.LocationID, l.Name as LocationName, pl.Quantity,
+                COALESCE(reserved.ReservedQuantity, 0) as ReservedQuantity,
+                pl.Quantity - COALESCE(reserved.ReservedQuantity, 0) as AvailableQuantity
+            FROM Part_Location pl
+            JOIN Location l ON pl.LocationID = l.LocationID
+            LEFT JOIN (${RESERVED_QUANTITIES_SQL}) reserved
+                ON pl.PartID = reserved.PartID AND pl.LocationID = reserved.LocationID
+            WHERE pl.Quantity > 0
+            ORDER BY l.IsDefault DESC, l.Name
+        `);
+
+        res.json({
+            success: true,
+            data: rows
+        });
+
+    } catch (error) {
+        console.error('Get stock levels error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch stock levels'
+        });
+    }
+});
+
+// Get the parts held at one location
+app.get('/api/locations/:id/stock', requireAuth, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const location = await getAuditSnapshot(pool, 'Location', id);
+
+        if (!location) {
+            return res.status(404).json({
+                error: 'Location not found'
+            });
+        }
+
+        const [rows] = await pool.execute(`
+            SELECT
+                sp.PartID,
+                sp.Name as SparePartName,
+                sp.SKU,
+                c.Name as Category,
+                pl.Quantity,
+                sp.UnitPrice,
+                pl.Quantity * sp.UnitPrice as TotalPrice,
+                sp.ArchivedAt
+            FROM Part_Location pl
+            JOIN Spare_Part sp ON pl.PartID = sp.PartID
+            JOIN Category c ON sp.CategoryID = c.CategoryID
+            WHERE pl.LocationID = ? AND pl.Quantity > 0
+            ORDER BY sp.Name
+        `, [id]);
+
+        res.json({
+            success: true,
+            data: {
+                location,
+                parts: rows,
+                summary: {
+                    totalParts: rows.length,
+                    totalQuantity: rows.reduce((sum, row) => sum + row.Quantity, 0),
+                    totalValue: rows.reduce((sum, row) => sum + parseFloat(row.TotalPrice), 0).toFixed(2)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get location stock error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch location stock'
+        });
+    }
+});
+
+// Add new location
+app.post('/api/locations', requireAuth, requireRole(ROLES.ADMIN, ROLES.STOREKEEPER), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const input = readLocationInput(req.body);
+        const inputError = validateLocationInput(input);
+
+        if (inputError) {
+            return res.status(400).json({
+                error: inputError
+            });
+        }
+
+        const [existing] = await connection.execute('SELECT LocationID FROM Location WHERE Name = ?', [input.name]);
+
+        if (existing.length > 0) {
+            return res.status(409).json({
+                error: 'Location with this name already exists'
+            });
+        }
+
+        const [result] = await connection.execute(`
+            INSERT INTO Location (Name, Description, CreatedBy)
+            VALUES (?, ?, ?)
+        `, [input.name, input.description, req.user.username]);
+
+        await writeAuditLog(connection, req, {
+            entity: 'Location',
+            entityId: result.insertId,
+            action: 'create',
+            after: await getAuditSnapshot(connection, 'Location', result.insertId)
+        });
+
+        await connection.commit();
+
+        res.status(201).json({
+            success: true,
+            message: 'Location added successfully',
+            data: {
+                locationId: result.insertId
+            }
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Add location error:', error);
+        res.status(500).json({
+            error: 'Failed to add location'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Update location - isDefault=true also makes it the default location in place of the current one
+app.put('/api/locations/:id', requireAuth, requireRole(ROLES.ADMIN, ROLES.STOREKEEPER), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { id } = req.params;
+        const input = readLocationInput(req.body);
+        const inputError = validateLocationInput(input);
+
+        if (inputError) {
+            return res.status(400).json({
+                error: inputError
+            });
+        }
+
+        const before = await getAuditSnapshot(connection, 'Location', id);
+
+        if (!before) {
+            return res.status(404).json({
+                error: 'Location not found'
+            });
+        }
+
+        const [existing] = await connection.execute(
+            'SELECT LocationID FROM Location WHERE Name = ? AND LocationID <> ?',
+            [input.name, id]
+        );
+
+        if (existing.length > 0) {
+            return res.status(409).json({
+                error: 'Location with this name already exists'
+            });
+        }
+
+        await connection.execute(`
+            UPDATE Location
+            SET Name = ?, Description = ?
+            WHERE LocationID = ?
+        `, [input.name, input.description, id]);
+
+        if (req.body.isDefault === true && !before.IsDefault) {
+            const previousDefaultId = await getDefaultLocationId(connection);
+            if (previousDefaultId) {
+                const previousBefore = await getAuditSnapshot(connection, 'Location', previousDefaultId);
+                await connection.execute('UPDATE Location SET IsDefault = FALSE WHERE LocationID = ?', [previousDefaultId]);
+                await writeAuditLog(connection, req, {
+                    entity: 'Location',
+                    entityId: previousDefaultId,
+                    action: 'update',
+                    before: previousBefore,
+                    after: await getAuditSnapshot(connection, 'Location', previousDefaultId)
+                });
+            }
+            await connection.execute('UPDATE Location SET IsDefault = TRUE WHERE LocationID = ?', [id]);
+        }
+
+        await writeAuditLog(connection, req, {
+            entity: 'Location',
+            entityId: id,
+            action: 'update',
+            before,
+            after: await getAuditSnapshot(connection, 'Location', id)
+        });
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: 'Location updated successfully'
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Update location error:', error);
+        res.status(500).json({
+            error: 'Failed to update location'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Delete location - only an empty, non-default location with no recorded movements
+app.delete('/api/locations/:id', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { id } = req.params;
+
+        const before = await getAuditSnapshot(connection, 'Location', id);
+
+        if (!before) {
+            return res.status(404).json({
+                error: 'Location not found'
+            });
+        }
+
+        if (before.IsDefault) {
+            return res.status(409).json({
+                error: 'The default location cannot be deleted. Make another location the default first'
+            });
+        }
+
+        const [[{ quantityHeld }]] = await connection.execute(
+            'SELECT COALESCE(SUM(Quantity), 0) as quantityHeld FROM Part_Location WHERE LocationID = ?',
+            [id]
+        );
+
+        if (parseInt(quantityHeld) > 0) {
+            return res.status(409).json({
+                error: `This location still holds ${quantityHeld} units. Transfer them elsewhere first`
+            });
+        }
+
+        const [[{ movementCount }]] = await connection.execute(`
+            SELECT
+                (SELECT COUNT(*) FROM Stock_In WHERE LocationID = ?) +
+                (SELECT COUNT(*) FROM Stock_Out WHERE LocationID = ?) +
+                (SELECT COUNT(*) FROM Stock_Out_Document WHERE LocationID = ?) +
+                (SELECT COUNT(*) FROM Stock_Transfer WHERE FromLocationID = ? OR ToLocationID = ?) +
+                (SELECT COUNT(*) FROM Stock_Adjustment WHERE LocationID = ?) +
+                (SELECT COUNT(*) FROM Stock_Return WHERE LocationID = ?) +
+                (SELECT COUNT(*) FROM Stock_Reservation WHERE LocationID = ?) +
+                (SELECT COUNT(*) FROM Stocktake WHERE LocationID = ?) as movementCount
+        `, [id, id, id, id, id, id, id, id, id]);
+
+        if (movementCount > 0) {
+            return res.status(409).json({
+                error: `This location has ${movementCount} stock movements and cannot be deleted`
+            });
+        }
+
+        await connection.execute('DELETE FROM Part_Location WHERE LocationID = ?', [id]);
+        await connection.execute('DELETE FROM Location WHERE LocationID = ?', [id]);
+
+        await writeAuditLog(connection, req, {
+            entity: 'Location',
+            entityId: id,
+            action: 'delete',
+            before
+        });
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: `Location "${before.Name}" deleted`
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Delete location error:', error);
+        res.status(500).json({
+            error: 'Failed to delete location'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// SPARE PARTS ROUTES
+// SKU and barcode are optional; blank values are stored as NULL so they don't collide
+const normalizePartCode = (code) => {
+    if (typeof code !== 'string') {
+        return null;
+    }
+    return code.trim() || null;
+};
+
+// Returns an error message when a code doesn't fit its column
+const validatePartCodes = (sku, barcode) => {
+    if (sku && sku.length > 50) {
+        return 'SKU must be at most 50 characters';
+    }
+    if (barcode && barcode.length > 100) {
+        return 'Barcode must be at most 100 characters';
+    }
+    return null;
+};
+
+// Read the reorder levels from a request body; levels left out keep the given current values
+const readStockLevels = (body, current) => {
+    const readLevel = (value, fallback) => (value === undefined || value === '' ? fallback : Number(value));
+
+    return {
+        reorderPoint: readLevel(body.reorderPoint, current.ReorderPoint),
+        minLevel: readLevel(body.minLevel, current.MinLevel),
+        maxLevel: readLevel(body.maxLevel, current.MaxLevel)
+    };
+};
+
+// Returns an error message for invalid reorder levels, or null
+const validateStockLevels = (levels) => {
+    if (![levels.reorderPoint, levels.minLevel, levels.maxLevel].every(level => Number.isInteger(level) && level >= 0)) {
+        return 'Reorder point, minimum and maximum levels must be whole numbers of zero or more';
+    }
+    if (levels.minLevel > levels.reorderPoint || levels.reorderPoint >= levels.maxLevel) {
+        return 'The minimum level cannot be above the reorder point, and the maximum level must be above it';
+    }
+    return null;
+};
+
+// Inventory valuation methods a part can be costed with
+const COSTING_METHODS = ['AVERAGE', 'FIFO'];
+
+// A part is low once its stock is below the reorder point; it is then topped up to the maximum level.
+// Below the minimum level it is about to run out and needs reordering first
+const isLowStock = (quantity, part) => quantity < part.ReorderPoint;
+
+const isBelowMinimum = (quantity, part) => quantity < part.MinLevel;
+
+const getSuggestedReorderQuantity = (quantity, part) =>
+    isLowStock(quantity, part) ? Math.max(0, part.MaxLevel - quantity) : 0;
+
+// Find another part already using one of the codes as its SKU or barcode. Scans are
+// looked up against both columns, so a code must be unique across them
+const findPartCodeConflict = async (connection, codes, partId = 0) => {
+    for (const code of codes.filter(Boolean)) {
+        const [rows] = await connection.execute(
+            'SELECT Name FROM Spare_Part WHERE (SKU = ? OR Barcode = ?) AND PartID <> ?',
+            [code, code, partId]
+        );
+        if (rows.length > 0) {
+            return { code, name: rows[0].Name };
+        }
+    }
+    return null;
+};
+
+// Get all spare parts - archived parts are only returned with ?archived=true
+app.get('/api/spare-parts', requireAuth, async (req, res) => {
+    try {
+        const archived = req.query.archived === 'true';
+
+        const [rows] = await pool.execute(`
+            SELECT sp.PartID, sp.Name, sp.SKU, sp.Barcode, sp.CategoryID, c.Name as Category, sp.Quantity, sp.UnitPrice,
+                sp.TotalPrice, sp.ReorderPoint, sp.MinLevel, sp.MaxLevel, sp.CostingMethod, sp.ArchivedAt, sp.ArchivedBy, sp.CreatedAt, sp.UpdatedAt,
+                COALESCE(reserved.ReservedQuantity, 0) as ReservedQuantity,
+                sp.Quantity - COALESCE(reserved.ReservedQuantity, 0) as AvailableQuantity
+            FROM Spare_Part sp
+            JOIN Category c ON sp.CategoryID = c.CategoryID
+            LEFT JOIN (${RESERVED_BY_PART_SQL}) reserved ON sp.PartID = reserved.PartID
+            WHERE sp.ArchivedAt IS ${archived ? 'NOT NULL' : 'NULL'}
+            ORDER BY sp.Name
+        `);
+
+        res.json({
+            success: true,
+            data: rows
+        });
+
+    } catch (error) {
+        console.error('Get spare parts error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch spare parts'
+        });
+    }
+});
+
+// Look up a spare part by scanned SKU or barcode
+app.get('/api/spare-parts/by-code/:code', requireAuth, async (req, res) => {
+    try {
+        const code = normalizePartCode(req.params.code);
+
+        if (!code) {
+            return res.status(400).json({
+                error: 'Code is required'
+            });
+        }
+
+        const [rows] = await pool.execute(`
+            SELECT sp.PartID, sp.Name, sp.SKU, sp.Barcode, sp.CategoryID, c.Name as Category, sp.Quantity, sp.UnitPrice,
+                sp.TotalPrice, sp.ReorderPoint, sp.MinLevel, sp.MaxLevel, sp.CostingMethod, sp.ArchivedAt, sp.ArchivedBy, sp.CreatedAt, sp.UpdatedAt,
+                COALESCE(reserved.ReservedQuantity, 0) as ReservedQuantity,
+                sp.Quantity - COALESCE(reserved.ReservedQuantity, 0) as AvailableQuantity
+            FROM Spare_Part sp
+            JOIN Category c ON sp.CategoryID = c.CategoryID
+            LEFT JOIN (${RESERVED_BY_PART_SQL}) reserved ON sp.PartID = reserved.PartID
+            WHERE sp.SKU = ? OR sp.Barcode = ?
+        `, [code, code]);
+
+        if (rows.length === 0) {
+            return res.status(404).json({
+                error: `No spare part found for code "${code}"`
+            });
+        }
+
+        // Scans feed stock movements, and archived parts take no new ones
+        if (rows[0].ArchivedAt) {
+            return res.status(409).json({
+                error: `"${rows[0].Name}" is archived. Restore it before using it`
+            });
+        }
+
+        res.json({
+            success: true,
+            data: rows[0]
+        });
+
+    } catch (error) {
+        console.error('Get spare part by code error:', error);
+        res.status(500).json({
+            error: 'Failed to look up spare part'
+        });
+    }
+});
+
+// Get spare part by ID
+app.get('/api/spare-parts/:id', requireAuth, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const [rows] = await pool.execute(`
+            SELECT sp.PartID, sp.Name, sp.SKU, sp.Barcode, sp.CategoryID, c.Name as Category, sp.Quantity, sp.UnitPrice,
+                sp.TotalPrice, sp.ReorderPoint, sp.MinLevel, sp.MaxLevel, sp.CostingMethod, sp.ArchivedAt, sp.ArchivedBy, sp.CreatedAt, sp.UpdatedAt,
+                COALESCE(reserved.ReservedQuantity, 0) as ReservedQuantity,
+                sp.Quantity - COALESCE(reserved.ReservedQuantity, 0) as AvailableQuantity
+            FROM Spare_Part sp
+            JOIN Category c ON sp.CategoryID = c.CategoryID
+            LEFT JOIN (${RESERVED_BY_PART_SQL}) reserved ON sp.PartID = reserved.PartID
+            WHERE sp.PartID = ?
+        `, [id]);
+
+        if (rows.length === 0) {
+            return res.status(404).json({
+                error: 'Spare part not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: rows[0]
+        });
+
+    } catch (error) {
+        console.error('Get spare part error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch spare part'
+        });
+    }
+});
+
+// Add new spare part
+app.post('/api/spare-parts', requireAuth, requireRole(ROLES.ADMIN, ROLES.STOREKEEPER), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { name, categoryId, quantity, unitPrice } = req.body;
+        const sku = normalizePartCode(req.body.sku);
+        const barcode = normalizePartCode(req.body.barcode);
+
+        if (!name || !categoryId || quantity === undefined || unitPrice === undefined) {
+            return res.status(400).json({
+                error: 'Name, category, quantity, and unit price are required'
+            });
+        }
+
+        if (quantity < 0 || unitPrice < 0) {
+            return res.status(400).json({
+                error: 'Quantity and unit price must be non-negative'
+            });
+        }
+
+        // Check if spare part already exists
+        const [existingParts] = await connection.execute(
+            'SELECT Name, ArchivedAt FROM Spare_Part WHERE Name = ?',
+            [name]
+        );
+
+        if (existingParts.length > 0) {
+            return res.status(409).json({
+                error: existingParts[0].ArchivedAt
+                    ? 'An archived spare part with this name already exists. Restore it instead'
+                    : 'Spare part with this name already exists'
+            });
+        }
+
+        const codeError = validatePartCodes(sku, barcode);
+
+        if (codeError) {
+            return res.status(400).json({
+                error: codeError
+            });
+        }
+
+        const codeConflict = await findPartCodeConflict(connection, [sku, barcode]);
+
+        if (codeConflict) {
+            return res.status(409).json({
+                error: `Code "${codeConflict.code}" is already used by "${codeConflict.name}"`
+            });
+        }
+
+        if (!await getAuditSnapshot(connection, 'Category', categoryId)) {
+            return res.status(400).json({
+                error: 'Category not found'
+            });
+        }
+
+        const levels = readStockLevels(req.body, { ReorderPoint: 10, MinLevel: 0, MaxLevel: 20 });
+        const levelsError = validateStockLevels(levels);
+
+        if (levelsError) {
+            return res.status(400).json({
+                error: levelsError
+            });
+        }
+
+        const costingMethod = req.body.costingMethod || 'AVERAGE';
+
+        if (!COSTING_METHODS.includes(costingMethod)) {
+            return res.status(400).json({
+                error: `Costing method must be one of: ${COSTING_METHODS.join(', ')}`
+            });
+        }
+
+        // The opening quantity is held at the given location, or the default one
+        const location = await resolveLocation(connection, req.body.locationId);
+
+        if (!location) {
+            return res.status(400).json({
+                error: 'Location not found'
+            });
+        }
+
+        const [result] = await connection.execute(`
+            INSERT INTO Spare_Part (
+                Name, SKU, Barcode, CategoryID, Quantity, UnitPrice, ReorderPoint, MinLevel, MaxLevel, CostingMethod
+            )
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            name, sku, barcode, categoryId, quantity, unitPrice,
+            levels.reorderPoint, levels.minLevel, levels.maxLevel, costingMethod
+        ]);
+
+        if (parseInt(quantity) > 0) {
+            await changeLocationQuantity(connection, result.insertId, location.LocationID, parseInt(quantity));
+        }
+
+        await writeAuditLog(connection, req, {
+            entity: 'Spare_Part',
+            entityId: result.insertId,
+            action: 'create',
+            after: await getAuditSnapshot(connection, 'Spare_Part', result.insertId)
+        });
+
+        await connection.commit();
+
+        res.status(201).json({
+            success: true,
+            message: 'Spare part added successfully',
+            data: {
+                partId: result.insertId
+            }
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Add spare part error:', error);
+        res.status(500).json({
+            error: 'Failed to add spare part'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Update spare part details. Its quantity only changes through stock movements and stocktakes
+app.put('/api/spare-parts/:id', requireAuth, requireRole(ROLES.ADMIN, ROLES.STOREKEEPER), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { id } = req.params;
+        const { categoryId, quantity, unitPrice } = req.body;
+
+        // Check if spare part exists
+        const before = await getAuditSnapshot(connection, 'Spare_Part', id);
+
+        if (!before) {
+            return res.status(404).json({
+                error: 'Spare part not found'
+            });
+        }
+
+        if (before.ArchivedAt) {
+            return res.status(400).json({
+                error: 'Archived spare parts cannot be edited. Restore the part first'
+            });
+        }
+
+        if (!categoryId || unitPrice === undefined) {
+            return res.status(400).json({
+                error: 'Category and unit price are required'
+            });
+        }
+
+        if (unitPrice < 0) {
+            return res.status(400).json({
+                error: 'Unit price must be non-negative'
+            });
+        }
+
+        // Stock on hand only changes through movements, so every change leaves a record and a reason
+        if (quantity !== undefined && parseInt(quantity) !== before.Quantity) {
+            return res.status(400).json({
+                error: 'Quantity cannot be edited here. Record stock in or out, or count the part in a stocktake'
+            });
+        }
+
+        // Codes left out of the request keep their current values
+        const sku = req.body.sku === undefined ? before.SKU : normalizePartCode(req.body.sku);
+        const barcode = req.body.barcode === undefined ? before.Barcode : normalizePartCode(req.body.barcode);
+        const codeError = validatePartCodes(sku, barcode);
+
+        if (codeError) {
+            return res.status(400).json({
+                error: codeError
+            });
+        }
+
+        const codeConflict = await findPartCodeConflict(connection, [sku, barcode], id);
+
+        if (codeConflict) {
+            return res.status(409).json({
+                error: `Code "${codeConflict.code}" is already used by "${codeConflict.name}"`
+            });
+        }
+
+        if (!await getAuditSnapshot(connection, 'Category', categoryId)) {
+            return res.status(400).json({
+                error: 'Category not found'
+            });
+        }
+
+        const levels = readStockLevels(req.body, before);
+        const levelsError = validateStockLevels(levels);
+
+        if (levelsError) {
+            return res.status(400).json({
+                error: levelsError
+            });
+        }
+
+        await connection.execute(`
+            UPDATE Spare_Part
+            SET SKU = ?, Barcode = ?, CategoryID = ?, UnitPrice = ?,
+                ReorderPoint = ?, MinLevel = ?, MaxLevel = ?
+            WHERE PartID = ?
+        `, [sku, barcode, categoryId, unitPrice, levels.reorderPoint, levels.minLevel, levels.maxLevel, id]);
+
+        await writeAuditLog(connection, req, {
+            entity: 'Spare_Part',
+            entityId: id,
+            action: 'update',
+            before,
+            after: await getAuditSnapshot(connection, 'Spare_Part', id)
+        });
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: 'Spare part updated successfully'
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Update spare part error:', error);
+        res.status(500).json({
+            error: 'Failed to update spare part'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Rename spare part - stock history follows the part because it references PartID
+app.put('/api/spare-parts/:id/name', requireAuth, requireRole(ROLES.ADMIN, ROLES.STOREKEEPER), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { id } = req.params;
+        const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+
+        if (!name) {
+            return res.status(400).json({
+                error: 'New name is required'
+            });
+        }
+
+        if (name.length > 100) {
+            return res.status(400).json({
+                error: 'Name must be at most 100 characters'
+            });
+        }
+
+        const before = await getAuditSnapshot(connection, 'Spare_Part', id);
+
+        if (!before) {
+            return res.status(404).json({
+                error: 'Spare part not found'
+            });
+        }
+
+        if (before.Name === name) {
+            return res.status(400).json({
+                error: 'New name is the same as the current name'
+            });
+        }
+
+        const [existingParts] = await connection.execute(
+            'SELECT PartID, ArchivedAt FROM Spare_Part WHERE Name = ? AND PartID <> ?',
+            [name, id]
+        );
+
+        if (existingParts.length > 0) {
+            return res.status(409).json({
+                error: existingParts[0].ArchivedAt
+                    ? 'An archived spare part already uses this name'
+                    : 'Spare part with this name already exists'
+            });
+        }
+
+        await connection.execute('UPDATE Spare_Part SET Name = ? WHERE PartID = ?', [name, id]);
+
+        await writeAuditLog(connection, req, {
+            entity: 'Spare_Part',
+            entityId: id,
+            action: 'update',
+            before,
+            after: await getAuditSnapshot(connection, 'Spare_Part', id)
+        });
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: `Spare part renamed to "${name}"`
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Rename spare part error:', error);
+        res.status(500).json({
+            error: 'Failed to rename spare part'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Set the SKU and barcode of a spare part - a blank value clears the code
+app.put('/api/spare-parts/:id/codes', requireAuth, requireRole(ROLES.ADMIN, ROLES.STOREKEEPER), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { id } = req.params;
+        const sku = normalizePartCode(req.body.sku);
+        const barcode = normalizePartCode(req.body.barcode);
+        const codeError = validatePartCodes(sku, barcode);
+
+        if (codeError) {
+            return res.status(400).json({
+                error: codeError
+            });
+        }
+
+        const before = await getAuditSnapshot(connection, 'Spare_Part', id);
+
+        if (!before) {
+            return res.status(404).json({
+                error: 'Spare part not found'
+            });
+        }
+
+        if (before.ArchivedAt) {
+            return res.status(400).json({
+                error: 'Archived spare parts cannot be edited. Restore the part first'
+            });
+        }
+
+        const codeConflict = await findPartCodeConflict(connection, [sku, barcode], id);
+
+        if (codeConflict) {
+            return res.status(409).json({
+                error: `Code "${codeConflict.code}" is already used by "${codeConflict.name}"`
+            });
+        }
+
+        await connection.execute('UPDATE Spare_Part SET SKU = ?, Barcode = ? WHERE PartID = ?', [sku, barcode, id]);
+
+        await writeAuditLog(connection, req, {
+            entity: 'Spare_Part',
+            entityId: id,
+            action: 'update',
+            before,
+            after: await getAuditSnapshot(connection, 'Spare_Part', id)
+        });
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: `Codes updated for "${before.Name}"`
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Update spare part codes error:', error);
+        res.status(500).json({
+            error: 'Failed to update spare part codes'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Set a spare part's reorder point and minimum and maximum stock levels
+app.put('/api/spare-parts/:id/levels', requireAuth, requireRole(ROLES.ADMIN, ROLES.STOREKEEPER), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { id } = req.params;
+        const before = await getAuditSnapshot(connection, 'Spare_Part', id);
+
+        if (!before) {
+            return res.status(404).json({
+                error: 'Spare part not found'
+            });
+        }
+
+        if (before.ArchivedAt) {
+            return res.status(400).json({
+                error: 'Archived spare parts cannot be edited. Restore the part first'
+            });
+        }
+
+        const levels = readStockLevels(req.body, before);
+        const levelsError = validateStockLevels(levels);
+
+        if (levelsError) {
+            return res.status(400).json({
+                error: levelsError
+            });
+        }
+
+        await connection.execute(
+            'UPDATE Spare_Part SET ReorderPoint = ?, MinLevel = ?, MaxLevel = ? WHERE PartID = ?',
+            [levels.reorderPoint, levels.minLevel, levels.maxLevel, id]
+        );
+
+        await writeAuditLog(connection, req, {
+            entity: 'Spare_Part',
+            entityId: id,
+            action: 'update',
+            before,
+            after: await getAuditSnapshot(connection, 'Spare_Part', id)
+        });
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: `Stock levels updated for "${before.Name}"`
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Update spare part levels error:', error);
+        res.status(500).json({
+            error: 'Failed to update stock levels'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Choose how a spare part's stock on hand is valued at cost
+app.put('/api/spare-parts/:id/costing-method', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { id } = req.params;
+        const { costingMethod } = req.body;
+
+        if (!COSTING_METHODS.includes(costingMethod)) {
+            return res.status(400).json({
+                error: `Costing method must be one of: ${COSTING_METHODS.join(', ')}`
+            });
+        }
+
+        const before = await getAuditSnapshot(connection, 'Spare_Part', id);
+
+        if (!before) {
+            return res.status(404).json({
+                error: 'Spare part not found'
+            });
+        }
+
+        await connection.execute('UPDATE Spare_Part SET CostingMethod = ? WHERE PartID = ?', [costingMethod, id]);
+
+        await writeAuditLog(connection, req, {
+            entity: 'Spare_Part',
+            entityId: id,
+            action: 'update',
+            before,
+            after: await getAuditSnapshot(connection, 'Spare_Part', id)
+        });
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: `"${before.Name}" is now valued at ${costingMethod === 'FIFO' ? 'FIFO' : 'weighted average'} cost`
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Update costing method error:', error);
+        res.status(500).json({
+            error: 'Failed to update costing method'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Archive spare part - it disappears from lists and pickers but keeps its history
+app.delete('/api/spare-parts/:id', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { id } = req.params;
+
+        // Check if spare part exists
+        const before = await getAuditSnapshot(connection, 'Spare_Part', id);
+
+        if (!before) {
+            return res.status(404).json({
+                error: 'Spare part not found'
+            });
+        }
+
+        if (before.ArchivedAt) {
+            return res.status(400).json({
+                error: 'Spare part is already archived'
+            });
+        }
+
+        await connection.execute(
+            'UPDATE Spare_Part SET ArchivedAt = NOW(), ArchivedBy = ? WHERE PartID = ?',
+            [req.user.username, id]
+        );
+
+        await writeAuditLog(connection, req, {
+            entity: 'Spare_Part',
+            entityId: id,
+            action: 'archive',
+            before,
+            after: await getAuditSnapshot(connection, 'Spare_Part', id)
+        });
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: 'Spare part archived successfully'
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Archive spare part error:', error);
+        res.status(500).json({
+            error: 'Failed to archive spare part'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Restore an archived spare part
+app.post('/api/spare-parts/:id/restore', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { id } = req.params;
+
+        const before = await getAuditSnapshot(connection, 'Spare_Part', id);
+
+        if (!before) {
+            return res.status(404).json({
+                error: 'Spare part not found'
+            });
+        }
+
+        if (!before.ArchivedAt) {
+            return res.status(400).json({
+                error: 'Spare part is not archived'
+            });
+        }
+
+        await connection.execute(
+            'UPDATE Spare_Part SET ArchivedAt = NULL, ArchivedBy = NULL WHERE PartID = ?',
+            [id]
+        );
+
+        await writeAuditLog(connection, req, {
+            entity: 'Spare_Part',
+            entityId: id,
+            action: 'restore',
+            before,
+            after: await getAuditSnapshot(connection, 'Spare_Part', id)
+        });
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: 'Spare part restored successfully'
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Restore spare part error:', error);
+        res.status(500).json({
+            error: 'Failed to restore spare part'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// What purging an archived spare part would permanently remove
+const getPurgePreview = async (connection, partId) => {
+    const [stockIn] = await connection.execute(`
+        SELECT
+            COUNT(*) as Records,
+            COALESCE(SUM(StockInQuantity), 0) as Quantity,
+            MIN(StockInDate) as FirstDate,
+            MAX(StockInDate) as LastDate
+        FROM Stock_In
+        WHERE PartID = ?
+    `, [partId]);
+
+    const [stockOut] = await connection.execute(`
+        SELECT
+            COUNT(*) as Records,
+            COALESCE(SUM(StockOutQuantity), 0) as Quantity,
+            COALESCE(SUM(StockOutTotalPrice), 0) as TotalValue,
+            MIN(StockOutDate) as FirstDate,
+            MAX(StockOutDate) as LastDate
+        FROM Stock_Out
+        WHERE PartID = ?
+    `, [partId]);
+
+    const [transfers] = await connection.execute(`
+        SELECT
+            COUNT(*) as Records,
+            COALESCE(SUM(TransferQuantity), 0) as Quantity
+        FROM Stock_Transfer
+        WHERE PartID = ?
+    `, [partId]);
+
+    const [adjustments] = await connection.execute(`
+        SELECT
+            COUNT(*) as Records,
+            COALESCE(SUM(AdjustmentQuantity), 0) as Quantity
+        FROM Stock_Adjustment
+        WHERE PartID = ?
+    `, [partId]);
+
+    const [purchaseOrderLines] = await connection.execute(`
+        SELECT
+            COUNT(*) as Records,
+            COALESCE(SUM(OrderedQuantity), 0) as Quantity
+        FROM Purchase_Order_Line
+        WHERE PartID = ?
+    `, [partId]);
+
+    const [returns] = await connection.execute(`
+        SELECT
+            COUNT(*) as Records,
+            COALESCE(SUM(ReturnQuantity), 0) as Quantity
+        FROM Stock_Return
+        WHERE PartID = ?
+    `, [partId]);
+
+    const [reservations] = await connection.execute(`
+        SELECT
+            COUNT(*) as Records,
+            COALESCE(SUM(Quantity), 0) as Quantity
+        FROM Stock_Reservation
+        WHERE PartID = ?
+    `, [partId]);
+
+    const [kitComponents] = await connection.execute(
+        'SELECT COUNT(*) as Records FROM Kit_Component WHERE PartID = ?',
+        [partId]
+    );
+
+    return {
+        stockIn: stockIn[0],
+        stockOut: stockOut[0],
+        transfers: transfers[0],
+        adjustments: adjustments[0],
+        purchaseOrderLines: purchaseOrderLines[0],
+        returns: returns[0],
+        reservations: reservations[0],
+        kitComponents: kitComponents[0]
+    };
+};
+
+// Preview a purge
+app.get('/api/spare-parts/:id/purge', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const [parts] = await pool.execute(
+            'SELECT PartID, Name, Quantity, ArchivedAt FROM Spare_Part WHERE PartID = ?',
+            [id]
+        );
+
+        if (parts.length === 0) {
+            return res.status(404).json({
+                error: 'Spare part not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                sparePart: parts[0],
+                ...await getPurgePreview(pool, id)
+            }
+        });
+
+    } catch (error) {
+        console.error('Purge preview error:', error);
+        res.status(500).json({
+            error: 'Failed to prepare purge preview'
+        });
+    }
+});
+
+// Permanently delete an archived spare part together with its stock in, stock out, transfer, adjustment, return
+// and reservation history, and take it off any purchase orders. Past daily reports and stock status totals will no longer include these movements
+app.delete('/api/spare-parts/:id/purge', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { id } = req.params;
+
+        const before = await getAuditSnapshot(connection, 'Spare_Part', id);
+
+        if (!before) {
+            return res.status(404).json({
+                error: 'Spare part not found'
+            });
+        }
+
+        if (!before.ArchivedAt) {
+            return res.status(400).json({
+                error: 'Only archived spare parts can be purged. Archive the part first'
+            });
+        }
+
+        const preview = await getPurgePreview(connection, id);
+
+        // Record every removed movement in the audit log before deleting it
+        const [stockInRows] = await connection.execute(
+            'SELECT StockInID FROM Stock_In WHERE PartID = ?',
+            [id]
+        );
+        for (const { StockInID } of stockInRows) {
+            await writeAuditLog(connection, req, {
+                entity: 'Stock_In',
+                entityId: StockInID,
+                action: 'delete',
+                before: await getAuditSnapshot(connection, 'Stock_In', StockInID)
+            });
+        }
+
+        const [stockOutRows] = await connection.execute(
+            'SELECT StockOutID FROM Stock_Out WHERE PartID = ?',
+            [id]
+        );
+        for (const { StockOutID } of stockOutRows) {
+            await writeAuditLog(connection, req, {
+                entity: 'Stock_Out',
+                entityId: StockOutID,
+                action: 'delete',
+                before: await getAuditSnapshot(connection, 'Stock_Out', StockOutID)
+            });
+        }
+
+        const [transferRows] = await connection.execute(
+            'SELECT TransferID FROM Stock_Transfer WHERE PartID = ?',
+            [id]
+        );
+        for (const { TransferID } of transferRows) {
+            await writeAuditLog(connection, req, {
+                entity: 'Stock_Transfer',
+                entityId: TransferID,
+                action: 'delete',
+                before: await getAuditSnapshot(connection, 'Stock_Transfer', TransferID)
+            });
+        }
+
+        const [adjustmentRows] = await connection.execute(
+            'SELECT AdjustmentID FROM Stock_Adjustment WHERE PartID = ?',
+            [id]
+        );
+        for (const { AdjustmentID } of adjustmentRows) {
+            await writeAuditLog(connection, req, {
+                entity: 'Stock_Adjustment',
+                entityId: AdjustmentID,
+                action: 'delete',
+                before: await getAuditSnapshot(connection, 'Stock_Adjustment', AdjustmentID)
+            });
+        }
+
+        const [returnRows] = await connection.execute(
+            'SELECT ReturnID FROM Stock_Return WHERE PartID = ?',
+            [id]
+        );
+        for (const { ReturnID } of returnRows) {
+            await writeAuditLog(connection, req, {
+                entity: 'Stock_Return',
+                entityId: ReturnID,
+                action: 'delete',
+                before: await getAuditSnapshot(connection, 'Stock_Return', ReturnID)
+            });
+        }
+
+        const [reservationRows] = await connection.execute(
+            'SELECT ReservationID FROM Stock_Reservation WHERE PartID = ?',
+            [id]
+        );
+        for (const { ReservationID } of reservationRows) {
+            await writeAuditLog(connection, req, {
+                entity: 'Stock_Reservation',
+                entityId: ReservationID,
+                action: 'delete',
+                before: await getAuditSnapshot(connection, 'Stock_Reservation', ReservationID)
+            });
+        }
+
+        // The part's purchase order lines go too; each order it was on is recorded as updated
+        const [orderRows] = await connection.execute(
+            'SELECT DISTINCT PurchaseOrderID FROM Purchase_Order_Line WHERE PartID = ?',
+            [id]
+        );
+        const ordersBefore = [];
+        for (const { PurchaseOrderID } of orderRows) {
+            ordersBefore.push(await getAuditSnapshot(connection, 'Purchase_Order', PurchaseOrderID));
+        }
+
+        // Kits lose the part as a component
+        const [kitRows] = await connection.execute(
+            'SELECT DISTINCT KitID FROM Kit_Component WHERE PartID = ?',
+            [id]
+        );
+        const kitsBefore = [];
+        for (const { KitID } of kitRows) {
+            kitsBefore.push(await getAuditSnapshot(connection, 'Kit', KitID));
+        }
+
+        await connection.execute('DELETE FROM Stock_Return WHERE PartID = ?', [id]);
+        await connection.execute('DELETE FROM Stock_In WHERE PartID = ?', [id]);
+        await connection.execute('DELETE FROM Purchase_Order_Line WHERE PartID = ?', [id]);
+        await connection.execute('DELETE FROM Stock_Out WHERE PartID = ?', [id]);
+        await connection.execute('DELETE FROM Stock_Reservation WHERE PartID = ?', [id]);
+        await connection.execute('DELETE FROM Stock_Transfer WHERE PartID = ?', [id]);
+        await connection.execute('DELETE FROM Stock_Adjustment WHERE PartID = ?', [id]);
+        await connection.execute('DELETE FROM Stocktake_Line WHERE PartID = ?', [id]);
+        await connection.execute('DELETE FROM Kit_Component WHERE PartID = ?', [id]);
+        await connection.execute('DELETE FROM Part_Location WHERE PartID = ?', [id]);
+        await connection.execute('DELETE FROM Spare_Part WHERE PartID = ?', [id]);
+
+        for (const orderBefore of ordersBefore) {
+            await refreshPurchaseOrderStatus(connection, orderBefore.PurchaseOrderID);
+            await writeAuditLog(connection, req, {
+                entity: 'Purchase_Order',
+                entityId: orderBefore.PurchaseOrderID,
+                action: 'update',
+                before: orderBefore,
+                after: await getAuditSnapshot(connection, 'Purchase_Order', orderBefore.PurchaseOrderID)
+            });
+        }
+
+        for (const kitBefore of kitsBefore) {
+            await writeAuditLog(connection, req, {
+                entity: 'Kit',
+                entityId: kitBefore.KitID,
+                action: 'update',
+                before: kitBefore,
+                after: await getAuditSnapshot(connection, 'Kit', kitBefore.KitID)
+            });
+        }
+
+        await writeAuditLog(connection, req, {
+            entity: 'Spare_Part',
+            entityId: id,
+            action: 'delete',
+            before
+        });
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: `Spare part purged with ${preview.stockIn.Records} stock in, ${preview.stockOut.Records} stock out, ` +
+                `${preview.transfers.Records} transfer, ${preview.adjustments.Records} adjustment, ` +
+                `${preview.returns.Records} return and ${preview.reservations.Records} reservation records`
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Purge spare part error:', error);
+        res.status(500).json({
+            error: 'Failed to purge spare part'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// CONTACT HELPERS
+// Suppliers and customers share a required name and a list of optional contact fields,
+// each described by { key, column, label, maxLength }
+
+// Read a contact's fields from a request body; blank optional fields become NULL
+const readContactInput = (body, fields) => {
+    const input = { name: typeof body.name === 'string' ? body.name.trim() : '' };
+    for (const field of fields) {
+        input[field.key] = typeof body[field.key] === 'string' ? body[field.key].trim() || null : null;
+    }
+    return input;
+};
+
+// Returns an error message for invalid contact input, or null; entityLabel names the record, e.g. 'Supplier'
+const validateContactInput = (input, fields, entityLabel) => {
+    if (!input.name) {
+        return `${entityLabel} name is required`;
+    }
+    if (input.name.length > 100) {
+        return `${entityLabel} name must be at most 100 characters`;
+    }
+    for (const field of fields) {
+        if (input[field.key] && input[field.key].length > field.maxLength) {
+            return `${field.label} must be at most ${field.maxLength} characters`;
+        }
+    }
+    if (input.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(input.email)) {
+        return 'Email address is not valid';
+    }
+    return null;
+};
+
+// SUPPLIER ROUTES
+const SUPPLIER_FIELDS = [
+    { key: 'contactPerson', column: 'ContactPerson', label: 'Contact person', maxLength: 100 },
+    { key: 'phone', column: 'Phone', label: 'Phone', maxLength: 30 },
+    { key: 'email', column: 'Email', label: 'Email', maxLength: 100 },
+    { key: 'address', column: 'Address', label: 'Address', maxLength: 255 },
+    { key: 'paymentTerms', column: 'PaymentTerms', label: 'Payment terms', maxLength: 100 }
+];
+
+// Get all suppliers with a summary of what was received from each
+app.get('/api/suppliers', requireAuth, async (req, res) => {
+    try {
+        const [rows] = await pool.execute(`
+            SELECT
+                su.SupplierID, su.Name, su.ContactPerson, su.Phone, su.Email, su.Address, su.PaymentTerms,
+                su.CreatedBy, su.CreatedAt,
+                COUNT(si.StockInID) as ReceiptCount,
+                MAX(si.StockInDate) as LastReceiptDate
+            FROM Supplier su
+            LEFT JOIN Stock_In si ON si.SupplierID = su.SupplierID
+            GROUP BY su.SupplierID
+            ORDER BY su.Name
+        `);
+
+        res.json({
+            success: true,
+            data: rows
+        });
+
+    } catch (error) {
+        console.error('Get suppliers error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch suppliers'
+        });
+    }
+});
+
+// Get the purchase history of a supplier
+app.get('/api/suppliers/:id/purchases', requireAuth, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const [suppliers] = await pool.execute(`
+            SELECT SupplierID, Name, ContactPerson, Phone, Email, Address, PaymentTerms
+            FROM Supplier
+            WHERE SupplierID = ?
+        `, [id]);
+
+        if (suppliers.length === 0) {
+            return res.status(404).json({
+                error: 'Supplier not found'
+            });
+        }
+
+        const [records] = await pool.execute(`
+            SELECT
+                si.StockInID,
+                si.PartID,
+                sp.Name as SparePartName,
+                si.StockInQuantity,
+                si.UnitCost,
+                si.StockInQuantity * si.UnitCost as TotalCost,
+                si.StockInDate,
+                si.InvoiceNumber,
+                si.CreatedBy
+            FROM Stock_In si
+            JOIN Spare_Part sp ON si.PartID = sp.PartID
+            WHERE si.SupplierID = ?
+            ORDER BY si.StockInDate DESC, si.CreatedAt DESC
+        `, [id]);
+
+        res.json({
+            success: true,
+            data: {
+                supplier: suppliers[0],
+                records,
+                summary: {
+                    totalReceipts: records.length,
+                    totalInvoices: new Set(records.map(row => row.InvoiceNumber).filter(Boolean)).size,
+                    totalQuantity: records.reduce((sum, row) => sum + row.StockInQuantity, 0),
+                    totalCost: records.reduce((sum, row) => sum + parseFloat(row.TotalCost || 0), 0).toFixed(2),
+                    distinctParts: new Set(records.map(row => row.PartID)).size
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get supplier purchases error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch supplier purchase history'
+        });
+    }
+});
+
+// Add new supplier
+app.post('/api/suppliers', requireAuth, requireRole(ROLES.ADMIN, ROLES.STOREKEEPER), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const input = readContactInput(req.body, SUPPLIER_FIELDS);
+        const inputError = validateContactInput(input, SUPPLIER_FIELDS, 'Supplier');
+
+        if (inputError) {
+            return res.status(400).json({
+                error: inputError
+            });
+        }
+
+        const [existing] = await connection.execute('SELECT SupplierID FROM Supplier WHERE Name = ?', [input.name]);
+
+        if (existing.length > 0) {
+            return res.status(409).json({
+                error: 'Supplier with this name already exists'
+            });
+        }
+
+        const [result] = await connection.execute(`
+            INSERT INTO Supplier (Name, ContactPerson, Phone, Email, Address, PaymentTerms, CreatedBy)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [
+            input.name,
+            input.contactPerson,
+            input.phone,
+            input.email,
+            input.address,
+            input.paymentTerms,
+            req.user.username
+        ]);
+
+        await writeAuditLog(connection, req, {
+            entity: 'Supplier',
+            entityId: result.insertId,
+            action: 'create',
+            after: await getAuditSnapshot(connection, 'Supplier', result.insertId)
+        });
+
+        await connection.commit();
+
+        res.status(201).json({
+            success: true,
+            message: 'Supplier added successfully',
+            data: {
+                supplierId: result.insertId
+            }
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Add supplier error:', error);
+        res.status(500).json({
+            error: 'Failed to add supplier'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Update supplier
+app.put('/api/suppliers/:id', requireAuth, requireRole(ROLES.ADMIN, ROLES.STOREKEEPER), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { id } = req.params;
+        const input = readContactInput(req.body, SUPPLIER_FIELDS);
+        const inputError = validateContactInput(input, SUPPLIER_FIELDS, 'Supplier');
+
+        if (inputError) {
+            return res.status(400).json({
+                error: inputError
+            });
+        }
+
+        const before = await getAuditSnapshot(connection, 'Supplier', id);
+
+        if (!before) {
+            return res.status(404).json({
+                error: 'Supplier not found'
+            });
+        }
+
+        const [existing] = await connection.execute(
+            'SELECT SupplierID FROM Supplier WHERE Name = ? AND SupplierID <> ?',
+            [input.name, id]
+        );
+
+        if (existing.length > 0) {
+            return res.status(409).json({
+                error: 'Supplier with this name already exists'
+            });
+        }
+
+        await connection.execute(`
+            UPDATE Supplier
+            SET Name = ?, ContactPerson = ?, Phone = ?, Email = ?, Address = ?, PaymentTerms = ?
+            WHERE SupplierID = ?
+        `, [input.name, input.contactPerson, input.phone, input.email, input.address, input.paymentTerms, id]);
+
+        await writeAuditLog(connection, req, {
+            entity: 'Supplier',
+            entityId: id,
+            action: 'update',
+            before,
+            after: await getAuditSnapshot(connection, 'Supplier', id)
+        });
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: 'Supplier updated successfully'
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Update supplier error:', error);
+        res.status(500).json({
+            error: 'Failed to update supplier'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Delete supplier - only suppliers with no recorded receipts, so purchase history stays intact
+app.delete('/api/suppliers/:id', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { id } = req.params;
+
+        const before = await getAuditSnapshot(connection, 'Supplier', id);
+
+        if (!before) {
+            return res.status(404).json({
+                error: 'Supplier not found'
+            });
+        }
+
+        const [[{ receiptCount }]] = await connection.execute(
+            'SELECT COUNT(*) as receiptCount FROM Stock_In WHERE SupplierID = ?',
+            [id]
+        );
+
+        if (receiptCount > 0) {
+            return res.status(409).json({
+                error: `This supplier has ${receiptCount} stock in records and cannot be deleted`
+            });
+        }
+
+        const [[{ orderCount }]] = await connection.execute(
+            'SELECT COUNT(*) as orderCount FROM Purchase_Order WHERE SupplierID = ?',
+            [id]
+        );
+
+        if (orderCount > 0) {
+            return res.status(409).json({
+                error: `This supplier has ${orderCount} purchase orders and cannot be deleted`
+            });
+        }
+
+        await connection.execute('DELETE FROM Supplier WHERE SupplierID = ?', [id]);
+
+        await writeAuditLog(connection, req, {
+            entity: 'Supplier',
+            entityId: id,
+            action: 'delete',
+            before
+        });
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: `Supplier "${before.Name}" deleted`
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Delete supplier error:', error);
+        res.status(500).json({
+            error: 'Failed to delete supplier'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// STOCK IN ROUTES
+// Blank invoice numbers are stored as NULL
+const normalizeInvoiceNumber = (invoiceNumber) => {
+    if (typeof invoiceNumber !== 'string') {
+        return null;
+    }
+    return invoiceNumber.trim() || null;
+};
+
+// Unit costs may be zero for free-issue stock, but not negative, and must fit a DECIMAL(10, 2) column.
+// Only numbers and numeric text count, so true, [] and '' are not taken as zero
+const MAX_UNIT_COST = 99999999.99;
+
+const isValidUnitCost = (unitCost) => {
+    if (typeof unitCost === 'string' ? unitCost.trim() === '' : typeof unitCost !== 'number') {
+        return false;
+    }
+
+    const cost = Number(unitCost);
+    return Number.isFinite(cost) && cost >= 0 && cost <= MAX_UNIT_COST;
+};
+
+// Check the optional supplier and invoice number of a receipt; returns an error message or null
+const validateStockInSupplier = async (connection, supplierId, invoiceNumber) => {
+    if (invoiceNumber && invoiceNumber.length > 50) {
+        return 'Invoice number must be at most 50 characters';
+    }
+
+    if (supplierId && !await getAuditSnapshot(connection, 'Supplier', supplierId)) {
+        return 'Supplier not found';
+    }
+
+    return null;
+};
+
+// Get all stock in records
+app.get('/api/stock-in', requireAuth, async (req, res) => {
+    try {
+        const [rows] = await pool.execute(`
+            SELECT
+                si.StockInID,
+                si.PartID,
+                sp.Name as SparePartName,
+                si.StockInQuantity,
+                si.UnitCost,
+                si.StockInQuantity * si.UnitCost as TotalCost,
+                si.StockInDate,
+                si.SupplierID,
+                su.Name as SupplierName,
+                si.InvoiceNumber,
+                pol.PurchaseOrderID,
+                si.LocationID,
+                l.Name as LocationName,
+                si.CreatedBy,
+                si.UpdatedBy,
+                si.CreatedAt,
+                si.UpdatedAt,
+                c.Name as Category,
+                sp.UnitPrice
+            FROM Stock_In si
+            LEFT JOIN Spare_Part sp ON si.PartID = sp.PartID
+            LEFT JOIN Category c ON sp.CategoryID = c.CategoryID
+            LEFT JOIN Supplier su ON si.SupplierID = su.SupplierID
+            LEFT JOIN Location l ON si.LocationID = l.LocationID
+            LEFT JOIN Purchase_Order_Line pol ON si.PurchaseOrderLineID = pol.LineID
+            ORDER BY si.StockInDate DESC, si.CreatedAt DESC
+        `);
+
+        res.json({
+            success: true,
+            data: rows
+        });
+
+    } catch (error) {
+        console.error('Get stock in records error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch stock in records'
+        });
+    }
+});
+
+// Add new stock in record
+app.post('/api/stock-in', requireAuth, requireRole(ROLES.ADMIN, ROLES.STOREKEEPER), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { partId, stockInQuantity, unitCost, stockInDate } = req.body;
+        const supplierId = req.body.supplierId || null;
+        const invoiceNumber = normalizeInvoiceNumber(req.body.invoiceNumber);
+
+        if (!partId || !stockInQuantity || unitCost === undefined || unitCost === '' || !stockInDate) {
+            return res.status(400).json({
+                error: 'Spare part, quantity, unit cost, and date are required'
+            });
+        }
+
+        if (stockInQuantity <= 0) {
+            return res.status(400).json({
+                error: 'Stock in quantity must be positive'
+            });
+        }
+
+        if (!isValidUnitCost(unitCost)) {
+            return res.status(400).json({
+                error: 'Unit cost must be a non-negative amount of at most 99999999.99'
+            });
+        }
+
+        // Check if spare part exists
+        const [spareParts] = await connection.execute(
+            'SELECT Name, Quantity, ArchivedAt FROM Spare_Part WHERE PartID = ?',
+            [partId]
+        );
+
+        if (spareParts.length === 0) {
+            return res.status(404).json({
+                error: 'Spare part not found'
+            });
+        }
+
+        if (spareParts[0].ArchivedAt) {
+            return res.status(400).json({
+                error: 'This spare part is archived. Restore it before recording new stock'
+            });
+        }
+
+        const supplierError = await validateStockInSupplier(connection, supplierId, invoiceNumber);
+
+        if (supplierError) {
+            return res.status(400).json({
+                error: supplierError
+            });
+        }
+
+        // Stock is received into the given location, or the default one
+        const location = await resolveLocation(connection, req.body.locationId);
+
+        if (!location) {
+            return res.status(400).json({
+                error: 'Location not found'
+            });
+        }
+
+        const currentQuantity = spareParts[0].Quantity;
+
+        // Insert stock in record
+        const [result] = await connection.execute(`
+            INSERT INTO Stock_In (
+                PartID, StockInQuantity, UnitCost, StockInDate, SupplierID, InvoiceNumber, LocationID, CreatedBy
+            )
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            partId, stockInQuantity, unitCost, stockInDate, supplierId, invoiceNumber,
+            location.LocationID, req.user.username
+        ]);
+
+        // Update spare part quantity
+        const newQuantity = currentQuantity + parseInt(stockInQuantity);
+        await connection.execute(`
+            UPDATE Spare_Part
+            SET Quantity = ?
+            WHERE PartID = ?
+        `, [newQuantity, partId]);
+        await changeLocationQuantity(connection, partId, location.LocationID, parseInt(stockInQuantity));
+
+        await writeAuditLog(connection, req, {
+            entity: 'Stock_In',
+            entityId: result.insertId,
+            action: 'create',
+            after: await getAuditSnapshot(connection, 'Stock_In', result.insertId)
+        });
+
+        await connection.commit();
+
+        res.status(201).json({
+            success: true,
+            message: 'Stock in record added successfully',
+            data: {
+                partId,
+                sparePartName: spareParts[0].Name,
+                stockInQuantity,
+                unitCost,
+                stockInDate,
+                supplierId,
+                invoiceNumber,
+                locationId: location.LocationID,
+                newTotalQuantity: newQuantity
+            }
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Add stock in record error:', error);
+        res.status(500).json({
+            error: 'Failed to add stock in record'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Update stock in record
+app.put('/api/stock-in/:id', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { id } = req.params;
+        const { stockInQuantity, stockInDate } = req.body;
+
+        if (!stockInQuantity || !stockInDate) {
+            return res.status(400).json({
+                error: 'Quantity and date are required'
+            });
+        }
+
+        if (stockInQuantity <= 0) {
+            return res.status(400).json({
+                error: 'Stock in quantity must be positive'
+            });
+        }
+
+        // Get current stock in record
+        const [currentRecords] = await connection.execute(
+            'SELECT PartID, StockInQuantity, LocationID FROM Stock_In WHERE StockInID = ?',
+            [id]
+        );
+
+        if (currentRecords.length === 0) {
+            return res.status(404).json({
+                error: 'Stock in record not found'
+            });
+        }
+
+        const { PartID, StockInQuantity: oldQuantity, LocationID: oldLocationId } = currentRecords[0];
+
+        // Get current spare part quantity
+        const [spareParts] = await connection.execute(
+            'SELECT Quantity FROM Spare_Part WHERE PartID = ?',
+            [PartID]
+        );
+
+        const currentSparePartQuantity = spareParts[0].Quantity;
+
+        // Calculate new spare part quantity
+        const quantityDifference = parseInt(stockInQuantity) - oldQuantity;
+        const newSparePartQuantity = currentSparePartQuantity + quantityDifference;
+
+        if (newSparePartQuantity < 0) {
+            return res.status(400).json({
+                error: 'Cannot reduce stock in quantity: would result in negative spare part quantity'
+            });
+        }
+
+        const before = await getAuditSnapshot(connection, 'Stock_In', id);
+
+        // A cost left out of the request keeps its current value
+        const unitCost = req.body.unitCost === undefined ? before.UnitCost : req.body.unitCost;
+
+        if (unitCost !== null && !isValidUnitCost(unitCost)) {
+            return res.status(400).json({
+                error: 'Unit cost must be a non-negative amount of at most 99999999.99'
+            });
+        }
+
+        // Supplier details left out of the request keep their current values
+        const supplierId = req.body.supplierId === undefined ? before.SupplierID : (req.body.supplierId || null);
+        const invoiceNumber = req.body.invoiceNumber === undefined
+            ? before.InvoiceNumber
+            : normalizeInvoiceNumber(req.body.invoiceNumber);
+        const supplierError = await validateStockInSupplier(connection, supplierId, invoiceNumber);
+
+        if (supplierError) {
+            return res.status(400).json({
+                error: supplierError
+            });
+        }
+
+        // A receipt against a purchase order stays with the order's supplier and within the ordered quantity
+        const orderLine = before.PurchaseOrderLineID
+            ? await getPurchaseOrderLine(connection, before.PurchaseOrderLineID)
+            : null;
+
+        if (orderLine && Number(supplierId) !== orderLine.SupplierID) {
+            return res.status(400).json({
+                error: `This stock was received against purchase order #${orderLine.PurchaseOrderID} and must keep its supplier`
+            });
+        }
+
+        if (orderLine && orderLine.ReceivedQuantity - oldQuantity + parseInt(stockInQuantity) > orderLine.OrderedQuantity) {
+            return res.status(400).json({
+                error: `Only ${orderLine.OrderedQuantity} were ordered on purchase order #${orderLine.PurchaseOrderID}`
+            });
+        }
+
+        const returnedQuantity = await getReturnedQuantity(connection, 'StockInID', id);
+
+        if (parseInt(stockInQuantity) < returnedQuantity) {
+            return res.status(400).json({
+                error: `${returnedQuantity} of this stock have been returned to the supplier. The quantity cannot be lower`
+            });
+        }
+
+        // A location left out of the request keeps its current value
+        const location = await getAuditSnapshot(connection, 'Location', req.body.locationId || oldLocationId);
+
+        if (!location) {
+            return res.status(400).json({
+                error: 'Location not found'
+            });
+        }
+
+        // The originally received quantity must still be at the old location to be taken back from it
+        const oldLocationQuantity = await getLocationQuantity(connection, PartID, oldLocationId);
+        const quantityTakenBack = location.LocationID === oldLocationId
+            ? oldQuantity - parseInt(stockInQuantity)
+            : oldQuantity;
+
+        if (oldLocationQuantity < quantityTakenBack) {
+            return res.status(400).json({
+                error: 'Cannot change stock in record: part of this stock has already left its location'
+            });
+        }
+
+        const reservedStockError = await getReservedStockError(
+            connection, PartID, await getAuditSnapshot(connection, 'Location', oldLocationId), quantityTakenBack
+        );
+
+        if (reservedStockError) {
+            return res.status(400).json({
+                error: `Cannot change stock in record: ${reservedStockError}`
+            });
+        }
+
+        // Update stock in record
+        await connection.execute(`
+            UPDATE Stock_In
+            SET StockInQuantity = ?, UnitCost = ?, StockInDate = ?, SupplierID = ?, InvoiceNumber = ?, LocationID = ?,
+                UpdatedBy = ?
+            WHERE StockInID = ?
+        `, [
+            stockInQuantity, unitCost, stockInDate, supplierId, invoiceNumber, location.LocationID,
+            req.user.username, id
+        ]);
+        await changeLocationQuantity(connection, PartID, oldLocationId, -oldQuantity);
+        await changeLocationQuantity(connection, PartID, location.LocationID, parseInt(stockInQuantity));
+
+        // Update spare part quantity
+        await connection.execute(`
+            UPDATE Spare_Part
+            SET Quantity = ?
+            WHERE PartID = ?
+        `, [newSparePartQuantity, PartID]);
+
+        await writeAuditLog(connection, req, {
+            entity: 'Stock_In',
+            entityId: id,
+            action: 'update',
+            before,
+            after: await getAuditSnapshot(connection, 'Stock_In', id)
+        });
+
+        if (orderLine) {
+            await updatePurchaseOrderStatus(connection, req, orderLine.PurchaseOrderID);
+        }
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: 'Stock in record updated successfully'
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Update stock in record error:', error);
+        res.status(500).json({
+            error: 'Failed to update stock in record'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Delete stock in record
+app.delete('/api/stock-in/:id', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { id } = req.params;
+
+        // Get stock in record to delete
+        const [records] = await connection.execute(
+            'SELECT PartID, StockInQuantity, LocationID FROM Stock_In WHERE StockInID = ?',
+            [id]
+        );
+
+        if (records.length === 0) {
+            return res.status(404).json({
+                error: 'Stock in record not found'
+            });
+        }
+
+        const { PartID, StockInQuantity, LocationID } = records[0];
+
+        // Get current spare part quantity
+        const [spareParts] = await connection.execute(
+            'SELECT Quantity FROM Spare_Part WHERE PartID = ?',
+            [PartID]
+        );
+
+        const currentQuantity = spareParts[0].Quantity;
+        const newQuantity = currentQuantity - StockInQuantity;
+
+        if (newQuantity < 0) {
+            return res.status(400).json({
+                error: 'Cannot delete stock in record: would result in negative spare part quantity'
+            });
+        }
+
+        if (await getReturnedQuantity(connection, 'StockInID', id) > 0) {
+            return res.status(409).json({
+                error: 'Part of this stock has been returned to the supplier. Delete the returns first'
+            });
+        }
+
+        if (await getLocationQuantity(connection, PartID, LocationID) < StockInQuantity) {
+            return res.status(400).json({
+                error: 'Cannot delete stock in record: part of this stock has already left its location'
+            });
+        }
+
+        const reservedStockError = await getReservedStockError(
+            connection, PartID, await getAuditSnapshot(connection, 'Location', LocationID), StockInQuantity
+        );
+
+        if (reservedStockError) {
+            return res.status(400).json({
+                error: `Cannot delete stock in record: ${reservedStockError}`
+            });
+        }
+
+        const before = await getAuditSnapshot(connection, 'Stock_In', id);
+
+        // Delete stock in record
+        await connection.execute('DELETE FROM Stock_In WHERE StockInID = ?', [id]);
+        await changeLocationQuantity(connection, PartID, LocationID, -StockInQuantity);
+
+        // Update spare part quantity
+        await connection.execute(`
+            UPDATE Spare_Part
+            SET Quantity = ?
+            WHERE PartID = ?
+        `, [newQuantity, PartID]);
+
+        await writeAuditLog(connection, req, {
+            entity: 'Stock_In',
+            entityId: id,
+            action: 'delete',
+            before
+        });
+
+        if (before.PurchaseOrderLineID) {
+            const orderLine = await getPurchaseOrderLine(connection, before.PurchaseOrderLineID);
+            await updatePurchaseOrderStatus(connection, req, orderLine.PurchaseOrderID);
+        }
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: 'Stock in record deleted successfully'
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Delete stock in record error:', error);
+        res.status(500).json({
+            error: 'Failed to delete stock in record'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// PURCHASE ORDER ROUTES
+const PURCHASE_ORDER_STATUSES = ['DRAFT', 'SENT', 'PARTIALLY_RECEIVED', 'RECEIVED', 'CANCELLED'];
+
+// Quantities received against each purchase order line
+const RECEIVED_QUANTITIES_SQL = `
+    SELECT PurchaseOrderLineID, SUM(StockInQuantity) as ReceivedQuantity
+    FROM Stock_In
+    WHERE PurchaseOrderLineID IS NOT NULL
+    GROUP BY PurchaseOrderLineID
+`;
+
+// One purchase order line with its order's supplier and status and the quantity received so far
+const getPurchaseOrderLine = async (connection, lineId) => {
+    const [rows] = await connection.execute(`
+        SELECT
+            pol.LineID,
+            pol.PurchaseOrderID,
+            pol.PartID,
+            pol.OrderedQuantity,
+            pol.ExpectedUnitCost,
+            po.SupplierID,
+            po.Status,
+            COALESCE(received.ReceivedQuantity, 0) as ReceivedQuantity
+        FROM Purchase_Order_Line pol
+        JOIN Purchase_Order po ON pol.PurchaseOrderID = po.PurchaseOrderID
+        LEFT JOIN (${RECEIVED_QUANTITIES_SQL}) received ON pol.LineID = received.PurchaseOrderLineID
+        WHERE pol.LineID = ?
+    `, [lineId]);
+
+    return rows.length > 0 ? { ...rows[0], ReceivedQuantity: parseInt(rows[0].ReceivedQuantity) } : null;
+};
+
+// The lines of a purchase order with what has been received and what is still outstanding
+const getPurchaseOrderLines = async (connection, purchaseOrderId) => {
+    const [rows] = await connection.execute(`
+        SELECT
+            pol.LineID,
+            pol.PartID,
+            sp.Name as SparePartName,
+            sp.SKU,
+            sp.ArchivedAt,
+            pol.OrderedQuantity,
+            pol.ExpectedUnitCost,
+            pol.OrderedQuantity * pol.ExpectedUnitCost as ExpectedTotal,
+            COALESCE(received.ReceivedQuantity, 0) as ReceivedQuantity
+        FROM Purchase_Order_Line pol
+        JOIN Spare_Part sp ON pol.PartID = sp.PartID
+        LEFT JOIN (${RECEIVED_QUANTITIES_SQL}) received ON pol.LineID = received.PurchaseOrderLineID
+        WHERE pol.PurchaseOrderID = ?
+        ORDER BY pol.LineID
+    `, [purchaseOrderId]);
+
+    return rows.map(row => {
+        const receivedQuantity = parseInt(row.ReceivedQuantity);
+        return {
+            ...row,
+            ReceivedQuantity: receivedQuantity,
+            OutstandingQuantity: Math.max(0, row.OrderedQuantity - receivedQuantity)
+        };
+    });
+};
+
+// Set a sent order's status from its receipts. Draft and cancelled orders keep their status
+const refreshPurchaseOrderStatus = async (connection, purchaseOrderId) => {
+    const [orders] = await connection.execute(
+        'SELECT Status FROM Purchase_Order WHERE PurchaseOrderID = ?',
+        [purchaseOrderId]
+    );
+
+    if (!['SENT', 'PARTIALLY_RECEIVED', 'RECEIVED'].includes(orders[0].Status)) {
+        return;
+    }
+
+    const lines = await getPurchaseOrderLines(connection, purchaseOrderId);
+    let status = 'SENT';
+    if (lines.length > 0 && lines.every(line => line.OutstandingQuantity === 0)) {
+        status = 'RECEIVED';
+    } else if (lines.some(line => line.ReceivedQuantity > 0)) {
+        status = 'PARTIALLY_RECEIVED';
+    }
+
+    await connection.execute(
+        'UPDATE Purchase_Order SET Status = ? WHERE PurchaseOrderID = ?',
+        [status, purchaseOrderId]
+    );
+};
+
+// Refresh an order's status after its receipts changed, recording the change in the audit log
+const updatePurchaseOrderStatus = async (connection, req, purchaseOrderId) => {
+    const before = await getAuditSnapshot(connection, 'Purchase_Order', purchaseOrderId);
+    await refreshPurchaseOrderStatus(connection, purchaseOrderId);
+    const after = await getAuditSnapshot(connection, 'Purchase_Order', purchaseOrderId);
+
+    if (after.Status !== before.Status) {
+        await writeAuditLog(connection, req, {
+            entity: 'Purchase_Order',
+            entityId: purchaseOrderId,
+            action: 'update',
+            before,
+            after
+        });
+    }
+};
+
+// Read and check the order details and lines of a request body; returns { error } or { order }
+const readPurchaseOrderInput = async (connection, body) => {
+    const order = {
+        supplierId: body.supplierId || null,
+        orderDate: body.orderDate || null,
+        expectedDate: body.expectedDate || null,
+        notes: typeof body.notes === 'string' ? body.notes.trim() || null : null,
+        lines: Array.isArray(body.lines) ? body.lines : []
+    };
+
+    if (!order.supplierId || !order.orderDate) {
+        return { error: 'Supplier and order date are required' };
+    }
+
+    if (order.expectedDate && order.expectedDate < order.orderDate) {
+        return { error: 'Expected date cannot be before the order date' };
+    }
+
+    if (order.notes && order.notes.length > 255) {
+        return { error: 'Notes must be at most 255 characters' };
+    }
+
+    if (!await getAuditSnapshot(connection, 'Supplier', order.supplierId)) {
+        return { error: 'Supplier not found' };
+    }
+
+    if (order.lines.length === 0) {
+        return { error: 'Add at least one spare part to the order' };
+    }
+
+    const partIds = new Set();
+    for (const line of order.lines) {
+        if (!line || typeof line !== 'object') {
+            return { error: 'Each line needs a spare part and a positive whole quantity' };
+        }
+
+        const orderedQuantity = Number(line.orderedQuantity);
+
+        if (!line.partId || !Number.isInteger(orderedQuantity) || orderedQuantity <= 0) {
+            return { error: 'Each line needs a spare part and a positive whole quantity' };
+        }
+
+        if (line.expectedUnitCost === undefined || line.expectedUnitCost === '' || !isValidUnitCost(line.expectedUnitCost)) {
+            return { error: 'Expected unit costs must be non-negative amounts of at most 99999999.99' };
+        }
+
+        if (partIds.has(Number(line.partId))) {
+            return { error: 'Each spare part can only be on an order once' };
+        }
+        partIds.add(Number(line.partId));
+
+        const part = await getAuditSnapshot(connection, 'Spare_Part', line.partId);
+
+        if (!part) {
+            return { error: 'Spare part not found' };
+        }
+
+        if (part.ArchivedAt) {
+            return { error: `${part.Name} is archived and cannot be ordered` };
+        }
+    }
+
+    return { order };
+};
+
+const insertPurchaseOrderLines = async (connection, purchaseOrderId, lines) => {
+    for (const line of lines) {
+        await connection.execute(`
+            INSERT INTO Purchase_Order_Line (PurchaseOrderID, PartID, OrderedQuantity, ExpectedUnitCost)
+            VALUES (?, ?, ?, ?)
+        `, [purchaseOrderId, line.partId, line.orderedQuantity, line.expectedUnitCost]);
+    }
+};
+
+// Get all purchase orders with their ordered and received totals, optionally of one status
+app.get('/api/purchase-orders', requireAuth, async (req, res) => {
+    try {
+        const status = req.query.status || null;
+
+        if (status && !PURCHASE_ORDER_STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: `Status must be one of ${PURCHASE_ORDER_STATUSES.join(', ')}`
+            });
+        }
+
+        const [rows] = await pool.execute(`
+            SELECT
+                po.PurchaseOrderID,
+                po.SupplierID,
+                s.Name as SupplierName,
+                po.Status,
+                po.OrderDate,
+                po.ExpectedDate,
+                po.Notes,
+                po.CreatedBy,
+                po.CreatedAt,
+                COUNT(pol.LineID) as LineCount,
+                COALESCE(SUM(pol.OrderedQuantity), 0) as OrderedQuantity,
+                COALESCE(SUM(received.ReceivedQuantity), 0) as ReceivedQuantity,
+                COALESCE(SUM(pol.OrderedQuantity * pol.ExpectedUnitCost), 0) as ExpectedTotal
+            FROM Purchase_Order po
+            JOIN Supplier s ON po.SupplierID = s.SupplierID
+            LEFT JOIN Purchase_Order_Line pol ON po.PurchaseOrderID = pol.PurchaseOrderID
+            LEFT JOIN (${RECEIVED_QUANTITIES_SQL}) received ON pol.LineID = received.PurchaseOrderLineID
+            WHERE ? IS NULL OR po.Status = ?
+            GROUP BY po.PurchaseOrderID
+            ORDER BY po.OrderDate DESC, po.PurchaseOrderID DESC
+        `, [status, status]);
+
+        res.json({
+            success: true,
+            data: rows.map(row => ({
+                ...row,
+                OrderedQuantity: parseInt(row.OrderedQuantity),
+                ReceivedQuantity: parseInt(row.ReceivedQuantity)
+            }))
+        });
+
+    } catch (error) {
+        console.error('Get purchase orders error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch purchase orders'
+        });
+    }
+});
+
+// Get every line still to be received on sent orders, the soonest expected first
+app.get('/api/purchase-orders/open-lines', requireAuth, async (req, res) => {
+    try {
+        const [rows] = await pool.execute(`
+            SELECT
+                pol.LineID,
+                po.PurchaseOrderID,
+                po.SupplierID,
+                s.Name as SupplierName,
+                po.Status,
+                po.OrderDate,
+                po.ExpectedDate,
+                po.ExpectedDate < CURDATE() as IsOverdue,
+                pol.PartID,
+                sp.Name as SparePartName,
+                sp.SKU,
+                pol.OrderedQuantity,
+                COALESCE(received.ReceivedQuantity, 0) as ReceivedQuantity,
+                pol.OrderedQuantity - COALESCE(received.ReceivedQuantity, 0) as OutstandingQuantity,
+                pol.ExpectedUnitCost,
+                (pol.OrderedQuantity - COALESCE(received.ReceivedQuantity, 0)) * pol.ExpectedUnitCost as OutstandingValue
+            FROM Purchase_Order_Line pol
+            JOIN Purchase_Order po ON pol.PurchaseOrderID = po.PurchaseOrderID
+            JOIN Supplier s ON po.SupplierID = s.SupplierID
+            JOIN Spare_Part sp ON pol.PartID = sp.PartID
+            LEFT JOIN (${RECEIVED_QUANTITIES_SQL}) received ON pol.LineID = received.PurchaseOrderLineID
+            WHERE po.Status IN ('SENT', 'PARTIALLY_RECEIVED')
+                AND pol.OrderedQuantity > COALESCE(received.ReceivedQuantity, 0)
+            ORDER BY po.ExpectedDate IS NULL, po.ExpectedDate, po.PurchaseOrderID, sp.Name
+        `);
+
+        const openLines = rows.map(row => ({
+            ...row,
+            IsOverdue: Boolean(row.IsOverdue),
+            ReceivedQuantity: parseInt(row.ReceivedQuantity),
+            OutstandingQuantity: parseInt(row.OutstandingQuantity)
+        }));
+
+        res.json({
+            success: true,
+            data: {
+                openLines,
+                summary: {
+                    openOrders: new Set(openLines.map(line => line.PurchaseOrderID)).size,
+                    outstandingQuantity: openLines.reduce((sum, line) => sum + line.OutstandingQuantity, 0),
+                    outstandingValue: openLines.reduce((sum, line) => sum + parseFloat(line.OutstandingValue), 0).toFixed(2),
+                    overdueLines: openLines.filter(line => line.IsOverdue).length
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get open purchase order lines error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch open purchase orders'
+        });
+    }
+});
+
+// Get a purchase order with its lines and the stock received against it
+app.get('/api/purchase-orders/:id', requireAuth, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const [orders] = await pool.execute(`
+            SELECT
+                po.PurchaseOrderID,
+                po.SupplierID,
+                s.Name as SupplierName,
+                po.Status,
+                DATE_FORMAT(po.OrderDate, '%Y-%m-%d') as OrderDate,
+                DATE_FORMAT(po.ExpectedDate, '%Y-%m-%d') as ExpectedDate,
+                po.Notes,
+                po.CreatedBy,
+                po.UpdatedBy,
+                po.CreatedAt,
+                po.UpdatedAt
+            FROM Purchase_Order po
+            JOIN Supplier s ON po.SupplierID = s.SupplierID
+            WHERE po.PurchaseOrderID = ?
+        `, [id]);
+
+        if (orders.length === 0) {
+            return res.status(404).json({
+                error: 'Purchase order not found'
+            });
+        }
+
+        const lines = await getPurchaseOrderLines(pool, id);
+
+        const [receipts] = await pool.execute(`
+            SELECT
+                si.StockInID,
+                si.PartID,
+                sp.Name as SparePartName,
+                si.StockInQuantity,
+                si.UnitCost,
+                si.StockInQuantity * si.UnitCost as TotalCost,
+                si.StockInDate,
+                si.InvoiceNumber,
+                l.Name as LocationName,
+                si.CreatedBy
+            FROM Stock_In si
+            JOIN Purchase_Order_Line pol ON si.PurchaseOrderLineID = pol.LineID
+            JOIN Spare_Part sp ON si.PartID = sp.PartID
+            JOIN Location l ON si.LocationID = l.LocationID
+            WHERE pol.PurchaseOrderID = ?
+            ORDER BY si.StockInDate DESC, si.CreatedAt DESC
+        `, [id]);
+
+        res.json({
+            success: true,
+            data: {
+                purchaseOrder: orders[0],
+                lines,
+                receipts,
+                summary: {
+                    orderedQuantity: lines.reduce((sum, line) => sum + line.OrderedQuantity, 0),
+                    receivedQuantity: lines.reduce((sum, line) => sum + line.ReceivedQuantity, 0),
+                    outstandingQuantity: lines.reduce((sum, line) => sum + line.OutstandingQuantity, 0),
+                    expectedTotal: lines.reduce((sum, line) => sum + parseFloat(line.ExpectedTotal), 0).toFixed(2),
+                    receivedCost: receipts.reduce((sum, receipt) => sum + parseFloat(receipt.TotalCost), 0).toFixed(2)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get purchase order error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch purchase order'
+        });
+    }
+});
+
+// Create a draft purchase order
+app.post('/api/purchase-orders', requireAuth, requireRole(ROLES.ADMIN, ROLES.STOREKEEPER), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { error, order } = await readPurchaseOrderInput(connection, req.body);
+
+        if (error) {
+            return res.status(400).json({
+                error
+            });
+        }
+
+        const [result] = await connection.execute(`
+            INSERT INTO Purchase_Order (SupplierID, OrderDate, ExpectedDate, Notes, CreatedBy)
+            VALUES (?, ?, ?, ?, ?)
+        `, [order.supplierId, order.orderDate, order.expectedDate, order.notes, req.user.username]);
+
+        await insertPurchaseOrderLines(connection, result.insertId, order.lines);
+
+        await writeAuditLog(connection, req, {
+            entity: 'Purchase_Order',
+            entityId: result.insertId,
+            action: 'create',
+            after: await getAuditSnapshot(connection, 'Purchase_Order', result.insertId)
+        });
+
+        await connection.commit();
+
+        res.status(201).json({
+            success: true,
+            message: `Purchase order #${result.insertId} saved as a draft`,
+            data: {
+                purchaseOrderId: result.insertId
+            }
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Create purchase order error:', error);
+        res.status(500).json({
+            error: 'Failed to create purchase order'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Update a draft purchase order - its lines are replaced by the ones in the request
+app.put('/api/purchase-orders/:id', requireAuth, requireRole(ROLES.ADMIN, ROLES.STOREKEEPER), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { id } = req.params;
+
+        const before = await getAuditSnapshot(connection, 'Purchase_Order', id);
+
+        if (!before) {
+            return res.status(404).json({
+                error: 'Purchase order not found'
+            });
+        }
+
+        if (before.Status !== 'DRAFT') {
+            return res.status(400).json({
+                error: 'Only draft purchase orders can be changed'
+            });
+        }
+
+        const { error, order } = await readPurchaseOrderInput(connection, req.body);
+
+        if (error) {
+            return res.status(400).json({
+                error
+            });
+        }
+
+        await connection.execute(`
+            UPDATE Purchase_Order
+            SET SupplierID = ?, OrderDate = ?, ExpectedDate = ?, Notes = ?, UpdatedBy = ?
+            WHERE PurchaseOrderID = ?
+        `, [order.supplierId, order.orderDate, order.expectedDate, order.notes, req.user.username, id]);
+
+        await connection.execute('DELETE FROM Purchase_Order_Line WHERE PurchaseOrderID = ?', [id]);
+        await insertPurchaseOrderLines(connection, id, order.lines);
+
+        await writeAuditLog(connection, req, {
+            entity: 'Purchase_Order',
+            entityId: id,
+            action: 'update',
+            before,
+            after: await getAuditSnapshot(connection, 'Purchase_Order', id)
+        });
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: `Purchase order #${id} updated`
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Update purchase order error:', error);
+        res.status(500).json({
+            error: 'Failed to update purchase order'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Mark a draft purchase order as sent to the supplier - it can then be received but no longer changed
+app.post('/api/purchase-orders/:id/send', requireAuth, requireRole(ROLES.ADMIN, ROLES.STOREKEEPER), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { id } = req.params;
+
+        const before = await getAuditSnapshot(connection, 'Purchase_Order', id);
+
+        if (!before) {
+            return res.status(404).json({
+                error: 'Purchase order not found'
+            });
+        }
+
+        if (before.Status !== 'DRAFT') {
+            return res.status(400).json({
+                error: 'Only draft purchase orders can be sent'
+            });
+        }
+
+        if (!before.OrderLines) {
+            return res.status(400).json({
+                error: 'Add at least one spare part before sending the order'
+            });
+        }
+
+        await connection.execute(
+            "UPDATE Purchase_Order SET Status = 'SENT', UpdatedBy = ? WHERE PurchaseOrderID = ?",
+            [req.user.username, id]
+        );
+
+        await writeAuditLog(connection, req, {
+            entity: 'Purchase_Order',
+            entityId: id,
+            action: 'update',
+            before,
+            after: await getAuditSnapshot(connection, 'Purchase_Order', id)
+        });
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: `Purchase order #${id} sent to ${before.SupplierName}`
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Send purchase order error:', error);
+        res.status(500).json({
+            error: 'Failed to send purchase order'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Cancel a purchase order - anything already received stays in stock, the rest is no longer expected
+app.post('/api/purchase-orders/:id/cancel', requireAuth, requireRole(ROLES.ADMIN, ROLES.STOREKEEPER), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { id } = req.params;
+
+        const before = await getAuditSnapshot(connection, 'Purchase_Order', id);
+
+        if (!before) {
+            return res.status(404).json({
+                error: 'Purchase order not found'
+            });
+        }
+
+        if (['RECEIVED', 'CANCELLED'].includes(before.Status)) {
+            return res.status(400).json({
+                error: `This purchase order is already ${before.Status === 'RECEIVED' ? 'fully received' : 'cancelled'}`
+            });
+        }
+
+        await connection.execute(
+            "UPDATE Purchase_Order SET Status = 'CANCELLED', UpdatedBy = ? WHERE PurchaseOrderID = ?",
+            [req.user.username, id]
+        );
+
+        await writeAuditLog(connection, req, {
+            entity: 'Purchase_Order',
+            entityId: id,
+            action: 'update',
+            before,
+            after: await getAuditSnapshot(connection, 'Purchase_Order', id)
+        });
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: `Purchase order #${id} cancelled`
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Cancel purchase order error:', error);
+        res.status(500).json({
+            error: 'Failed to cancel purchase order'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Receive stock against a sent purchase order - each received line becomes a Stock_In record from the order's
+// supplier. The unit cost defaults to the line's expected cost
+app.post('/api/purchase-orders/:id/receive', requireAuth, requireRole(ROLES.ADMIN, ROLES.STOREKEEPER), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { id } = req.params;
+        const { receivedDate } = req.body;
+        const invoiceNumber = normalizeInvoiceNumber(req.body.invoiceNumber);
+        const lines = Array.isArray(req.body.lines) ? req.body.lines : [];
+
+        if (!receivedDate) {
+            return res.status(400).json({
+                error: 'Received date is required'
+            });
+        }
+
+        if (lines.some(line => !line || typeof line !== 'object')) {
+            return res.status(400).json({
+                error: 'Each received line needs an order line and a quantity'
+            });
+        }
+
+        const receivedLines = lines.filter(
+            line => line.quantity !== undefined && line.quantity !== '' && Number(line.quantity) !== 0
+        );
+
+        if (receivedLines.length === 0) {
+            return res.status(400).json({
+                error: 'Enter the quantity received for at least one line'
+            });
+        }
+
+        // Lock the order first so parallel receipts wait and then see each other's quantities
+        await connection.execute('SELECT PurchaseOrderID FROM Purchase_Order WHERE PurchaseOrderID = ? FOR UPDATE', [id]);
+
+        const before = await getAuditSnapshot(connection, 'Purchase_Order', id);
+
+        if (!before) {
+            return res.status(404).json({
+                error: 'Purchase order not found'
+            });
+        }
+
+        if (!['SENT', 'PARTIALLY_RECEIVED'].includes(before.Status)) {
+            return res.status(400).json({
+                error: before.Status === 'DRAFT'
+                    ? 'Send the purchase order before receiving against it'
+                    : 'This purchase order is closed and cannot be received against'
+            });
+        }
+
+        const supplierError = await validateStockInSupplier(connection, before.SupplierID, invoiceNumber);
+
+        if (supplierError) {
+            return res.status(400).json({
+                error: supplierError
+            });
+        }
+
+        const location = await resolveLocation(connection, req.body.locationId);
+
+        if (!location) {
+            return res.status(400).json({
+                error: 'Location not found'
+            });
+        }
+
+        let receivedQuantity = 0;
+
+        for (const receivedLine of receivedLines) {
+            const line = await getPurchaseOrderLine(connection, receivedLine.lineId);
+
+            if (!line || line.PurchaseOrderID !== Number(id)) {
+                await connection.rollback();
+                return res.status(400).json({
+                    error: 'A received line is not on this purchase order'
+                });
+            }
+
+            const part = await getAuditSnapshot(connection, 'Spare_Part', line.PartID);
+            const quantity = Number(receivedLine.quantity);
+            const unitCost = receivedLine.unitCost === undefined || receivedLine.unitCost === ''
+                ? line.ExpectedUnitCost
+                : receivedLine.unitCost;
+
+            if (!Number.isInteger(quantity) || quantity <= 0) {
+                await connection.rollback();
+                return res.status(400).json({
+                    error: 'Received quantities must be positive whole numbers'
+                });
+            }
+
+            if (quantity > line.OrderedQuantity - line.ReceivedQuantity) {
+                await connection.rollback();
+                return res.status(400).json({
+                    error: `Only ${line.OrderedQuantity - line.ReceivedQuantity} x ${part.Name} are still outstanding on this order`
+                });
+            }
+
+            if (!isValidUnitCost(unitCost)) {
+                await connection.rollback();
+                return res.status(400).json({
+                    error: 'Unit cost must be a non-negative amount of at most 99999999.99'
+                });
+            }
+
+            if (part.ArchivedAt) {
+                await connection.rollback();
+                return res.status(400).json({
+                    error: `${part.Name} is archived. Restore it before receiving stock`
+                });
+            }
+
+            const [result] = await connection.execute(`
+                INSERT INTO Stock_In (
+                    PartID, StockInQuantity, UnitCost, StockInDate, SupplierID, InvoiceNumber, PurchaseOrderLineID,
+                    LocationID, CreatedBy
+                )
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                line.PartID, quantity, unitCost, receivedDate, before.SupplierID, invoiceNumber, line.LineID,
+                location.LocationID, req.user.username
+            ]);
+
+            await connection.execute(
+                'UPDATE Spare_Part SET Quantity = Quantity + ? WHERE PartID = ?',
+                [quantity, line.PartID]
+            );
+            await changeLocationQuantity(connection, line.PartID, location.LocationID, quantity);
+
+            await writeAuditLog(connection, req, {
+                entity: 'Stock_In',
+                entityId: result.insertId,
+                action: 'create',
+                after: await getAuditSnapshot(connection, 'Stock_In', result.insertId)
+            });
+            receivedQuantity += quantity;
+        }
+
+        await updatePurchaseOrderStatus(connection, req, id);
+
+        await connection.commit();
+
+        const after = await getAuditSnapshot(pool, 'Purchase_Order', id);
+
+        res.status(201).json({
+            success: true,
+            message: `${receivedQuantity} units received into ${location.Name}` +
+                (after.Status === 'RECEIVED' ? `. Purchase order #${id} is now fully received` : ''),
+            data: {
+                status: after.Status
+            }
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Receive purchase order error:', error);
+        res.status(500).json({
+            error: 'Failed to receive stock'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Delete a draft purchase order
+app.delete('/api/purchase-orders/:id', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { id } = req.params;
+
+        const before = await getAuditSnapshot(connection, 'Purchase_Order', id);
+
+        if (!before) {
+            return res.status(404).json({
+                error: 'Purchase order not found'
+            });
+        }
+
+        if (before.Status !== 'DRAFT') {
+            return res.status(400).json({
+                error: 'Only draft purchase orders can be deleted. Cancel the order instead'
+            });
+        }
+
+        await connection.execute('DELETE FROM Purchase_Order WHERE PurchaseOrderID = ?', [id]);
+
+        await writeAuditLog(connection, req, {
+            entity: 'Purchase_Order',
+            entityId: id,
+            action: 'delete',
+            before
+        });
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: `Purchase order #${id} deleted`
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Delete purchase order error:', error);
+        res.status(500).json({
+            error: 'Failed to delete purchase order'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// CUSTOMER ROUTES
+const CUSTOMER_FIELDS = [
+    { key: 'phone', column: 'Phone', label: 'Phone', maxLength: 30 },
+    { key: 'email', column: 'Email', label: 'Email', maxLength: 100 },
+    { key: 'address', column: 'Address', label: 'Address', maxLength: 255 }
+];
+
+// Get all customers with a summary of what each has taken
+app.get('/api/customers', requireAuth, async (req, res) => {
+    try {
+        const [rows] = await pool.execute(`
+            SELECT
+                cu.CustomerID, cu.Name, cu.Phone, cu.Email, cu.Address, cu.CreatedBy, cu.CreatedAt,
+                COUNT(so.StockOutID) as StockOutCount,
+                MAX(so.StockOutDate) as LastStockOutDate
+            FROM Customer cu
+            LEFT JOIN Stock_Out so ON so.CustomerID = cu.CustomerID
+            GROUP BY cu.CustomerID
+            ORDER BY cu.Name
+        `);
+
+        res.json({
+            success: true,
+            data: rows
+        });
+
+    } catch (error) {
+        console.error('Get customers error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch customers'
+        });
+    }
+});
+
+// Get what a customer has taken, optionally limited to ?startDate= and ?endDate=
+app.get('/api/customers/:id/history', requireAuth, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { startDate, endDate } = req.query;
+
+        const [customers] = await pool.execute(
+            'SELECT CustomerID, Name, Phone, Email, Address FROM Customer WHERE CustomerID = ?',
+            [id]
+        );
+
+        if (customers.length === 0) {
+            return res.status(404).json({
+                error: 'Customer not found'
+            });
+        }
+
+        const conditions = ['so.CustomerID = ?'];
+        const params = [id];
+
+        if (startDate) {
+            conditions.push('so.StockOutDate >= ?');
+            params.push(startDate);
+        }
+        if (endDate) {
+            conditions.push('so.StockOutDate <= ?');
+            params.push(endDate);
+        }
+
+        const [records] = await pool.execute(`
+            SELECT
+                so.StockOutID,
+                so.PartID,
+                sp.Name as SparePartName,
+                so.StockOutQuantity,
+                so.StockOutUnitPrice,
+                so.StockOutTotalPrice,
+                so.StockOutDate,
+                so.CreatedBy
+            FROM Stock_Out so
+            JOIN Spare_Part sp ON so.PartID = sp.PartID
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY so.StockOutDate DESC, so.CreatedAt DESC
+        `, params);
+
+        const totalValue = records.reduce((sum, row) => sum + parseFloat(row.StockOutTotalPrice), 0);
+
+        res.json({
+            success: true,
+            data: {
+                customer: customers[0],
+                startDate: startDate || null,
+                endDate: endDate || null,
+                records,
+                summary: {
+                    totalRecords: records.length,
+                    totalQuantity: records.reduce((sum, row) => sum + row.StockOutQuantity, 0),
+                    totalValue: totalValue.toFixed(2),
+                    distinctParts: new Set(records.map(row => row.PartID)).size
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get customer history error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch customer history'
+        });
+    }
+});
+
+// Add new customer
+app.post('/api/customers', requireAuth, requireRole(ROLES.ADMIN, ROLES.STOREKEEPER), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const input = readContactInput(req.body, CUSTOMER_FIELDS);
+        const inputError = validateContactInput(input, CUSTOMER_FIELDS, 'Customer');
+
+        if (inputError) {
+            return res.status(400).json({
+                error: inputError
+            });
+        }
+
+        const [existing] = await connection.execute('SELECT CustomerID FROM Customer WHERE Name = ?', [input.name]);
+
+        if (existing.length > 0) {
+            return res.status(409).json({
+                error: 'Customer with this name already exists'
+            });
+        }
+
+        const [result] = await connection.execute(`
+            INSERT INTO Customer (Name, Phone, Email, Address, CreatedBy)
+            VALUES (?, ?, ?, ?, ?)
+        `, [input.name, input.phone, input.email, input.address, req.user.username]);
+
+        await writeAuditLog(connection, req, {
+            entity: 'Customer',
+            entityId: result.insertId,
+            action: 'create',
+            after: await getAuditSnapshot(connection, 'Customer', result.insertId)
+        });
+
+        await connection.commit();
+
+        res.status(201).json({
+            success: true,
+            message: 'Customer added successfully',
+            data: {
+                customerId: result.insertId
+            }
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Add customer error:', error);
+        res.status(500).json({
+            error: 'Failed to add customer'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Update customer
+app.put('/api/customers/:id', requireAuth, requireRole(ROLES.ADMIN, ROLES.STOREKEEPER), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { id } = req.params;
+        const input = readContactInput(req.body, CUSTOMER_FIELDS);
+        const inputError = validateContactInput(input, CUSTOMER_FIELDS, 'Customer');
+
+        if (inputError) {
+            return res.status(400).json({
+                error: inputError
+            });
+        }
+
+        const before = await getAuditSnapshot(connection, 'Customer', id);
+
+        if (!before) {
+            return res.status(404).json({
+                error: 'Customer not found'
+            });
+        }
+
+        const [existing] = await connection.execute(
+            'SELECT CustomerID FROM Customer WHERE Name = ? AND CustomerID <> ?',
+            [input.name, id]
+        );
+
+        if (existing.length > 0) {
+            return res.status(409).json({
+                error: 'Customer with this name already exists'
+            });
+        }
+
+        await connection.execute(
+            'UPDATE Customer SET Name = ?, Phone = ?, Email = ?, Address = ? WHERE CustomerID = ?',
+            [input.name, input.phone, input.email, input.address, id]
+        );
+
+        await writeAuditLog(connection, req, {
+            entity: 'Customer',
+            entityId: id,
+            action: 'update',
+            before,
+            after: await getAuditSnapshot(connection, 'Customer', id)
+        });
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: 'Customer updated successfully'
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Update customer error:', error);
+        res.status(500).json({
+            error: 'Failed to update customer'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Delete customer - only customers with no stock issued to them, so their history stays intact
+app.delete('/api/customers/:id', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { id } = req.params;
+
+        const before = await getAuditSnapshot(connection, 'Customer', id);
+
+        if (!before) {
+            return res.status(404).json({
+                error: 'Customer not found'
+            });
+        }
+
+        const [[{ stockOutCount, documentCount, workOrderCount }]] = await connection.execute(`
+            SELECT
+                (SELECT COUNT(*) FROM Stock_Out WHERE CustomerID = ?) as stockOutCount,
+                (SELECT COUNT(*) FROM Stock_Out_Document WHERE CustomerID = ?) as documentCount,
+                (SELECT COUNT(*) FROM Work_Order WHERE CustomerID = ?) as workOrderCount
+        `, [id, id, id]);
+
+        if (stockOutCount > 0) {
+            return res.status(409).json({
+                error: `This customer has ${stockOutCount} stock out records and cannot be deleted`
+            });
+        }
+
+        if (documentCount > 0) {
+            return res.status(409).json({
+                error: `This customer has ${documentCount} stock out documents and cannot be deleted`
+            });
+        }
+
+        if (workOrderCount > 0) {
+            return res.status(409).json({
+                error: `This customer has ${workOrderCount} work orders and cannot be deleted`
+            });
+        }
+
+        await connection.execute('DELETE FROM Customer WHERE CustomerID = ?', [id]);
+
+        await writeAuditLog(connection, req, {
+            entity: 'Customer',
+            entityId: id,
+            action: 'delete',
+            before
+        });
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: `Customer "${before.Name}" deleted`
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Delete customer error:', error);
+        res.status(500).json({
+            error: 'Failed to delete customer'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// WORK ORDER ROUTES
+const WORK_ORDER_STATUSES = ['OPEN', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'];
+
+// Parts issued for work orders, with the quantity the customer has since brought back.
+// Only what stayed on the job counts towards its cost
+const WORK_ORDER_PARTS_SQL = `
+    SELECT
+        so.StockOutID,
+        so.WorkOrderID,
+        so.PartID,
+        so.StockOutDate,
+        so.StockOutQuantity,
+        so.StockOutUnitPrice,
+        so.DocumentID,
+        CAST(COALESCE(SUM(r.ReturnQuantity), 0) AS SIGNED) as ReturnedQuantity
+    FROM Stock_Out so
+    LEFT JOIN Stock_Return r ON r.StockOutID = so.StockOutID
+    WHERE so.WorkOrderID IS NOT NULL
+    GROUP BY so.StockOutID
+`;
+
+// Whether a value is a real calendar date written as YYYY-MM-DD. Dates in that form also
+// compare correctly as strings
+const isValidDate = (value) => typeof value === 'string' &&
+    /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    !isNaN(Date.parse(value)) &&
+    new Date(value).toISOString().startsWith(value);
+
+// Plates are stored in capitals with single spaces so the same vehicle always matches
+const normalizeVehiclePlate = (plate) => String(plate || '').trim().toUpperCase().replace(/\s+/g, ' ');
+
+const readWorkOrderInput = async (connection, body) => {
+    const workOrder = {
+        vehiclePlate: normalizeVehiclePlate(body.vehiclePlate),
+        customerId: body.customerId || null,
+        technician: typeof body.technician === 'string' ? body.technician.trim() || null : null,
+        description: typeof body.description === 'string' ? body.description.trim() || null : null,
+        openedDate: body.openedDate || null
+    };
+
+    if (!workOrder.vehiclePlate || !workOrder.openedDate) {
+        return { error: 'Vehicle plate and opened date are required' };
+    }
+
+    if (!isValidDate(workOrder.openedDate)) {
+        return { error: 'Opened date must be a valid date (YYYY-MM-DD)' };
+    }
+
+    if (workOrder.vehiclePlate.length > 20) {
+        return { error: 'Vehicle plate must be at most 20 characters' };
+    }
+
+    if (workOrder.technician && workOrder.technician.length > 100) {
+        return { error: 'Technician must be at most 100 characters' };
+    }
+
+    if (workOrder.description && workOrder.description.length > 255) {
+        return { error: 'Description must be at most 255 characters' };
+    }
+
+    if (workOrder.customerId && !await getAuditSnapshot(connection, 'Customer', workOrder.customerId)) {
+        return { error: 'Customer not found' };
+    }
+
+    return { workOrder };
+};
+
+// Checks that parts can still be issued against a work order, and to the customer given.
+// Returns { error } or { workOrder }, which is null when no work order was given
+const readWorkOrderIssue = async (connection, workOrderId, customerId) => {
+    if (!workOrderId) {
+        return { workOrder: null };
+    }
+
+    const workOrder = await getAuditSnapshot(connection, 'Work_Order', workOrderId);
+
+    if (!workOrder) {
+        return { error: 'Work order not found' };
+    }
+
+    if (workOrder.Status === 'COMPLETED' || workOrder.Status === 'CANCELLED') {
+        return { error: `Work order #${workOrder.WorkOrderID} is ${workOrder.Status.toLowerCase()}. Reopen it to issue more parts` };
+    }
+
+    if (customerId && workOrder.CustomerID && Number(customerId) !== workOrder.CustomerID) {
+        return { error: `Work order #${workOrder.WorkOrderID} is for a different customer` };
+    }
+
+    return { workOrder };
+};
+
+// Get all work orders with the parts used on each, optionally filtered with ?status= and ?vehiclePlate=
+app.get('/api/work-orders', requireAuth, async (req, res) => {
+    try {
+        const status = req.query.status || null;
+        const vehiclePlate = req.query.vehiclePlate ? normalizeVehiclePlate(req.query.vehiclePlate) : null;
+
+        if (status && !WORK_ORDER_STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: `Status must be one of ${WORK_ORDER_STATUSES.join(', ')}`
+            });
+        }
+
+        const [rows] = await pool.execute(`
+            SELECT
+                wo.WorkOrderID,
+                wo.VehiclePlate,
+                wo.CustomerID,
+                cu.Name as CustomerName,
+                wo.Technician,
+                wo.Description,
+                wo.Status,
+                DATE_FORMAT(wo.OpenedDate, '%Y-%m-%d') as OpenedDate,
+                DATE_FORMAT(wo.CompletedDate, '%Y-%m-%d') as CompletedDate,
+                wo.CreatedBy,
+                wo.UpdatedBy,
+                wo.CreatedAt,
+                wo.UpdatedAt,
+                COUNT(parts.StockOutID) as LineCount,
+                COALESCE(SUM(parts.StockOutQuantity - parts.ReturnedQuantity), 0) as PartsQuantity,
+                COALESCE(SUM((parts.StockOutQuantity - parts.ReturnedQuantity) * parts.StockOutUnitPrice), 0) as PartsValue
+            FROM Work_Order wo
+            LEFT JOIN Customer cu ON wo.CustomerID = cu.CustomerID
+            LEFT JOIN (${WORK_ORDER_PARTS_SQL}) parts ON parts.WorkOrderID = wo.WorkOrderID
+            WHERE (? IS NULL OR wo.Status = ?) AND (? IS NULL OR wo.VehiclePlate = ?)
+            GROUP BY wo.WorkOrderID
+            ORDER BY wo.OpenedDate DESC, wo.WorkOrderID DESC
+        `, [status, status, vehiclePlate, vehiclePlate]);
+
+        res.json({
+            success: true,
+            data: rows.map(row => ({
+                ...row,
+                PartsQuantity: parseInt(row.PartsQuantity),
+                PartsValue: parseFloat(row.PartsValue)
+            }))
+        });
+
+    } catch (error) {
+        console.error('Get work orders error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch work orders'
+        });
+    }
+});
+
+// Job costing for one work order: every part issued for it and their value
+app.get('/api/work-orders/:id', requireAuth, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const [workOrders] = await pool.execute(`
+            SELECT
+                wo.WorkOrderID,
+                wo.VehiclePlate,
+                wo.CustomerID,
+                cu.Name as CustomerName,
+                cu.Phone as CustomerPhone,
+                wo.Technician,
+                wo.Description,
+                wo.Status,
+                DATE_FORMAT(wo.OpenedDate, '%Y-%m-%d') as OpenedDate,
+                DATE_FORMAT(wo.CompletedDate, '%Y-%m-%d') as CompletedDate,
+                wo.CreatedBy,
+                wo.CreatedAt
+            FROM Work_Order wo
+            LEFT JOIN Customer cu ON wo.CustomerID = cu.CustomerID
+            WHERE wo.WorkOrderID = ?
+        `, [id]);
+
+        if (workOrders.length === 0) {
+            return res.status(404).json({
+                error: 'Work order not found'
+            });
+        }
+
+        const [rows] = await pool.execute(`
+            SELECT
+                parts.StockOutID,
+                parts.PartID,
+                sp.Name as SparePartName,
+                sp.SKU,
+                DATE_FORMAT(parts.StockOutDate, '%Y-%m-%d') as StockOutDate,
+                parts.StockOutQuantity,
+                parts.ReturnedQuantity,
+                parts.StockOutUnitPrice,
+                d.DocumentNumber
+            FROM (${WORK_ORDER_PARTS_SQL}) parts
+            JOIN Spare_Part sp ON parts.PartID = sp.PartID
+            LEFT JOIN Stock_Out_Document d ON parts.DocumentID = d.DocumentID
+            WHERE parts.WorkOrderID = ?
+            ORDER BY parts.StockOutDate, parts.StockOutID
+        `, [id]);
+
+        const parts = rows.map(row => {
+            const usedQuantity = row.StockOutQuantity - row.ReturnedQuantity;
+
+            return {
+                ...row,
+                UsedQuantity: usedQuantity,
+                Value: usedQuantity * parseFloat(row.StockOutUnitPrice)
+            };
+        });
+
+        res.json({
+            success: true,
+            data: {
+                workOrder: workOrders[0],
+                parts,
+                summary: {
+                    lineCount: parts.length,
+                    issuedQuantity: parts.reduce((sum, part) => sum + part.StockOutQuantity, 0),
+                    returnedQuantity: parts.reduce((sum, part) => sum + part.ReturnedQuantity, 0),
+                    usedQuantity: parts.reduce((sum, part) => sum + part.UsedQuantity, 0),
+                    partsValue: parts.reduce((sum, part) => sum + part.Value, 0)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get work order error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch work order'
+        });
+    }
+});
+
+// Open a work order for a vehicle
+app.post('/api/work-orders', requireAuth, requireRole(ROLES.ADMIN, ROLES.STOREKEEPER), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { error, workOrder } = await readWorkOrderInput(connection, req.body);
+
+        if (error) {
+            return res.status(400).json({
+                error
+            });
+        }
+
+        const [result] = await connection.execute(`
+            INSERT INTO Work_Order (VehiclePlate, CustomerID, Technician, Description, OpenedDate, CreatedBy)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [
+            workOrder.vehiclePlate, workOrder.customerId, workOrder.technician, workOrder.description,
+            workOrder.openedDate, req.user.username
+        ]);
+
+        await writeAuditLog(connection, req, {
+            entity: 'Work_Order',
+            entityId: result.insertId,
+            action: 'create',
+            after: await getAuditSnapshot(connection, 'Work_Order', result.insertId)
+        });
+
+        await connection.commit();
+
+        res.status(201).json({
+            success: true,
+            message: `Work order #${result.insertId} opened for ${workOrder.vehiclePlate}`,
+            data: {
+                workOrderId: result.insertId
+            }
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Create work order error:', error);
+        res.status(500).json({
+            error: 'Failed to create work order'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Update a work order's vehicle, customer, technician and description
+app.put('/api/work-orders/:id', requireAuth, requireRole(ROLES.ADMIN, ROLES.STOREKEEPER), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { id } = req.params;
+
+        const before = await getAuditSnapshot(connection, 'Work_Order', id);
+
+        if (!before) {
+            return res.status(404).json({
+                error: 'Work order not found'
+            });
+        }
+
+        const { error, workOrder } = await readWorkOrderInput(connection, req.body);
+
+        if (error) {
+            return res.status(400).json({
+                error
+            });
+        }
+
+        // Parts already issued were charged to the work order's customer
+        const [[{ lineCount }]] = await connection.execute(
+            'SELECT COUNT(*) as lineCount FROM Stock_Out WHERE WorkOrderID = ?',
+            [id]
+        );
+
+        if (lineCount > 0 && Number(workOrder.customerId) !== Number(before.CustomerID)) {
+            return res.status(400).json({
+                error: 'Parts have already been issued for this work order, so its customer cannot be changed'
+            });
+        }
+
+        await connection.execute(`
+            UPDATE Work_Order
+            SET VehiclePlate = ?, CustomerID = ?, Technician = ?, Description = ?, OpenedDate = ?, UpdatedBy = ?
+            WHERE WorkOrderID = ?
+        `, [
+            workOrder.vehiclePlate, workOrder.customerId, workOrder.technician, workOrder.description,
+            workOrder.openedDate, req.user.username, id
+        ]);
+
+        await writeAuditLog(connection, req, {
+            entity: 'Work_Order',
+            entityId: id,
+            action: 'update',
+            before,
+            after: await getAuditSnapshot(connection, 'Work_Order', id)
+        });
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: `Work order #${id} updated`
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Update work order error:', error);
+        res.status(500).json({
+            error: 'Failed to update work order'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Move a work order to another status. Completing it records the completion date;
+// a work order that has had parts issued can't be cancelled
+app.post('/api/work-orders/:id/status', requireAuth, requireRole(ROLES.ADMIN, ROLES.STOREKEEPER), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { id } = req.params;
+        const { status } = req.body;
+
+        if (!WORK_ORDER_STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: `Status must be one of ${WORK_ORDER_STATUSES.join(', ')}`
+            });
+        }
+
+        const before = await getAuditSnapshot(connection, 'Work_Order', id);
+
+        if (!before) {
+            return res.status(404).json({
+                error: 'Work order not found'
+            });
+        }
+
+        if (before.Status === status) {
+            return res.status(400).json({
+                error: `This work order is already ${status.toLowerCase().replace('_', ' ')}`
+            });
+        }
+
+        if (status === 'CANCELLED') {
+            const [[{ lineCount }]] = await connection.execute(
+                'SELECT COUNT(*) as lineCount FROM Stock_Out WHERE WorkOrderID = ?',
+                [id]
+            );
+
+            if (lineCount > 0) {
+                return res.status(400).json({
+                    error: `${lineCount} stock out records were issued for this work order. Complete it instead, or delete them first`
+                });
+            }
+        }
+
+        const completedDate = status === 'COMPLETED'
+            ? req.body.completedDate || new Date().toISOString().split('T')[0]
+            : null;
+
+        if (completedDate && !isValidDate(completedDate)) {
+            return res.status(400).json({
+                error: 'Completion date must be a valid date (YYYY-MM-DD)'
+            });
+        }
+
+        if (completedDate && completedDate < before.OpenedDate) {
+            return res.status(400).json({
+                error: 'Completion date cannot be before the work order was opened'
+            });
+        }
+
+        await connection.execute(
+            'UPDATE Work_Order SET Status = ?, CompletedDate = ?, UpdatedBy = ? WHERE WorkOrderID = ?',
+            [status, completedDate, req.user.username, id]
+        );
+
+        await writeAuditLog(connection, req, {
+            entity: 'Work_Order',
+            entityId: id,
+            action: 'update',
+            before,
+            after: await getAuditSnapshot(connection, 'Work_Order', id)
+        });
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: `Work order #${id} is now ${status.toLowerCase().replace('_', ' ')}`
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Update work order status error:', error);
+        res.status(500).json({
+            error: 'Failed to update work order status'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Delete a work order that no parts were issued for
+app.delete('/api/work-orders/:id', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { id } = req.params;
+
+        const before = await getAuditSnapshot(connection, 'Work_Order', id);
+
+        if (!before) {
+            return res.status(404).json({
+                error: 'Work order not found'
+            });
+        }
+
+        const [[{ lineCount }]] = await connection.execute(
+            'SELECT COUNT(*) as lineCount FROM Stock_Out WHERE WorkOrderID = ?',
+            [id]
+        );
+
+        if (lineCount > 0) {
+            return res.status(409).json({
+                error: `This work order has ${lineCount} stock out records and cannot be deleted`
+            });
+        }
+
+        await connection.execute('DELETE FROM Work_Order WHERE WorkOrderID = ?', [id]);
+
+        await writeAuditLog(connection, req, {
+            entity: 'Work_Order',
+            entityId: id,
+            action: 'delete',
+            before
+        });
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: `Work order #${id} deleted`
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Delete work order error:', error);
+        res.status(500).json({
+            error: 'Failed to delete work order'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// STOCK OUT ROUTES
+// Get all stock out records
+app.get('/api/stock-out', requireAuth, async (req, res) => {
+    try {
+        const [rows] = await pool.execute(`
+            SELECT
+                so.StockOutID,
+                so.PartID,
+                sp.Name as SparePartName,
+                so.StockOutQuantity,
+                so.StockOutUnitPrice,
+                so.StockOutTotalPrice,
+                so.StockOutDate,
+                so.CustomerID,
+                cu.Name as CustomerName,
+                so.LocationID,
+                l.Name as LocationName,
+                so.DocumentID,
+                d.DocumentNumber,
+                so.WorkOrderID,
+                wo.VehiclePlate,
+                so.CreatedBy,
+                so.UpdatedBy,
+                so.CreatedAt,
+                so.UpdatedAt,
+                c.Name as Category,
+                sp.UnitPrice as CurrentUnitPrice
+            FROM Stock_Out so
+            LEFT JOIN Spare_Part sp ON so.PartID = sp.PartID
+            LEFT JOIN Category c ON sp.CategoryID = c.CategoryID
+            LEFT JOIN Customer cu ON so.CustomerID = cu.CustomerID
+            LEFT JOIN Location l ON so.LocationID = l.LocationID
+            LEFT JOIN Stock_Out_Document d ON so.DocumentID = d.DocumentID
+            LEFT JOIN Work_Order wo ON so.WorkOrderID = wo.WorkOrderID
+            ORDER BY so.StockOutDate DESC, so.CreatedAt DESC
+        `);
+
+        res.json({
+            success: true,
+            data: rows
+        });
+
+    } catch (error) {
+        console.error('Get stock out records error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch stock out records'
+        });
+    }
+});
+
+// Get stock out record by ID
+app.get('/api/stock-out/:id', requireAuth, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const [rows] = await pool.execute(`
+            SELECT
+                so.StockOutID,
+                so.PartID,
+                sp.Name as SparePartName,
+                so.StockOutQuantity,
+                so.StockOutUnitPrice,
+                so.StockOutTotalPrice,
+                so.StockOutDate,
+                so.CustomerID,
+                cu.Name as CustomerName,
+                so.LocationID,
+                l.Name as LocationName,
+                so.DocumentID,
+                d.DocumentNumber,
+                so.WorkOrderID,
+                wo.VehiclePlate,
+                so.CreatedBy,
+                so.UpdatedBy,
+                so.CreatedAt,
+                so.UpdatedAt,
+                c.Name as Category,
+                sp.UnitPrice as CurrentUnitPrice
+            FROM Stock_Out so
+            LEFT JOIN Spare_Part sp ON so.PartID = sp.PartID
+            LEFT JOIN Category c ON sp.CategoryID = c.CategoryID
+            LEFT JOIN Customer cu ON so.CustomerID = cu.CustomerID
+            LEFT JOIN Location l ON so.LocationID = l.LocationID
+            LEFT JOIN Stock_Out_Document d ON so.DocumentID = d.DocumentID
+            LEFT JOIN Work_Order wo ON so.WorkOrderID = wo.WorkOrderID
+            WHERE so.StockOutID = ?
+        `, [id]);
+
+        if (rows.length === 0) {
+            return res.status(404).json({
+                error: 'Stock out record not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: rows[0]
+        });
+
+    } catch (error) {
+        console.error('Get stock out record error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch stock out record'
+        });
+    }
+});
+
+// Add new stock out record
+app.post('/api/stock-out', requireAuth, requireRole(ROLES.ADMIN, ROLES.STOREKEEPER), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { partId, stockOutQuantity, stockOutUnitPrice, stockOutDate } = req.body;
+
+        // Parts issued against a work order go to its customer unless one is given
+        const { error: workOrderError, workOrder } = await readWorkOrderIssue(
+            connection, req.body.workOrderId, req.body.customerId
+        );
+
+        if (workOrderError) {
+            return res.status(400).json({
+                error: workOrderError
+            });
+        }
+
+        const customerId = req.body.customerId || workOrder?.CustomerID || null;
+
+        if (!partId || !stockOutQuantity || !stockOutUnitPrice || !stockOutDate) {
+            return res.status(400).json({
+                error: 'Spare part, quantity, unit price, and date are required'
+            });
+        }
+
+        if (stockOutQuantity <= 0 || stockOutUnitPrice < 0) {
+            return res.status(400).json({
+                error: 'Stock out quantity must be positive and unit price must be non-negative'
+            });
+        }
+
+        // Check if spare part exists and has sufficient quantity
+        const [spareParts] = await connection.execute(
+            'SELECT Name, Quantity, ArchivedAt FROM Spare_Part WHERE PartID = ?',
+            [partId]
+        );
+
+        if (spareParts.length === 0) {
+            return res.status(404).json({
+                error: 'Spare part not found'
+            });
+        }
+
+        if (spareParts[0].ArchivedAt) {
+            return res.status(400).json({
+                error: 'This spare part is archived. Restore it before issuing stock'
+            });
+        }
+
+        const currentQuantity = spareParts[0].Quantity;
+
+        if (currentQuantity < stockOutQuantity) {
+            return res.status(400).json({
+                error: `Insufficient stock. Available quantity: ${currentQuantity}`
+            });
+        }
+
+        if (customerId && !await getAuditSnapshot(connection, 'Customer', customerId)) {
+            return res.status(400).json({
+                error: 'Customer not found'
+            });
+        }
+
+        // Stock issued to fulfil a reservation comes from the location the reservation holds it at
+        const reservation = req.body.reservationId ? await getReservation(connection, req.body.reservationId) : null;
+
+        if (req.body.reservationId && !reservation) {
+            return res.status(404).json({
+                error: 'Reservation not found'
+            });
+        }
+
+        if (reservation && reservation.PartID !== Number(partId)) {
+            return res.status(400).json({
+                error: 'This reservation is for a different spare part'
+            });
+        }
+
+        if (reservation && reservation.Status !== 'ACTIVE') {
+            return res.status(400).json({
+                error: `This reservation is ${reservation.Status.toLowerCase()} and cannot be fulfilled`
+            });
+        }
+
+        if (reservation && req.body.locationId && Number(req.body.locationId) !== reservation.LocationID) {
+            return res.status(400).json({
+                error: `This reservation holds stock at ${reservation.LocationName}`
+            });
+        }
+
+        // Stock is issued from the given location, or the default one
+        const location = await resolveLocation(connection, reservation ? reservation.LocationID : req.body.locationId);
+
+        if (!location) {
+            return res.status(400).json({
+                error: 'Location not found'
+            });
+        }
+
+        // Stock promised to other reservations can't be issued; the reservation being fulfilled releases its own
+        const locationQuantity = await getLocationQuantity(connection, partId, location.LocationID);
+        const reservedQuantity = await getReservedQuantity(
+            connection, partId, location.LocationID, reservation ? reservation.ReservationID : null
+        );
+        const availableQuantity = locationQuantity - reservedQuantity;
+
+        if (availableQuantity < stockOutQuantity) {
+            return res.status(400).json({
+                error: `Insufficient available stock at ${location.Name}. On hand: ${locationQuantity}, ` +
+                    `reserved: ${reservedQuantity}, available: ${Math.max(0, availableQuantity)}`
+            });
+        }
+
+        // Insert stock out record
+        const [result] = await connection.execute(`
+            INSERT INTO Stock_Out (PartID, StockOutQuantity, StockOutUnitPrice, StockOutDate, CustomerID, LocationID, ReservationID,
+                WorkOrderID, CreatedBy)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            partId, stockOutQuantity, stockOutUnitPrice, stockOutDate, customerId, location.LocationID,
+            reservation ? reservation.ReservationID : null, workOrder ? workOrder.WorkOrderID : null, req.user.username
+        ]);
+
+        // Update spare part quantity
+        const newQuantity = currentQuantity - parseInt(stockOutQuantity);
+        await connection.execute(`
+            UPDATE Spare_Part
+            SET Quantity = ?
+            WHERE PartID = ?
+        `, [newQuantity, partId]);
+        await changeLocationQuantity(connection, partId, location.LocationID, -parseInt(stockOutQuantity));
+
+        await writeAuditLog(connection, req, {
+            entity: 'Stock_Out',
+            entityId: result.insertId,
+            action: 'create',
+            after: await getAuditSnapshot(connection, 'Stock_Out', result.insertId)
+        });
+
+        await connection.commit();
+
+        res.status(201).json({
+            success: true,
+            message: 'Stock out record added successfully',
+            data: {
+                partId,
+                sparePartName: spareParts[0].Name,
+                stockOutQuantity,
+                stockOutUnitPrice,
+                stockOutDate,
+                customerId,
+                locationId: location.LocationID,
+                reservationId: reservation ? reservation.ReservationID : null,
+                workOrderId: workOrder ? workOrder.WorkOrderID : null,
+                newTotalQuantity: newQuantity
+            }
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Add stock out record error:', error);
+        res.status(500).json({
+            error: 'Failed to add stock out record'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Update stock out record
+app.put('/api/stock-out/:id', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { id } = req.params;
+        const { stockOutQuantity, stockOutUnitPrice, stockOutDate } = req.body;
+
+        if (!stockOutQuantity || !stockOutUnitPrice || !stockOutDate) {
+            return res.status(400).json({
+                error: 'Quantity, unit price, and date are required'
+            });
+        }
+
+        if (stockOutQuantity <= 0 || stockOutUnitPrice < 0) {
+            return res.status(400).json({
+                error: 'Stock out quantity must be positive and unit price must be non-negative'
+            });
+        }
+
+        // Get current stock out record
+        const [currentRecords] = await connection.execute(
+            'SELECT PartID, StockOutQuantity, LocationID FROM Stock_Out WHERE StockOutID = ?',
+            [id]
+        );
+
+        if (currentRecords.length === 0) {
+            return res.status(404).json({
+                error: 'Stock out record not found'
+            });
+        }
+
+        const { PartID, StockOutQuantity: oldQuantity, LocationID: oldLocationId } = currentRecords[0];
+
+        const returnedQuantity = await getReturnedQuantity(connection, 'StockOutID', id);
+
+        if (parseInt(stockOutQuantity) < returnedQuantity) {
+            return res.status(400).json({
+                error: `The customer has returned ${returnedQuantity} of this stock. The quantity cannot be lower`
+            });
+        }
+
+        // Get current spare part quantity
+        const [spareParts] = await connection.execute(
+            'SELECT Quantity FROM Spare_Part WHERE PartID = ?',
+            [PartID]
+        );
+
+        const currentSparePartQuantity = spareParts[0].Quantity;
+
+        // Calculate new spare part quantity
+        const quantityDifference = oldQuantity - parseInt(stockOutQuantity);
+        const newSparePartQuantity = currentSparePartQuantity + quantityDifference;
+
+        if (newSparePartQuantity < 0) {
+            return res.status(400).json({
+                error: 'Cannot increase stock out quantity: insufficient stock available'
+            });
+        }
+
+        const before = await getAuditSnapshot(connection, 'Stock_Out', id);
+
+        // A customer left out of the request keeps its current value
+        const customerId = req.body.customerId === undefined ? before.CustomerID : (req.body.customerId || null);
+
+        if (customerId && !await getAuditSnapshot(connection, 'Customer', customerId)) {
+            return res.status(400).json({
+                error: 'Customer not found'
+            });
+        }
+
+        // A location left out of the request keeps its current value
+        const location = await getAuditSnapshot(connection, 'Location', req.body.locationId || oldLocationId);
+
+        if (!location) {
+            return res.status(400).json({
+                error: 'Location not found'
+            });
+        }
+
+        // Every line of a document is issued to the document's customer from the document's location
+        if (before.DocumentID && (Number(customerId) !== Number(before.CustomerID) || location.LocationID !== oldLocationId)) {
+            return res.status(400).json({
+                error: 'This record is a line of a stock out document. Its customer and location cannot be changed'
+            });
+        }
+
+        // Parts issued for a work order are charged to the work order's customer
+        if (before.WorkOrderID && before.CustomerID !== null && Number(customerId) !== before.CustomerID) {
+            return res.status(400).json({
+                error: `This stock was issued for work order #${before.WorkOrderID}. Its customer cannot be changed`
+            });
+        }
+
+        // The issued quantity goes back to the old location before the new quantity is taken
+        const onHandQuantity = await getLocationQuantity(connection, PartID, location.LocationID);
+        const locationQuantity = onHandQuantity + (location.LocationID === oldLocationId ? oldQuantity : 0);
+
+        if (locationQuantity < parseInt(stockOutQuantity)) {
+            return res.status(400).json({
+                error: `Insufficient stock at ${location.Name}. Available quantity: ${locationQuantity}`
+            });
+        }
+
+        // Anything issued on top of what this record already took can't come out of other reservations.
+        // The reservation this record fulfils, if any, releases its own stock
+        const additionalQuantity = parseInt(stockOutQuantity) - (location.LocationID === oldLocationId ? oldQuantity : 0);
+
+        if (additionalQuantity > 0) {
+            const reservedQuantity = await getReservedQuantity(
+                connection, PartID, location.LocationID, before.ReservationID
+            );
+            const availableQuantity = onHandQuantity - reservedQuantity;
+
+            if (availableQuantity < additionalQuantity) {
+                return res.status(400).json({
+                    error: `Insufficient available stock at ${location.Name}. ` +
+                        `Reserved: ${reservedQuantity}, available: ${Math.max(0, availableQuantity)}`
+                });
+            }
+        }
+
+        // Update stock out record
+        await connection.execute(`
+            UPDATE Stock_Out
+            SET StockOutQuantity = ?, StockOutUnitPrice = ?, StockOutDate = ?, CustomerID = ?, LocationID = ?, UpdatedBy = ?
+            WHERE StockOutID = ?
+        `, [stockOutQuantity, stockOutUnitPrice, stockOutDate, customerId, location.LocationID, req.user.username, id]);
+        await changeLocationQuantity(connection, PartID, oldLocationId, oldQuantity);
+        await changeLocationQuantity(connection, PartID, location.LocationID, -parseInt(stockOutQuantity));
+
+        // Update spare part quantity
+        await connection.execute(`
+            UPDATE Spare_Part
+            SET Quantity = ?
+            WHERE PartID = ?
+        `, [newSparePartQuantity, PartID]);
+
+        await writeAuditLog(connection, req, {
+            entity: 'Stock_Out',
+            entityId: id,
+            action: 'update',
+            before,
+            after: await getAuditSnapshot(connection, 'Stock_Out', id)
+        });
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: 'Stock out record updated successfully'
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Update stock out record error:', error);
+        res.status(500).json({
+            error: 'Failed to update stock out record'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Delete stock out record
+app.delete('/api/stock-out/:id', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { id } = req.params;
+
+        // Get stock out record to delete
+        const [records] = await connection.execute(
+            'SELECT PartID, StockOutQuantity, LocationID FROM Stock_Out WHERE StockOutID = ?',
+            [id]
+        );
+
+        if (records.length === 0) {
+            return res.status(404).json({
+                error: 'Stock out record not found'
+            });
+        }
+
+        const { PartID, StockOutQuantity, LocationID } = records[0];
+
+        if (await getReturnedQuantity(connection, 'StockOutID', id) > 0) {
+            return res.status(409).json({
+                error: 'The customer has returned part of this stock. Delete the returns first'
+            });
+        }
+
+        // Get current spare part quantity
+        const [spareParts] = await connection.execute(
+            'SELECT Quantity FROM Spare_Part WHERE PartID = ?',
+            [PartID]
+        );
+
+        const currentQuantity = spareParts[0].Quantity;
+        const newQuantity = currentQuantity + StockOutQuantity;
+
+        const before = await getAuditSnapshot(connection, 'Stock_Out', id);
+
+        // Delete stock out record
+        await connection.execute('DELETE FROM Stock_Out WHERE StockOutID = ?', [id]);
+
+        // Update spare part quantity (add back the stock out quantity)
+        await connection.execute(`
+            UPDATE Spare_Part
+            SET Quantity = ?
+            WHERE PartID = ?
+        `, [newQuantity, PartID]);
+        await changeLocationQuantity(connection, PartID, LocationID, StockOutQuantity);
+
+        await writeAuditLog(connection, req, {
+            entity: 'Stock_Out',
+            entityId: id,
+            action: 'delete',
+            before
+        });
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: 'Stock out record deleted successfully'
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Delete stock out record error:', error);
+        res.status(500).json({
+            error: 'Failed to delete stock out record'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// STOCK OUT DOCUMENT ROUTES
+const formatStockOutDocumentNumber = (documentId) => `SO-${String(documentId).padStart(6, '0')}`;
+
+// Checks that every line of a document can be issued from the location, locking the parts.
+// Stock promised to reservations can't go on a document. Returns an error naming every
+// shortage at once, or null
+const checkDocumentStock = async (connection, issues, location) => {
+    const shortages = [];
+
+    for (const issue of issues) {
+        const [spareParts] = await connection.execute(
+            'SELECT Name, Quantity, ArchivedAt FROM Spare_Part WHERE PartID = ? FOR UPDATE',
+            [issue.partId]
+        );
+
+        if (spareParts.length === 0) {
+            return `Spare part ${issue.partId} not found`;
+        }
+
+        if (spareParts[0].ArchivedAt) {
+            return `${spareParts[0].Name} is archived. Restore it before issuing stock`;
+        }
+
+        const locationQuantity = await getLocationQuantity(connection, issue.partId, location.LocationID) -
+            await getReservedQuantity(connection, issue.partId, location.LocationID);
+        const available = Math.max(0, Math.min(spareParts[0].Quantity, locationQuantity));
+
+        if (available < issue.quantity) {
+            shortages.push(`${spareParts[0].Name} (requested ${issue.quantity}, available ${available})`);
+        }
+    }
+
+    if (shortages.length > 0) {
+        return `Insufficient stock at ${location.Name}: ${shortages.join(', ')}. Nothing was posted`;
+    }
+
+    return null;
+};
+
+// Writes a document with one stock out per line and takes the stock out of the location.
+// Lines must already have passed checkDocumentStock
+const postStockOutDocument = async (connection, req, document) => {
+    const {
+        documentDate, customerId, location, notes, issues, kitId = null, kitQuantity = null, workOrderId = null
+    } = document;
+
+    const [result] = await connection.execute(`
+        INSERT INTO Stock_Out_Document (DocumentDate, CustomerID, LocationID, KitID, KitQuantity, Notes, CreatedBy)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [documentDate, customerId, location.LocationID, kitId, kitQuantity, notes, req.user.username]);
+    const documentId = result.insertId;
+    const documentNumber = formatStockOutDocumentNumber(documentId);
+
+    await connection.execute(
+        'UPDATE Stock_Out_Document SET DocumentNumber = ? WHERE DocumentID = ?',
+        [documentNumber, documentId]
+    );
+
+    await writeAuditLog(connection, req, {
+        entity: 'Stock_Out_Document',
+        entityId: documentId,
+        action: 'create',
+        after: await getAuditSnapshot(connection, 'Stock_Out_Document', documentId)
+    });
+
+    for (const issue of issues) {
+        const [lineResult] = await connection.execute(`
+            INSERT INTO Stock_Out (PartID, StockOutQuantity, StockOutUnitPrice, StockOutDate, CustomerID, LocationID, DocumentID,
+                WorkOrderID, CreatedBy)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            issue.partId, issue.quantity, issue.unitPrice, documentDate, customerId, location.LocationID, documentId,
+            workOrderId, req.user.username
+        ]);
+
+        await connection.execute(
+            'UPDATE Spare_Part SET Quantity = Quantity - ? WHERE PartID = ?',
+            [issue.quantity, issue.partId]
+        );
+        await changeLocationQuantity(connection, issue.partId, location.LocationID, -issue.quantity);
+
+        await writeAuditLog(connection, req, {
+            entity: 'Stock_Out',
+            entityId: lineResult.insertId,
+            action: 'create',
+            after: await getAuditSnapshot(connection, 'Stock_Out', lineResult.insertId)
+        });
+    }
+
+    return { documentId, documentNumber };
+};
+
+// Get all stock out documents with their totals
+app.get('/api/stock-out-documents', requireAuth, async (req, res) => {
+    try {
+        const [rows] = await pool.execute(`
+            SELECT
+                d.DocumentID,
+                d.DocumentNumber,
+                DATE_FORMAT(d.DocumentDate, '%Y-%m-%d') as DocumentDate,
+                d.CustomerID,
+                cu.Name as CustomerName,
+                d.LocationID,
+                l.Name as LocationName,
+                d.KitID,
+                k.Name as KitName,
+                d.KitQuantity,
+                d.Notes,
+                d.CreatedBy,
+                d.CreatedAt,
+                COUNT(so.StockOutID) as LineCount,
+                COALESCE(SUM(so.StockOutQuantity), 0) as TotalQuantity,
+                COALESCE(SUM(so.StockOutTotalPrice), 0) as TotalValue
+            FROM Stock_Out_Document d
+            LEFT JOIN Customer cu ON d.CustomerID = cu.CustomerID
+            LEFT JOIN Location l ON d.LocationID = l.LocationID
+            LEFT JOIN Kit k ON d.KitID = k.KitID
+            LEFT JOIN Stock_Out so ON so.DocumentID = d.DocumentID
+            GROUP BY d.DocumentID
+            ORDER BY d.DocumentDate DESC, d.DocumentID DESC
+        `);
+
+        res.json({
+            success: true,
+            data: rows.map(row => ({
+                ...row,
+                TotalQuantity: parseInt(row.TotalQuantity),
+                TotalValue: parseFloat(row.TotalValue)
+            }))
+        });
+
+    } catch (error) {
+        console.error('Get stock out documents error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch stock out documents'
+        });
+    }
+});
+
+// Get a stock out document with its lines
+app.get('/api/stock-out-documents/:id', requireAuth, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const [documents] = await pool.execute(`
+            SELECT
+                d.DocumentID,
+                d.DocumentNumber,
+                DATE_FORMAT(d.DocumentDate, '%Y-%m-%d') as DocumentDate,
+                d.CustomerID,
+                cu.Name as CustomerName,
+                cu.Phone as CustomerPhone,
+                cu.Address as CustomerAddress,
+                d.LocationID,
+                l.Name as LocationName,
+                d.KitID,
+                k.Name as KitName,
+                d.KitQuantity,
+                d.Notes,
+                d.CreatedBy,
+                d.CreatedAt
+            FROM Stock_Out_Document d
+            LEFT JOIN Customer cu ON d.CustomerID = cu.CustomerID
+            LEFT JOIN Location l ON d.LocationID = l.LocationID
+            LEFT JOIN Kit k ON d.KitID = k.KitID
+            WHERE d.DocumentID = ?
+        `, [id]);
+
+        if (documents.length === 0) {
+            return res.status(404).json({
+                error: 'Stock out document not found'
+            });
+        }
+
+        const [lines] = await pool.execute(`
+            SELECT
+                so.StockOutID,
+                so.PartID,
+                sp.Name as SparePartName,
+                sp.SKU,
+                so.StockOutQuantity,
+                so.StockOutUnitPrice,
+                so.StockOutTotalPrice
+            FROM Stock_Out so
+            JOIN Spare_Part sp ON so.PartID = sp.PartID
+            WHERE so.DocumentID = ?
+            ORDER BY so.StockOutID
+        `, [id]);
+
+        res.json({
+            success: true,
+            data: {
+                document: documents[0],
+                lines,
+                summary: {
+                    lineCount: lines.length,
+                    totalQuantity: lines.reduce((sum, line) => sum + line.StockOutQuantity, 0),
+                    totalValue: lines.reduce((sum, line) => sum + parseFloat(line.StockOutTotalPrice), 0)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get stock out document error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch stock out document'
+        });
+    }
+});
+
+// Issue several spare parts on one document. Every line is checked before
+// anything is written, so a document is posted in full or not at all
+app.post('/api/stock-out-documents', requireAuth, requireRole(ROLES.ADMIN, ROLES.STOREKEEPER), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { documentDate, lines } = req.body;
+
+        // Parts issued against a work order go to its customer unless one is given
+        const { error: workOrderError, workOrder } = await readWorkOrderIssue(
+            connection, req.body.workOrderId, req.body.customerId
+        );
+
+        if (workOrderError) {
+            return res.status(400).json({
+                error: workOrderError
+            });
+        }
+
+        const customerId = req.body.customerId || workOrder?.CustomerID || null;
+        const notes = typeof req.body.notes === 'string' ? req.body.notes.trim() || null : null;
+
+        if (!documentDate) {
+            return res.status(400).json({
+                error: 'Document date is required'
+            });
+        }
+
+        if (notes && notes.length > 255) {
+            return res.status(400).json({
+                error: 'Notes must be at most 255 characters'
+            });
+        }
+
+        if (!Array.isArray(lines) || lines.length === 0) {
+            return res.status(400).json({
+                error: 'Add at least one spare part to the document'
+            });
+        }
+
+        const partIds = new Set();
+
+        for (const line of lines) {
+            if (!line || typeof line !== 'object') {
+                return res.status(400).json({
+                    error: 'Every line needs a spare part, a positive whole quantity and a non-negative unit price'
+                });
+            }
+
+            const quantity = Number(line.quantity);
+            const unitPrice = Number(line.unitPrice);
+
+            if (!line.partId || !Number.isInteger(quantity) || quantity <= 0 ||
+                line.unitPrice === undefined || line.unitPrice === null || line.unitPrice === '' ||
+                !Number.isFinite(unitPrice) || unitPrice < 0) {
+                return res.status(400).json({
+                    error: 'Every line needs a spare part, a positive whole quantity and a non-negative unit price'
+                });
+            }
+
+            if (partIds.has(Number(line.partId))) {
+                return res.status(400).json({
+                    error: 'Each spare part can only appear once on a document'
+                });
+            }
+            partIds.add(Number(line.partId));
+        }
+
+        if (customerId && !await getAuditSnapshot(connection, 'Customer', customerId)) {
+            return res.status(400).json({
+                error: 'Customer not found'
+            });
+        }
+
+        // Stock is issued from the given location, or the default one
+        const location = await resolveLocation(connection, req.body.locationId);
+
+        if (!location) {
+            return res.status(400).json({
+                error: 'Location not found'
+            });
+        }
+
+        const issues = lines.map(line => ({
+            partId: Number(line.partId),
+            quantity: Number(line.quantity),
+            unitPrice: Number(line.unitPrice)
+        }));
+
+        // Check every line first and report all of the shortages together
+        const stockError = await checkDocumentStock(connection, issues, location);
+
+        if (stockError) {
+            return res.status(400).json({
+                error: stockError
+            });
+        }
+
+        const { documentId, documentNumber } = await postStockOutDocument(connection, req, {
+            documentDate, customerId, location, notes, issues, workOrderId: workOrder ? workOrder.WorkOrderID : null
+        });
+
+        await connection.commit();
+
+        res.status(201).json({
+            success: true,
+            message: `Stock out document ${documentNumber} posted with ${issues.length} lines`,
+            data: {
+                documentId,
+                documentNumber,
+                locationId: location.LocationID,
+                lineCount: issues.length
+            }
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Post stock out document error:', error);
+        res.status(500).json({
+            error: 'Failed to post stock out document'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Delete a stock out document and return all of its lines to stock
+app.delete('/api/stock-out-documents/:id', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { id } = req.params;
+
+        const before = await getAuditSnapshot(connection, 'Stock_Out_Document', id);
+
+        if (!before) {
+            return res.status(404).json({
+                error: 'Stock out document not found'
+            });
+        }
+
+        const [lines] = await connection.execute(
+            'SELECT StockOutID, PartID, StockOutQuantity, LocationID FROM Stock_Out WHERE DocumentID = ?',
+            [id]
+        );
+
+        const [[{ returnCount }]] = await connection.execute(`
+            SELECT COUNT(*) as returnCount
+            FROM Stock_Return r
+            JOIN Stock_Out so ON r.StockOutID = so.StockOutID
+            WHERE so.DocumentID = ?
+        `, [id]);
+
+        if (returnCount > 0) {
+            return res.status(409).json({
+                error: `The customer has made ${returnCount} returns against this document. Delete the returns first`
+            });
+        }
+
+        for (const line of lines) {
+            const lineBefore = await getAuditSnapshot(connection, 'Stock_Out', line.StockOutID);
+
+            await connection.execute('DELETE FROM Stock_Out WHERE StockOutID = ?', [line.StockOutID]);
+            await connection.execute(
+                'UPDATE Spare_Part SET Quantity = Quantity + ? WHERE PartID = ?',
+                [line.StockOutQuantity, line.PartID]
+            );
+            await changeLocationQuantity(connection, line.PartID, line.LocationID, line.StockOutQuantity);
+
+            await writeAuditLog(connection, req, {
+                entity: 'Stock_Out',
+                entityId: line.StockOutID,
+                action: 'delete',
+                before: lineBefore
+            });
+        }
+
+        await connection.execute('DELETE FROM Stock_Out_Document WHERE DocumentID = ?', [id]);
+
+        await writeAuditLog(connection, req, {
+            entity: 'Stock_Out_Document',
+            entityId: id,
+            action: 'delete',
+            before
+        });
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: `Stock out document ${before.DocumentNumber} deleted and ${lines.length} lines returned to stock`
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Delete stock out document error:', error);
+        res.status(500).json({
+            error: 'Failed to delete stock out document'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// KIT ROUTES
+// Component lines of kits with how much of each part can be issued, from one location or from all of them.
+// Stock held by reservations doesn't count, and an archived part can't be issued at all
+const getKitComponents = async (connection, locationId = null, kitId = null) => {
+    const [rows] = await connection.execute(`
+        SELECT
+            kc.KitID,
+            kc.PartID,
+            sp.Name as SparePartName,
+            sp.SKU,
+            sp.UnitPrice,
+            sp.ArchivedAt,
+            kc.Quantity,
+            GREATEST(0, CASE WHEN ? IS NULL THEN sp.Quantity ELSE COALESCE(pl.Quantity, 0) END
+                - COALESCE(reserved.ReservedQuantity, 0)) as AvailableQuantity
+        FROM Kit_Component kc
+        JOIN Spare_Part sp ON kc.PartID = sp.PartID
+        LEFT JOIN Part_Location pl ON pl.PartID = kc.PartID AND pl.LocationID = ?
+        LEFT JOIN (
+            SELECT PartID, SUM(ReservedQuantity) as ReservedQuantity
+            FROM (${RESERVED_QUANTITIES_SQL}) reserved_by_location
+            WHERE ? IS NULL OR LocationID = ?
+            GROUP BY PartID
+        ) reserved ON kc.PartID = reserved.PartID
+        WHERE ? IS NULL OR kc.KitID = ?
+        ORDER BY kc.ComponentID
+    `, [locationId, locationId, locationId, locationId, kitId, kitId]);
+
+    return rows.map(row => {
+        const availableQuantity = parseInt(row.AvailableQuantity);
+
+        return {
+            ...row,
+            UnitPrice: parseFloat(row.UnitPrice),
+            AvailableQuantity: availableQuantity,
+            BuildableQuantity: row.ArchivedAt ? 0 : Math.floor(availableQuantity / row.Quantity)
+        };
+    });
+};
+
+// Number of complete kits the components allow - the scarcest component decides
+const getBuildableQuantity = (components) =>
+    components.length > 0 ? Math.min(...components.map(component => component.BuildableQuantity)) : 0;
+
+const readKitInput = async (connection, body) => {
+    const kit = {
+        name: typeof body.name === 'string' ? body.name.trim() : '',
+        description: typeof body.description === 'string' ? body.description.trim() || null : null,
+        components: Array.isArray(body.components) ? body.components : []
+    };
+
+    if (!kit.name) {
+        return { error: 'Kit name is required' };
+    }
+
+    if (kit.name.length > 100) {
+        return { error: 'Kit name must be at most 100 characters' };
+    }
+
+    if (kit.description && kit.description.length > 255) {
+        return { error: 'Description must be at most 255 characters' };
+    }
+
+    if (kit.components.length === 0) {
+        return { error: 'Add at least one component part to the kit' };
+    }
+
+    const partIds = new Set();
+    for (const component of kit.components) {
+        const quantity = Number(component.quantity);
+
+        if (!component.partId || !Number.isInteger(quantity) || quantity <= 0) {
+            return { error: 'Each component needs a spare part and a positive whole quantity' };
+        }
+
+        if (partIds.has(Number(component.partId))) {
+            return { error: 'Each spare part can only be in a kit once' };
+        }
+        partIds.add(Number(component.partId));
+
+        const part = await getAuditSnapshot(connection, 'Spare_Part', component.partId);
+
+        if (!part) {
+            return { error: 'Spare part not found' };
+        }
+
+        if (part.ArchivedAt) {
+            return { error: `${part.Name} is archived and cannot be added to a kit` };
+        }
+    }
+
+    return { kit };
+};
+
+const insertKitComponents = async (connection, kitId, components) => {
+    for (const component of components) {
+        await connection.execute(
+            'INSERT INTO Kit_Component (KitID, PartID, Quantity) VALUES (?, ?, ?)',
+            [kitId, component.partId, component.quantity]
+        );
+    }
+};
+
+// Get all kits with their components and how many complete kits can be built,
+// from stock at ?locationId= or across all locations
+app.get('/api/kits', requireAuth, async (req, res) => {
+    try {
+        const locationId = req.query.locationId || null;
+
+        if (locationId && !await getAuditSnapshot(pool, 'Location', locationId)) {
+            return res.status(404).json({
+                error: 'Location not found'
+            });
+        }
+
+        const [kits] = await pool.execute(`
+            SELECT
+                k.KitID,
+                k.Name,
+                k.Description,
+                k.CreatedBy,
+                k.UpdatedBy,
+                k.CreatedAt,
+                k.UpdatedAt,
+                COALESCE(SUM(d.KitQuantity), 0) as IssuedQuantity
+            FROM Kit k
+            LEFT JOIN Stock_Out_Document d ON d.KitID = k.KitID
+            GROUP BY k.KitID
+            ORDER BY k.Name
+        `);
+
+        const components = await getKitComponents(pool, locationId);
+
+        res.json({
+            success: true,
+            data: kits.map(kit => {
+                const kitComponents = components.filter(component => component.KitID === kit.KitID);
+
+                return {
+                    ...kit,
+                    IssuedQuantity: parseInt(kit.IssuedQuantity),
+                    Components: kitComponents,
+                    ComponentValue: kitComponents.reduce((sum, component) => sum + component.Quantity * component.UnitPrice, 0),
+                    BuildableQuantity: getBuildableQuantity(kitComponents)
+                };
+            })
+        });
+
+    } catch (error) {
+        console.error('Get kits error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch kits'
+        });
+    }
+});
+
+// Create a kit from component parts and quantities
+app.post('/api/kits', requireAuth, requireRole(ROLES.ADMIN, ROLES.STOREKEEPER), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { error, kit } = await readKitInput(connection, req.body);
+
+        if (error) {
+            return res.status(400).json({
+                error
+            });
+        }
+
+        const [existing] = await connection.execute('SELECT KitID FROM Kit WHERE Name = ?', [kit.name]);
+
+        if (existing.length > 0) {
+            return res.status(409).json({
+                error: 'Kit with this name already exists'
+            });
+        }
+
+        const [result] = await connection.execute(
+            'INSERT INTO Kit (Name, Description, CreatedBy) VALUES (?, ?, ?)',
+            [kit.name, kit.description, req.user.username]
+        );
+
+        await insertKitComponents(connection, result.insertId, kit.components);
+
+        await writeAuditLog(connection, req, {
+            entity: 'Kit',
+            entityId: result.insertId,
+            action: 'create',
+            after: await getAuditSnapshot(connection, 'Kit', result.insertId)
+        });
+
+        await connection.commit();
+
+        res.status(201).json({
+            success: true,
+            message: `Kit ${kit.name} created with ${kit.components.length} components`,
+            data: {
+                kitId: result.insertId
+            }
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Create kit error:', error);
+        res.status(500).json({
+            error: 'Failed to create kit'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Update a kit - its components are replaced by the ones in the request.
+// Kits already issued keep the lines they were posted with
+app.put('/api/kits/:id', requireAuth, requireRole(ROLES.ADMIN, ROLES.STOREKEEPER), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { id } = req.params;
+
+        const before = await getAuditSnapshot(connection, 'Kit', id);
+
+        if (!before) {
+            return res.status(404).json({
+                error: 'Kit not found'
+            });
+        }
+
+        const { error, kit } = await readKitInput(connection, req.body);
+
+        if (error) {
+            return res.status(400).json({
+                error
+            });
+        }
+
+        const [existing] = await connection.execute(
+            'SELECT KitID FROM Kit WHERE Name = ? AND KitID <> ?',
+            [kit.name, id]
+        );
+
+        if (existing.length > 0) {
+            return res.status(409).json({
+                error: 'Kit with this name already exists'
+            });
+        }
+
+        await connection.execute(
+            'UPDATE Kit SET Name = ?, Description = ?, UpdatedBy = ? WHERE KitID = ?',
+            [kit.name, kit.description, req.user.username, id]
+        );
+
+        await connection.execute('DELETE FROM Kit_Component WHERE KitID = ?', [id]);
+        await insertKitComponents(connection, id, kit.components);
+
+        await writeAuditLog(connection, req, {
+            entity: 'Kit',
+            entityId: id,
+            action: 'update',
+            before,
+            after: await getAuditSnapshot(connection, 'Kit', id)
+        });
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: `Kit ${kit.name} updated`
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Update kit error:', error);
+        res.status(500).json({
+            error: 'Failed to update kit'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Delete a kit that has never been issued
+app.delete('/api/kits/:id', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { id } = req.params;
+
+        const before = await getAuditSnapshot(connection, 'Kit', id);
+
+        if (!before) {
+            return res.status(404).json({
+                error: 'Kit not found'
+            });
+        }
+
+        const [[{ documentCount }]] = await connection.execute(
+            'SELECT COUNT(*) as documentCount FROM Stock_Out_Document WHERE KitID = ?',
+            [id]
+        );
+
+        if (documentCount > 0) {
+            return res.status(409).json({
+                error: `This kit has been issued on ${documentCount} stock out documents and cannot be deleted`
+            });
+        }
+
+        await connection.execute('DELETE FROM Kit WHERE KitID = ?', [id]);
+
+        await writeAuditLog(connection, req, {
+            entity: 'Kit',
+            entityId: id,
+            action: 'delete',
+            before
+        });
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: 'Kit deleted successfully'
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Delete kit error:', error);
+        res.status(500).json({
+            error: 'Failed to delete kit'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Issue one or more kits. Every component goes out on a single stock out document,
+// at the part's selling price, and nothing is posted unless all of them are in stock
+app.post('/api/kits/:id/issue', requireAuth, requireRole(ROLES.ADMIN, ROLES.STOREKEEPER), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { id } = req.params;
+        const { documentDate } = req.body;
+        const quantity = Number(req.body.quantity);
+        const notes = typeof req.body.notes === 'string' ? req.body.notes.trim() || null : null;
+
+        // Parts issued against a work order go to its customer unless one is given
+        const { error: workOrderError, workOrder } = await readWorkOrderIssue(
+            connection, req.body.workOrderId, req.body.customerId
+        );
+
+        if (workOrderError) {
+            return res.status(400).json({
+                error: workOrderError
+            });
+        }
+
+        const customerId = req.body.customerId || workOrder?.CustomerID || null;
+
+        if (!documentDate || !Number.isInteger(quantity) || quantity <= 0) {
+            return res.status(400).json({
+                error: 'Date and a positive whole number of kits are required'
+            });
+        }
+
+        if (notes && notes.length > 255) {
+            return res.status(400).json({
+                error: 'Notes must be at most 255 characters'
+            });
+        }
+
+        const kit = await getAuditSnapshot(connection, 'Kit', id);
+
+        if (!kit) {
+            return res.status(404).json({
+                error: 'Kit not found'
+            });
+        }
+
+        if (customerId && !await getAuditSnapshot(connection, 'Customer', customerId)) {
+            return res.status(400).json({
+                error: 'Customer not found'
+            });
+        }
+
+        // Kits are issued from the given location, or the default one
+        const location = await resolveLocation(connection, req.body.locationId);
+
+        if (!location) {
+            return res.status(400).json({
+                error: 'Location not found'
+            });
+        }
+
+        const components = await getKitComponents(connection, location.LocationID, id);
+
+        if (components.length === 0) {
+            return res.status(400).json({
+                error: 'This kit has no components'
+            });
+        }
+
+        const issues = components.map(component => ({
+            partId: component.PartID,
+            quantity: component.Quantity * quantity,
+            unitPrice: component.UnitPrice
+        }));
+
+        const stockError = await checkDocumentStock(connection, issues, location);
+
+        if (stockError) {
+            return res.status(400).json({
+                error: stockError
+            });
+        }
+
+        const { documentId, documentNumber } = await postStockOutDocument(connection, req, {
+            documentDate,
+            customerId,
+            location,
+            notes,
+            issues,
+            kitId: kit.KitID,
+            kitQuantity: quantity,
+            workOrderId: workOrder ? workOrder.WorkOrderID : null
+        });
+
+        await connection.commit();
+
+        res.status(201).json({
+            success: true,
+            message: `${quantity} x ${kit.Name} issued on ${documentNumber}`,
+            data: {
+                documentId,
+                documentNumber,
+                locationId: location.LocationID
+            }
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Issue kit error:', error);
+        res.status(500).json({
+            error: 'Failed to issue kit'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// RETURN ROUTES
+const RETURN_TYPES = ['CUSTOMER', 'SUPPLIER'];
+const RETURN_DISPOSITIONS = ['RESTOCK', 'WRITE_OFF'];
+
+// Quantity already returned against one stock out (column StockOutID) or one stock in (column StockInID)
+const getReturnedQuantity = async (connection, column, id) => {
+    const [[{ returnedQuantity }]] = await connection.execute(
+        `SELECT COALESCE(SUM(ReturnQuantity), 0) as returnedQuantity FROM Stock_Return WHERE ${column} = ?`,
+        [id]
+    );
+    return parseInt(returnedQuantity);
+};
+
+// Get all returns, optionally only customer or supplier returns with ?type=
+app.get('/api/returns', requireAuth, async (req, res) => {
+    try {
+        const returnType = req.query.type || null;
+
+        if (returnType && !RETURN_TYPES.includes(returnType)) {
+            return res.status(400).json({
+                error: `Return type must be one of ${RETURN_TYPES.join(', ')}`
+            });
+        }
+
+        const [rows] = await pool.execute(`
+            SELECT
+                r.ReturnID,
+                r.ReturnType,
+                r.StockOutID,
+                r.StockInID,
+                r.PartID,
+                sp.Name as SparePartName,
+                r.LocationID,
+                l.Name as LocationName,
+                r.ReturnQuantity,
+                r.Disposition,
+                DATE_FORMAT(r.ReturnDate, '%Y-%m-%d') as ReturnDate,
+                r.Reason,
+                COALESCE(cu.Name, s.Name) as PartyName,
+                COALESCE(d.DocumentNumber, si.InvoiceNumber) as Reference,
+                COALESCE(so.StockOutUnitPrice, si.UnitCost) as UnitValue,
+                r.ReturnQuantity * COALESCE(so.StockOutUnitPrice, si.UnitCost, 0) as ReturnValue,
+                r.CreatedBy,
+                r.CreatedAt
+            FROM Stock_Return r
+            JOIN Spare_Part sp ON r.PartID = sp.PartID
+            JOIN Location l ON r.LocationID = l.LocationID
+            LEFT JOIN Stock_Out so ON r.StockOutID = so.StockOutID
+            LEFT JOIN Customer cu ON so.CustomerID = cu.CustomerID
+            LEFT JOIN Stock_Out_Document d ON so.DocumentID = d.DocumentID
+            LEFT JOIN Stock_In si ON r.StockInID = si.StockInID
+            LEFT JOIN Supplier s ON si.SupplierID = s.SupplierID
+            WHERE ? IS NULL OR r.ReturnType = ?
+            ORDER BY r.ReturnDate DESC, r.ReturnID DESC
+        `, [returnType, returnType]);
+
+        res.json({
+            success: true,
+            data: rows
+        });
+
+    } catch (error) {
+        console.error('Get returns error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch returns'
+        });
+    }
+});
+
+// Stock out (?type=CUSTOMER) or stock in (?type=SUPPLIER) records that still have a quantity left to return
+app.get('/api/returns/returnable', requireAuth, async (req, res) => {
+    try {
+        const returnType = req.query.type;
+
+        if (!RETURN_TYPES.includes(returnType)) {
+            return res.status(400).json({
+                error: `Return type must be one of ${RETURN_TYPES.join(', ')}`
+            });
+        }
+
+        const [rows] = returnType === 'CUSTOMER'
+            ? await pool.execute(`
+                SELECT
+                    so.StockOutID as SourceID,
+                    so.PartID,
+                    sp.Name as SparePartName,
+                    so.LocationID,
+                    DATE_FORMAT(so.StockOutDate, '%Y-%m-%d') as SourceDate,
+                    cu.Name as PartyName,
+                    d.DocumentNumber as Reference,
+                    so.StockOutUnitPrice as UnitValue,
+                    so.StockOutQuantity as Quantity,
+                    so.StockOutQuantity - COALESCE(returned.ReturnedQuantity, 0) as ReturnableQuantity
+                FROM Stock_Out so
+                JOIN Spare_Part sp ON so.PartID = sp.PartID
+                LEFT JOIN Customer cu ON so.CustomerID = cu.CustomerID
+                LEFT JOIN Stock_Out_Document d ON so.DocumentID = d.DocumentID
+                LEFT JOIN (
+                    SELECT StockOutID, SUM(ReturnQuantity) as ReturnedQuantity
+                    FROM Stock_Return
+                    WHERE StockOutID IS NOT NULL
+                    GROUP BY StockOutID
+                ) returned ON so.StockOutID = returned.StockOutID
+                WHERE so.StockOutQuantity > COALESCE(returned.ReturnedQuantity, 0)
+                ORDER BY so.StockOutDate DESC, so.StockOutID DESC
+            `)
+            : await pool.execute(`
+                SELECT
+                    si.StockInID as SourceID,
+                    si.PartID,
+                    sp.Name as SparePartName,
+                    si.LocationID,
+                    DATE_FORMAT(si.StockInDate, '%Y-%m-%d') as SourceDate,
+                    s.Name as PartyName,
+                    si.InvoiceNumber as Reference,
+                    si.UnitCost as UnitValue,
+                    si.StockInQuantity as Quantity,
+                    si.StockInQuantity - COALESCE(returned.ReturnedQuantity, 0) as ReturnableQuantity
+                FROM Stock_In si
+                JOIN Spare_Part sp ON si.PartID = sp.PartID
+                LEFT JOIN Supplier s ON si.SupplierID = s.SupplierID
+                LEFT JOIN (
+                    SELECT StockInID, SUM(ReturnQuantity) as ReturnedQuantity
+                    FROM Stock_Return
+                    WHERE StockInID IS NOT NULL
+                    GROUP BY StockInID
+                ) returned ON si.StockInID = returned.StockInID
+                WHERE si.StockInQuantity > COALESCE(returned.ReturnedQuantity, 0)
+                ORDER BY si.StockInDate DESC, si.StockInID DESC
+            `);
+
+        res.json({
+            success: true,
+            data: rows.map(row => ({
+                ...row,
+                ReturnableQuantity: parseInt(row.ReturnableQuantity)
+            }))
+        });
+
+    } catch (error) {
+        console.error('Get returnable records error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch returnable records'
+        });
+    }
+});
+
+// Record a customer return against a stock out, or a supplier return against a stock in
+app.post('/api/returns', requireAuth, requireRole(ROLES.ADMIN, ROLES.STOREKEEPER), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { returnType, returnDate } = req.body;
+        const quantity = Number(req.body.quantity);
+        const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() || null : null;
+
+        if (!RETURN_TYPES.includes(returnType)) {
+            return res.status(400).json({
+                error: `Return type must be one of ${RETURN_TYPES.join(', ')}`
+            });
+        }
+
+        if (reason && reason.length > 255) {
+            return res.status(400).json({
+                error: 'Reason must be at most 255 characters'
+            });
+        }
+
+        if (!returnDate || !Number.isInteger(quantity) || quantity <= 0) {
+            return res.status(400).json({
+                error: 'Return date and a positive whole quantity are required'
+            });
+        }
+
+        const isCustomerReturn = returnType === 'CUSTOMER';
+        // Supplier returns always leave stock, so only customer returns have a disposition
+        const disposition = isCustomerReturn ? req.body.disposition : null;
+
+        if (isCustomerReturn && !RETURN_DISPOSITIONS.includes(disposition)) {
+            return res.status(400).json({
+                error: `Disposition must be one of ${RETURN_DISPOSITIONS.join(', ')}`
+            });
+        }
+
+        const [sources] = isCustomerReturn
+            ? await connection.execute(`
+                SELECT StockOutID as SourceID, PartID, LocationID, StockOutQuantity as Quantity,
+                    DATE_FORMAT(StockOutDate, '%Y-%m-%d') as SourceDate
+                FROM Stock_Out
+                WHERE StockOutID = ?
+                FOR UPDATE
+            `, [req.body.stockOutId || null])
+            : await connection.execute(`
+                SELECT StockInID as SourceID, PartID, LocationID, StockInQuantity as Quantity,
+                    DATE_FORMAT(StockInDate, '%Y-%m-%d') as SourceDate
+                FROM Stock_In
+                WHERE StockInID = ?
+                FOR UPDATE
+            `, [req.body.stockInId || null]);
+
+        if (sources.length === 0) {
+            return res.status(404).json({
+                error: isCustomerReturn ? 'Stock out record not found' : 'Stock in record not found'
+            });
+        }
+
+        const source = sources[0];
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-    res.json({
-        status: 'OK',
-        message: 'SIMS Backend Server is running',
-        timestamp: new Date().toISOString()
-    });
-});
+        if (returnDate < source.SourceDate) {
+            return res.status(400).json({
+                error: `A return cannot be dated before the original movement on ${source.SourceDate}`
+            });
+        }
 
-// AUTH ROUTES
-// Login
-app.post('/api/auth/login', async (req, res) => {
-    try {
-        const { username, password } = req.body;
+        const returnable = source.Quantity -
+            await getReturnedQuantity(connection, isCustomerReturn ? 'StockOutID' : 'StockInID', source.SourceID);
 
-        if (!username || !password) {
+        if (quantity > returnable) {
             return res.status(400).json({
-                error: 'Username and password are required'
+                error: `Only ${returnable} of this ${isCustomerReturn ? 'stock out' : 'stock in'} can still be returned`
             });
         }
 
-        const [rows] = await pool.execute(
-            'SELECT * FROM Users WHERE Username = ?',
-            [username]
-        );
+        // Goods come back to, or leave from, the original location unless another one is given
+        const location = await getAuditSnapshot(connection, 'Location', req.body.locationId || source.LocationID);
 
-        if (rows.length === 0) {
-            return res.status(401).json({
-                error: 'Invalid username or password'
+        if (!location) {
+            return res.status(400).json({
+                error: 'Location not found'
             });
         }
 
-        const user = rows[0];
-        const isValidPassword = await bcrypt.compare(password, user.Password);
+        const part = await getAuditSnapshot(connection, 'Spare_Part', source.PartID);
 
-        if (!isValidPassword) {
-            return res.status(401).json({
-                error: 'Invalid username or password'
+        // Restocked goods add to the part's stock, supplier returns take from it, and write-offs leave it unchanged
+        const quantityChange = isCustomerReturn ? (disposition === 'RESTOCK' ? quantity : 0) : -quantity;
+
+        if (quantityChange > 0 && part.ArchivedAt) {
+            return res.status(400).json({
+                error: 'This spare part is archived. Restore it before restocking returned goods'
             });
         }
 
-        req.session.user = {
-            id: user.UserID,
-            username: user.Username
-        };
+        // Goods sent back to the supplier can't come out of stock that reservations hold
+        if (quantityChange < 0) {
+            const locationQuantity = await getLocationQuantity(connection, source.PartID, location.LocationID);
+            const reservedQuantity = await getReservedQuantity(connection, source.PartID, location.LocationID);
+            const available = locationQuantity - reservedQuantity;
+
+            if (available < quantity) {
+                return res.status(400).json({
+                    error: `Insufficient available stock at ${location.Name}. On hand: ${locationQuantity}, ` +
+                        `reserved: ${reservedQuantity}, available: ${Math.max(0, available)}`
+                });
+            }
+        }
 
-        res.json({
+        const [result] = await connection.execute(`
+            INSERT INTO Stock_Return (ReturnType, StockOutID, StockInID, PartID, LocationID, ReturnQuantity, Disposition, ReturnDate,
+                Reason, CreatedBy)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            returnType,
+            isCustomerReturn ? source.SourceID : null,
+            isCustomerReturn ? null : source.SourceID,
+            source.PartID,
+            location.LocationID,
+            quantity,
+            disposition,
+            returnDate,
+            reason,
+            req.user.username
+        ]);
+
+        if (quantityChange !== 0) {
+            await connection.execute(
+                'UPDATE Spare_Part SET Quantity = Quantity + ? WHERE PartID = ?',
+                [quantityChange, source.PartID]
+            );
+            await changeLocationQuantity(connection, source.PartID, location.LocationID, quantityChange);
+        }
+
+        await writeAuditLog(connection, req, {
+            entity: 'Stock_Return',
+            entityId: result.insertId,
+            action: 'create',
+            after: await getAuditSnapshot(connection, 'Stock_Return', result.insertId)
+        });
+
+        await connection.commit();
+
+        res.status(201).json({
             success: true,
-            message: 'Login successful',
-            user: {
-                id: user.UserID,
-                username: user.Username
+            message: isCustomerReturn
+                ? `Customer return of ${quantity} ${part.Name} ${disposition === 'RESTOCK' ? 'restocked' : 'written off'}`
+                : `${quantity} ${part.Name} returned to the supplier`,
+            data: {
+                returnId: result.insertId,
+                locationId: location.LocationID,
+                quantityChange
             }
         });
 
     } catch (error) {
-        console.error('Login error:', error);
+        await connection.rollback();
+        console.error('Record return error:', error);
         res.status(500).json({
-            error: 'Internal server error during login'
+            error: 'Failed to record return'
         });
+    } finally {
+        connection.release();
     }
 });
 
-// Logout
-app.post('/api/auth/logout', (req, res) => {
-    req.session.destroy((err) => {
-        if (err) {
-            console.error('Logout error:', err);
-            return res.status(500).json({
-                error: 'Failed to logout'
+// Delete a return and undo its effect on stock
+app.delete('/api/returns/:id', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { id } = req.params;
+
+        const before = await getAuditSnapshot(connection, 'Stock_Return', id);
+
+        if (!before) {
+            return res.status(404).json({
+                error: 'Return not found'
             });
         }
 
-        res.clearCookie('connect.sid');
-        res.json({
-            success: true,
-            message: 'Logout successful'
-        });
-    });
-});
+        // Undo what the return did to stock: restocked goods are taken back out, supplier returns come back in
+        const quantityChange = before.ReturnType === 'SUPPLIER'
+            ? before.ReturnQuantity
+            : (before.Disposition === 'RESTOCK' ? -before.ReturnQuantity : 0);
 
-// Check session
-app.get('/api/auth/session', (req, res) => {
-    if (req.session && req.session.user) {
-        res.json({
-            authenticated: true,
-            user: req.session.user
-        });
-    } else {
-        res.json({
-            authenticated: false
+        if (quantityChange < 0 &&
+            await getLocationQuantity(connection, before.PartID, before.LocationID) < before.ReturnQuantity) {
+            return res.status(400).json({
+                error: 'Cannot delete return: part of the restocked goods have already left their location'
+            });
+        }
+
+        await connection.execute('DELETE FROM Stock_Return WHERE ReturnID = ?', [id]);
+
+        if (quantityChange !== 0) {
+            await connection.execute(
+                'UPDATE Spare_Part SET Quantity = Quantity + ? WHERE PartID = ?',
+                [quantityChange, before.PartID]
+            );
+            await changeLocationQuantity(connection, before.PartID, before.LocationID, quantityChange);
+        }
+
+        await writeAuditLog(connection, req, {
+            entity: 'Stock_Return',
+            entityId: id,
+            action: 'delete',
+            before
         });
-    }
-});
 
-// SPARE PARTS ROUTES
-// Get all spare parts
-app.get('/api/spare-parts', requireAuth, async (req, res) => {
-    try {
-        const [rows] = await pool.execute(`
-            SELECT Name, Category, Quantity, UnitPrice, TotalPrice, CreatedAt, UpdatedAt
-            FROM Spare_Part
-            ORDER BY Name
-        `);
+        await connection.commit();
 
         res.json({
             success: true,
-            data: rows
+            message: 'Return deleted successfully'
         });
 
     } catch (error) {
-        console.error('Get spare parts error:', error);
+        await connection.rollback();
+        console.error('Delete return error:', error);
         res.status(500).json({
-            error: 'Failed to fetch spare parts'
+            error: 'Failed to delete return'
         });
+    } finally {
+        connection.release();
     }
 });
 
-// Get spare part by name
-app.get('/api/spare-parts/:name', requireAuth, async (req, res) => {
-    try {
-        const { name } = req.params;
+// RESERVATION ROUTES
+// Every reservation with the quantity issued against it so far and its status. A reservation holds
+// stock until it is cancelled, expires or has been issued in full
+const RESERVATIONS_SQL = `
+    SELECT
+        r.ReservationID,
+        r.PartID,
+        r.LocationID,
+        r.Quantity,
+        r.Reference,
+        DATE_FORMAT(r.ExpiresAt, '%Y-%m-%d') as ExpiresAt,
+        r.CancelledAt,
+        r.CancelledBy,
+        r.CreatedBy,
+        r.UpdatedBy,
+        r.CreatedAt,
+        r.UpdatedAt,
+        CAST(LEAST(r.Quantity, COALESCE(SUM(so.StockOutQuantity), 0)) AS SIGNED) as FulfilledQuantity,
+        CASE
+            WHEN r.CancelledAt IS NOT NULL THEN 'CANCELLED'
+            WHEN COALESCE(SUM(so.StockOutQuantity), 0) >= r.Quantity THEN 'FULFILLED'
+            WHEN r.ExpiresAt < CURDATE() THEN 'EXPIRED'
+            ELSE 'ACTIVE'
+        END as Status
+    FROM Stock_Reservation r
+    LEFT JOIN Stock_Out so ON so.ReservationID = r.ReservationID
+    GROUP BY r.ReservationID
+`;
+
+// Quantity still held by active reservations, per part and location
+const RESERVED_QUANTITIES_SQL = `
+    SELECT PartID, LocationID, CAST(SUM(Quantity - FulfilledQuantity) AS SIGNED) as ReservedQuantity
+    FROM (${RESERVATIONS_SQL}) reservations
+    WHERE Status = 'ACTIVE'
+    GROUP BY PartID, LocationID
+`;
+
+// Quantity still held by active reservations, per part across all locations
+const RESERVED_BY_PART_SQL = `
+    SELECT PartID, CAST(SUM(ReservedQuantity) AS SIGNED) as ReservedQuantity
+    FROM (${RESERVED_QUANTITIES_SQL}) reserved_by_location
+    GROUP BY PartID
+`;
+
+const RESERVATION_STATUSES = ['ACTIVE', 'FULFILLED', 'EXPIRED', 'CANCELLED'];
+
+// One reservation with its status, part and location names, or null
+const getReservation = async (connection, reservationId) => {
+    const [rows] = await connection.execute(`
+        SELECT reservations.*, sp.Name as SparePartName, l.Name as LocationName
+        FROM (${RESERVATIONS_SQL}) reservations
+        JOIN Spare_Part sp ON reservations.PartID = sp.PartID
+        JOIN Location l ON reservations.LocationID = l.LocationID
+        WHERE reservations.ReservationID = ?
+    `, [reservationId]);
+    return rows.length > 0 ? rows[0] : null;
+};
 
-        const [rows] = await pool.execute(`
-            SELECT Name, Category, Quantity, UnitPrice, TotalPrice, CreatedAt, UpdatedAt
-            FROM Spare_Part
-            WHERE Name = ?
-        `, [name]);
+// Quantity of a part held by active reservations at one location, leaving out one reservation when given
+const getReservedQuantity = async (connection, partId, locationId, excludeReservationId = null) => {
+    const [[{ reservedQuantity }]] = await connection.execute(`
+        SELECT COALESCE(SUM(Quantity - FulfilledQuantity), 0) as reservedQuantity
+        FROM (${RESERVATIONS_SQL}) reservations
+        WHERE Status = 'ACTIVE' AND PartID = ? AND LocationID = ? AND (? IS NULL OR ReservationID <> ?)
+    `, [partId, locationId, excludeReservationId, excludeReservationId]);
+    return parseInt(reservedQuantity);
+};
 
-        if (rows.length === 0) {
-            return res.status(404).json({
-                error: 'Spare part not found'
+// Checks that taking a quantity out of a location leaves enough for the reservations held there.
+// Returns an error message, or null
+const getReservedStockError = async (connection, partId, location, quantityTaken) => {
+    if (quantityTaken <= 0) {
+        return null;
+    }
+
+    const locationQuantity = await getLocationQuantity(connection, partId, location.LocationID);
+    const reservedQuantity = await getReservedQuantity(connection, partId, location.LocationID);
+
+    if (locationQuantity - quantityTaken < reservedQuantity) {
+        return `${reservedQuantity} of this part are reserved at ${location.Name}. ` +
+            `Only ${Math.max(0, locationQuantity - reservedQuantity)} can be taken out`;
+    }
+
+    return null;
+};
+
+// Checks the reference and expiry date sent for a reservation. Returns an error message, or null
+const validateReservationInput = ({ reference, expiresAt }) => {
+    if (typeof reference !== 'string' || !reference.trim()) {
+        return 'A reason or reference is required, e.g. the job or customer the parts are held for';
+    }
+
+    if (reference.trim().length > 255) {
+        return 'Reference must be 255 characters or fewer';
+    }
+
+    if (expiresAt && expiresAt < new Date().toISOString().split('T')[0]) {
+        return 'Expiry date cannot be in the past';
+    }
+
+    return null;
+};
+
+// Get all reservations, optionally filtered with ?status= and ?partId=
+app.get('/api/reservations', requireAuth, async (req, res) => {
+    try {
+        const status = req.query.status || null;
+        const partId = req.query.partId || null;
+
+        if (status && !RESERVATION_STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: `Status must be one of ${RESERVATION_STATUSES.join(', ')}`
             });
         }
 
+        const [rows] = await pool.execute(`
+            SELECT
+                reservations.*,
+                reservations.Quantity - reservations.FulfilledQuantity as OutstandingQuantity,
+                sp.Name as SparePartName,
+                sp.SKU,
+                l.Name as LocationName
+            FROM (${RESERVATIONS_SQL}) reservations
+            JOIN Spare_Part sp ON reservations.PartID = sp.PartID
+            JOIN Location l ON reservations.LocationID = l.LocationID
+            WHERE (? IS NULL OR reservations.Status = ?) AND (? IS NULL OR reservations.PartID = ?)
+            ORDER BY reservations.CreatedAt DESC, reservations.ReservationID DESC
+        `, [status, status, partId, partId]);
+
         res.json({
             success: true,
-            data: rows[0]
+            data: rows
         });
 
     } catch (error) {
-        console.error('Get spare part error:', error);
+        console.error('Get reservations error:', error);
         res.status(500).json({
-            error: 'Failed to fetch spare part'
+            error: 'Failed to fetch reservations'
         });
     }
 });
 
-// Add new spare part
-app.post('/api/spare-parts', requireAuth, async (req, res) => {
+// Reserve stock of a part at one location
+app.post('/api/reservations', requireAuth, requireRole(ROLES.ADMIN, ROLES.STOREKEEPER), async (req, res) => {
+    const connection = await pool.getConnection();
+
     try {
-        const { name, category, quantity, unitPrice } = req.body;
+        await connection.beginTransaction();
+
+        const { partId, reference } = req.body;
+        const quantity = Number(req.body.quantity);
+        const expiresAt = req.body.expiresAt || null;
 
-        if (!name || !category || quantity === undefined || unitPrice === undefined) {
+        if (!partId || !Number.isInteger(quantity) || quantity <= 0) {
             return res.status(400).json({
-                error: 'Name, category, quantity, and unit price are required'
+                error: 'Spare part and a positive whole quantity are required'
             });
         }
 
-        if (quantity < 0 || unitPrice < 0) {
+        const inputError = validateReservationInput({ reference, expiresAt });
+
+        if (inputError) {
             return res.status(400).json({
-                error: 'Quantity and unit price must be non-negative'
+                error: inputError
             });
         }
 
-        // Check if spare part already exists
-        const [existingParts] = await pool.execute(
-            'SELECT Name FROM Spare_Part WHERE Name = ?',
-            [name]
-        );
+        const part = await getAuditSnapshot(connection, 'Spare_Part', partId);
 
-        if (existingParts.length > 0) {
-            return res.status(409).json({
-                error: 'Spare part with this name already exists'
+        if (!part) {
+            return res.status(404).json({
+                error: 'Spare part not found'
             });
         }
 
-        await pool.execute(`
-            INSERT INTO Spare_Part (Name, Category, Quantity, UnitPrice)
-            VALUES (?, ?, ?, ?)
-        `, [name, category, quantity, unitPrice]);
+        if (part.ArchivedAt) {
+            return res.status(400).json({
+                error: 'This spare part is archived. Restore it before reserving stock'
+            });
+        }
+
+        // Stock is reserved at the given location, or the default one
+        const location = await resolveLocation(connection, req.body.locationId);
+
+        if (!location) {
+            return res.status(400).json({
+                error: 'Location not found'
+            });
+        }
+
+        const locationQuantity = await getLocationQuantity(connection, partId, location.LocationID);
+        const reservedQuantity = await getReservedQuantity(connection, partId, location.LocationID);
+
+        if (locationQuantity - reservedQuantity < quantity) {
+            return res.status(400).json({
+                error: `Only ${Math.max(0, locationQuantity - reservedQuantity)} of ${part.Name} available to reserve at ${location.Name}`
+            });
+        }
+
+        const [result] = await connection.execute(`
+            INSERT INTO Stock_Reservation (PartID, LocationID, Quantity, Reference, ExpiresAt, CreatedBy)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [partId, location.LocationID, quantity, reference.trim(), expiresAt, req.user.username]);
+
+        await writeAuditLog(connection, req, {
+            entity: 'Stock_Reservation',
+            entityId: result.insertId,
+            action: 'create',
+            after: await getAuditSnapshot(connection, 'Stock_Reservation', result.insertId)
+        });
+
+        await connection.commit();
 
         res.status(201).json({
             success: true,
-            message: 'Spare part added successfully'
+            message: `${quantity} ${part.Name} reserved at ${location.Name}`,
+            data: {
+                reservationId: result.insertId,
+                locationId: location.LocationID
+            }
         });
 
     } catch (error) {
-        console.error('Add spare part error:', error);
+        await connection.rollback();
+        console.error('Create reservation error:', error);
         res.status(500).json({
-            error: 'Failed to add spare part'
+            error: 'Failed to create reservation'
         });
+    } finally {
+        connection.release();
     }
 });
 
-// Update spare part
-app.put('/api/spare-parts/:name', requireAuth, async (req, res) => {
-    try {
-        const { name } = req.params;
-        const { category, quantity, unitPrice } = req.body;
+// Change the quantity, reference or expiry of a reservation that hasn't been fulfilled or cancelled
+app.put('/api/reservations/:id', requireAuth, requireRole(ROLES.ADMIN, ROLES.STOREKEEPER), async (req, res) => {
+    const connection = await pool.getConnection();
 
-        // Check if spare part exists
-        const [existingParts] = await pool.execute(
-            'SELECT Name FROM Spare_Part WHERE Name = ?',
-            [name]
-        );
+    try {
+        await connection.beginTransaction();
 
-        if (existingParts.length === 0) {
-            return res.status(404).json({
-                error: 'Spare part not found'
-            });
-        }
+        const { id } = req.params;
+        const { reference } = req.body;
+        const quantity = Number(req.body.quantity);
+        const expiresAt = req.body.expiresAt || null;
 
-        if (!category || quantity === undefined || unitPrice === undefined) {
+        if (!Number.isInteger(quantity) || quantity <= 0) {
             return res.status(400).json({
-                error: 'Category, quantity, and unit price are required'
+                error: 'Quantity must be a positive whole number'
             });
         }
 
-        if (quantity < 0 || unitPrice < 0) {
+        const inputError = validateReservationInput({ reference, expiresAt });
+
+        if (inputError) {
             return res.status(400).json({
-                error: 'Quantity and unit price must be non-negative'
+                error: inputError
             });
         }
 
-        await pool.execute(`
-            UPDATE Spare_Part
-            SET Category = ?, Quantity = ?, UnitPrice = ?
-            WHERE Name = ?
-        `, [category, quantity, unitPrice, name]);
+        const reservation = await getReservation(connection, id);
 
-        res.json({
-            success: true,
-            message: 'Spare part updated successfully'
-        });
+        if (!reservation) {
+            return res.status(404).json({
+                error: 'Reservation not found'
+            });
+        }
 
-    } catch (error) {
-        console.error('Update spare part error:', error);
-        res.status(500).json({
-            error: 'Failed to update spare part'
-        });
-    }
-});
+        // An expired reservation can be renewed with a new expiry date
+        if (reservation.Status === 'FULFILLED' || reservation.Status === 'CANCELLED') {
+            return res.status(400).json({
+                error: `This reservation is ${reservation.Status.toLowerCase()} and can no longer be changed`
+            });
+        }
 
-// Delete spare part
-app.delete('/api/spare-parts/:name', requireAuth, async (req, res) => {
-    try {
-        const { name } = req.params;
+        if (quantity < reservation.FulfilledQuantity) {
+            return res.status(400).json({
+                error: `${reservation.FulfilledQuantity} have already been issued against this reservation`
+            });
+        }
 
-        // Check if spare part exists
-        const [existingParts] = await pool.execute(
-            'SELECT Name FROM Spare_Part WHERE Name = ?',
-            [name]
+        const locationQuantity = await getLocationQuantity(connection, reservation.PartID, reservation.LocationID);
+        const reservedQuantity = await getReservedQuantity(
+            connection, reservation.PartID, reservation.LocationID, reservation.ReservationID
         );
 
-        if (existingParts.length === 0) {
-            return res.status(404).json({
-                error: 'Spare part not found'
+        if (locationQuantity - reservedQuantity < quantity - reservation.FulfilledQuantity) {
+            return res.status(400).json({
+                error: `Only ${Math.max(0, locationQuantity - reservedQuantity)} of ${reservation.SparePartName} ` +
+                    `available to reserve at ${reservation.LocationName}`
             });
         }
 
-        await pool.execute('DELETE FROM Spare_Part WHERE Name = ?', [name]);
-
-        res.json({
-            success: true,
-            message: 'Spare part deleted successfully'
-        });
+        const before = await getAuditSnapshot(connection, 'Stock_Reservation', id);
 
-    } catch (error) {
-        console.error('Delete spare part error:', error);
-        res.status(500).json({
-            error: 'Failed to delete spare part'
+        await connection.execute(`
+            UPDATE Stock_Reservation
+            SET Quantity = ?, Reference = ?, ExpiresAt = ?, UpdatedBy = ?
+            WHERE ReservationID = ?
+        `, [quantity, reference.trim(), expiresAt, req.user.username, id]);
+
+        await writeAuditLog(connection, req, {
+            entity: 'Stock_Reservation',
+            entityId: id,
+            action: 'update',
+            before,
+            after: await getAuditSnapshot(connection, 'Stock_Reservation', id)
         });
-    }
-});
 
-// STOCK IN ROUTES
-// Get all stock in records
-app.get('/api/stock-in', requireAuth, async (req, res) => {
-    try {
-        const [rows] = await pool.execute(`
-            SELECT
-                si.StockInID,
-                si.SparePartName,
-                si.StockInQuantity,
-                si.StockInDate,
-                si.CreatedAt,
-                sp.Category,
-                sp.UnitPrice
-            FROM Stock_In si
-            LEFT JOIN Spare_Part sp ON si.SparePartName = sp.Name
-            ORDER BY si.StockInDate DESC, si.CreatedAt DESC
-        `);
+        await connection.commit();
 
         res.json({
             success: true,
-            data: rows
+            message: 'Reservation updated successfully'
         });
 
     } catch (error) {
-        console.error('Get stock in records error:', error);
+        await connection.rollback();
+        console.error('Update reservation error:', error);
         res.status(500).json({
-            error: 'Failed to fetch stock in records'
+            error: 'Failed to update reservation'
         });
+    } finally {
+        connection.release();
     }
 });
 
-// Add new stock in record
-app.post('/api/stock-in', requireAuth, async (req, res) => {
+// Release the stock a reservation still holds
+app.post('/api/reservations/:id/cancel', requireAuth, requireRole(ROLES.ADMIN, ROLES.STOREKEEPER), async (req, res) => {
     const connection = await pool.getConnection();
 
     try {
         await connection.beginTransaction();
 
-        const { sparePartName, stockInQuantity, stockInDate } = req.body;
+        const { id } = req.params;
 
-        if (!sparePartName || !stockInQuantity || !stockInDate) {
-            return res.status(400).json({
-                error: 'Spare part name, quantity, and date are required'
-            });
-        }
+        const reservation = await getReservation(connection, id);
 
-        if (stockInQuantity <= 0) {
-            return res.status(400).json({
-                error: 'Stock in quantity must be positive'
+        if (!reservation) {
+            return res.status(404).json({
+                error: 'Reservation not found'
             });
         }
 
-        // Check if spare part exists
-        const [spareParts] = await connection.execute(
-            'SELECT Name, Quantity FROM Spare_Part WHERE Name = ?',
-            [sparePartName]
-        );
-
-        if (spareParts.length === 0) {
-            return res.status(404).json({
-                error: 'Spare part not found'
+        if (reservation.Status === 'FULFILLED' || reservation.Status === 'CANCELLED') {
+            return res.status(400).json({
+                error: `This reservation is already ${reservation.Status.toLowerCase()}`
             });
         }
 
-        const currentQuantity = spareParts[0].Quantity;
+        const before = await getAuditSnapshot(connection, 'Stock_Reservation', id);
 
-        // Insert stock in record
-        await connection.execute(`
-            INSERT INTO Stock_In (SparePartName, StockInQuantity, StockInDate)
-            VALUES (?, ?, ?)
-        `, [sparePartName, stockInQuantity, stockInDate]);
+        await connection.execute(
+            'UPDATE Stock_Reservation SET CancelledAt = NOW(), CancelledBy = ? WHERE ReservationID = ?',
+            [req.user.username, id]
+        );
 
-        // Update spare part quantity
-        const newQuantity = currentQuantity + parseInt(stockInQuantity);
-        await connection.execute(`
-            UPDATE Spare_Part
-            SET Quantity = ?
-            WHERE Name = ?
-        `, [newQuantity, sparePartName]);
+        await writeAuditLog(connection, req, {
+            entity: 'Stock_Reservation',
+            entityId: id,
+            action: 'update',
+            before,
+            after: await getAuditSnapshot(connection, 'Stock_Reservation', id)
+        });
 
         await connection.commit();
 
-        res.status(201).json({
+        res.json({
             success: true,
-            message: 'Stock in record added successfully',
-            data: {
-                sparePartName,
-                stockInQuantity,
-                stockInDate,
-                newTotalQuantity: newQuantity
-            }
+            message: 'Reservation cancelled and its stock released'
         });
 
     } catch (error) {
         await connection.rollback();
-        console.error('Add stock in record error:', error);
+        console.error('Cancel reservation error:', error);
         res.status(500).json({
-            error: 'Failed to add stock in record'
+            error: 'Failed to cancel reservation'
         });
     } finally {
         connection.release();
     }
 });
 
-// Update stock in record
-app.put('/api/stock-in/:id', requireAuth, async (req, res) => {
+// TRANSFER ROUTES
+// Get all stock transfers
+app.get('/api/transfers', requireAuth, async (req, res) => {
+    try {
+        const [rows] = await pool.execute(`
+            SELECT
+                st.TransferID,
+                st.PartID,
+                sp.Name as SparePartName,
+                c.Name as Category,
+                st.FromLocationID,
+                fl.Name as FromLocationName,
+                st.ToLocationID,
+                tl.Name as ToLocationName,
+                st.TransferQuantity,
+                st.TransferDate,
+                st.Notes,
+                st.CreatedBy,
+                st.CreatedAt
+            FROM Stock_Transfer st
+            LEFT JOIN Spare_Part sp ON st.PartID = sp.PartID
+            LEFT JOIN Category c ON sp.CategoryID = c.CategoryID
+            LEFT JOIN Location fl ON st.FromLocationID = fl.LocationID
+            LEFT JOIN Location tl ON st.ToLocationID = tl.LocationID
+            ORDER BY st.TransferDate DESC, st.CreatedAt DESC
+        `);
+
+        res.json({
+            success: true,
+            data: rows
+        });
+
+    } catch (error) {
+        console.error('Get transfers error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch transfers'
+        });
+    }
+});
+
+// Move stock of one part from one location to another
+app.post('/api/transfers', requireAuth, requireRole(ROLES.ADMIN, ROLES.STOREKEEPER), async (req, res) => {
     const connection = await pool.getConnection();
 
     try {
         await connection.beginTransaction();
 
-        const { id } = req.params;
-        const { stockInQuantity, stockInDate } = req.body;
+        const { partId, fromLocationId, toLocationId, transferQuantity, transferDate } = req.body;
+        const notes = typeof req.body.notes === 'string' ? req.body.notes.trim() || null : null;
 
-        if (!stockInQuantity || !stockInDate) {
+        if (!partId || !fromLocationId || !toLocationId || !transferQuantity || !transferDate) {
             return res.status(400).json({
-                error: 'Quantity and date are required'
+                error: 'Spare part, both locations, quantity, and date are required'
             });
         }
 
-        if (stockInQuantity <= 0) {
+        if (transferQuantity <= 0) {
             return res.status(400).json({
-                error: 'Stock in quantity must be positive'
+                error: 'Transfer quantity must be positive'
             });
         }
 
-        // Get current stock in record
-        const [currentRecords] = await connection.execute(
-            'SELECT SparePartName, StockInQuantity FROM Stock_In WHERE StockInID = ?',
-            [id]
-        );
+        if (String(fromLocationId) === String(toLocationId)) {
+            return res.status(400).json({
+                error: 'Choose two different locations'
+            });
+        }
 
-        if (currentRecords.length === 0) {
+        if (notes && notes.length > 255) {
+            return res.status(400).json({
+                error: 'Notes must be at most 255 characters'
+            });
+        }
+
+        const sparePart = await getAuditSnapshot(connection, 'Spare_Part', partId);
+
+        if (!sparePart) {
             return res.status(404).json({
-                error: 'Stock in record not found'
+                error: 'Spare part not found'
             });
         }
 
-        const { SparePartName, StockInQuantity: oldQuantity } = currentRecords[0];
+        if (sparePart.ArchivedAt) {
+            return res.status(400).json({
+                error: 'This spare part is archived. Restore it before moving stock'
+            });
+        }
 
-        // Get current spare part quantity
-        const [spareParts] = await connection.execute(
-            'SELECT Quantity FROM Spare_Part WHERE Name = ?',
-            [SparePartName]
-        );
+        const fromLocation = await getAuditSnapshot(connection, 'Location', fromLocationId);
+        const toLocation = await getAuditSnapshot(connection, 'Location', toLocationId);
 
-        const currentSparePartQuantity = spareParts[0].Quantity;
+        if (!fromLocation || !toLocation) {
+            return res.status(400).json({
+                error: 'Location not found'
+            });
+        }
 
-        // Calculate new spare part quantity
-        const quantityDifference = parseInt(stockInQuantity) - oldQuantity;
-        const newSparePartQuantity = currentSparePartQuantity + quantityDifference;
+        // Stock held by reservations has to stay where it was reserved
+        const locationQuantity = await getLocationQuantity(connection, partId, fromLocationId);
+        const reservedQuantity = await getReservedQuantity(connection, partId, fromLocationId);
+        const available = locationQuantity - reservedQuantity;
 
-        if (newSparePartQuantity < 0) {
+        if (available < transferQuantity) {
             return res.status(400).json({
-                error: 'Cannot reduce stock in quantity: would result in negative spare part quantity'
+                error: `Insufficient available stock at ${fromLocation.Name}. On hand: ${locationQuantity}, ` +
+                    `reserved: ${reservedQuantity}, available: ${Math.max(0, available)}`
             });
         }
 
-        // Update stock in record
-        await connection.execute(`
-            UPDATE Stock_In
-            SET StockInQuantity = ?, StockInDate = ?
-            WHERE StockInID = ?
-        `, [stockInQuantity, stockInDate, id]);
+        const [result] = await connection.execute(`
+            INSERT INTO Stock_Transfer
+                (PartID, FromLocationID, ToLocationID, TransferQuantity, TransferDate, Notes, CreatedBy)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [partId, fromLocationId, toLocationId, transferQuantity, transferDate, notes, req.user.username]);
 
-        // Update spare part quantity
-        await connection.execute(`
-            UPDATE Spare_Part
-            SET Quantity = ?
-            WHERE Name = ?
-        `, [newSparePartQuantity, SparePartName]);
+        await changeLocationQuantity(connection, partId, fromLocationId, -parseInt(transferQuantity));
+        await changeLocationQuantity(connection, partId, toLocationId, parseInt(transferQuantity));
+
+        await writeAuditLog(connection, req, {
+            entity: 'Stock_Transfer',
+            entityId: result.insertId,
+            action: 'create',
+            after: await getAuditSnapshot(connection, 'Stock_Transfer', result.insertId)
+        });
 
         await connection.commit();
 
-        res.json({
+        res.status(201).json({
             success: true,
-            message: 'Stock in record updated successfully'
+            message: `Moved ${transferQuantity} x ${sparePart.Name} from ${fromLocation.Name} to ${toLocation.Name}`,
+            data: {
+                transferId: result.insertId
+            }
         });
 
     } catch (error) {
         await connection.rollback();
-        console.error('Update stock in record error:', error);
+        console.error('Add transfer error:', error);
         res.status(500).json({
-            error: 'Failed to update stock in record'
+            error: 'Failed to transfer stock'
         });
     } finally {
         connection.release();
     }
 });
 
-// Delete stock in record
-app.delete('/api/stock-in/:id', requireAuth, async (req, res) => {
+// Delete a transfer, moving the stock back to where it came from
+app.delete('/api/transfers/:id', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
     const connection = await pool.getConnection();
 
     try {
@@ -611,81 +9330,137 @@ app.delete('/api/stock-in/:id', requireAuth, async (req, res) => {
 
         const { id } = req.params;
 
-        // Get stock in record to delete
-        const [records] = await connection.execute(
-            'SELECT SparePartName, StockInQuantity FROM Stock_In WHERE StockInID = ?',
-            [id]
-        );
+        const before = await getAuditSnapshot(connection, 'Stock_Transfer', id);
 
-        if (records.length === 0) {
+        if (!before) {
             return res.status(404).json({
-                error: 'Stock in record not found'
+                error: 'Transfer not found'
             });
         }
 
-        const { SparePartName, StockInQuantity } = records[0];
+        const available = await getLocationQuantity(connection, before.PartID, before.ToLocationID);
 
-        // Get current spare part quantity
-        const [spareParts] = await connection.execute(
-            'SELECT Quantity FROM Spare_Part WHERE Name = ?',
-            [SparePartName]
-        );
+        if (available < before.TransferQuantity) {
+            return res.status(400).json({
+                error: 'Cannot delete transfer: part of the moved stock has already left its new location'
+            });
+        }
 
-        const currentQuantity = spareParts[0].Quantity;
-        const newQuantity = currentQuantity - StockInQuantity;
+        const reservedStockError = await getReservedStockError(
+            connection, before.PartID, await getAuditSnapshot(connection, 'Location', before.ToLocationID),
+            before.TransferQuantity
+        );
 
-        if (newQuantity < 0) {
+        if (reservedStockError) {
             return res.status(400).json({
-                error: 'Cannot delete stock in record: would result in negative spare part quantity'
+                error: `Cannot delete transfer: ${reservedStockError}`
             });
         }
 
-        // Delete stock in record
-        await connection.execute('DELETE FROM Stock_In WHERE StockInID = ?', [id]);
+        await connection.execute('DELETE FROM Stock_Transfer WHERE TransferID = ?', [id]);
+        await changeLocationQuantity(connection, before.PartID, before.ToLocationID, -before.TransferQuantity);
+        await changeLocationQuantity(connection, before.PartID, before.FromLocationID, before.TransferQuantity);
 
-        // Update spare part quantity
-        await connection.execute(`
-            UPDATE Spare_Part
-            SET Quantity = ?
-            WHERE Name = ?
-        `, [newQuantity, SparePartName]);
+        await writeAuditLog(connection, req, {
+            entity: 'Stock_Transfer',
+            entityId: id,
+            action: 'delete',
+            before
+        });
 
         await connection.commit();
 
         res.json({
             success: true,
-            message: 'Stock in record deleted successfully'
+            message: 'Transfer deleted and stock moved back'
         });
 
     } catch (error) {
         await connection.rollback();
-        console.error('Delete stock in record error:', error);
+        console.error('Delete transfer error:', error);
         res.status(500).json({
-            error: 'Failed to delete stock in record'
+            error: 'Failed to delete transfer'
         });
     } finally {
         connection.release();
     }
 });
 
-// STOCK OUT ROUTES
-// Get all stock out records
-app.get('/api/stock-out', requireAuth, async (req, res) => {
+// STOCKTAKE ROUTES
+// The category and every category below it
+const getCategorySubtreeIds = async (connection, categoryId) => {
+    const [categories] = await connection.execute('SELECT CategoryID, ParentID FROM Category');
+    const ids = [Number(categoryId)];
+    for (let i = 0; i < ids.length; i++) {
+        for (const category of categories) {
+            if (category.ParentID === ids[i]) {
+                ids.push(category.CategoryID);
+            }
+        }
+    }
+    return ids;
+};
+
+// The lines of a stocktake with each part's variance and its value at cost. While the count is open the
+// system quantity is read live from the location, so stock moved during the count is taken into account
+const getStocktakeLines = async (connection, stocktake) => {
+    const [rows] = await connection.execute(`
+        SELECT
+            sl.PartID,
+            sp.Name as SparePartName,
+            sp.SKU,
+            c.Name as Category,
+            sl.CountedQuantity,
+            ${stocktake.Status === 'OPEN' ? 'COALESCE(pl.Quantity, 0)' : 'sl.SystemQuantity'} as SystemQuantity
+        FROM Stocktake_Line sl
+        JOIN Spare_Part sp ON sl.PartID = sp.PartID
+        JOIN Category c ON sp.CategoryID = c.CategoryID
+        LEFT JOIN Part_Location pl ON sl.PartID = pl.PartID AND pl.LocationID = ?
+        WHERE sl.StocktakeID = ?
+        ORDER BY sp.Name
+    `, [stocktake.LocationID, stocktake.StocktakeID]);
+
+    const unitCosts = await getUnitCosts(connection);
+
+    return rows.map(row => {
+        const unitCost = unitCosts.get(row.PartID) || 0;
+        const variance = row.CountedQuantity === null || row.SystemQuantity === null
+            ? null
+            : row.CountedQuantity - row.SystemQuantity;
+
+        return {
+            ...row,
+            UnitCost: unitCost.toFixed(2),
+            Variance: variance,
+            VarianceValue: variance === null ? null : (variance * unitCost).toFixed(2)
+        };
+    });
+};
+
+// Get all stocktakes, newest first
+app.get('/api/stocktakes', requireAuth, async (req, res) => {
     try {
         const [rows] = await pool.execute(`
             SELECT
-                so.StockOutID,
-                so.SparePartName,
-                so.StockOutQuantity,
-                so.StockOutUnitPrice,
-                so.StockOutTotalPrice,
-                so.StockOutDate,
-                so.CreatedAt,
-                sp.Category,
-                sp.UnitPrice as CurrentUnitPrice
-            FROM Stock_Out so
-            LEFT JOIN Spare_Part sp ON so.SparePartName = sp.Name
-            ORDER BY so.StockOutDate DESC, so.CreatedAt DESC
+                st.StocktakeID,
+                st.LocationID,
+                l.Name as LocationName,
+                st.CategoryID,
+                c.Name as CategoryName,
+                st.Status,
+                st.Notes,
+                st.CreatedBy,
+                st.CreatedAt,
+                st.PostedBy,
+                st.PostedAt,
+                COUNT(sl.PartID) as LineCount,
+                COUNT(sl.CountedQuantity) as CountedCount
+            FROM Stocktake st
+            JOIN Location l ON st.LocationID = l.LocationID
+            LEFT JOIN Category c ON st.CategoryID = c.CategoryID
+            LEFT JOIN Stocktake_Line sl ON st.StocktakeID = sl.StocktakeID
+            GROUP BY st.StocktakeID
+            ORDER BY st.CreatedAt DESC, st.StocktakeID DESC
         `);
 
         res.json({
@@ -694,221 +9469,368 @@ app.get('/api/stock-out', requireAuth, async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Get stock out records error:', error);
+        console.error('Get stocktakes error:', error);
         res.status(500).json({
-            error: 'Failed to fetch stock out records'
+            error: 'Failed to fetch stocktakes'
         });
     }
 });
 
-// Get stock out record by ID
-app.get('/api/stock-out/:id', requireAuth, async (req, res) => {
+// Get a stocktake with its count sheet and the variances found so far
+app.get('/api/stocktakes/:id', requireAuth, async (req, res) => {
     try {
         const { id } = req.params;
 
-        const [rows] = await pool.execute(`
+        const [stocktakes] = await pool.execute(`
             SELECT
-                so.StockOutID,
-                so.SparePartName,
-                so.StockOutQuantity,
-                so.StockOutUnitPrice,
-                so.StockOutTotalPrice,
-                so.StockOutDate,
-                so.CreatedAt,
-                sp.Category,
-                sp.UnitPrice as CurrentUnitPrice
-            FROM Stock_Out so
-            LEFT JOIN Spare_Part sp ON so.SparePartName = sp.Name
-            WHERE so.StockOutID = ?
+                st.StocktakeID,
+                st.LocationID,
+                l.Name as LocationName,
+                st.CategoryID,
+                c.Name as CategoryName,
+                st.Status,
+                st.Notes,
+                st.CreatedBy,
+                st.CreatedAt,
+                st.PostedBy,
+                st.PostedAt
+            FROM Stocktake st
+            JOIN Location l ON st.LocationID = l.LocationID
+            LEFT JOIN Category c ON st.CategoryID = c.CategoryID
+            WHERE st.StocktakeID = ?
         `, [id]);
 
-        if (rows.length === 0) {
+        if (stocktakes.length === 0) {
             return res.status(404).json({
-                error: 'Stock out record not found'
+                error: 'Stocktake not found'
             });
         }
 
+        const lines = await getStocktakeLines(pool, stocktakes[0]);
+        const varianceLines = lines.filter(line => line.Variance !== null && line.Variance !== 0);
+
         res.json({
             success: true,
-            data: rows[0]
+            data: {
+                stocktake: stocktakes[0],
+                lines,
+                summary: {
+                    totalLines: lines.length,
+                    countedLines: lines.filter(line => line.CountedQuantity !== null).length,
+                    varianceLines: varianceLines.length,
+                    unitsOver: varianceLines.filter(line => line.Variance > 0).reduce((sum, line) => sum + line.Variance, 0),
+                    unitsShort: varianceLines.filter(line => line.Variance < 0).reduce((sum, line) => sum - line.Variance, 0),
+                    varianceValue: varianceLines.reduce((sum, line) => sum + parseFloat(line.VarianceValue), 0).toFixed(2)
+                }
+            }
         });
 
     } catch (error) {
-        console.error('Get stock out record error:', error);
+        console.error('Get stocktake error:', error);
         res.status(500).json({
-            error: 'Failed to fetch stock out record'
+            error: 'Failed to fetch stocktake'
         });
     }
 });
 
-// Add new stock out record
-app.post('/api/stock-out', requireAuth, async (req, res) => {
+// Open a stocktake - the count sheet lists every active part in scope, including parts the location has none of
+app.post('/api/stocktakes', requireAuth, requireRole(ROLES.ADMIN, ROLES.STOREKEEPER), async (req, res) => {
     const connection = await pool.getConnection();
 
     try {
         await connection.beginTransaction();
 
-        const { sparePartName, stockOutQuantity, stockOutUnitPrice, stockOutDate } = req.body;
+        const { locationId } = req.body;
+        const categoryId = req.body.categoryId || null;
+        const notes = typeof req.body.notes === 'string' ? req.body.notes.trim() || null : null;
 
-        if (!sparePartName || !stockOutQuantity || !stockOutUnitPrice || !stockOutDate) {
+        if (!locationId) {
             return res.status(400).json({
-                error: 'Spare part name, quantity, unit price, and date are required'
+                error: 'Location is required'
             });
         }
 
-        if (stockOutQuantity <= 0 || stockOutUnitPrice < 0) {
+        if (notes && notes.length > 255) {
             return res.status(400).json({
-                error: 'Stock out quantity must be positive and unit price must be non-negative'
+                error: 'Notes must be at most 255 characters'
             });
         }
 
-        // Check if spare part exists and has sufficient quantity
-        const [spareParts] = await connection.execute(
-            'SELECT Name, Quantity FROM Spare_Part WHERE Name = ?',
-            [sparePartName]
+        const location = await getAuditSnapshot(connection, 'Location', locationId);
+
+        if (!location) {
+            return res.status(400).json({
+                error: 'Location not found'
+            });
+        }
+
+        if (categoryId && !await getAuditSnapshot(connection, 'Category', categoryId)) {
+            return res.status(400).json({
+                error: 'Category not found'
+            });
+        }
+
+        const [openStocktakes] = await connection.execute(
+            "SELECT StocktakeID FROM Stocktake WHERE LocationID = ? AND Status = 'OPEN'",
+            [locationId]
         );
 
-        if (spareParts.length === 0) {
-            return res.status(404).json({
-                error: 'Spare part not found'
+        if (openStocktakes.length > 0) {
+            return res.status(409).json({
+                error: `Stocktake #${openStocktakes[0].StocktakeID} is still open for ${location.Name}. Post or cancel it first`
             });
         }
 
-        const currentQuantity = spareParts[0].Quantity;
+        const categoryIds = categoryId ? await getCategorySubtreeIds(connection, categoryId) : null;
+        const [parts] = await connection.execute(`
+            SELECT PartID
+            FROM Spare_Part
+            WHERE ArchivedAt IS NULL
+            ${categoryIds ? `AND CategoryID IN (${categoryIds.map(() => '?').join(', ')})` : ''}
+        `, categoryIds || []);
 
-        if (currentQuantity < stockOutQuantity) {
+        if (parts.length === 0) {
             return res.status(400).json({
-                error: `Insufficient stock. Available quantity: ${currentQuantity}`
+                error: 'There are no active spare parts to count'
             });
         }
 
-        // Insert stock out record
-        await connection.execute(`
-            INSERT INTO Stock_Out (SparePartName, StockOutQuantity, StockOutUnitPrice, StockOutDate)
+        const [result] = await connection.execute(`
+            INSERT INTO Stocktake (LocationID, CategoryID, Notes, CreatedBy)
             VALUES (?, ?, ?, ?)
-        `, [sparePartName, stockOutQuantity, stockOutUnitPrice, stockOutDate]);
+        `, [locationId, categoryId, notes, req.user.username]);
+
+        for (const { PartID } of parts) {
+            await connection.execute(
+                'INSERT INTO Stocktake_Line (StocktakeID, PartID) VALUES (?, ?)',
+                [result.insertId, PartID]
+            );
+        }
+
+        await writeAuditLog(connection, req, {
+            entity: 'Stocktake',
+            entityId: result.insertId,
+            action: 'create',
+            after: await getAuditSnapshot(connection, 'Stocktake', result.insertId)
+        });
+
+        await connection.commit();
+
+        res.status(201).json({
+            success: true,
+            message: `Stocktake opened for ${location.Name} with ${parts.length} parts to count`,
+            data: {
+                stocktakeId: result.insertId
+            }
+        });
+
+    } catch (error) {
+        await connection.rollback();
+        console.error('Open stocktake error:', error);
+        res.status(500).json({
+            error: 'Failed to open stocktake'
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Save counted quantities - a count of null clears it. Counts are not audited until the stocktake is posted
+app.put('/api/stocktakes/:id/counts', requireAuth, requireRole(ROLES.ADMIN, ROLES.STOREKEEPER), async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const { id } = req.params;
+        const { counts } = req.body;
+
+        if (!Array.isArray(counts) || counts.length === 0) {
+            return res.status(400).json({
+                error: 'Counts are required'
+            });
+        }
+
+        const invalidCount = counts.find(count =>
+            !count.partId ||
+            (count.countedQuantity !== null && (!Number.isInteger(count.countedQuantity) || count.countedQuantity < 0))
+        );
+
+        if (invalidCount) {
+            return res.status(400).json({
+                error: 'Counted quantities must be whole numbers of zero or more'
+            });
+        }
+
+        const stocktake = await getAuditSnapshot(connection, 'Stocktake', id);
+
+        if (!stocktake) {
+            return res.status(404).json({
+                error: 'Stocktake not found'
+            });
+        }
+
+        if (stocktake.Status !== 'OPEN') {
+            return res.status(400).json({
+                error: 'Only open stocktakes can be counted'
+            });
+        }
 
-        // Update spare part quantity
-        const newQuantity = currentQuantity - parseInt(stockOutQuantity);
-        await connection.execute(`
-            UPDATE Spare_Part
-            SET Quantity = ?
-            WHERE Name = ?
-        `, [newQuantity, sparePartName]);
+        for (const count of counts) {
+            const [result] = await connection.execute(
+                'UPDATE Stocktake_Line SET CountedQuantity = ? WHERE StocktakeID = ? AND PartID = ?',
+                [count.countedQuantity, id, count.partId]
+            );
+
+            if (result.affectedRows === 0) {
+                await connection.rollback();
+                return res.status(400).json({
+                    error: 'A counted part is not on this stocktake'
+                });
+            }
+        }
 
         await connection.commit();
 
-        res.status(201).json({
+        res.json({
             success: true,
-            message: 'Stock out record added successfully',
-            data: {
-                sparePartName,
-                stockOutQuantity,
-                stockOutUnitPrice,
-                stockOutDate,
-                newTotalQuantity: newQuantity
-            }
+            message: `${counts.length} counts saved`
         });
 
     } catch (error) {
         await connection.rollback();
-        console.error('Add stock out record error:', error);
+        console.error('Save stocktake counts error:', error);
         res.status(500).json({
-            error: 'Failed to add stock out record'
+            error: 'Failed to save counts'
         });
     } finally {
         connection.release();
     }
 });
 
-// Update stock out record
-app.put('/api/stock-out/:id', requireAuth, async (req, res) => {
+// Post a stocktake - every counted part whose count differs from the system quantity gets an adjustment
+// that brings the location to the counted quantity. Parts left uncounted are not changed
+app.post('/api/stocktakes/:id/post', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
     const connection = await pool.getConnection();
 
     try {
         await connection.beginTransaction();
 
         const { id } = req.params;
-        const { stockOutQuantity, stockOutUnitPrice, stockOutDate } = req.body;
 
-        if (!stockOutQuantity || !stockOutUnitPrice || !stockOutDate) {
-            return res.status(400).json({
-                error: 'Quantity, unit price, and date are required'
+        const before = await getAuditSnapshot(connection, 'Stocktake', id);
+
+        if (!before) {
+            return res.status(404).json({
+                error: 'Stocktake not found'
             });
         }
 
-        if (stockOutQuantity <= 0 || stockOutUnitPrice < 0) {
+        if (before.Status !== 'OPEN') {
             return res.status(400).json({
-                error: 'Stock out quantity must be positive and unit price must be non-negative'
+                error: 'This stocktake has already been closed'
             });
         }
 
-        // Get current stock out record
-        const [currentRecords] = await connection.execute(
-            'SELECT SparePartName, StockOutQuantity FROM Stock_Out WHERE StockOutID = ?',
+        const [lines] = await connection.execute(
+            `SELECT sl.PartID, sp.Name as SparePartName, sl.CountedQuantity
+            FROM Stocktake_Line sl
+            JOIN Spare_Part sp ON sl.PartID = sp.PartID
+            WHERE sl.StocktakeID = ? AND sl.CountedQuantity IS NOT NULL`,
             [id]
         );
 
-        if (currentRecords.length === 0) {
-            return res.status(404).json({
-                error: 'Stock out record not found'
+        if (lines.length === 0) {
+            return res.status(400).json({
+                error: 'Count at least one part before posting'
             });
         }
 
-        const { SparePartName, StockOutQuantity: oldQuantity } = currentRecords[0];
+        const unitCosts = await getUnitCosts(connection);
+        let adjustmentCount = 0;
+        // A count records what is physically on the shelf, so it is posted even when it falls
+        // below what reservations hold. Those parts are reported so the reservations can be reviewed
+        const shortReservations = [];
 
-        // Get current spare part quantity
-        const [spareParts] = await connection.execute(
-            'SELECT Quantity FROM Spare_Part WHERE Name = ?',
-            [SparePartName]
-        );
+        for (const line of lines) {
+            const systemQuantity = await getLocationQuantity(connection, line.PartID, before.LocationID);
+            const variance = line.CountedQuantity - systemQuantity;
 
-        const currentSparePartQuantity = spareParts[0].Quantity;
+            await connection.execute(
+                'UPDATE Stocktake_Line SET SystemQuantity = ? WHERE StocktakeID = ? AND PartID = ?',
+                [systemQuantity, id, line.PartID]
+            );
 
-        // Calculate new spare part quantity
-        const quantityDifference = oldQuantity - parseInt(stockOutQuantity);
-        const newSparePartQuantity = currentSparePartQuantity + quantityDifference;
+            if (variance === 0) {
+                continue;
+            }
 
-        if (newSparePartQuantity < 0) {
-            return res.status(400).json({
-                error: 'Cannot increase stock out quantity: insufficient stock available'
+            const [result] = await connection.execute(`
+                INSERT INTO Stock_Adjustment
+                    (PartID, LocationID, StocktakeID, AdjustmentQuantity, UnitCost, AdjustmentDate, Reason, CreatedBy)
+                VALUES (?, ?, ?, ?, ?, CURDATE(), ?, ?)
+            `, [
+                line.PartID, before.LocationID, id, variance, (unitCosts.get(line.PartID) || 0).toFixed(2),
+                `Stocktake #${id}`, req.user.username
+            ]);
+
+            await changeLocationQuantity(connection, line.PartID, before.LocationID, variance);
+            await connection.execute(
+                'UPDATE Spare_Part SET Quantity = Quantity + ? WHERE PartID = ?',
+                [variance, line.PartID]
+            );
+
+            await writeAuditLog(connection, req, {
+                entity: 'Stock_Adjustment',
+                entityId: result.insertId,
+                action: 'create',
+                after: await getAuditSnapshot(connection, 'Stock_Adjustment', result.insertId)
             });
+            adjustmentCount++;
+
+            if (variance < 0 && line.CountedQuantity < await getReservedQuantity(connection, line.PartID, before.LocationID)) {
+                shortReservations.push(line.SparePartName);
+            }
         }
 
-        // Update stock out record
-        await connection.execute(`
-            UPDATE Stock_Out
-            SET StockOutQuantity = ?, StockOutUnitPrice = ?, StockOutDate = ?
-            WHERE StockOutID = ?
-        `, [stockOutQuantity, stockOutUnitPrice, stockOutDate, id]);
+        await connection.execute(
+            "UPDATE Stocktake SET Status = 'POSTED', PostedBy = ?, PostedAt = NOW() WHERE StocktakeID = ?",
+            [req.user.username, id]
+        );
 
-        // Update spare part quantity
-        await connection.execute(`
-            UPDATE Spare_Part
-            SET Quantity = ?
-            WHERE Name = ?
-        `, [newSparePartQuantity, SparePartName]);
+        await writeAuditLog(connection, req, {
+            entity: 'Stocktake',
+            entityId: id,
+            action: 'update',
+            before,
+            after: await getAuditSnapshot(connection, 'Stocktake', id)
+        });
 
         await connection.commit();
 
         res.json({
             success: true,
-            message: 'Stock out record updated successfully'
+            message: (adjustmentCount > 0
+                ? `Stocktake posted with ${adjustmentCount} adjustments`
+                : 'Stocktake posted. Every count matched the system quantity') +
+                (shortReservations.length > 0
+                    ? `. Reservations now hold more than is in stock for: ${shortReservations.join(', ')}`
+                    : '')
         });
 
     } catch (error) {
         await connection.rollback();
-        console.error('Update stock out record error:', error);
+        console.error('Post stocktake error:', error);
         res.status(500).json({
-            error: 'Failed to update stock out record'
+            error: 'Failed to post stocktake'
         });
     } finally {
         connection.release();
     }
 });
 
-// Delete stock out record
-app.delete('/api/stock-out/:id', requireAuth, async (req, res) => {
+// Cancel an open stocktake - nothing is adjusted and the count sheet is kept for reference
+app.post('/api/stocktakes/:id/cancel', requireAuth, requireRole(ROLES.ADMIN, ROLES.STOREKEEPER), async (req, res) => {
     const connection = await pool.getConnection();
 
     try {
@@ -916,62 +9838,124 @@ app.delete('/api/stock-out/:id', requireAuth, async (req, res) => {
 
         const { id } = req.params;
 
-        // Get stock out record to delete
-        const [records] = await connection.execute(
-            'SELECT SparePartName, StockOutQuantity FROM Stock_Out WHERE StockOutID = ?',
-            [id]
-        );
+        const before = await getAuditSnapshot(connection, 'Stocktake', id);
 
-        if (records.length === 0) {
+        if (!before) {
             return res.status(404).json({
-                error: 'Stock out record not found'
+                error: 'Stocktake not found'
             });
         }
 
-        const { SparePartName, StockOutQuantity } = records[0];
-
-        // Get current spare part quantity
-        const [spareParts] = await connection.execute(
-            'SELECT Quantity FROM Spare_Part WHERE Name = ?',
-            [SparePartName]
-        );
-
-        const currentQuantity = spareParts[0].Quantity;
-        const newQuantity = currentQuantity + StockOutQuantity;
+        if (before.Status !== 'OPEN') {
+            return res.status(400).json({
+                error: 'This stocktake has already been closed'
+            });
+        }
 
-        // Delete stock out record
-        await connection.execute('DELETE FROM Stock_Out WHERE StockOutID = ?', [id]);
+        await connection.execute("UPDATE Stocktake SET Status = 'CANCELLED' WHERE StocktakeID = ?", [id]);
 
-        // Update spare part quantity (add back the stock out quantity)
-        await connection.execute(`
-            UPDATE Spare_Part
-            SET Quantity = ?
-            WHERE Name = ?
-        `, [newQuantity, SparePartName]);
+        await writeAuditLog(connection, req, {
+            entity: 'Stocktake',
+            entityId: id,
+            action: 'update',
+            before,
+            after: await getAuditSnapshot(connection, 'Stocktake', id)
+        });
 
         await connection.commit();
 
         res.json({
             success: true,
-            message: 'Stock out record deleted successfully'
+            message: `Stocktake #${id} cancelled`
         });
 
     } catch (error) {
         await connection.rollback();
-        console.error('Delete stock out record error:', error);
+        console.error('Cancel stocktake error:', error);
         res.status(500).json({
-            error: 'Failed to delete stock out record'
+            error: 'Failed to cancel stocktake'
         });
     } finally {
         connection.release();
     }
 });
 
+// AUDIT LOG ROUTES
+// Get audit log entries, optionally filtered by user, entity and date range
+app.get('/api/audit-log', requireAuth, requireRole(ROLES.ADMIN, ROLES.AUDITOR), async (req, res) => {
+    try {
+        const { userId, entity, startDate, endDate } = req.query;
+
+        const conditions = [];
+        const params = [];
+
+        if (userId) {
+            conditions.push('UserID = ?');
+            params.push(userId);
+        }
+        if (entity) {
+            conditions.push('Entity = ?');
+            params.push(entity);
+        }
+        if (startDate) {
+            conditions.push('DATE(CreatedAt) >= ?');
+            params.push(startDate);
+        }
+        if (endDate) {
+            conditions.push('DATE(CreatedAt) <= ?');
+            params.push(endDate);
+        }
+
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const [rows] = await pool.execute(`
+            SELECT AuditID, UserID, Username, Entity, EntityID, Action, OldValues, NewValues, CreatedAt
+            FROM Audit_Log
+            ${whereClause}
+            ORDER BY CreatedAt DESC, AuditID DESC
+            LIMIT 1000
+        `, params);
+
+        res.json({
+            success: true,
+            data: rows
+        });
+
+    } catch (error) {
+        console.error('Get audit log error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch audit log'
+        });
+    }
+});
+
+// Get the users that appear in the audit log (for the user filter)
+app.get('/api/audit-log/users', requireAuth, requireRole(ROLES.ADMIN, ROLES.AUDITOR), async (req, res) => {
+    try {
+        const [rows] = await pool.execute(`
+            SELECT DISTINCT UserID, Username
+            FROM Audit_Log
+            ORDER BY Username
+        `);
+
+        res.json({
+            success: true,
+            data: rows
+        });
+
+    } catch (error) {
+        console.error('Get audit log users error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch audit log users'
+        });
+    }
+});
+
 // REPORTS ROUTES
 // Get daily stock out report
 app.get('/api/reports/daily-stock-out', requireAuth, async (req, res) => {
     try {
-        const { date } = req.query;
+        const { date, createdBy, customerId } = req.query;
 
         // Use provided date or current date
         const reportDate = date || new Date().toISOString().split('T')[0];
@@ -979,33 +9963,118 @@ app.get('/api/reports/daily-stock-out', requireAuth, async (req, res) => {
         const [rows] = await pool.execute(`
             SELECT
                 so.StockOutID,
-                so.SparePartName,
-                sp.Category,
+                so.PartID,
+                sp.Name as SparePartName,
+                c.Name as Category,
                 so.StockOutQuantity,
                 so.StockOutUnitPrice,
                 so.StockOutTotalPrice,
                 so.StockOutDate,
+                so.CustomerID,
+                cu.Name as CustomerName,
+                so.LocationID,
+                l.Name as LocationName,
+                so.CreatedBy,
+                so.UpdatedBy,
                 so.CreatedAt
             FROM Stock_Out so
-            LEFT JOIN Spare_Part sp ON so.SparePartName = sp.Name
+            LEFT JOIN Spare_Part sp ON so.PartID = sp.PartID
+            LEFT JOIN Category c ON sp.CategoryID = c.CategoryID
+            LEFT JOIN Customer cu ON so.CustomerID = cu.CustomerID
+            LEFT JOIN Location l ON so.LocationID = l.LocationID
             WHERE DATE(so.StockOutDate) = ?
             ORDER BY so.CreatedAt DESC
         `, [reportDate]);
 
+        // Customer returns made that day are listed separately and credited at the price they were issued at
+        const [returnRows] = await pool.execute(`
+            SELECT
+                r.ReturnID,
+                r.StockOutID,
+                r.PartID,
+                sp.Name as SparePartName,
+                r.ReturnQuantity,
+                so.StockOutUnitPrice,
+                r.ReturnQuantity * so.StockOutUnitPrice as ReturnValue,
+                r.Disposition,
+                r.Reason,
+                so.CustomerID,
+                cu.Name as CustomerName,
+                l.Name as LocationName,
+                r.CreatedBy,
+                r.CreatedAt
+            FROM Stock_Return r
+            JOIN Stock_Out so ON r.StockOutID = so.StockOutID
+            JOIN Spare_Part sp ON r.PartID = sp.PartID
+            JOIN Location l ON r.LocationID = l.LocationID
+            LEFT JOIN Customer cu ON so.CustomerID = cu.CustomerID
+            WHERE r.ReturnType = 'CUSTOMER' AND r.ReturnDate = ?
+            ORDER BY r.CreatedAt DESC
+        `, [reportDate]);
+
+        // customerId=none selects stock issued without a customer
+        const getCustomerKey = row => (row.CustomerID ? String(row.CustomerID) : 'none');
+        const matchesUser = row => !createdBy || (row.CreatedBy || UNKNOWN_USER) === createdBy;
+        const matchesCustomer = row => !customerId || getCustomerKey(row) === String(customerId);
+
+        // Subtotal per issuing user across the whole day, so the filter can list everyone.
+        // Only the customer filter applies, and the other way round for customer subtotals
+        const userSubtotals = Object.values(rows.filter(matchesCustomer).reduce((groups, row) => {
+            const user = row.CreatedBy || UNKNOWN_USER;
+            groups[user] = groups[user] || { createdBy: user, totalRecords: 0, totalQuantity: 0, totalValue: 0 };
+            groups[user].totalRecords += 1;
+            groups[user].totalQuantity += row.StockOutQuantity;
+            groups[user].totalValue += parseFloat(row.StockOutTotalPrice);
+            return groups;
+        }, {}))
+            .map(group => ({ ...group, totalValue: group.totalValue.toFixed(2) }))
+            .sort((a, b) => a.createdBy.localeCompare(b.createdBy));
+
+        const customerSubtotals = Object.values(rows.filter(matchesUser).reduce((groups, row) => {
+            const key = getCustomerKey(row);
+            groups[key] = groups[key] || {
+                customerId: key,
+                customerName: row.CustomerName || NO_CUSTOMER,
+                totalRecords: 0,
+                totalQuantity: 0,
+                totalValue: 0
+            };
+            groups[key].totalRecords += 1;
+            groups[key].totalQuantity += row.StockOutQuantity;
+            groups[key].totalValue += parseFloat(row.StockOutTotalPrice);
+            return groups;
+        }, {}))
+            .map(group => ({ ...group, totalValue: group.totalValue.toFixed(2) }))
+            .sort((a, b) => a.customerName.localeCompare(b.customerName));
+
+        const records = rows.filter(row => matchesUser(row) && matchesCustomer(row));
+        const returns = returnRows.filter(row => matchesUser(row) && matchesCustomer(row));
+
         // Calculate totals
-        const totalQuantity = rows.reduce((sum, row) => sum + row.StockOutQuantity, 0);
-        const totalValue = rows.reduce((sum, row) => sum + parseFloat(row.StockOutTotalPrice), 0);
+        const totalQuantity = records.reduce((sum, row) => sum + row.StockOutQuantity, 0);
+        const totalValue = records.reduce((sum, row) => sum + parseFloat(row.StockOutTotalPrice), 0);
+        const returnedQuantity = returns.reduce((sum, row) => sum + row.ReturnQuantity, 0);
+        const returnedValue = returns.reduce((sum, row) => sum + parseFloat(row.ReturnValue), 0);
 
         res.json({
             success: true,
             data: {
                 reportDate,
-                records: rows,
+                createdBy: createdBy || null,
+                customerId: customerId || null,
+                records,
+                returns,
                 summary: {
-                    totalRecords: rows.length,
+                    totalRecords: records.length,
                     totalQuantity,
-                    totalValue: totalValue.toFixed(2)
-                }
+                    totalValue: totalValue.toFixed(2),
+                    totalReturns: returns.length,
+                    returnedQuantity,
+                    returnedValue: returnedValue.toFixed(2),
+                    netValue: (totalValue - returnedValue).toFixed(2)
+                },
+                userSubtotals,
+                customerSubtotals
             }
         });
 
@@ -1017,76 +10086,308 @@ app.get('/api/reports/daily-stock-out', requireAuth, async (req, res) => {
     }
 });
 
-// Get stock status report
+// Cost of one unit of each part's stock on hand, keyed by PartID, using the part's costing method.
+// Weighted average spreads the cost of every receipt over all units received. FIFO assumes the
+// oldest units leave first, so stock on hand is what remains of the latest receipts. Receipts
+// without a recorded cost, and opening stock, are valued at the average of the costed receipts,
+// or at the selling price when the part has none. Receipts are totalled per part in SQL, so this
+// stays cheap however long the receipt history grows
+const getUnitCosts = async (connection) => {
+    // Units sent back to the supplier no longer count towards their receipt. NewerQuantity is what
+    // was received after each receipt, which tells how much of it is still on hand under FIFO
+    const [parts] = await connection.execute(`
+        SELECT
+            sp.PartID,
+            sp.Quantity,
+            sp.UnitPrice,
+            sp.CostingMethod,
+            COALESCE(SUM(CASE WHEN receipt.UnitCost IS NOT NULL THEN receipt.NetQuantity END), 0) as CostedQuantity,
+            COALESCE(SUM(CASE WHEN receipt.UnitCost IS NOT NULL
+                THEN receipt.NetQuantity * receipt.UnitCost END), 0) as CostedValue,
+            COALESCE(SUM(CASE WHEN receipt.UnitCost IS NOT NULL
+                THEN GREATEST(0, LEAST(receipt.NetQuantity, sp.Quantity - receipt.NewerQuantity)) END), 0)
+                as OnHandCostedQuantity,
+            COALESCE(SUM(CASE WHEN receipt.UnitCost IS NOT NULL
+                THEN GREATEST(0, LEAST(receipt.NetQuantity, sp.Quantity - receipt.NewerQuantity)) * receipt.UnitCost END), 0)
+                as OnHandCostedValue
+        FROM Spare_Part sp
+        LEFT JOIN (
+            SELECT
+                si.PartID,
+                si.UnitCost,
+                CAST(si.StockInQuantity - COALESCE(returned.ReturnedQuantity, 0) AS SIGNED) as NetQuantity,
+                COALESCE(SUM(CAST(si.StockInQuantity - COALESCE(returned.ReturnedQuantity, 0) AS SIGNED)) OVER (
+                    PARTITION BY si.PartID
+                    ORDER BY si.StockInDate DESC, si.StockInID DESC
+                    ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING
+                ), 0) as NewerQuantity
+            FROM Stock_In si
+            LEFT JOIN (
+                SELECT StockInID, SUM(ReturnQuantity) as ReturnedQuantity
+                FROM Stock_Return
+                WHERE StockInID IS NOT NULL
+                GROUP BY StockInID
+            ) returned ON si.StockInID = returned.StockInID
+        ) receipt ON sp.PartID = receipt.PartID
+        GROUP BY sp.PartID, sp.Quantity, sp.UnitPrice, sp.CostingMethod
+    `);
+
+    const unitCosts = new Map();
+    for (const part of parts) {
+        const costedQuantity = parseFloat(part.CostedQuantity);
+        const averageCost = costedQuantity > 0
+            ? parseFloat(part.CostedValue) / costedQuantity
+            : parseFloat(part.UnitPrice);
+        let unitCost = averageCost;
+
+        // Stock on hand not covered by a costed receipt is valued at the average cost
+        if (part.CostingMethod === 'FIFO' && part.Quantity > 0) {
+            const uncostedQuantity = part.Quantity - parseFloat(part.OnHandCostedQuantity);
+            unitCost = (parseFloat(part.OnHandCostedValue) + uncostedQuantity * averageCost) / part.Quantity;
+        }
+
+        unitCosts.set(part.PartID, unitCost);
+    }
+
+    return unitCosts;
+};
+
+// Roll part quantities and values up the category tree. Returns one row per category in
+// tree order, with Depth for indenting; totals include every subcategory below it
+const buildCategoryRollup = (categories, parts) => {
+    const childrenByParent = new Map();
+    for (const category of categories) {
+        const siblings = childrenByParent.get(category.ParentID) || [];
+        siblings.push(category);
+        childrenByParent.set(category.ParentID, siblings);
+    }
+
+    const rollup = [];
+    const visit = (category, depth) => {
+        const ownParts = parts.filter(part => part.CategoryID === category.CategoryID);
+        const row = {
+            CategoryID: category.CategoryID,
+            Name: category.Name,
+            ParentID: category.ParentID,
+            Depth: depth,
+            PartCount: ownParts.filter(part => !part.ArchivedAt).length,
+            TotalQuantity: ownParts.reduce((sum, part) => sum + part.CurrentQuantity, 0),
+            TotalValue: ownParts.reduce((sum, part) => sum + parseFloat(part.TotalPrice || 0), 0)
+        };
+        rollup.push(row);
+
+        for (const child of childrenByParent.get(category.CategoryID) || []) {
+            const childRow = visit(child, depth + 1);
+            row.PartCount += childRow.PartCount;
+            row.TotalQuantity += childRow.TotalQuantity;
+            row.TotalValue += childRow.TotalValue;
+        }
+        return row;
+    };
+    for (const root of childrenByParent.get(null) || []) {
+        visit(root, 0);
+    }
+
+    return rollup.map(row => ({ ...row, TotalValue: row.TotalValue.toFixed(2) }));
+};
+
+// Get stock status report - for one location with ?locationId=, otherwise across all locations
 app.get('/api/reports/stock-status', requireAuth, async (req, res) => {
     try {
+        const locationId = req.query.locationId || null;
+
+        if (locationId && !await getAuditSnapshot(pool, 'Location', locationId)) {
+            return res.status(404).json({
+                error: 'Location not found'
+            });
+        }
+
+        // Movements between locations only count when looking at a single location
         const [rows] = await pool.execute(`
             SELECT
+                sp.PartID,
                 sp.Name as SparePartName,
-                sp.Category,
-                sp.Quantity as CurrentQuantity,
+                sp.CategoryID,
+                c.Name as Category,
+                ${locationId ? 'COALESCE(pl.Quantity, 0)' : 'sp.Quantity'} as CurrentQuantity,
+                sp.Quantity as PartQuantity,
                 sp.UnitPrice,
+                sp.ReorderPoint,
+                sp.MinLevel,
+                sp.MaxLevel,
+                sp.CostingMethod,
+                sp.ArchivedAt,
                 COALESCE(stock_in_summary.TotalStockIn, 0) as TotalStockIn,
                 COALESCE(stock_out_summary.TotalStockOut, 0) as TotalStockOut,
+                COALESCE(transfer_in_summary.TotalTransferIn, 0) as TotalTransferIn,
+                COALESCE(transfer_out_summary.TotalTransferOut, 0) as TotalTransferOut,
+                COALESCE(adjustment_summary.TotalAdjustment, 0) as TotalAdjustment,
+                COALESCE(return_summary.TotalCustomerReturn, 0) as TotalCustomerReturn,
+                COALESCE(return_summary.TotalSupplierReturn, 0) as TotalSupplierReturn,
+                COALESCE(reservation_summary.ReservedQuantity, 0) as ReservedQuantity,
                 sp.CreatedAt,
                 sp.UpdatedAt
             FROM Spare_Part sp
+            JOIN Category c ON sp.CategoryID = c.CategoryID
+            LEFT JOIN Part_Location pl ON sp.PartID = pl.PartID AND pl.LocationID = ?
             LEFT JOIN (
                 SELECT
-                    SparePartName,
+                    PartID,
                     SUM(StockInQuantity) as TotalStockIn
                 FROM Stock_In
-                GROUP BY SparePartName
-            ) stock_in_summary ON sp.Name = stock_in_summary.SparePartName
+                WHERE ? IS NULL OR LocationID = ?
+                GROUP BY PartID
+            ) stock_in_summary ON sp.PartID = stock_in_summary.PartID
             LEFT JOIN (
                 SELECT
-                    SparePartName,
+                    PartID,
                     SUM(StockOutQuantity) as TotalStockOut
                 FROM Stock_Out
-                GROUP BY SparePartName
-            ) stock_out_summary ON sp.Name = stock_out_summary.SparePartName
+                WHERE ? IS NULL OR LocationID = ?
+                GROUP BY PartID
+            ) stock_out_summary ON sp.PartID = stock_out_summary.PartID
+            LEFT JOIN (
+                SELECT
+                    PartID,
+                    SUM(TransferQuantity) as TotalTransferIn
+                FROM Stock_Transfer
+                WHERE ToLocationID = ?
+                GROUP BY PartID
+            ) transfer_in_summary ON sp.PartID = transfer_in_summary.PartID
+            LEFT JOIN (
+                SELECT
+                    PartID,
+                    SUM(TransferQuantity) as TotalTransferOut
+                FROM Stock_Transfer
+                WHERE FromLocationID = ?
+                GROUP BY PartID
+            ) transfer_out_summary ON sp.PartID = transfer_out_summary.PartID
+            LEFT JOIN (
+                SELECT
+                    PartID,
+                    SUM(AdjustmentQuantity) as TotalAdjustment
+                FROM Stock_Adjustment
+                WHERE ? IS NULL OR LocationID = ?
+                GROUP BY PartID
+            ) adjustment_summary ON sp.PartID = adjustment_summary.PartID
+            LEFT JOIN (
+                SELECT
+                    PartID,
+                    SUM(CASE WHEN ReturnType = 'CUSTOMER' AND Disposition = 'RESTOCK' THEN ReturnQuantity ELSE 0 END)
+                        as TotalCustomerReturn,
+                    SUM(CASE WHEN ReturnType = 'SUPPLIER' THEN ReturnQuantity ELSE 0 END) as TotalSupplierReturn
+                FROM Stock_Return
+                WHERE ? IS NULL OR LocationID = ?
+                GROUP BY PartID
+            ) return_summary ON sp.PartID = return_summary.PartID
+            LEFT JOIN (
+                SELECT
+                    PartID,
+                    SUM(ReservedQuantity) as ReservedQuantity
+                FROM (${RESERVED_QUANTITIES_SQL}) reserved_by_location
+                WHERE ? IS NULL OR LocationID = ?
+                GROUP BY PartID
+            ) reservation_summary ON sp.PartID = reservation_summary.PartID
             ORDER BY sp.Name
-        `);
+        `, [
+            locationId, locationId, locationId, locationId, locationId, locationId, locationId, locationId, locationId,
+            locationId, locationId, locationId, locationId
+        ]);
 
-        // Calculate current total value for each item and add initial quantity calculation
-        const processedRows = rows.map(row => {
+        const unitCosts = await getUnitCosts(pool);
+
+        // Calculate current retail and cost value for each item and add initial quantity calculation
+        const allRows = rows.map(row => {
             const currentQuantity = Math.max(0, row.CurrentQuantity); // Ensure non-negative
             const totalPrice = currentQuantity * parseFloat(row.UnitPrice || 0);
-
-            // Calculate initial quantity: Current + Stock Out - Stock In
-            const initialQuantity = currentQuantity + row.TotalStockOut - row.TotalStockIn;
+            const unitCost = unitCosts.get(row.PartID) || 0;
+            const totalStockIn = parseInt(row.TotalStockIn);
+            const totalStockOut = parseInt(row.TotalStockOut);
+            const totalTransferIn = parseInt(row.TotalTransferIn);
+            const totalTransferOut = parseInt(row.TotalTransferOut);
+            const totalAdjustment = parseInt(row.TotalAdjustment);
+            const totalCustomerReturn = parseInt(row.TotalCustomerReturn);
+            const totalSupplierReturn = parseInt(row.TotalSupplierReturn);
+            const reservedQuantity = parseInt(row.ReservedQuantity);
+
+            // Calculate initial quantity: Current + Stock Out - Stock In - Adjustments, with restocked customer returns
+            // and supplier returns undone, less transfers at a single location
+            const initialQuantity = currentQuantity + totalStockOut - totalStockIn - totalAdjustment -
+                totalCustomerReturn + totalSupplierReturn + totalTransferOut - totalTransferIn;
 
             return {
                 ...row,
+                TotalStockIn: totalStockIn,
+                TotalStockOut: totalStockOut,
+                TotalTransferIn: totalTransferIn,
+                TotalTransferOut: totalTransferOut,
+                TotalAdjustment: totalAdjustment,
+                TotalCustomerReturn: totalCustomerReturn,
+                TotalSupplierReturn: totalSupplierReturn,
+                ReservedQuantity: reservedQuantity,
+                AvailableQuantity: Math.max(0, currentQuantity - reservedQuantity),
                 InitialQuantity: Math.max(0, initialQuantity), // Ensure non-negative
                 CurrentQuantity: currentQuantity,
-                TotalPrice: totalPrice.toFixed(2)
+                TotalPrice: totalPrice.toFixed(2),
+                UnitCost: unitCost.toFixed(2),
+                CostValue: (currentQuantity * unitCost).toFixed(2),
+                // Reorder levels are set per part, so they are checked against stock across all locations
+                IsLowStock: !row.ArchivedAt && isLowStock(row.PartQuantity, row),
+                IsBelowMinimum: !row.ArchivedAt && isBelowMinimum(row.PartQuantity, row),
+                SuggestedReorderQuantity: row.ArchivedAt ? 0 : getSuggestedReorderQuantity(row.PartQuantity, row)
             };
         });
 
-        // Calculate overall summary
-        const totalParts = processedRows.length;
+        // A single location only lists the parts it holds or has moved
+        const processedRows = locationId
+            ? allRows.filter(row => row.CurrentQuantity > 0 || row.TotalStockIn > 0 || row.TotalStockOut > 0 ||
+                row.TotalTransferIn > 0 || row.TotalTransferOut > 0 || row.TotalAdjustment !== 0 ||
+                row.TotalCustomerReturn > 0 || row.TotalSupplierReturn > 0 || row.ReservedQuantity > 0)
+            : allRows;
+
+        // Calculate overall summary; quantities and values still include stock held for archived parts
+        const totalParts = processedRows.filter(row => !row.ArchivedAt).length;
+        const archivedParts = processedRows.length - totalParts;
         const totalCurrentQuantity = processedRows.reduce((sum, row) => sum + row.CurrentQuantity, 0);
         const totalCurrentValue = processedRows.reduce((sum, row) => sum + parseFloat(row.TotalPrice || 0), 0);
+        const totalCostValue = processedRows.reduce((sum, row) => sum + parseFloat(row.CostValue), 0);
         const totalStockIn = processedRows.reduce((sum, row) => sum + row.TotalStockIn, 0);
         const totalStockOut = processedRows.reduce((sum, row) => sum + row.TotalStockOut, 0);
+        const totalCustomerReturns = processedRows.reduce((sum, row) => sum + row.TotalCustomerReturn, 0);
+        const totalSupplierReturns = processedRows.reduce((sum, row) => sum + row.TotalSupplierReturn, 0);
+        const totalReservedQuantity = processedRows.reduce((sum, row) => sum + row.ReservedQuantity, 0);
+
+        // Identify low stock items (below their reorder point), those below their minimum level first;
+        // archived parts are not restocked
+        const lowStockItems = processedRows
+            .filter(row => row.IsLowStock)
+            .sort((a, b) => b.IsBelowMinimum - a.IsBelowMinimum);
 
-        // Identify low stock items (less than 10 units)
-        const lowStockItems = processedRows.filter(row => row.CurrentQuantity < 10);
+        const [categories] = await pool.execute('SELECT CategoryID, Name, ParentID FROM Category ORDER BY Name');
 
         res.json({
             success: true,
             data: {
+                locationId,
                 sparePartStatus: processedRows,
                 summary: {
                     totalParts,
+                    archivedParts,
                     totalCurrentQuantity,
                     totalCurrentValue: totalCurrentValue.toFixed(2),
+                    totalCostValue: totalCostValue.toFixed(2),
                     totalStockIn,
                     totalStockOut,
-                    lowStockItemsCount: lowStockItems.length
+                    totalCustomerReturns,
+                    totalSupplierReturns,
+                    totalReservedQuantity,
+                    totalAvailableQuantity: processedRows.reduce((sum, row) => sum + row.AvailableQuantity, 0),
+                    lowStockItemsCount: lowStockItems.length,
+                    belowMinimumItemsCount: lowStockItems.filter(row => row.IsBelowMinimum).length
                 },
-                lowStockItems
+                lowStockItems,
+                categoryRollup: buildCategoryRollup(categories, processedRows),
+                locationSummary: await getLocationSummaries(pool)
             }
         });
 
@@ -1098,6 +10399,267 @@ app.get('/api/reports/stock-status', requireAuth, async (req, res) => {
     }
 });
 
+// Parts used on work orders, per vehicle and part, optionally limited to ?startDate=, ?endDate= and ?vehiclePlate=.
+// Quantities leave out what the customer has since returned
+app.get('/api/reports/vehicle-consumption', requireAuth, async (req, res) => {
+    try {
+        const { startDate, endDate } = req.query;
+        const vehiclePlate = req.query.vehiclePlate ? normalizeVehiclePlate(req.query.vehiclePlate) : null;
+
+        if ((startDate && !isValidDate(startDate)) || (endDate && !isValidDate(endDate))) {
+            return res.status(400).json({
+                error: 'Dates must be valid dates (YYYY-MM-DD)'
+            });
+        }
+
+        if (startDate && endDate && startDate > endDate) {
+            return res.status(400).json({
+                error: 'Start date cannot be after end date'
+            });
+        }
+
+        const conditions = ['parts.StockOutQuantity > parts.ReturnedQuantity'];
+        const params = [];
+
+        if (startDate) {
+            conditions.push('parts.StockOutDate >= ?');
+            params.push(startDate);
+        }
+        if (endDate) {
+            conditions.push('parts.StockOutDate <= ?');
+            params.push(endDate);
+        }
+        if (vehiclePlate) {
+            conditions.push('wo.VehiclePlate = ?');
+            params.push(vehiclePlate);
+        }
+
+        const [rows] = await pool.execute(`
+            SELECT
+                wo.VehiclePlate,
+                wo.WorkOrderID,
+                parts.PartID,
+                sp.Name as SparePartName,
+                c.Name as Category,
+                DATE_FORMAT(parts.StockOutDate, '%Y-%m-%d') as StockOutDate,
+                parts.StockOutQuantity - parts.ReturnedQuantity as Quantity,
+                (parts.StockOutQuantity - parts.ReturnedQuantity) * parts.StockOutUnitPrice as Value
+            FROM (${WORK_ORDER_PARTS_SQL}) parts
+            JOIN Work_Order wo ON parts.WorkOrderID = wo.WorkOrderID
+            JOIN Spare_Part sp ON parts.PartID = sp.PartID
+            JOIN Category c ON sp.CategoryID = c.CategoryID
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY wo.VehiclePlate, sp.Name
+        `, params);
+
+        // Group the issued lines by vehicle, then by part within each vehicle
+        const vehicles = new Map();
+
+        for (const row of rows) {
+            if (!vehicles.has(row.VehiclePlate)) {
+                vehicles.set(row.VehiclePlate, {
+                    VehiclePlate: row.VehiclePlate,
+                    workOrderIds: new Set(),
+                    parts: new Map(),
+                    TotalQuantity: 0,
+                    TotalValue: 0,
+                    LastIssuedDate: null
+                });
+            }
+
+            const vehicle = vehicles.get(row.VehiclePlate);
+            const value = parseFloat(row.Value);
+
+            if (!vehicle.parts.has(row.PartID)) {
+                vehicle.parts.set(row.PartID, {
+                    PartID: row.PartID,
+                    SparePartName: row.SparePartName,
+                    Category: row.Category,
+                    Quantity: 0,
+                    Value: 0
+                });
+            }
+
+            const part = vehicle.parts.get(row.PartID);
+            part.Quantity += row.Quantity;
+            part.Value += value;
+
+            vehicle.workOrderIds.add(row.WorkOrderID);
+            vehicle.TotalQuantity += row.Quantity;
+            vehicle.TotalValue += value;
+            if (!vehicle.LastIssuedDate || row.StockOutDate > vehicle.LastIssuedDate) {
+                vehicle.LastIssuedDate = row.StockOutDate;
+            }
+        }
+
+        const vehicleConsumption = [...vehicles.values()]
+            .map(({ workOrderIds, parts, ...vehicle }) => ({
+                ...vehicle,
+                WorkOrderCount: workOrderIds.size,
+                parts: [...parts.values()]
+            }))
+            .sort((a, b) => b.TotalValue - a.TotalValue);
+
+        res.json({
+            success: true,
+            data: {
+                startDate: startDate || null,
+                endDate: endDate || null,
+                vehiclePlate,
+                vehicles: vehicleConsumption,
+                summary: {
+                    vehicleCount: vehicleConsumption.length,
+                    workOrderCount: new Set(rows.map(row => row.WorkOrderID)).size,
+                    totalQuantity: vehicleConsumption.reduce((sum, vehicle) => sum + vehicle.TotalQuantity, 0),
+                    totalValue: vehicleConsumption.reduce((sum, vehicle) => sum + vehicle.TotalValue, 0)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get vehicle consumption report error:', error);
+        res.status(500).json({
+            error: 'Failed to generate vehicle consumption report'
+        });
+    }
+});
+
+// Get every movement of one spare part with the balance after each, newest first
+app.get('/api/reports/stock-movement/:id', requireAuth, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { startDate, endDate } = req.query;
+
+        const part = await getAuditSnapshot(pool, 'Spare_Part', id);
+
+        if (!part) {
+            return res.status(404).json({
+                error: 'Spare part not found'
+            });
+        }
+
+        // Transfers don't change the part's total, so they carry a quantity change of 0
+        const [rows] = await pool.execute(`
+            SELECT
+                'STOCK_IN' as MovementType,
+                si.StockInID as ReferenceID,
+                DATE_FORMAT(si.StockInDate, '%Y-%m-%d') as MovementDate,
+                si.StockInQuantity as QuantityChange,
+                l.Name as LocationName,
+                CONCAT_WS(' - ', s.Name, si.InvoiceNumber, CONCAT('PO #', pol.PurchaseOrderID)) as Details,
+                si.CreatedBy,
+                si.CreatedAt
+            FROM Stock_In si
+            JOIN Location l ON si.LocationID = l.LocationID
+            LEFT JOIN Supplier s ON si.SupplierID = s.SupplierID
+            LEFT JOIN Purchase_Order_Line pol ON si.PurchaseOrderLineID = pol.LineID
+            WHERE si.PartID = ?
+            UNION ALL
+            SELECT
+                'STOCK_OUT',
+                so.StockOutID,
+                DATE_FORMAT(so.StockOutDate, '%Y-%m-%d'),
+                -so.StockOutQuantity,
+                l.Name,
+                CONCAT_WS(' - ', cu.Name, d.DocumentNumber, CONCAT('WO #', wo.WorkOrderID, ' ', wo.VehiclePlate)),
+                so.CreatedBy,
+                so.CreatedAt
+            FROM Stock_Out so
+            JOIN Location l ON so.LocationID = l.LocationID
+            LEFT JOIN Customer cu ON so.CustomerID = cu.CustomerID
+            LEFT JOIN Stock_Out_Document d ON so.DocumentID = d.DocumentID
+            LEFT JOIN Work_Order wo ON so.WorkOrderID = wo.WorkOrderID
+            WHERE so.PartID = ?
+            UNION ALL
+            SELECT
+                'TRANSFER',
+                st.TransferID,
+                DATE_FORMAT(st.TransferDate, '%Y-%m-%d'),
+                0,
+                NULL,
+                CONCAT(st.TransferQuantity, ' from ', fl.Name, ' to ', tl.Name),
+                st.CreatedBy,
+                st.CreatedAt
+            FROM Stock_Transfer st
+            JOIN Location fl ON st.FromLocationID = fl.LocationID
+            JOIN Location tl ON st.ToLocationID = tl.LocationID
+            WHERE st.PartID = ?
+            UNION ALL
+            SELECT
+                'ADJUSTMENT',
+                sa.AdjustmentID,
+                DATE_FORMAT(sa.AdjustmentDate, '%Y-%m-%d'),
+                sa.AdjustmentQuantity,
+                l.Name,
+                sa.Reason,
+                sa.CreatedBy,
+                sa.CreatedAt
+            FROM Stock_Adjustment sa
+            JOIN Location l ON sa.LocationID = l.LocationID
+            WHERE sa.PartID = ?
+            UNION ALL
+            SELECT
+                CONCAT(r.ReturnType, '_RETURN'),
+                r.ReturnID,
+                DATE_FORMAT(r.ReturnDate, '%Y-%m-%d'),
+                CASE
+                    WHEN r.ReturnType = 'SUPPLIER' THEN -r.ReturnQuantity
+                    WHEN r.Disposition = 'RESTOCK' THEN r.ReturnQuantity
+                    ELSE 0
+                END,
+                l.Name,
+                CONCAT_WS(' - ',
+                    IF(r.StockOutID IS NULL, CONCAT('Stock in #', r.StockInID), CONCAT('Stock out #', r.StockOutID)),
+                    IF(r.Disposition = 'WRITE_OFF', CONCAT(r.ReturnQuantity, ' written off'), NULL),
+                    r.Reason),
+                r.CreatedBy,
+                r.CreatedAt
+            FROM Stock_Return r
+            JOIN Location l ON r.LocationID = l.LocationID
+            WHERE r.PartID = ?
+            ORDER BY MovementDate DESC, CreatedAt DESC
+        `, [id, id, id, id, id]);
+
+        // Work back from the current quantity so each movement shows the balance it left behind
+        let balance = part.Quantity;
+        const movements = rows.map(row => {
+            const movement = {
+                ...row,
+                QuantityChange: parseInt(row.QuantityChange),
+                BalanceAfter: balance
+            };
+            balance -= movement.QuantityChange;
+            return movement;
+        });
+
+        const filteredMovements = movements.filter(movement =>
+            (!startDate || movement.MovementDate >= startDate) && (!endDate || movement.MovementDate <= endDate)
+        );
+
+        res.json({
+            success: true,
+            data: {
+                part,
+                movements: filteredMovements,
+                summary: {
+                    totalMovements: filteredMovements.length,
+                    totalIn: filteredMovements.filter(movement => movement.QuantityChange > 0)
+                        .reduce((sum, movement) => sum + movement.QuantityChange, 0),
+                    totalOut: filteredMovements.filter(movement => movement.QuantityChange < 0)
+                        .reduce((sum, movement) => sum - movement.QuantityChange, 0),
+                    currentQuantity: part.Quantity
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Stock movement report error:', error);
+        res.status(500).json({
+            error: 'Failed to generate stock movement report'
+        });
+    }
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
     console.error('Error:', err.stack);
@@ -1120,6 +10682,19 @@ const startServer = async () => {
     try {
         await initializeDatabase();
 
+        // Remove expired and idle sessions from the store
+        setInterval(() => {
+            pool.execute(`
+                DELETE FROM User_Session
+                WHERE ExpiresAt <= NOW() OR LastSeenAt <= DATE_SUB(NOW(), INTERVAL ? SECOND)
+            `, [SESSION_IDLE_TIMEOUT / 1000])
+                .catch(error => console.error('Session cleanup error:', error));
+        }, SESSION_CLEANUP_INTERVAL).unref();
+
+        if (!process.env.SESSION_SECRET) {
+            console.warn('SESSION_SECRET is not set - using the built-in development secret');
+        }
+
         app.listen(PORT, () => {
             console.log(`SIMS Backend Server running on port ${PORT}`);
             console.log(`Health check: http://localhost:${PORT}/api/health`);
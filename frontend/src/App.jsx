@@ -1,18 +1,38 @@
 import React, { useState, useEffect } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { authAPI } from './services/api';
+import { canManageUsers, canViewAuditLog } from './utils/permissions';
 
 // Layout Components
 import MainLayout from './components/Layout/MainLayout';
 import Login from './components/Auth/Login';
 import ProtectedRoute from './components/Auth/ProtectedRoute';
+import ResetPassword from './components/Auth/ResetPassword';
+import ForcePasswordChange from './components/Auth/ForcePasswordChange';
+import ForceTwoFactorSetup from './components/Auth/ForceTwoFactorSetup';
 
 // Page Components
 import Dashboard from './components/Dashboard/Dashboard';
 import SparePartsManagement from './components/SpareParts/SparePartsManagement';
+import CategoriesManagement from './components/Categories/CategoriesManagement';
 import StockInManagement from './components/StockIn/StockInManagement';
+import SuppliersManagement from './components/Suppliers/SuppliersManagement';
+import PurchaseOrdersManagement from './components/PurchaseOrders/PurchaseOrdersManagement';
 import StockOutManagement from './components/StockOut/StockOutManagement';
+import KitsManagement from './components/Kits/KitsManagement';
+import WorkOrdersManagement from './components/WorkOrders/WorkOrdersManagement';
+import CustomersManagement from './components/Customers/CustomersManagement';
+import ReturnsManagement from './components/Returns/ReturnsManagement';
+import ReservationsManagement from './components/Reservations/ReservationsManagement';
+import LocationsManagement from './components/Locations/LocationsManagement';
+import TransfersManagement from './components/Transfers/TransfersManagement';
+import StocktakesManagement from './components/Stocktakes/StocktakesManagement';
 import ReportsManagement from './components/Reports/ReportsManagement';
+import UsersManagement from './components/Users/UsersManagement';
+import AuditLog from './components/AuditLog/AuditLog';
+import ActiveSessions from './components/Account/ActiveSessions';
+import ApiTokens from './components/Account/ApiTokens';
+import TwoFactorSettings from './components/Account/TwoFactorSettings';
 
 function App() {
   const [user, setUser] = useState(null);
@@ -47,21 +67,54 @@ function App() {
             }
           />
 
+          <Route
+            path="/reset-password"
+            element={
+              user ? <Navigate to="/" replace /> : <ResetPassword />
+            }
+          />
+
           {/* Protected Routes */}
           <Route
             path="/*"
             element={
               <ProtectedRoute user={user} loading={loading}>
-                <MainLayout user={user} setUser={setUser}>
-                  <Routes>
-                    <Route path="/" element={<Dashboard />} />
-                    <Route path="/spare-parts" element={<SparePartsManagement />} />
-                    <Route path="/stock-in" element={<StockInManagement />} />
-                    <Route path="/stock-out" element={<StockOutManagement />} />
-                    <Route path="/reports" element={<ReportsManagement />} />
-                    <Route path="*" element={<Navigate to="/" replace />} />
-                  </Routes>
-                </MainLayout>
+                {user?.mustChangePassword ? (
+                  <ForcePasswordChange user={user} setUser={setUser} />
+                ) : user?.twoFactorSetupRequired ? (
+                  <ForceTwoFactorSetup user={user} setUser={setUser} />
+                ) : (
+                  <MainLayout user={user} setUser={setUser}>
+                    <Routes>
+                      <Route path="/" element={<Dashboard />} />
+                      <Route path="/spare-parts" element={<SparePartsManagement user={user} />} />
+                      <Route path="/categories" element={<CategoriesManagement user={user} />} />
+                      <Route path="/stock-in" element={<StockInManagement user={user} />} />
+                      <Route path="/suppliers" element={<SuppliersManagement user={user} />} />
+                      <Route path="/purchase-orders" element={<PurchaseOrdersManagement user={user} />} />
+                      <Route path="/stock-out" element={<StockOutManagement user={user} />} />
+                      <Route path="/kits" element={<KitsManagement user={user} />} />
+                      <Route path="/work-orders" element={<WorkOrdersManagement user={user} />} />
+                      <Route path="/customers" element={<CustomersManagement user={user} />} />
+                      <Route path="/returns" element={<ReturnsManagement user={user} />} />
+                      <Route path="/reservations" element={<ReservationsManagement user={user} />} />
+                      <Route path="/locations" element={<LocationsManagement user={user} />} />
+                      <Route path="/transfers" element={<TransfersManagement user={user} />} />
+                      <Route path="/stocktakes" element={<StocktakesManagement user={user} />} />
+                      <Route path="/reports" element={<ReportsManagement />} />
+                      <Route path="/account/sessions" element={<ActiveSessions setUser={setUser} />} />
+                      <Route path="/account/api-tokens" element={<ApiTokens user={user} />} />
+                      <Route path="/account/two-factor" element={<TwoFactorSettings setUser={setUser} />} />
+                      {canViewAuditLog(user) && (
+                        <Route path="/audit-log" element={<AuditLog />} />
+                      )}
+                      {canManageUsers(user) && (
+                        <Route path="/users" element={<UsersManagement user={user} />} />
+                      )}
+                      <Route path="*" element={<Navigate to="/" replace />} />
+                    </Routes>
+                  </MainLayout>
+                )}
               </ProtectedRoute>
             }
           />
@@ -0,0 +1,120 @@
+import React, { useState, useEffect } from 'react';
+import { authAPI } from '../../services/api';
+import SessionList from './SessionList';
+
+const ActiveSessions = ({ setUser }) => {
+    const [sessions, setSessions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    useEffect(() => {
+        fetchSessions();
+    }, []);
+
+    const fetchSessions = async () => {
+        try {
+            const response = await authAPI.getSessions();
+            if (response.data.success) {
+                setSessions(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching sessions:', error);
+            setError('Failed to fetch sessions');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleRevoke = async (session) => {
+        const message = session.IsCurrent
+            ? 'Sign out of this session?'
+            : 'Sign this device out?';
+        if (!window.confirm(message)) {
+            return;
+        }
+
+        setError('');
+        setSuccess('');
+
+        try {
+            const response = await authAPI.revokeSession(session.UserSessionID);
+            if (response.data.success) {
+                if (session.IsCurrent) {
+                    setUser(null);
+                    return;
+                }
+                setSuccess('Session revoked successfully!');
+                fetchSessions();
+            }
+        } catch (error) {
+            console.error('Error revoking session:', error);
+            setError(error.response?.data?.error || 'Failed to revoke session');
+        }
+    };
+
+    const handleRevokeOthers = async () => {
+        if (!window.confirm('Sign out of all other devices?')) {
+            return;
+        }
+
+        setError('');
+        setSuccess('');
+
+        try {
+            const response = await authAPI.revokeOtherSessions();
+            if (response.data.success) {
+                setSuccess(response.data.message);
+                fetchSessions();
+            }
+        } catch (error) {
+            console.error('Error revoking sessions:', error);
+            setError(error.response?.data?.error || 'Failed to revoke sessions');
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="flex items-center justify-center h-64">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-sky-500"></div>
+            </div>
+        );
+    }
+
+    const hasOtherSessions = sessions.some((session) => !session.IsCurrent);
+
+    return (
+        <div className="space-y-6">
+            {/* Page Header */}
+            <div className="flex justify-between items-center">
+                <div>
+                    <h1 className="text-3xl font-bold text-gray-900">Active Sessions</h1>
+                    <p className="text-gray-600">Devices currently signed in to your account</p>
+                </div>
+                {hasOtherSessions && (
+                    <button onClick={handleRevokeOthers} className="btn-danger">
+                        Sign Out Other Devices
+                    </button>
+                )}
+            </div>
+
+            {/* Success/Error Messages */}
+            {error && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg">
+                    {error}
+                </div>
+            )}
+            {success && (
+                <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded-lg">
+                    {success}
+                </div>
+            )}
+
+            <div className="card">
+                <SessionList sessions={sessions} onRevoke={handleRevoke} />
+            </div>
+        </div>
+    );
+};
+
+export default ActiveSessions;
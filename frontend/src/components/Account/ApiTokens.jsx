@@ -0,0 +1,321 @@
+import React, { useState, useEffect } from 'react';
+import { apiTokensAPI } from '../../services/api';
+import { formatDateTime } from '../../utils/formatters';
+import { canManageStock } from '../../utils/permissions';
+
+const SCOPE_LABELS = {
+    read: 'Read only',
+    'stock-write': 'Stock write',
+};
+
+const getTokenStatus = (token) => {
+    if (token.RevokedAt) {
+        return { label: 'Revoked', className: 'bg-gray-100 text-gray-800' };
+    }
+    if (token.ExpiresAt && new Date(token.ExpiresAt) <= new Date()) {
+        return { label: 'Expired', className: 'bg-yellow-100 text-yellow-800' };
+    }
+    return { label: 'Active', className: 'bg-green-100 text-green-800' };
+};
+
+// Personal API tokens for scripts and integrations
+const ApiTokens = ({ user }) => {
+    const [tokens, setTokens] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+    const [showForm, setShowForm] = useState(false);
+    const [newToken, setNewToken] = useState(null);
+    const [formData, setFormData] = useState({
+        name: '',
+        scope: 'read',
+        expiresInDays: ''
+    });
+
+    useEffect(() => {
+        fetchTokens();
+    }, []);
+
+    const fetchTokens = async () => {
+        try {
+            const response = await apiTokensAPI.getAll();
+            if (response.data.success) {
+                setTokens(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching API tokens:', error);
+            setError('Failed to fetch API tokens');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleInputChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({
+            ...prev,
+            [name]: value
+        }));
+    };
+
+    const resetForm = () => {
+        setFormData({ name: '', scope: 'read', expiresInDays: '' });
+        setShowForm(false);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setSuccess('');
+
+        try {
+            const response = await apiTokensAPI.create({
+                name: formData.name,
+                scope: formData.scope,
+                expiresInDays: formData.expiresInDays ? parseInt(formData.expiresInDays) : null
+            });
+            if (response.data.success) {
+                setNewToken(response.data.data);
+                resetForm();
+                fetchTokens();
+            }
+        } catch (error) {
+            console.error('Error creating API token:', error);
+            setError(error.response?.data?.error || 'Failed to create API token');
+        }
+    };
+
+    const handleRevoke = async (token) => {
+        if (!window.confirm(`Revoke token "${token.Name}"? Scripts using it will stop working.`)) {
+            return;
+        }
+
+        setError('');
+        setSuccess('');
+
+        try {
+            const response = await apiTokensAPI.revoke(token.TokenID);
+            if (response.data.success) {
+                setSuccess('API token revoked successfully!');
+                fetchTokens();
+            }
+        } catch (error) {
+            console.error('Error revoking API token:', error);
+            setError(error.response?.data?.error || 'Failed to revoke API token');
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="flex items-center justify-center h-64">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-sky-500"></div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            {/* Page Header */}
+            <div className="flex justify-between items-center">
+                <div>
+                    <h1 className="text-3xl font-bold text-gray-900">API Tokens</h1>
+                    <p className="text-gray-600">
+                        Tokens let scripts call the API with <code>Authorization: Bearer &lt;token&gt;</code>
+                    </p>
+                </div>
+                <button
+                    onClick={() => setShowForm(!showForm)}
+                    className="btn-primary"
+                >
+                    {showForm ? 'Cancel' : 'Create Token'}
+                </button>
+            </div>
+
+            {/* Success/Error Messages */}
+            {error && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg">
+                    {error}
+                </div>
+            )}
+            {success && (
+                <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded-lg">
+                    {success}
+                </div>
+            )}
+
+            {/* New Token - only shown once */}
+            {newToken && (
+                <div className="card border border-yellow-400 bg-yellow-50">
+                    <div className="flex justify-between items-start">
+                        <div>
+                            <h2 className="text-lg font-semibold text-gray-900">Token "{newToken.name}" created</h2>
+                            <p className="text-sm text-gray-700 mb-3">
+                                Copy it now. It will not be shown again.
+                            </p>
+                        </div>
+                        <button
+                            onClick={() => setNewToken(null)}
+                            className="text-sm text-gray-600 hover:text-gray-900"
+                        >
+                            Dismiss
+                        </button>
+                    </div>
+                    <div className="font-mono text-sm bg-white border border-gray-300 rounded-lg px-3 py-2 break-all">
+                        {newToken.token}
+                    </div>
+                </div>
+            )}
+
+            {/* Create Form */}
+            {showForm && (
+                <div className="card">
+                    <h2 className="text-xl font-semibold mb-4">Create API Token</h2>
+                    <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                                Name *
+                            </label>
+                            <input
+                                type="text"
+                                name="name"
+                                value={formData.name}
+                                onChange={handleInputChange}
+                                className="input-field"
+                                placeholder="e.g. Nightly export script"
+                                maxLength={100}
+                                required
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                                Scope *
+                            </label>
+                            <select
+                                name="scope"
+                                value={formData.scope}
+                                onChange={handleInputChange}
+                                className="input-field"
+                            >
+                                <option value="read">{SCOPE_LABELS.read}</option>
+                                {canManageStock(user) && (
+                                    <option value="stock-write">{SCOPE_LABELS['stock-write']}</option>
+                                )}
+                            </select>
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                                Expires In (days)
+                            </label>
+                            <input
+                                type="number"
+                                name="expiresInDays"
+                                value={formData.expiresInDays}
+                                onChange={handleInputChange}
+                                className="input-field"
+                                placeholder="Never"
+                                min="1"
+                            />
+                        </div>
+                        <div className="md:col-span-3 text-sm text-gray-600">
+                            Read-only tokens can fetch data. Stock-write tokens can also record, edit and
+                            delete stock movements (stock in, stock out, documents, transfers and returns),
+                            issue kits and receive purchase orders, within the limits of your role.
+                        </div>
+                        <div className="md:col-span-3 flex justify-end space-x-2">
+                            <button type="button" onClick={resetForm} className="btn-secondary">
+                                Cancel
+                            </button>
+                            <button type="submit" className="btn-primary">
+                                Create Token
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            )}
+
+            {/* Tokens Table */}
+            <div className="card">
+                {tokens.length === 0 ? (
+                    <p className="text-gray-500 text-center py-4">No API tokens created yet</p>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-sky-600 text-white">
+                                <tr>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Name
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Token
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Scope
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Created
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Last Used
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Expires
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Status
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Actions
+                                    </th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {tokens.map((token) => {
+                                    const status = getTokenStatus(token);
+                                    return (
+                                        <tr key={token.TokenID} className="table-row">
+                                            <td className="px-6 py-4 whitespace-nowrap font-medium text-gray-900">
+                                                {token.Name}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-900">
+                                                {token.TokenPrefix}...
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                {SCOPE_LABELS[token.Scope] || token.Scope}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                {formatDateTime(token.CreatedAt)}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                {token.LastUsedAt ? formatDateTime(token.LastUsedAt) : 'Never'}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                {token.ExpiresAt ? formatDateTime(token.ExpiresAt) : 'Never'}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${status.className}`}>
+                                                    {status.label}
+                                                </span>
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                                                {!token.RevokedAt && (
+                                                    <button
+                                                        onClick={() => handleRevoke(token)}
+                                                        className="text-red-600 hover:text-red-900"
+                                                    >
+                                                        Revoke
+                                                    </button>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ApiTokens;
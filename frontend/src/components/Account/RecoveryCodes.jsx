@@ -0,0 +1,41 @@
+import React, { useState } from 'react';
+
+// One-time display of freshly generated two-factor recovery codes
+const RecoveryCodes = ({ codes, onDone }) => {
+    const [copied, setCopied] = useState(false);
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(codes.join('\n'));
+            setCopied(true);
+        } catch (error) {
+            console.error('Error copying recovery codes:', error);
+        }
+    };
+
+    return (
+        <div className="space-y-4">
+            <div className="p-3 bg-yellow-100 border border-yellow-400 text-yellow-800 rounded-lg text-sm">
+                Save these recovery codes somewhere safe. Each one can be used once to sign in if you lose
+                your authenticator app. They will not be shown again.
+            </div>
+
+            <div className="grid grid-cols-2 gap-2 font-mono text-sm bg-gray-50 border border-gray-300 rounded-lg p-4">
+                {codes.map((code) => (
+                    <span key={code}>{code}</span>
+                ))}
+            </div>
+
+            <div className="flex justify-end space-x-2">
+                <button type="button" onClick={handleCopy} className="btn-secondary">
+                    {copied ? 'Copied' : 'Copy Codes'}
+                </button>
+                <button type="button" onClick={onDone} className="btn-primary">
+                    I Have Saved Them
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default RecoveryCodes;
@@ -0,0 +1,70 @@
+import React from 'react';
+import { describeUserAgent, formatDateTime } from '../../utils/formatters';
+
+// Table of signed-in sessions with a revoke action per row
+const SessionList = ({ sessions, onRevoke }) => {
+    if (sessions.length === 0) {
+        return <p className="text-gray-500 text-center py-4">No active sessions</p>;
+    }
+
+    return (
+        <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-sky-600 text-white">
+                    <tr>
+                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                            Device
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                            Address
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                            Signed In
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                            Last Seen
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                            Actions
+                        </th>
+                    </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                    {sessions.map((session) => (
+                        <tr key={session.UserSessionID} className="table-row">
+                            <td className="px-6 py-4 whitespace-nowrap">
+                                <div className="font-medium text-gray-900">
+                                    {describeUserAgent(session.UserAgent)}
+                                    {session.IsCurrent && (
+                                        <span className="ml-2 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                                            This session
+                                        </span>
+                                    )}
+                                </div>
+                            </td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                {session.IPAddress || 'N/A'}
+                            </td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                {formatDateTime(session.CreatedAt)}
+                            </td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                {formatDateTime(session.LastSeenAt)}
+                            </td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                                <button
+                                    onClick={() => onRevoke(session)}
+                                    className="text-red-600 hover:text-red-900"
+                                >
+                                    {session.IsCurrent ? 'Sign out' : 'Revoke'}
+                                </button>
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default SessionList;
@@ -0,0 +1,190 @@
+import React, { useState, useEffect } from 'react';
+import { twoFactorAPI } from '../../services/api';
+import TwoFactorSetup from './TwoFactorSetup';
+import RecoveryCodes from './RecoveryCodes';
+
+const TwoFactorSettings = ({ setUser }) => {
+    const [status, setStatus] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+    const [showSetup, setShowSetup] = useState(false);
+    // 'disable' or 'recovery-codes' while asking for the password
+    const [passwordAction, setPasswordAction] = useState(null);
+    const [password, setPassword] = useState('');
+    const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+    useEffect(() => {
+        fetchStatus();
+    }, []);
+
+    const fetchStatus = async () => {
+        try {
+            const response = await twoFactorAPI.getStatus();
+            if (response.data.success) {
+                setStatus(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching two-factor status:', error);
+            setError('Failed to fetch two-factor status');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleEnabled = (updatedUser) => {
+        setShowSetup(false);
+        setSuccess('Two-factor authentication is now on');
+        setUser(updatedUser);
+        fetchStatus();
+    };
+
+    const cancelPasswordAction = () => {
+        setPasswordAction(null);
+        setPassword('');
+    };
+
+    const handlePasswordSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setSuccess('');
+
+        try {
+            if (passwordAction === 'disable') {
+                const response = await twoFactorAPI.disable(password);
+                if (response.data.success) {
+                    setSuccess(response.data.message);
+                    setUser(response.data.user);
+                }
+            } else {
+                const response = await twoFactorAPI.regenerateRecoveryCodes(password);
+                if (response.data.success) {
+                    setRecoveryCodes(response.data.data.recoveryCodes);
+                }
+            }
+            cancelPasswordAction();
+            fetchStatus();
+        } catch (error) {
+            console.error('Error updating two-factor authentication:', error);
+            setError(error.response?.data?.error || 'Failed to update two-factor authentication');
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="flex items-center justify-center h-64">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-sky-500"></div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            {/* Page Header */}
+            <div>
+                <h1 className="text-3xl font-bold text-gray-900">Two-Factor Authentication</h1>
+                <p className="text-gray-600">Ask for a code from an authenticator app each time you sign in</p>
+            </div>
+
+            {/* Success/Error Messages */}
+            {error && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg">
+                    {error}
+                </div>
+            )}
+            {success && (
+                <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded-lg">
+                    {success}
+                </div>
+            )}
+
+            {recoveryCodes && (
+                <div className="card">
+                    <h2 className="text-xl font-semibold mb-4">New Recovery Codes</h2>
+                    <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />
+                </div>
+            )}
+
+            {status && (
+                <div className="card space-y-4">
+                    <div className="flex justify-between items-center">
+                        <div>
+                            <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                                status.enabled
+                                    ? 'bg-green-100 text-green-800'
+                                    : 'bg-gray-100 text-gray-800'
+                            }`}>
+                                {status.enabled ? 'On' : 'Off'}
+                            </span>
+                            {status.enabled && (
+                                <span className="ml-2 text-sm text-gray-600">
+                                    {status.recoveryCodesRemaining} unused recovery codes
+                                </span>
+                            )}
+                            {status.required && (
+                                <p className="mt-2 text-sm text-gray-600">
+                                    Two-factor authentication is required for administrators.
+                                </p>
+                            )}
+                        </div>
+                        {!showSetup && !passwordAction && (
+                            <div className="flex space-x-2">
+                                {status.enabled ? (
+                                    <>
+                                        <button onClick={() => setPasswordAction('recovery-codes')} className="btn-secondary">
+                                            New Recovery Codes
+                                        </button>
+                                        {!status.required && (
+                                            <button onClick={() => setPasswordAction('disable')} className="btn-danger">
+                                                Turn Off
+                                            </button>
+                                        )}
+                                    </>
+                                ) : (
+                                    <button onClick={() => setShowSetup(true)} className="btn-primary">
+                                        Set Up
+                                    </button>
+                                )}
+                            </div>
+                        )}
+                    </div>
+
+                    {showSetup && (
+                        <TwoFactorSetup onEnabled={handleEnabled} onCancel={() => setShowSetup(false)} />
+                    )}
+
+                    {passwordAction && (
+                        <form onSubmit={handlePasswordSubmit} className="space-y-4">
+                            <div>
+                                <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700 mb-1">
+                                    Confirm your password
+                                </label>
+                                <input
+                                    id="confirmPassword"
+                                    type="password"
+                                    required
+                                    className="input-field"
+                                    value={password}
+                                    onChange={(e) => setPassword(e.target.value)}
+                                />
+                            </div>
+                            <div className="flex justify-end space-x-2">
+                                <button type="button" onClick={cancelPasswordAction} className="btn-secondary">
+                                    Cancel
+                                </button>
+                                <button
+                                    type="submit"
+                                    className={passwordAction === 'disable' ? 'btn-danger' : 'btn-primary'}
+                                >
+                                    {passwordAction === 'disable' ? 'Turn Off' : 'Generate Codes'}
+                                </button>
+                            </div>
+                        </form>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,118 @@
+import React, { useState, useEffect } from 'react';
+import { twoFactorAPI } from '../../services/api';
+import RecoveryCodes from './RecoveryCodes';
+
+// Enrollment flow: show the secret, confirm a code, then show the recovery codes
+const TwoFactorSetup = ({ onEnabled, onCancel }) => {
+    const [setup, setSetup] = useState(null);
+    const [code, setCode] = useState('');
+    const [result, setResult] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        startSetup();
+    }, []);
+
+    const startSetup = async () => {
+        try {
+            const response = await twoFactorAPI.setup();
+            if (response.data.success) {
+                setSetup(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error starting two-factor setup:', error);
+            setError(error.response?.data?.error || 'Failed to start two-factor setup');
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setLoading(true);
+
+        try {
+            const response = await twoFactorAPI.enable(code);
+            if (response.data.success) {
+                setResult(response.data);
+            }
+        } catch (error) {
+            console.error('Error enabling two-factor authentication:', error);
+            setError(error.response?.data?.error || 'Failed to enable two-factor authentication');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    if (result) {
+        return <RecoveryCodes codes={result.data.recoveryCodes} onDone={() => onEnabled(result.user)} />;
+    }
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-4">
+            {error && (
+                <div className="p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg">
+                    {error}
+                </div>
+            )}
+
+            {setup && (
+                <>
+                    <ol className="list-decimal list-inside text-sm text-gray-700 space-y-1">
+                        <li>Open an authenticator app (Google Authenticator, Microsoft Authenticator, Authy, ...).</li>
+                        <li>
+                            Add an account using the setup key below, or open the{' '}
+                            <a href={setup.otpauthUri} className="text-sky-700 hover:text-sky-800 underline">
+                                setup link
+                            </a>{' '}
+                            on the device with the app.
+                        </li>
+                        <li>Enter the 6-digit code the app shows.</li>
+                    </ol>
+
+                    <div>
+                        <span className="block text-sm font-medium text-gray-700 mb-1">Setup Key</span>
+                        <div className="font-mono text-sm bg-gray-50 border border-gray-300 rounded-lg px-3 py-2 break-all">
+                            {setup.secret.match(/.{1,4}/g).join(' ')}
+                        </div>
+                    </div>
+
+                    <div>
+                        <label htmlFor="totpCode" className="block text-sm font-medium text-gray-700 mb-1">
+                            Authentication Code
+                        </label>
+                        <input
+                            id="totpCode"
+                            type="text"
+                            required
+                            inputMode="numeric"
+                            autoComplete="one-time-code"
+                            className="input-field font-mono"
+                            placeholder="123456"
+                            value={code}
+                            onChange={(e) => setCode(e.target.value)}
+                            disabled={loading}
+                        />
+                    </div>
+                </>
+            )}
+
+            <div className="flex justify-end space-x-2">
+                {onCancel && (
+                    <button type="button" onClick={onCancel} className="btn-secondary" disabled={loading}>
+                        Cancel
+                    </button>
+                )}
+                <button
+                    type="submit"
+                    disabled={loading || !setup}
+                    className={`btn-primary ${loading ? 'opacity-50 cursor-not-allowed' : ''}`}
+                >
+                    {loading ? 'Verifying...' : 'Turn On'}
+                </button>
+            </div>
+        </form>
+    );
+};
+
+export default TwoFactorSetup;
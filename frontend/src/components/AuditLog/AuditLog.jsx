@@ -0,0 +1,264 @@
+import React, { useState, useEffect } from 'react';
+import { auditLogAPI } from '../../services/api';
+import { formatDateTime } from '../../utils/formatters';
+
+const ENTITIES = [
+    { value: 'Category', label: 'Category' },
+    { value: 'Spare_Part', label: 'Spare Part' },
+    { value: 'Stock_In', label: 'Stock In' },
+    { value: 'Supplier', label: 'Supplier' },
+    { value: 'Purchase_Order', label: 'Purchase Order' },
+    { value: 'Stock_Out', label: 'Stock Out' },
+    { value: 'Stock_Out_Document', label: 'Stock Out Document' },
+    { value: 'Kit', label: 'Kit' },
+    { value: 'Customer', label: 'Customer' },
+    { value: 'Location', label: 'Location' },
+    { value: 'Stock_Transfer', label: 'Stock Transfer' },
+    { value: 'Stocktake', label: 'Stocktake' },
+    { value: 'Stock_Adjustment', label: 'Stock Adjustment' },
+    { value: 'Stock_Return', label: 'Return' },
+    { value: 'Stock_Reservation', label: 'Reservation' },
+    { value: 'Work_Order', label: 'Work Order' },
+];
+
+const ACTION_STYLES = {
+    create: 'bg-green-100 text-green-800',
+    update: 'bg-blue-100 text-blue-800',
+    delete: 'bg-red-100 text-red-800',
+    archive: 'bg-yellow-100 text-yellow-800',
+    restore: 'bg-sky-100 text-sky-800',
+};
+
+const AuditLog = () => {
+    const [entries, setEntries] = useState([]);
+    const [users, setUsers] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [filters, setFilters] = useState({
+        userId: '',
+        entity: '',
+        startDate: '',
+        endDate: ''
+    });
+
+    useEffect(() => {
+        fetchUsers();
+    }, []);
+
+    useEffect(() => {
+        fetchEntries();
+    }, [filters]); // eslint-disable-line react-hooks/exhaustive-deps
+
+    const fetchUsers = async () => {
+        try {
+            const response = await auditLogAPI.getUsers();
+            if (response.data.success) {
+                setUsers(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching audit log users:', error);
+        }
+    };
+
+    const fetchEntries = async () => {
+        setLoading(true);
+        setError('');
+        try {
+            // Only send the filters that are set
+            const params = Object.fromEntries(
+                Object.entries(filters).filter(([, value]) => value !== '')
+            );
+            const response = await auditLogAPI.getAll(params);
+            if (response.data.success) {
+                setEntries(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching audit log:', error);
+            setError('Failed to fetch audit log');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleFilterChange = (e) => {
+        const { name, value } = e.target;
+        setFilters(prev => ({
+            ...prev,
+            [name]: value
+        }));
+    };
+
+    const getEntityLabel = (entity) => {
+        return ENTITIES.find((item) => item.value === entity)?.label || entity;
+    };
+
+    // Show only the fields that changed for updates, and the full record for creates and deletes
+    const getChanges = (entry) => {
+        const before = entry.OldValues || {};
+        const after = entry.NewValues || {};
+
+        if (entry.Action === 'update') {
+            return Object.keys(after)
+                .filter((key) => JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+                .map((key) => `${key}: ${before[key] ?? '—'} → ${after[key] ?? '—'}`);
+        }
+
+        const values = entry.Action === 'delete' ? before : after;
+        return Object.entries(values).map(([key, value]) => `${key}: ${value ?? '—'}`);
+    };
+
+    return (
+        <div className="space-y-6">
+            {/* Page Header */}
+            <div>
+                <h1 className="text-3xl font-bold text-gray-900">Audit Log</h1>
+                <p className="text-gray-600">Who changed spare parts and stock records, and what the values were</p>
+            </div>
+
+            {/* Error Message */}
+            {error && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg">
+                    {error}
+                </div>
+            )}
+
+            {/* Filters */}
+            <div className="card">
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+                    <div>
+                        <label htmlFor="userId" className="block text-sm font-medium text-gray-700 mb-1">
+                            User
+                        </label>
+                        <select
+                            id="userId"
+                            name="userId"
+                            value={filters.userId}
+                            onChange={handleFilterChange}
+                            className="input-field"
+                        >
+                            <option value="">All users</option>
+                            {users.map((item) => (
+                                <option key={`${item.UserID}-${item.Username}`} value={item.UserID}>
+                                    {item.Username}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="entity" className="block text-sm font-medium text-gray-700 mb-1">
+                            Record Type
+                        </label>
+                        <select
+                            id="entity"
+                            name="entity"
+                            value={filters.entity}
+                            onChange={handleFilterChange}
+                            className="input-field"
+                        >
+                            <option value="">All record types</option>
+                            {ENTITIES.map((item) => (
+                                <option key={item.value} value={item.value}>{item.label}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="startDate" className="block text-sm font-medium text-gray-700 mb-1">
+                            From
+                        </label>
+                        <input
+                            type="date"
+                            id="startDate"
+                            name="startDate"
+                            value={filters.startDate}
+                            onChange={handleFilterChange}
+                            className="input-field"
+                        />
+                    </div>
+                    <div>
+                        <label htmlFor="endDate" className="block text-sm font-medium text-gray-700 mb-1">
+                            To
+                        </label>
+                        <input
+                            type="date"
+                            id="endDate"
+                            name="endDate"
+                            value={filters.endDate}
+                            onChange={handleFilterChange}
+                            className="input-field"
+                        />
+                    </div>
+                </div>
+            </div>
+
+            {/* Audit Entries */}
+            <div className="card">
+                <h2 className="text-xl font-semibold text-gray-900 mb-4">
+                    Changes ({entries.length} entries)
+                </h2>
+
+                {loading ? (
+                    <div className="flex items-center justify-center h-64">
+                        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-sky-700"></div>
+                    </div>
+                ) : entries.length === 0 ? (
+                    <div className="text-center py-8 text-gray-500">
+                        <p className="text-lg font-medium">No audit entries found</p>
+                        <p>Try widening the filters.</p>
+                    </div>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-sky-600 text-white">
+                                <tr>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Time
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        User
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Record
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Action
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Changes
+                                    </th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {entries.map((entry) => (
+                                    <tr key={entry.AuditID} className="table-row align-top">
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {formatDateTime(entry.CreatedAt)}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                                            {entry.Username}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap">
+                                            <div className="text-sm text-gray-900">{getEntityLabel(entry.Entity)}</div>
+                                            <div className="text-sm text-gray-500">{entry.EntityID}</div>
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap">
+                                            <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${ACTION_STYLES[entry.Action]}`}>
+                                                {entry.Action}
+                                            </span>
+                                        </td>
+                                        <td className="px-6 py-4 text-sm text-gray-700">
+                                            {getChanges(entry).map((change) => (
+                                                <div key={change}>{change}</div>
+                                            ))}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default AuditLog;
@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { authAPI } from '../../services/api';
+
+const ChangePasswordForm = ({ onSuccess, onCancel }) => {
+    const [formData, setFormData] = useState({
+        currentPassword: '',
+        newPassword: '',
+        confirmPassword: ''
+    });
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleChange = (e) => {
+        setFormData({
+            ...formData,
+            [e.target.name]: e.target.value
+        });
+        if (error) setError('');
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        if (formData.newPassword.length < 6) {
+            setError('New password must be at least 6 characters');
+            return;
+        }
+
+        if (formData.newPassword !== formData.confirmPassword) {
+            setError('New passwords do not match');
+            return;
+        }
+
+        setLoading(true);
+        try {
+            const response = await authAPI.changePassword({
+                currentPassword: formData.currentPassword,
+                newPassword: formData.newPassword
+            });
+
+            if (response.data.success) {
+                setFormData({ currentPassword: '', newPassword: '', confirmPassword: '' });
+                onSuccess?.(response.data.user);
+            }
+        } catch (error) {
+            console.error('Change password error:', error);
+            setError(error.response?.data?.error || 'Failed to change password');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-4">
+            {error && (
+                <div className="p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg text-sm">
+                    {error}
+                </div>
+            )}
+
+            <div>
+                <label htmlFor="currentPassword" className="block text-sm font-medium text-gray-700 mb-1">
+                    Current Password
+                </label>
+                <input
+                    id="currentPassword"
+                    name="currentPassword"
+                    type="password"
+                    required
+                    className="input-field"
+                    value={formData.currentPassword}
+                    onChange={handleChange}
+                    disabled={loading}
+                />
+            </div>
+
+            <div>
+                <label htmlFor="newPassword" className="block text-sm font-medium text-gray-700 mb-1">
+                    New Password
+                </label>
+                <input
+                    id="newPassword"
+                    name="newPassword"
+                    type="password"
+                    required
+                    className="input-field"
+                    placeholder="At least 6 characters"
+                    value={formData.newPassword}
+                    onChange={handleChange}
+                    disabled={loading}
+                />
+            </div>
+
+            <div>
+                <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700 mb-1">
+                    Confirm New Password
+                </label>
+                <input
+                    id="confirmPassword"
+                    name="confirmPassword"
+                    type="password"
+                    required
+                    className="input-field"
+                    value={formData.confirmPassword}
+                    onChange={handleChange}
+                    disabled={loading}
+                />
+            </div>
+
+            <div className="flex space-x-4">
+                <button
+                    type="submit"
+                    disabled={loading}
+                    className={`btn-primary ${loading ? 'opacity-50 cursor-not-allowed' : ''}`}
+                >
+                    {loading ? 'Saving...' : 'Change Password'}
+                </button>
+                {onCancel && (
+                    <button type="button" onClick={onCancel} className="btn-secondary">
+                        Cancel
+                    </button>
+                )}
+            </div>
+        </form>
+    );
+};
+
+export default ChangePasswordForm;
@@ -0,0 +1,45 @@
+import React from 'react';
+import { authAPI } from '../../services/api';
+import TwoFactorSetup from '../Account/TwoFactorSetup';
+
+// Shown instead of the app while an administrator still has to enroll in two-factor authentication
+const ForceTwoFactorSetup = ({ user, setUser }) => {
+    const handleLogout = async () => {
+        try {
+            await authAPI.logout();
+        } catch (error) {
+            console.error('Logout error:', error);
+        } finally {
+            setUser(null);
+        }
+    };
+
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+            <div className="max-w-md w-full space-y-8">
+                <div className="card p-6 bg-white shadow-md rounded-md">
+                    <div className="text-center mb-4">
+                        <h2 className="text-2xl font-bold text-gray-900">Set Up Two-Factor Authentication</h2>
+                        <p className="mt-1 text-sm text-gray-600">
+                            Signed in as <span className="font-medium">{user?.username}</span>
+                        </p>
+                    </div>
+
+                    <div className="mb-4 p-3 bg-yellow-100 border border-yellow-400 text-yellow-800 rounded-lg text-sm">
+                        Administrators are required to use two-factor authentication. Set it up before continuing.
+                    </div>
+
+                    <TwoFactorSetup onEnabled={(updatedUser) => setUser(updatedUser)} />
+
+                    <div className="mt-4 text-center">
+                        <button onClick={handleLogout} className="text-sm text-sky-700 hover:text-sky-800">
+                            Sign out
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ForceTwoFactorSetup;
@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import { authAPI } from '../../services/api';
 
 const Login = ({ setUser }) => {
@@ -9,6 +9,10 @@ const Login = ({ setUser }) => {
     });
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
+    // Second step for accounts with two-factor authentication
+    const [twoFactorStep, setTwoFactorStep] = useState(false);
+    const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+    const [code, setCode] = useState('');
     const navigate = useNavigate();
 
     const handleChange = (e) => {
@@ -20,15 +24,42 @@ const Login = ({ setUser }) => {
         if (error) setError('');
     };
 
+    // Time (and date, if not today) at which a lockout ends
+    const formatUnlockTime = (lockedUntil) => {
+        const unlockAt = new Date(lockedUntil);
+        const minutes = Math.max(1, Math.ceil((unlockAt - new Date()) / 60000));
+        const time = unlockAt.toDateString() === new Date().toDateString()
+            ? unlockAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+            : unlockAt.toLocaleString();
+        return `${time} (in about ${minutes} minute${minutes === 1 ? '' : 's'})`;
+    };
+
+    const restartLogin = () => {
+        setTwoFactorStep(false);
+        setUseRecoveryCode(false);
+        setCode('');
+        setFormData({ ...formData, password: '' });
+    };
+
     const handleSubmit = async (e) => {
         e.preventDefault();
         setLoading(true);
         setError('');
 
         try {
-            const response = await authAPI.login(formData);
+            const response = twoFactorStep
+                ? await authAPI.verifyTwoFactor(useRecoveryCode ? { recoveryCode: code } : { code })
+                : await authAPI.login(formData);
 
-            if (response.data.success) {
+            if (response.data.twoFactorRequired) {
+                setTwoFactorStep(true);
+            } else if (response.data.success) {
+                if (response.data.recoveryCodesRemaining !== undefined) {
+                    window.alert(
+                        `You signed in with a recovery code. ${response.data.recoveryCodesRemaining} ` +
+                        'recovery codes remain; generate new ones from your two-factor settings if you are running low.'
+                    );
+                }
                 setUser(response.data.user);
                 navigate('/');
             } else {
@@ -36,10 +67,22 @@ const Login = ({ setUser }) => {
             }
         } catch (error) {
             console.error('Login error:', error);
-            setError(
-                error.response?.data?.error ||
-                'Login failed. Please check your credentials and try again.'
-            );
+            const data = error.response?.data;
+            if (data?.code === 'TWO_FACTOR_EXPIRED') {
+                restartLogin();
+                setError(data.error);
+            } else if (data?.lockedUntil) {
+                // A locked account has to start again from the password once the lock ends
+                if (twoFactorStep && data.code === 'ACCOUNT_LOCKED') {
+                    restartLogin();
+                }
+                setError(`${data.error}. You can try again at ${formatUnlockTime(data.lockedUntil)}.`);
+            } else {
+                setError(
+                    data?.error ||
+                    'Login failed. Please check your credentials and try again.'
+                );
+            }
         } finally {
             setLoading(false);
         }
@@ -63,41 +106,84 @@ const Login = ({ setUser }) => {
                             </div>
                         )}
 
-                        <div className="space-y-4">
-                            <div>
-                                <label htmlFor="username" className="block text-sm font-medium text-gray-700 mb-1">
-                                    Username
-                                </label>
-                                <input
-                                    id="username"
-                                    name="username"
-                                    type="text"
-                                    required
-                                    className="input-field"
-                                    placeholder="Enter your username"
-                                    value={formData.username}
-                                    onChange={handleChange}
-                                    disabled={loading}
-                                />
+                        {twoFactorStep ? (
+                            <div className="space-y-4">
+                                <p className="text-sm text-gray-600">
+                                    {useRecoveryCode
+                                        ? 'Enter one of the recovery codes you saved when you set up two-factor authentication.'
+                                        : 'Enter the 6-digit code from your authenticator app.'}
+                                </p>
+                                <div>
+                                    <label htmlFor="code" className="block text-sm font-medium text-gray-700 mb-1">
+                                        {useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+                                    </label>
+                                    <input
+                                        id="code"
+                                        name="code"
+                                        type="text"
+                                        required
+                                        autoFocus
+                                        autoComplete="one-time-code"
+                                        inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                                        className="input-field font-mono"
+                                        placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                                        value={code}
+                                        onChange={(e) => {
+                                            setCode(e.target.value);
+                                            if (error) setError('');
+                                        }}
+                                        disabled={loading}
+                                    />
+                                </div>
+                                <button
+                                    type="button"
+                                    onClick={() => {
+                                        setUseRecoveryCode(!useRecoveryCode);
+                                        setCode('');
+                                        setError('');
+                                    }}
+                                    className="text-sm text-sky-700 hover:text-sky-800"
+                                >
+                                    {useRecoveryCode ? 'Use authenticator app instead' : 'Use a recovery code instead'}
+                                </button>
                             </div>
+                        ) : (
+                            <div className="space-y-4">
+                                <div>
+                                    <label htmlFor="username" className="block text-sm font-medium text-gray-700 mb-1">
+                                        Username
+                                    </label>
+                                    <input
+                                        id="username"
+                                        name="username"
+                                        type="text"
+                                        required
+                                        className="input-field"
+                                        placeholder="Enter your username"
+                                        value={formData.username}
+                                        onChange={handleChange}
+                                        disabled={loading}
+                                    />
+                                </div>
 
-                            <div>
-                                <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">
-                                    Password
-                                </label>
-                                <input
-                                    id="password"
-                                    name="password"
-                                    type="password"
-                                    required
-                                    className="input-field"
-                                    placeholder="Enter your password"
-                                    value={formData.password}
-                                    onChange={handleChange}
-                                    disabled={loading}
-                                />
+                                <div>
+                                    <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">
+                                        Password
+                                    </label>
+                                    <input
+                                        id="password"
+                                        name="password"
+                                        type="password"
+                                        required
+                                        className="input-field"
+                                        placeholder="Enter your password"
+                                        value={formData.password}
+                                        onChange={handleChange}
+                                        disabled={loading}
+                                    />
+                                </div>
                             </div>
-                        </div>
+                        )}
 
                         <div className="mt-6">
                             <button
@@ -108,13 +194,29 @@ const Login = ({ setUser }) => {
                                 {loading ? (
                                     <div className="flex items-center justify-center">
                                         <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
-                                        Signing in...
+                                        {twoFactorStep ? 'Verifying...' : 'Signing in...'}
                                     </div>
                                 ) : (
-                                    'Sign In'
+                                    twoFactorStep ? 'Verify' : 'Sign In'
                                 )}
                             </button>
                         </div>
+
+                        <div className="mt-4 text-center">
+                            {twoFactorStep ? (
+                                <button
+                                    type="button"
+                                    onClick={restartLogin}
+                                    className="text-sm text-sky-700 hover:text-sky-800"
+                                >
+                                    Back to sign in
+                                </button>
+                            ) : (
+                                <Link to="/reset-password" className="text-sm text-sky-700 hover:text-sky-800">
+                                    Have a password reset code?
+                                </Link>
+                            )}
+                        </div>
                     </div>
                 </form>
 
@@ -0,0 +1,151 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { authAPI } from '../../services/api';
+
+const ResetPassword = () => {
+    const [formData, setFormData] = useState({
+        token: '',
+        newPassword: '',
+        confirmPassword: ''
+    });
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    const handleChange = (e) => {
+        setFormData({
+            ...formData,
+            [e.target.name]: e.target.value
+        });
+        if (error) setError('');
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        if (formData.newPassword.length < 6) {
+            setError('New password must be at least 6 characters');
+            return;
+        }
+
+        if (formData.newPassword !== formData.confirmPassword) {
+            setError('New passwords do not match');
+            return;
+        }
+
+        setLoading(true);
+        try {
+            const response = await authAPI.resetPassword({
+                token: formData.token,
+                newPassword: formData.newPassword
+            });
+
+            if (response.data.success) {
+                setSuccess(response.data.message);
+                setFormData({ token: '', newPassword: '', confirmPassword: '' });
+            }
+        } catch (error) {
+            console.error('Reset password error:', error);
+            setError(error.response?.data?.error || 'Failed to reset password');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+            <div className="max-w-md w-full space-y-8">
+                <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+                    <div className="card p-6 bg-white shadow-md rounded-md">
+                        <div className="text-center mb-4">
+                            <h2 className="text-2xl font-bold text-gray-900">Reset Password</h2>
+                            <p className="mt-1 text-sm text-gray-600">
+                                Enter the reset code you received from your administrator
+                            </p>
+                        </div>
+
+                        {error && (
+                            <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg">
+                                {error}
+                            </div>
+                        )}
+                        {success && (
+                            <div className="mb-4 p-3 bg-green-100 border border-green-400 text-green-700 rounded-lg">
+                                {success}
+                            </div>
+                        )}
+
+                        <div className="space-y-4">
+                            <div>
+                                <label htmlFor="token" className="block text-sm font-medium text-gray-700 mb-1">
+                                    Reset Code
+                                </label>
+                                <input
+                                    id="token"
+                                    name="token"
+                                    type="text"
+                                    required
+                                    autoComplete="off"
+                                    className="input-field font-mono"
+                                    value={formData.token}
+                                    onChange={handleChange}
+                                    disabled={loading}
+                                />
+                            </div>
+                            <div>
+                                <label htmlFor="newPassword" className="block text-sm font-medium text-gray-700 mb-1">
+                                    New Password
+                                </label>
+                                <input
+                                    id="newPassword"
+                                    name="newPassword"
+                                    type="password"
+                                    required
+                                    className="input-field"
+                                    placeholder="At least 6 characters"
+                                    value={formData.newPassword}
+                                    onChange={handleChange}
+                                    disabled={loading}
+                                />
+                            </div>
+                            <div>
+                                <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700 mb-1">
+                                    Confirm New Password
+                                </label>
+                                <input
+                                    id="confirmPassword"
+                                    name="confirmPassword"
+                                    type="password"
+                                    required
+                                    className="input-field"
+                                    value={formData.confirmPassword}
+                                    onChange={handleChange}
+                                    disabled={loading}
+                                />
+                            </div>
+                        </div>
+
+                        <div className="mt-6">
+                            <button
+                                type="submit"
+                                disabled={loading}
+                                className={`w-full btn-primary ${loading ? 'opacity-50 cursor-not-allowed' : ''}`}
+                            >
+                                {loading ? 'Resetting...' : 'Reset Password'}
+                            </button>
+                        </div>
+
+                        <div className="mt-4 text-center">
+                            <Link to="/login" className="text-sm text-sky-700 hover:text-sky-800">
+                                Back to sign in
+                            </Link>
+                        </div>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+export default ResetPassword;
@@ -0,0 +1,373 @@
+import React, { useState, useEffect } from 'react';
+import { categoriesAPI } from '../../services/api';
+import { canManageStock, canEditHistory } from '../../utils/permissions';
+import { sortCategoryTree, getCategoryOptionLabel } from '../../utils/categories';
+
+const CategoriesManagement = ({ user }) => {
+    const [categories, setCategories] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [showForm, setShowForm] = useState(false);
+    const [formData, setFormData] = useState({ name: '', parentId: '' });
+    // Category being edited inline: { categoryId, name, parentId }
+    const [editing, setEditing] = useState(null);
+    // Category being deleted: { category, reassignTo }
+    const [deleting, setDeleting] = useState(null);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    useEffect(() => {
+        fetchCategories();
+    }, []);
+
+    const fetchCategories = async () => {
+        try {
+            const response = await categoriesAPI.getAll();
+            if (response.data.success) {
+                setCategories(sortCategoryTree(response.data.data));
+            }
+        } catch (error) {
+            console.error('Error fetching categories:', error);
+            setError('Failed to fetch categories');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleInputChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({
+            ...prev,
+            [name]: value
+        }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setSuccess('');
+
+        try {
+            const response = await categoriesAPI.create({
+                name: formData.name,
+                parentId: formData.parentId ? parseInt(formData.parentId) : null
+            });
+
+            if (response.data.success) {
+                setSuccess('Category added successfully!');
+                setFormData({ name: '', parentId: '' });
+                setShowForm(false);
+                fetchCategories();
+            }
+        } catch (error) {
+            console.error('Error adding category:', error);
+            setError(error.response?.data?.error || 'Failed to add category');
+        }
+    };
+
+    const handleUpdate = async (e) => {
+        e.preventDefault();
+        setError('');
+        setSuccess('');
+
+        try {
+            const response = await categoriesAPI.update(editing.categoryId, {
+                name: editing.name,
+                parentId: editing.parentId ? parseInt(editing.parentId) : null
+            });
+
+            if (response.data.success) {
+                setSuccess(response.data.message);
+                setEditing(null);
+                fetchCategories();
+            }
+        } catch (error) {
+            console.error('Error updating category:', error);
+            setError(error.response?.data?.error || 'Failed to update category');
+        }
+    };
+
+    const handleDelete = async (e) => {
+        e.preventDefault();
+        setError('');
+        setSuccess('');
+
+        try {
+            const response = await categoriesAPI.delete(deleting.category.CategoryID, deleting.reassignTo);
+            if (response.data.success) {
+                setSuccess(response.data.message);
+                setDeleting(null);
+                fetchCategories();
+            }
+        } catch (error) {
+            console.error('Error deleting category:', error);
+            setError(error.response?.data?.error || 'Failed to delete category');
+        }
+    };
+
+    // A category can't be moved under itself or anything below it
+    const getParentOptions = (categoryId) => {
+        const excluded = new Set([categoryId]);
+        categories.forEach((category) => {
+            if (excluded.has(category.ParentID)) {
+                excluded.add(category.CategoryID);
+            }
+        });
+        return categories.filter((category) => !excluded.has(category.CategoryID));
+    };
+
+    if (loading) {
+        return (
+            <div className="flex items-center justify-center h-64">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-green-700"></div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            {/* Page Header */}
+            <div className="flex justify-between items-center">
+                <div>
+                    <h1 className="text-3xl font-bold text-gray-900">Categories</h1>
+                    <p className="text-gray-600">Organize spare parts into categories and subcategories</p>
+                </div>
+                {canManageStock(user) && (
+                    <button
+                        onClick={() => setShowForm(!showForm)}
+                        className="btn-primary"
+                    >
+                        {showForm ? 'Cancel' : 'Add Category'}
+                    </button>
+                )}
+            </div>
+
+            {/* Success/Error Messages */}
+            {error && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg">
+                    {error}
+                </div>
+            )}
+            {success && (
+                <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded-lg">
+                    {success}
+                </div>
+            )}
+
+            {/* Add Category Form */}
+            {showForm && (
+                <div className="card">
+                    <h2 className="text-xl font-semibold text-gray-900 mb-4">Add Category</h2>
+                    <form onSubmit={handleSubmit} className="space-y-4">
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                            <div>
+                                <label htmlFor="name" className="block text-sm font-medium text-gray-700 mb-1">
+                                    Name *
+                                </label>
+                                <input
+                                    type="text"
+                                    id="name"
+                                    name="name"
+                                    value={formData.name}
+                                    onChange={handleInputChange}
+                                    className="input-field"
+                                    placeholder="Enter category name"
+                                    maxLength={50}
+                                    required
+                                />
+                            </div>
+                            <div>
+                                <label htmlFor="parentId" className="block text-sm font-medium text-gray-700 mb-1">
+                                    Parent Category
+                                </label>
+                                <select
+                                    id="parentId"
+                                    name="parentId"
+                                    value={formData.parentId}
+                                    onChange={handleInputChange}
+                                    className="input-field"
+                                >
+                                    <option value="">None (top level)</option>
+                                    {categories.map((category) => (
+                                        <option key={category.CategoryID} value={category.CategoryID}>
+                                            {getCategoryOptionLabel(category)}
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
+                        </div>
+                        <div className="flex space-x-4">
+                            <button type="submit" className="btn-primary">
+                                Add Category
+                            </button>
+                            <button
+                                type="button"
+                                onClick={() => setShowForm(false)}
+                                className="btn-secondary"
+                            >
+                                Cancel
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            )}
+
+            {/* Delete Category */}
+            {deleting && (
+                <div className="card border border-red-300 bg-red-50">
+                    <h2 className="text-xl font-semibold text-gray-900 mb-2">
+                        Delete "{deleting.category.Name}"
+                    </h2>
+                    <form onSubmit={handleDelete} className="space-y-4">
+                        <p className="text-sm text-gray-700">
+                            Subcategories move up one level.
+                            {deleting.category.PartCount > 0
+                                ? ` Its ${deleting.category.PartCount} spare parts, archived ones included, must be moved to another category.`
+                                : ' No spare parts use this category.'}
+                        </p>
+                        {deleting.category.PartCount > 0 && (
+                            <div>
+                                <label htmlFor="reassignTo" className="block text-sm font-medium text-gray-700 mb-1">
+                                    Move Parts To *
+                                </label>
+                                <select
+                                    id="reassignTo"
+                                    value={deleting.reassignTo}
+                                    onChange={(e) => setDeleting({ ...deleting, reassignTo: e.target.value })}
+                                    className="input-field"
+                                    required
+                                >
+                                    <option value="">Select category</option>
+                                    {categories
+                                        .filter((category) => category.CategoryID !== deleting.category.CategoryID)
+                                        .map((category) => (
+                                            <option key={category.CategoryID} value={category.CategoryID}>
+                                                {getCategoryOptionLabel(category)}
+                                            </option>
+                                        ))}
+                                </select>
+                            </div>
+                        )}
+                        <div className="flex justify-end space-x-2">
+                            <button type="button" onClick={() => setDeleting(null)} className="btn-secondary">
+                                Cancel
+                            </button>
+                            <button type="submit" className="btn-danger">
+                                Delete Category
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            )}
+
+            {/* Category List */}
+            <div className="card">
+                <h2 className="text-xl font-semibold text-gray-900 mb-4">
+                    All Categories ({categories.length})
+                </h2>
+
+                {categories.length === 0 ? (
+                    <p className="text-gray-500 text-center py-4">No categories found</p>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-sky-600 text-white">
+                                <tr>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Name
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Spare Parts
+                                    </th>
+                                    {canManageStock(user) && (
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Actions
+                                        </th>
+                                    )}
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {categories.map((category) => (
+                                    <tr key={category.CategoryID} className="table-row">
+                                        <td className="px-6 py-4 whitespace-nowrap">
+                                            {editing?.categoryId === category.CategoryID ? (
+                                                <form onSubmit={handleUpdate} className="flex items-center space-x-2">
+                                                    <input
+                                                        type="text"
+                                                        value={editing.name}
+                                                        onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                                                        className="input-field"
+                                                        maxLength={50}
+                                                        aria-label={`New name for ${category.Name}`}
+                                                        autoFocus
+                                                        required
+                                                    />
+                                                    <select
+                                                        value={editing.parentId}
+                                                        onChange={(e) => setEditing({ ...editing, parentId: e.target.value })}
+                                                        className="input-field"
+                                                        aria-label={`Parent of ${category.Name}`}
+                                                    >
+                                                        <option value="">None (top level)</option>
+                                                        {getParentOptions(category.CategoryID).map((option) => (
+                                                            <option key={option.CategoryID} value={option.CategoryID}>
+                                                                {getCategoryOptionLabel(option)}
+                                                            </option>
+                                                        ))}
+                                                    </select>
+                                                    <button type="submit" className="text-green-600 hover:text-green-900 text-sm font-medium">
+                                                        Save
+                                                    </button>
+                                                    <button
+                                                        type="button"
+                                                        onClick={() => setEditing(null)}
+                                                        className="text-gray-600 hover:text-gray-900 text-sm font-medium"
+                                                    >
+                                                        Cancel
+                                                    </button>
+                                                </form>
+                                            ) : (
+                                                <div
+                                                    className={`text-gray-900 ${category.Depth === 0 ? 'font-medium' : ''}`}
+                                                    style={{ paddingLeft: `${category.Depth * 1.5}rem` }}
+                                                >
+                                                    {category.Name}
+                                                </div>
+                                            )}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {category.PartCount}
+                                        </td>
+                                        {canManageStock(user) && (
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium space-x-2">
+                                                <button
+                                                    onClick={() => setEditing({
+                                                        categoryId: category.CategoryID,
+                                                        name: category.Name,
+                                                        parentId: category.ParentID ? category.ParentID.toString() : ''
+                                                    })}
+                                                    className="text-blue-600 hover:text-blue-900"
+                                                >
+                                                    Edit
+                                                </button>
+                                                {canEditHistory(user) && (
+                                                    <button
+                                                        onClick={() => setDeleting({ category, reassignTo: '' })}
+                                                        className="text-red-600 hover:text-red-900"
+                                                    >
+                                                        Delete
+                                                    </button>
+                                                )}
+                                            </td>
+                                        )}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default CategoriesManagement;
@@ -0,0 +1,188 @@
+import React, { useState, useEffect } from 'react';
+import { customersAPI } from '../../services/api';
+import { formatCurrency, formatDate, exportToCSV } from '../../utils/formatters';
+
+// First day of the current month as YYYY-MM-DD
+const getMonthStart = () => {
+    const today = new Date().toISOString().split('T')[0];
+    return `${today.slice(0, 8)}01`;
+};
+
+// Stock issued to one customer over a date range, this month by default
+const CustomerHistory = ({ customerId, onClose }) => {
+    const [history, setHistory] = useState(null);
+    const [startDate, setStartDate] = useState(getMonthStart());
+    const [endDate, setEndDate] = useState(new Date().toISOString().split('T')[0]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const fetchHistory = async () => {
+            setLoading(true);
+            setError('');
+
+            try {
+                const response = await customersAPI.getHistory(customerId, startDate, endDate);
+                if (response.data.success) {
+                    setHistory(response.data.data);
+                }
+            } catch (error) {
+                console.error('Error fetching customer history:', error);
+                setError(error.response?.data?.error || 'Failed to fetch customer history');
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        fetchHistory();
+    }, [customerId, startDate, endDate]);
+
+    const handleExport = () => {
+        exportToCSV(
+            history.records.map((record) => ({
+                Date: record.StockOutDate?.split('T')[0],
+                'Spare Part': record.SparePartName,
+                Quantity: record.StockOutQuantity,
+                'Unit Price': record.StockOutUnitPrice,
+                'Total Price': record.StockOutTotalPrice,
+                'Issued By': record.CreatedBy || ''
+            })),
+            `customer-history-${history.customer.Name}-${startDate || 'start'}-${endDate || 'today'}.csv`
+        );
+    };
+
+    return (
+        <div className="card">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-xl font-semibold text-gray-900">
+                    Customer History{history ? ` - ${history.customer.Name}` : ''}
+                </h2>
+                <div className="flex space-x-2">
+                    {history?.records.length > 0 && (
+                        <button onClick={handleExport} className="btn-secondary">
+                            Export CSV
+                        </button>
+                    )}
+                    <button onClick={onClose} className="btn-secondary">
+                        Close
+                    </button>
+                </div>
+            </div>
+
+            <div className="flex items-center space-x-4 mb-4">
+                <label htmlFor="historyStartDate" className="block text-sm font-medium text-gray-700">
+                    From:
+                </label>
+                <input
+                    type="date"
+                    id="historyStartDate"
+                    value={startDate}
+                    onChange={(e) => setStartDate(e.target.value)}
+                    className="input-field max-w-xs"
+                />
+                <label htmlFor="historyEndDate" className="block text-sm font-medium text-gray-700">
+                    To:
+                </label>
+                <input
+                    type="date"
+                    id="historyEndDate"
+                    value={endDate}
+                    onChange={(e) => setEndDate(e.target.value)}
+                    className="input-field max-w-xs"
+                />
+            </div>
+
+            {error && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg">
+                    {error}
+                </div>
+            )}
+
+            {loading ? (
+                <div className="flex items-center justify-center h-32">
+                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-sky-500"></div>
+                </div>
+            ) : history && (
+                <>
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+                        <div className="bg-sky-50 rounded-lg p-4">
+                            <p className="text-sm text-gray-600">Records</p>
+                            <p className="text-2xl font-bold text-gray-900">{history.summary.totalRecords}</p>
+                        </div>
+                        <div className="bg-sky-50 rounded-lg p-4">
+                            <p className="text-sm text-gray-600">Units Taken</p>
+                            <p className="text-2xl font-bold text-gray-900">{history.summary.totalQuantity}</p>
+                        </div>
+                        <div className="bg-sky-50 rounded-lg p-4">
+                            <p className="text-sm text-gray-600">Different Parts</p>
+                            <p className="text-2xl font-bold text-gray-900">{history.summary.distinctParts}</p>
+                        </div>
+                        <div className="bg-sky-50 rounded-lg p-4">
+                            <p className="text-sm text-gray-600">Total Value</p>
+                            <p className="text-2xl font-bold text-gray-900">{formatCurrency(history.summary.totalValue)}</p>
+                        </div>
+                    </div>
+
+                    {history.records.length === 0 ? (
+                        <p className="text-gray-500 text-center py-4">Nothing was issued to this customer in this period</p>
+                    ) : (
+                        <div className="overflow-x-auto">
+                            <table className="min-w-full divide-y divide-gray-200">
+                                <thead className="bg-sky-600 text-white">
+                                    <tr>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Date
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Spare Part
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Quantity
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Unit Price
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Total Price
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Issued By
+                                        </th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {history.records.map((record) => (
+                                        <tr key={record.StockOutID} className="table-row">
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                {formatDate(record.StockOutDate)}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap font-medium text-gray-900">
+                                                {record.SparePartName}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                                                    -{record.StockOutQuantity}
+                                                </span>
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                {formatCurrency(record.StockOutUnitPrice)}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                                                {formatCurrency(record.StockOutTotalPrice)}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                {record.CreatedBy || 'Unknown'}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default CustomerHistory;
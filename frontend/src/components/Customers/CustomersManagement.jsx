@@ -0,0 +1,326 @@
+import React, { useState, useEffect } from 'react';
+import { customersAPI } from '../../services/api';
+import { canManageStock, canEditHistory } from '../../utils/permissions';
+import { formatDate } from '../../utils/formatters';
+import CustomerHistory from './CustomerHistory';
+
+const EMPTY_FORM = {
+    name: '',
+    phone: '',
+    email: '',
+    address: ''
+};
+
+const CustomersManagement = ({ user }) => {
+    const [customers, setCustomers] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [showForm, setShowForm] = useState(false);
+    const [editingCustomer, setEditingCustomer] = useState(null);
+    const [historyCustomerId, setHistoryCustomerId] = useState(null);
+    const [formData, setFormData] = useState(EMPTY_FORM);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    useEffect(() => {
+        fetchCustomers();
+    }, []);
+
+    const fetchCustomers = async () => {
+        try {
+            const response = await customersAPI.getAll();
+            if (response.data.success) {
+                setCustomers(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching customers:', error);
+            setError('Failed to fetch customers');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleInputChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({
+            ...prev,
+            [name]: value
+        }));
+    };
+
+    const resetForm = () => {
+        setFormData(EMPTY_FORM);
+        setEditingCustomer(null);
+        setShowForm(false);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setSuccess('');
+
+        try {
+            const response = editingCustomer
+                ? await customersAPI.update(editingCustomer.CustomerID, formData)
+                : await customersAPI.create(formData);
+
+            if (response.data.success) {
+                setSuccess(response.data.message);
+                resetForm();
+                fetchCustomers();
+            }
+        } catch (error) {
+            console.error('Error saving customer:', error);
+            setError(error.response?.data?.error || 'Failed to save customer');
+        }
+    };
+
+    const handleEdit = (customer) => {
+        setEditingCustomer(customer);
+        setFormData({
+            name: customer.Name,
+            phone: customer.Phone || '',
+            email: customer.Email || '',
+            address: customer.Address || ''
+        });
+        setShowForm(true);
+        setHistoryCustomerId(null);
+        setError('');
+        setSuccess('');
+    };
+
+    const handleDelete = async (customer) => {
+        if (!window.confirm(`Delete customer "${customer.Name}"?`)) {
+            return;
+        }
+
+        setError('');
+        setSuccess('');
+
+        try {
+            const response = await customersAPI.delete(customer.CustomerID);
+            if (response.data.success) {
+                setSuccess(response.data.message);
+                fetchCustomers();
+            }
+        } catch (error) {
+            console.error('Error deleting customer:', error);
+            setError(error.response?.data?.error || 'Failed to delete customer');
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="flex items-center justify-center h-64">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-sky-500"></div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            {/* Page Header */}
+            <div className="flex justify-between items-center">
+                <div>
+                    <h1 className="text-3xl font-bold text-gray-900">Customers</h1>
+                    <p className="text-gray-600">Manage customers and review what each has taken</p>
+                </div>
+                {canManageStock(user) && (
+                    <button
+                        onClick={() => {
+                            if (showForm) {
+                                resetForm();
+                            } else {
+                                setShowForm(true);
+                            }
+                        }}
+                        className="btn-primary"
+                    >
+                        {showForm ? 'Cancel' : 'Add Customer'}
+                    </button>
+                )}
+            </div>
+
+            {/* Success/Error Messages */}
+            {error && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg">
+                    {error}
+                </div>
+            )}
+            {success && (
+                <div className="bg-sky-100 border border-sky-400 text-sky-700 px-4 py-3 rounded-lg">
+                    {success}
+                </div>
+            )}
+
+            {/* Add/Edit Customer Form */}
+            {showForm && (
+                <div className="card">
+                    <h2 className="text-xl font-semibold text-gray-900 mb-4">
+                        {editingCustomer ? 'Edit Customer' : 'Add Customer'}
+                    </h2>
+                    <form onSubmit={handleSubmit} className="space-y-4">
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                            <div>
+                                <label htmlFor="name" className="block text-sm font-medium text-gray-700 mb-1">
+                                    Name *
+                                </label>
+                                <input
+                                    type="text"
+                                    id="name"
+                                    name="name"
+                                    value={formData.name}
+                                    onChange={handleInputChange}
+                                    className="input-field"
+                                    placeholder="Enter customer name"
+                                    maxLength={100}
+                                    required
+                                />
+                            </div>
+                            <div>
+                                <label htmlFor="phone" className="block text-sm font-medium text-gray-700 mb-1">
+                                    Phone
+                                </label>
+                                <input
+                                    type="tel"
+                                    id="phone"
+                                    name="phone"
+                                    value={formData.phone}
+                                    onChange={handleInputChange}
+                                    className="input-field"
+                                    maxLength={30}
+                                />
+                            </div>
+                            <div>
+                                <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
+                                    Email
+                                </label>
+                                <input
+                                    type="email"
+                                    id="email"
+                                    name="email"
+                                    value={formData.email}
+                                    onChange={handleInputChange}
+                                    className="input-field"
+                                    maxLength={100}
+                                />
+                            </div>
+                            <div>
+                                <label htmlFor="address" className="block text-sm font-medium text-gray-700 mb-1">
+                                    Address
+                                </label>
+                                <input
+                                    type="text"
+                                    id="address"
+                                    name="address"
+                                    value={formData.address}
+                                    onChange={handleInputChange}
+                                    className="input-field"
+                                    maxLength={255}
+                                />
+                            </div>
+                        </div>
+                        <div className="flex space-x-4">
+                            <button type="submit" className="btn-primary">
+                                {editingCustomer ? 'Update Customer' : 'Add Customer'}
+                            </button>
+                            <button type="button" onClick={resetForm} className="btn-secondary">
+                                Cancel
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            )}
+
+            {historyCustomerId && (
+                <CustomerHistory
+                    customerId={historyCustomerId}
+                    onClose={() => setHistoryCustomerId(null)}
+                />
+            )}
+
+            {/* Customer List */}
+            <div className="card">
+                <h2 className="text-xl font-semibold text-gray-900 mb-4">
+                    All Customers ({customers.length})
+                </h2>
+
+                {customers.length === 0 ? (
+                    <div className="text-center py-8 text-gray-500">
+                        <p className="text-lg font-medium">No customers found</p>
+                        <p>Add a customer to record who receives issued parts.</p>
+                    </div>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-sky-600 text-white">
+                                <tr>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Customer
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Contact
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Stock Out Records
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Actions
+                                    </th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {customers.map((customer) => (
+                                    <tr key={customer.CustomerID} className="table-row">
+                                        <td className="px-6 py-4 whitespace-nowrap">
+                                            <div className="font-medium text-gray-900">{customer.Name}</div>
+                                            {customer.Address && (
+                                                <div className="text-xs text-gray-500">{customer.Address}</div>
+                                            )}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {[customer.Phone, customer.Email].filter(Boolean).join(' · ') || 'N/A'}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            <div>{customer.StockOutCount}</div>
+                                            {customer.LastStockOutDate && (
+                                                <div className="text-xs text-gray-500">
+                                                    Last on {formatDate(customer.LastStockOutDate)}
+                                                </div>
+                                            )}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium space-x-2">
+                                            <button
+                                                onClick={() => setHistoryCustomerId(customer.CustomerID)}
+                                                className="text-sky-600 hover:text-sky-900"
+                                            >
+                                                History
+                                            </button>
+                                            {canManageStock(user) && (
+                                                <button
+                                                    onClick={() => handleEdit(customer)}
+                                                    className="text-blue-600 hover:text-blue-900"
+                                                >
+                                                    Edit
+                                                </button>
+                                            )}
+                                            {canEditHistory(user) && (
+                                                <button
+                                                    onClick={() => handleDelete(customer)}
+                                                    className="text-red-600 hover:text-red-900"
+                                                >
+                                                    Delete
+                                                </button>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default CustomersManagement;
@@ -9,15 +9,16 @@ const Dashboard = () => {
         lowStockItems: [],
         loading: true
     });
+    const [selectedLocation, setSelectedLocation] = useState('');
 
     useEffect(() => {
         fetchDashboardData();
-    }, []);
+    }, [selectedLocation]); // eslint-disable-line react-hooks/exhaustive-deps
 
     const fetchDashboardData = async () => {
         try {
             const [stockStatusResponse, stockOutResponse] = await Promise.all([
-                reportsAPI.getStockStatus(),
+                reportsAPI.getStockStatus(selectedLocation),
                 stockOutAPI.getAll()
             ]);
 
@@ -66,13 +67,31 @@ const Dashboard = () => {
     }
 
     const { stockStatus, recentStockOut } = dashboardData;
+    const locationSummary = stockStatus?.locationSummary || [];
 
     return (
         <div className="space-y-6">
             {/* Page Header */}
-            <div>
-                <h1 className="text-3xl font-bold text-gray-900">Dashboard</h1>
-                <p className="text-gray-600">Overview of your inventory management system</p>
+            <div className="flex justify-between items-center">
+                <div>
+                    <h1 className="text-3xl font-bold text-gray-900">Dashboard</h1>
+                    <p className="text-gray-600">Overview of your inventory management system</p>
+                </div>
+                {locationSummary.length > 1 && (
+                    <select
+                        id="dashboardLocation"
+                        value={selectedLocation}
+                        onChange={(e) => setSelectedLocation(e.target.value)}
+                        className="input-field max-w-xs"
+                    >
+                        <option value="">All locations</option>
+                        {locationSummary.map((location) => (
+                            <option key={location.LocationID} value={location.LocationID}>
+                                {location.Name}
+                            </option>
+                        ))}
+                    </select>
+                )}
             </div>
 
             {/* Summary Cards */}
@@ -95,6 +114,7 @@ const Dashboard = () => {
                     <div>
                         <p className="text-sky-100">Total Value</p>
                         <p className="text-2xl font-bold">{formatCurrency(stockStatus?.summary?.totalCurrentValue || 0)}</p>
+                        <p className="text-sm text-sky-100">At cost: {formatCurrency(stockStatus?.summary?.totalCostValue || 0)}</p>
                     </div>
                 </div>
 
@@ -102,10 +122,37 @@ const Dashboard = () => {
                     <div>
                         <p className="text-sky-100">Low Stock</p>
                         <p className="text-2xl font-bold">{stockStatus?.summary?.lowStockItemsCount || 0}</p>
+                        <p className="text-sm text-sky-100">Below minimum: {stockStatus?.summary?.belowMinimumItemsCount || 0}</p>
                     </div>
                 </div>
             </div>
             <div className="flex flex-col space-y-6">
+                {/* Stock by Location */}
+                {!selectedLocation && locationSummary.length > 1 && (
+                    <div className="card">
+                        <div className="flex justify-between items-center mb-4">
+                            <h2 className="text-xl font-semibold text-gray-900">Stock by Location</h2>
+                            <Link to="/locations" className="text-sky-700 hover:text-sky-800 text-sm">
+                                View All
+                            </Link>
+                        </div>
+                        <div className="space-y-3">
+                            {locationSummary.map((location) => (
+                                <div key={location.LocationID} className="flex justify-between items-center p-3 bg-gray-50 rounded-lg">
+                                    <div>
+                                        <p className="font-medium text-gray-900">{location.Name}</p>
+                                        <p className="text-sm text-gray-600">Parts: {location.PartCount}</p>
+                                    </div>
+                                    <div className="text-right">
+                                        <p className="font-medium text-gray-900">{formatCurrency(location.TotalValue)}</p>
+                                        <p className="text-sm text-gray-600">Qty: {formatNumber(location.TotalQuantity)}</p>
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
                 {/* Recent Stock Out */}
                 <div className="card">
                     <div className="flex justify-between items-center mb-4">
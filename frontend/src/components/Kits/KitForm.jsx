@@ -0,0 +1,217 @@
+import React, { useState } from 'react';
+import { kitsAPI } from '../../services/api';
+import { formatCurrency } from '../../utils/formatters';
+
+const EMPTY_COMPONENT = {
+    partId: '',
+    quantity: ''
+};
+
+// Form values for a new kit, or for the kit being edited
+const getInitialForm = (kit) => kit
+    ? {
+        name: kit.Name,
+        description: kit.Description || '',
+        components: kit.Components.map((component) => ({
+            partId: component.PartID.toString(),
+            quantity: component.Quantity.toString()
+        }))
+    }
+    : {
+        name: '',
+        description: '',
+        components: [{ ...EMPTY_COMPONENT }]
+    };
+
+// Define a kit as a list of component parts and the quantity of each that goes into one kit
+const KitForm = ({ kit, spareParts, onSaved, onCancel }) => {
+    const [formData, setFormData] = useState(() => getInitialForm(kit));
+    const [error, setError] = useState('');
+
+    const getPart = (partId) => spareParts.find(part => part.PartID === parseInt(partId));
+
+    const handleInputChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({
+            ...prev,
+            [name]: value
+        }));
+    };
+
+    const handleComponentChange = (index, field, value) => {
+        setFormData(prev => ({
+            ...prev,
+            components: prev.components.map((component, componentIndex) => (
+                componentIndex === index ? { ...component, [field]: value } : component
+            ))
+        }));
+    };
+
+    const addComponent = () => {
+        setFormData(prev => ({
+            ...prev,
+            components: [...prev.components, { ...EMPTY_COMPONENT }]
+        }));
+    };
+
+    const removeComponent = (index) => {
+        setFormData(prev => ({
+            ...prev,
+            components: prev.components.filter((component, componentIndex) => componentIndex !== index)
+        }));
+    };
+
+    const kitValue = formData.components.reduce(
+        (sum, component) => sum + (parseInt(component.quantity) || 0) * (parseFloat(getPart(component.partId)?.UnitPrice) || 0),
+        0
+    );
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        if (formData.components.length === 0) {
+            setError('Add at least one component part to the kit');
+            return;
+        }
+
+        const data = {
+            name: formData.name,
+            description: formData.description,
+            components: formData.components.map((component) => ({
+                partId: parseInt(component.partId),
+                quantity: parseInt(component.quantity)
+            }))
+        };
+
+        try {
+            const response = kit
+                ? await kitsAPI.update(kit.KitID, data)
+                : await kitsAPI.create(data);
+
+            if (response.data.success) {
+                onSaved(response.data.message);
+            }
+        } catch (error) {
+            console.error('Error saving kit:', error);
+            setError(error.response?.data?.error || 'Failed to save kit');
+        }
+    };
+
+    return (
+        <div className="card">
+            <h2 className="text-xl font-semibold text-gray-900 mb-4">
+                {kit ? `Edit Kit ${kit.Name}` : 'New Kit'}
+            </h2>
+
+            {error && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg mb-4">
+                    {error}
+                </div>
+            )}
+
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                        <label htmlFor="kitName" className="block text-sm font-medium text-gray-700 mb-1">
+                            Kit Name *
+                        </label>
+                        <input
+                            type="text"
+                            id="kitName"
+                            name="name"
+                            value={formData.name}
+                            onChange={handleInputChange}
+                            className="input-field"
+                            placeholder="e.g. Brake job kit"
+                            maxLength={100}
+                            required
+                        />
+                    </div>
+                    <div>
+                        <label htmlFor="kitDescription" className="block text-sm font-medium text-gray-700 mb-1">
+                            Description
+                        </label>
+                        <input
+                            type="text"
+                            id="kitDescription"
+                            name="description"
+                            value={formData.description}
+                            onChange={handleInputChange}
+                            className="input-field"
+                            placeholder="Optional"
+                            maxLength={255}
+                        />
+                    </div>
+                </div>
+
+                <div>
+                    <h3 className="text-sm font-medium text-gray-700 mb-2">Components per Kit *</h3>
+                    <div className="space-y-2">
+                        {formData.components.map((component, index) => (
+                            <div key={index} className="grid grid-cols-1 md:grid-cols-12 gap-2 items-center">
+                                <select
+                                    value={component.partId}
+                                    onChange={(e) => handleComponentChange(index, 'partId', e.target.value)}
+                                    className="input-field md:col-span-7"
+                                    aria-label="Spare part"
+                                    required
+                                >
+                                    <option value="">Select spare part</option>
+                                    {spareParts.map((part) => (
+                                        <option key={part.PartID} value={part.PartID}>
+                                            {part.Name} ({part.Category})
+                                        </option>
+                                    ))}
+                                </select>
+                                <input
+                                    type="number"
+                                    value={component.quantity}
+                                    onChange={(e) => handleComponentChange(index, 'quantity', e.target.value)}
+                                    className="input-field md:col-span-2"
+                                    placeholder="Quantity"
+                                    aria-label="Quantity per kit"
+                                    min="1"
+                                    required
+                                />
+                                <div className="md:col-span-3 flex items-center justify-between">
+                                    <span className="text-sm text-gray-900">
+                                        {formatCurrency((parseInt(component.quantity) || 0) * (parseFloat(getPart(component.partId)?.UnitPrice) || 0))}
+                                    </span>
+                                    <button
+                                        type="button"
+                                        onClick={() => removeComponent(index)}
+                                        className="text-red-600 hover:text-red-900 text-sm font-medium"
+                                    >
+                                        Remove
+                                    </button>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                    <div className="flex justify-between items-center mt-2">
+                        <button
+                            type="button"
+                            onClick={addComponent}
+                            className="text-sky-600 hover:text-sky-900 text-sm font-medium"
+                        >
+                            + Add Component
+                        </button>
+                        <p className="text-sm font-medium text-gray-900">Kit value at selling prices: {formatCurrency(kitValue)}</p>
+                    </div>
+                </div>
+
+                <div className="flex space-x-4">
+                    <button type="submit" className="btn-primary">
+                        {kit ? 'Update Kit' : 'Save Kit'}
+                    </button>
+                    <button type="button" onClick={onCancel} className="btn-secondary">
+                        Cancel
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default KitForm;
@@ -0,0 +1,208 @@
+import React, { useState } from 'react';
+import { kitsAPI } from '../../services/api';
+import { formatCurrency } from '../../utils/formatters';
+
+// Issue a number of kits; all of their components go out together on one stock out document
+const KitIssueForm = ({ kit, customers, locations, workOrders, locationId, onIssued, onCancel }) => {
+    const [formData, setFormData] = useState({
+        quantity: '1',
+        documentDate: new Date().toISOString().split('T')[0],
+        workOrderId: '',
+        customerId: '',
+        locationId,
+        notes: ''
+    });
+    const [posting, setPosting] = useState(false);
+    const [error, setError] = useState('');
+
+    const kitQuantity = parseInt(formData.quantity) || 0;
+
+    const handleInputChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({
+            ...prev,
+            [name]: value
+        }));
+    };
+
+    const getWorkOrder = (workOrderId) => workOrders.find(order => order.WorkOrderID === parseInt(workOrderId));
+
+    // Kits fitted on a work order are charged to its customer
+    const handleWorkOrderChange = (e) => {
+        const workOrder = getWorkOrder(e.target.value);
+        setFormData(prev => ({
+            ...prev,
+            workOrderId: e.target.value,
+            customerId: workOrder?.CustomerID ? workOrder.CustomerID.toString() : prev.customerId
+        }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setPosting(true);
+
+        try {
+            const response = await kitsAPI.issue(kit.KitID, {
+                quantity: kitQuantity,
+                documentDate: formData.documentDate,
+                workOrderId: formData.workOrderId ? parseInt(formData.workOrderId) : null,
+                customerId: formData.customerId ? parseInt(formData.customerId) : null,
+                locationId: parseInt(formData.locationId),
+                notes: formData.notes
+            });
+
+            if (response.data.success) {
+                onIssued(response.data.message);
+            }
+        } catch (error) {
+            console.error('Error issuing kit:', error);
+            setError(error.response?.data?.error || 'Failed to issue kit');
+        } finally {
+            setPosting(false);
+        }
+    };
+
+    return (
+        <div className="card">
+            <h2 className="text-xl font-semibold text-gray-900 mb-4">Issue {kit.Name}</h2>
+
+            {error && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg mb-4">
+                    {error}
+                </div>
+            )}
+
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-6 gap-4">
+                    <div>
+                        <label htmlFor="kitIssueQuantity" className="block text-sm font-medium text-gray-700 mb-1">
+                            Number of Kits *
+                        </label>
+                        <input
+                            type="number"
+                            id="kitIssueQuantity"
+                            name="quantity"
+                            value={formData.quantity}
+                            onChange={handleInputChange}
+                            className="input-field"
+                            min="1"
+                            required
+                        />
+                    </div>
+                    <div>
+                        <label htmlFor="kitIssueDate" className="block text-sm font-medium text-gray-700 mb-1">
+                            Date *
+                        </label>
+                        <input
+                            type="date"
+                            id="kitIssueDate"
+                            name="documentDate"
+                            value={formData.documentDate}
+                            onChange={handleInputChange}
+                            className="input-field"
+                            required
+                        />
+                    </div>
+                    <div>
+                        <label htmlFor="kitIssueWorkOrderId" className="block text-sm font-medium text-gray-700 mb-1">
+                            Work Order
+                        </label>
+                        <select
+                            id="kitIssueWorkOrderId"
+                            name="workOrderId"
+                            value={formData.workOrderId}
+                            onChange={handleWorkOrderChange}
+                            className="input-field"
+                        >
+                            <option value="">No work order</option>
+                            {workOrders.map((workOrder) => (
+                                <option key={workOrder.WorkOrderID} value={workOrder.WorkOrderID}>
+                                    #{workOrder.WorkOrderID} {workOrder.VehiclePlate}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="kitIssueCustomerId" className="block text-sm font-medium text-gray-700 mb-1">
+                            Customer
+                        </label>
+                        <select
+                            id="kitIssueCustomerId"
+                            name="customerId"
+                            value={formData.customerId}
+                            onChange={handleInputChange}
+                            className="input-field"
+                            disabled={!!getWorkOrder(formData.workOrderId)?.CustomerID}
+                        >
+                            <option value="">No customer</option>
+                            {customers.map((customer) => (
+                                <option key={customer.CustomerID} value={customer.CustomerID}>
+                                    {customer.Name}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="kitIssueLocationId" className="block text-sm font-medium text-gray-700 mb-1">
+                            Issue From *
+                        </label>
+                        <select
+                            id="kitIssueLocationId"
+                            name="locationId"
+                            value={formData.locationId}
+                            onChange={handleInputChange}
+                            className="input-field"
+                            required
+                        >
+                            {locations.map((location) => (
+                                <option key={location.LocationID} value={location.LocationID}>
+                                    {location.Name}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="kitIssueNotes" className="block text-sm font-medium text-gray-700 mb-1">
+                            Notes
+                        </label>
+                        <input
+                            type="text"
+                            id="kitIssueNotes"
+                            name="notes"
+                            value={formData.notes}
+                            onChange={handleInputChange}
+                            className="input-field"
+                            placeholder="Optional"
+                            maxLength={255}
+                        />
+                    </div>
+                </div>
+
+                <ul className="text-sm text-gray-700 list-disc list-inside space-y-1">
+                    {kit.Components.map((component) => (
+                        <li key={component.PartID}>
+                            {component.Quantity * kitQuantity} x {component.SparePartName} at {formatCurrency(component.UnitPrice)}
+                        </li>
+                    ))}
+                </ul>
+
+                <div className="flex justify-between items-center">
+                    <div className="flex space-x-4">
+                        <button type="submit" className="btn-primary" disabled={posting}>
+                            {posting ? 'Posting...' : 'Issue Kits'}
+                        </button>
+                        <button type="button" onClick={onCancel} className="btn-secondary">
+                            Cancel
+                        </button>
+                    </div>
+                    <p className="text-lg font-semibold text-gray-900">
+                        Total {formatCurrency(kit.ComponentValue * kitQuantity)}
+                    </p>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default KitIssueForm;
@@ -0,0 +1,313 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { kitsAPI, sparePartsAPI, customersAPI, locationsAPI, workOrdersAPI } from '../../services/api';
+import { canManageStock, canEditHistory } from '../../utils/permissions';
+import { formatCurrency } from '../../utils/formatters';
+import { getDefaultLocationId } from '../../utils/locations';
+import { isWorkOrderOpen } from '../../utils/workOrders';
+import KitForm from './KitForm';
+import KitIssueForm from './KitIssueForm';
+
+const KitsManagement = ({ user }) => {
+    const [kits, setKits] = useState([]);
+    const [spareParts, setSpareParts] = useState([]);
+    const [customers, setCustomers] = useState([]);
+    const [locations, setLocations] = useState([]);
+    const [workOrders, setWorkOrders] = useState([]);
+    const [locationFilter, setLocationFilter] = useState('');
+    const [showForm, setShowForm] = useState(false);
+    const [editingKit, setEditingKit] = useState(null);
+    const [issuingKit, setIssuingKit] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    // Buildable quantities are worked out from stock at the selected location, or across all of them
+    const fetchKits = useCallback(async () => {
+        try {
+            const response = await kitsAPI.getAll(locationFilter);
+            if (response.data.success) {
+                setKits(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching kits:', error);
+            setError('Failed to fetch kits');
+        } finally {
+            setLoading(false);
+        }
+    }, [locationFilter]);
+
+    useEffect(() => {
+        fetchKits();
+    }, [fetchKits]);
+
+    useEffect(() => {
+        const fetchLookups = async () => {
+            try {
+                const [sparePartsResponse, customersResponse, locationsResponse, workOrdersResponse] = await Promise.all([
+                    sparePartsAPI.getAll(),
+                    customersAPI.getAll(),
+                    locationsAPI.getAll(),
+                    workOrdersAPI.getAll()
+                ]);
+
+                if (sparePartsResponse.data.success) {
+                    setSpareParts(sparePartsResponse.data.data);
+                }
+                if (customersResponse.data.success) {
+                    setCustomers(customersResponse.data.data);
+                }
+                if (locationsResponse.data.success) {
+                    setLocations(locationsResponse.data.data);
+                }
+                if (workOrdersResponse.data.success) {
+                    setWorkOrders(workOrdersResponse.data.data.filter(isWorkOrderOpen));
+                }
+            } catch (error) {
+                console.error('Error fetching data:', error);
+                setError('Failed to fetch data');
+            }
+        };
+
+        fetchLookups();
+    }, []);
+
+    const closeForms = () => {
+        setShowForm(false);
+        setEditingKit(null);
+        setIssuingKit(null);
+    };
+
+    const handleSaved = (message) => {
+        closeForms();
+        setSuccess(message);
+        setError('');
+        fetchKits();
+    };
+
+    const handleEdit = (kit) => {
+        closeForms();
+        setEditingKit(kit);
+        setShowForm(true);
+        setSuccess('');
+    };
+
+    const handleIssue = (kit) => {
+        closeForms();
+        setIssuingKit(kit);
+        setSuccess('');
+    };
+
+    const handleDelete = async (kit) => {
+        if (!window.confirm(`Delete kit ${kit.Name}? Its component parts are not affected.`)) {
+            return;
+        }
+
+        try {
+            const response = await kitsAPI.delete(kit.KitID);
+            if (response.data.success) {
+                closeForms();
+                setSuccess(response.data.message);
+                setError('');
+                fetchKits();
+            }
+        } catch (error) {
+            console.error('Error deleting kit:', error);
+            setError(error.response?.data?.error || 'Failed to delete kit');
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="flex items-center justify-center h-64">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-sky-500"></div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            {/* Page Header */}
+            <div className="flex justify-between items-center">
+                <div>
+                    <h1 className="text-3xl font-bold text-gray-900">Kits</h1>
+                    <p className="text-gray-600">Bundle spare parts into service kits and issue them in one go</p>
+                </div>
+                {canManageStock(user) && (
+                    <button
+                        onClick={() => {
+                            closeForms();
+                            if (!showForm) {
+                                setShowForm(true);
+                                setSuccess('');
+                            }
+                        }}
+                        className="btn-primary"
+                    >
+                        {showForm ? 'Cancel' : 'New Kit'}
+                    </button>
+                )}
+            </div>
+
+            {/* Success/Error Messages */}
+            {error && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg">
+                    {error}
+                </div>
+            )}
+            {success && (
+                <div className="bg-sky-100 border border-sky-400 text-sky-700 px-4 py-3 rounded-lg">
+                    {success}
+                </div>
+            )}
+
+            {showForm && (
+                <KitForm
+                    key={editingKit ? editingKit.KitID : 'new'}
+                    kit={editingKit}
+                    spareParts={spareParts}
+                    onSaved={handleSaved}
+                    onCancel={closeForms}
+                />
+            )}
+
+            {issuingKit && (
+                <KitIssueForm
+                    key={issuingKit.KitID}
+                    kit={issuingKit}
+                    customers={customers}
+                    locations={locations}
+                    workOrders={workOrders}
+                    locationId={locationFilter || getDefaultLocationId(locations)}
+                    onIssued={handleSaved}
+                    onCancel={closeForms}
+                />
+            )}
+
+            <div className="card">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-xl font-semibold text-gray-900">
+                        Kits ({kits.length} records)
+                    </h2>
+                    <div className="flex items-center space-x-2">
+                        <label htmlFor="kitLocationFilter" className="text-sm font-medium text-gray-700">
+                            Buildable from:
+                        </label>
+                        <select
+                            id="kitLocationFilter"
+                            value={locationFilter}
+                            onChange={(e) => setLocationFilter(e.target.value)}
+                            className="input-field"
+                        >
+                            <option value="">All locations</option>
+                            {locations.map((location) => (
+                                <option key={location.LocationID} value={location.LocationID}>
+                                    {location.Name}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                </div>
+
+                {kits.length === 0 ? (
+                    <div className="text-center py-8 text-gray-500">
+                        <p className="text-lg font-medium">No kits found</p>
+                        <p>Create a kit for parts that are always issued together.</p>
+                    </div>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-sky-600 text-white">
+                                <tr>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Kit
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Components
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Kit Value
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Buildable
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Issued
+                                    </th>
+                                    {canManageStock(user) && (
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Actions
+                                        </th>
+                                    )}
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {kits.map((kit) => (
+                                    <tr key={kit.KitID} className="table-row">
+                                        <td className="px-6 py-4 whitespace-nowrap">
+                                            <div className="font-medium text-gray-900">{kit.Name}</div>
+                                            {kit.Description && (
+                                                <div className="text-xs text-gray-500">{kit.Description}</div>
+                                            )}
+                                        </td>
+                                        <td className="px-6 py-4 text-sm text-gray-900">
+                                            {kit.Components.map((component) => (
+                                                <div
+                                                    key={component.PartID}
+                                                    className={component.BuildableQuantity === kit.BuildableQuantity ? 'font-medium' : ''}
+                                                >
+                                                    {component.Quantity} x {component.SparePartName}
+                                                    <span className="text-xs text-gray-500">
+                                                        {component.ArchivedAt ? ' (archived)' : ` (${component.AvailableQuantity} available)`}
+                                                    </span>
+                                                </div>
+                                            ))}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {formatCurrency(kit.ComponentValue)}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap">
+                                            <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${kit.BuildableQuantity > 0 ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
+                                                {kit.BuildableQuantity} kits
+                                            </span>
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {kit.IssuedQuantity}
+                                        </td>
+                                        {canManageStock(user) && (
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                                                <div className="flex space-x-2">
+                                                    <button
+                                                        onClick={() => handleIssue(kit)}
+                                                        className="text-sky-600 hover:text-sky-900"
+                                                    >
+                                                        Issue
+                                                    </button>
+                                                    <button
+                                                        onClick={() => handleEdit(kit)}
+                                                        className="text-sky-600 hover:text-sky-900"
+                                                    >
+                                                        Edit
+                                                    </button>
+                                                    {canEditHistory(user) && (
+                                                        <button
+                                                            onClick={() => handleDelete(kit)}
+                                                            className="text-red-600 hover:text-red-900"
+                                                        >
+                                                            Delete
+                                                        </button>
+                                                    )}
+                                                </div>
+                                            </td>
+                                        )}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default KitsManagement;
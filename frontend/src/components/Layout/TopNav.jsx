@@ -1,10 +1,14 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { authAPI } from '../../services/api';
+import { canManageUsers, canViewAuditLog, ROLE_LABELS } from '../../utils/permissions';
+import ChangePasswordForm from '../Auth/ChangePasswordForm';
 
 const TopNav = ({ user, setUser }) => {
     const navigate = useNavigate();
     const location = useLocation();
+    const [showPasswordForm, setShowPasswordForm] = useState(false);
+    const [passwordMessage, setPasswordMessage] = useState('');
 
     const handleLogout = async () => {
         try {
@@ -26,10 +30,23 @@ const TopNav = ({ user, setUser }) => {
     const navItems = [
         { path: '/', label: 'Dashboard' },
         { path: '/spare-parts', label: 'Spare Parts' },
+        { path: '/categories', label: 'Categories' },
         { path: '/stock-in', label: 'Stock In' },
+        { path: '/suppliers', label: 'Suppliers' },
+        { path: '/purchase-orders', label: 'Purchase Orders' },
         { path: '/stock-out', label: 'Stock Out' },
+        { path: '/kits', label: 'Kits' },
+        { path: '/work-orders', label: 'Work Orders' },
+        { path: '/customers', label: 'Customers' },
+        { path: '/returns', label: 'Returns' },
+        { path: '/reservations', label: 'Reservations' },
+        { path: '/locations', label: 'Locations' },
+        { path: '/transfers', label: 'Transfers' },
+        { path: '/stocktakes', label: 'Stocktakes' },
         { path: '/reports', label: 'Reports' },
-    ];
+        { path: '/audit-log', label: 'Audit Log', visible: canViewAuditLog(user) },
+        { path: '/users', label: 'Users', visible: canManageUsers(user) },
+    ].filter((item) => item.visible !== false);
 
     return (
         <nav className="bg-sky-700 text-white shadow-lg">
@@ -63,17 +80,65 @@ const TopNav = ({ user, setUser }) => {
                     </div>
 
                     {/* User Menu */}
-                    <div className="flex items-center space-x-4">
+                    <div className="relative flex items-center space-x-4">
                         <div className="text-sm">
                             <span className="text-sky-200">Welcome, </span>
                             <span className="font-medium">{user?.username || 'User'}</span>
+                            {user?.role && (
+                                <span className="block text-xs text-sky-200">{ROLE_LABELS[user.role]}</span>
+                            )}
                         </div>
+                        <Link to="/account/sessions" className="text-sm text-sky-100 hover:text-white">
+                            Sessions
+                        </Link>
+                        <Link to="/account/api-tokens" className="text-sm text-sky-100 hover:text-white">
+                            API Tokens
+                        </Link>
+                        <Link to="/account/two-factor" className="text-sm text-sky-100 hover:text-white">
+                            Two-Factor
+                        </Link>
+                        <button
+                            onClick={() => {
+                                setShowPasswordForm(!showPasswordForm);
+                                setPasswordMessage('');
+                            }}
+                            className="text-sm text-sky-100 hover:text-white"
+                        >
+                            Change Password
+                        </button>
                         <button
                             onClick={handleLogout}
                             className="bg-sky-600 hover:bg-sky-500 px-3 py-2 rounded-md text-sm font-medium transition-colors duration-200"
                         >
                             Logout
                         </button>
+
+                        {(showPasswordForm || passwordMessage) && (
+                            <div className="absolute right-0 top-full mt-2 w-80 bg-white text-gray-900 rounded-md shadow-lg p-4 z-10">
+                                {passwordMessage ? (
+                                    <div className="flex justify-between items-start">
+                                        <p className="text-sm text-green-700">{passwordMessage}</p>
+                                        <button
+                                            onClick={() => setPasswordMessage('')}
+                                            className="ml-2 text-sm text-gray-500 hover:text-gray-700"
+                                        >
+                                            Close
+                                        </button>
+                                    </div>
+                                ) : (
+                                    <>
+                                        <h3 className="text-lg font-semibold mb-3">Change Password</h3>
+                                        <ChangePasswordForm
+                                            onSuccess={() => {
+                                                setShowPasswordForm(false);
+                                                setPasswordMessage('Password changed successfully!');
+                                            }}
+                                            onCancel={() => setShowPasswordForm(false)}
+                                        />
+                                    </>
+                                )}
+                            </div>
+                        )}
                     </div>
                 </div>
 
@@ -0,0 +1,148 @@
+import React, { useState, useEffect } from 'react';
+import { locationsAPI } from '../../services/api';
+import { formatCurrency, exportToCSV } from '../../utils/formatters';
+
+// Every part currently held at one location
+const LocationStock = ({ locationId, onClose }) => {
+    const [stock, setStock] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const fetchStock = async () => {
+            setLoading(true);
+            setError('');
+
+            try {
+                const response = await locationsAPI.getStock(locationId);
+                if (response.data.success) {
+                    setStock(response.data.data);
+                }
+            } catch (error) {
+                console.error('Error fetching location stock:', error);
+                setError(error.response?.data?.error || 'Failed to fetch location stock');
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        fetchStock();
+    }, [locationId]);
+
+    const handleExport = () => {
+        exportToCSV(
+            stock.parts.map((part) => ({
+                'Spare Part': part.SparePartName,
+                SKU: part.SKU || '',
+                Category: part.Category,
+                Quantity: part.Quantity,
+                'Unit Price': part.UnitPrice,
+                'Total Value': part.TotalPrice
+            })),
+            `location-stock-${stock.location.Name}-${new Date().toISOString().split('T')[0]}.csv`
+        );
+    };
+
+    return (
+        <div className="card">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-xl font-semibold text-gray-900">
+                    Stock Held{stock ? ` - ${stock.location.Name}` : ''}
+                </h2>
+                <div className="flex space-x-2">
+                    {stock?.parts.length > 0 && (
+                        <button onClick={handleExport} className="btn-secondary">
+                            Export CSV
+                        </button>
+                    )}
+                    <button onClick={onClose} className="btn-secondary">
+                        Close
+                    </button>
+                </div>
+            </div>
+
+            {error && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg">
+                    {error}
+                </div>
+            )}
+
+            {loading ? (
+                <div className="flex items-center justify-center h-32">
+                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-sky-500"></div>
+                </div>
+            ) : stock && (
+                <>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+                        <div className="bg-sky-50 rounded-lg p-4">
+                            <p className="text-sm text-gray-600">Different Parts</p>
+                            <p className="text-2xl font-bold text-gray-900">{stock.summary.totalParts}</p>
+                        </div>
+                        <div className="bg-sky-50 rounded-lg p-4">
+                            <p className="text-sm text-gray-600">Units Held</p>
+                            <p className="text-2xl font-bold text-gray-900">{stock.summary.totalQuantity}</p>
+                        </div>
+                        <div className="bg-sky-50 rounded-lg p-4">
+                            <p className="text-sm text-gray-600">Total Value</p>
+                            <p className="text-2xl font-bold text-gray-900">{formatCurrency(stock.summary.totalValue)}</p>
+                        </div>
+                    </div>
+
+                    {stock.parts.length === 0 ? (
+                        <p className="text-gray-500 text-center py-4">This location holds no stock</p>
+                    ) : (
+                        <div className="overflow-x-auto">
+                            <table className="min-w-full divide-y divide-gray-200">
+                                <thead className="bg-sky-600 text-white">
+                                    <tr>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Spare Part
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Category
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Quantity
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Unit Price
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Total Value
+                                        </th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {stock.parts.map((part) => (
+                                        <tr key={part.PartID} className="table-row">
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                <div className="font-medium text-gray-900">{part.SparePartName}</div>
+                                                {part.ArchivedAt && (
+                                                    <div className="text-xs text-gray-500">Archived</div>
+                                                )}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                {part.Category}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                {part.Quantity}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                {formatCurrency(part.UnitPrice)}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                                                {formatCurrency(part.TotalPrice)}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default LocationStock;
@@ -0,0 +1,331 @@
+import React, { useState, useEffect } from 'react';
+import { locationsAPI } from '../../services/api';
+import { canManageStock, canEditHistory } from '../../utils/permissions';
+import { formatCurrency } from '../../utils/formatters';
+import LocationStock from './LocationStock';
+
+const EMPTY_FORM = {
+    name: '',
+    description: ''
+};
+
+const LocationsManagement = ({ user }) => {
+    const [locations, setLocations] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [showForm, setShowForm] = useState(false);
+    const [editingLocation, setEditingLocation] = useState(null);
+    const [stockLocationId, setStockLocationId] = useState(null);
+    const [formData, setFormData] = useState(EMPTY_FORM);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    useEffect(() => {
+        fetchLocations();
+    }, []);
+
+    const fetchLocations = async () => {
+        try {
+            const response = await locationsAPI.getAll();
+            if (response.data.success) {
+                setLocations(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching locations:', error);
+            setError('Failed to fetch locations');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleInputChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({
+            ...prev,
+            [name]: value
+        }));
+    };
+
+    const resetForm = () => {
+        setFormData(EMPTY_FORM);
+        setEditingLocation(null);
+        setShowForm(false);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setSuccess('');
+
+        try {
+            const response = editingLocation
+                ? await locationsAPI.update(editingLocation.LocationID, formData)
+                : await locationsAPI.create(formData);
+
+            if (response.data.success) {
+                setSuccess(response.data.message);
+                resetForm();
+                fetchLocations();
+            }
+        } catch (error) {
+            console.error('Error saving location:', error);
+            setError(error.response?.data?.error || 'Failed to save location');
+        }
+    };
+
+    const handleEdit = (location) => {
+        setEditingLocation(location);
+        setFormData({
+            name: location.Name,
+            description: location.Description || ''
+        });
+        setShowForm(true);
+        setStockLocationId(null);
+        setError('');
+        setSuccess('');
+    };
+
+    const handleMakeDefault = async (location) => {
+        if (!window.confirm(`Make "${location.Name}" the default location? Stock recorded without a location will go there.`)) {
+            return;
+        }
+
+        setError('');
+        setSuccess('');
+
+        try {
+            const response = await locationsAPI.update(location.LocationID, {
+                name: location.Name,
+                description: location.Description || '',
+                isDefault: true
+            });
+            if (response.data.success) {
+                setSuccess(`"${location.Name}" is now the default location`);
+                fetchLocations();
+            }
+        } catch (error) {
+            console.error('Error changing default location:', error);
+            setError(error.response?.data?.error || 'Failed to change the default location');
+        }
+    };
+
+    const handleDelete = async (location) => {
+        if (!window.confirm(`Delete location "${location.Name}"?`)) {
+            return;
+        }
+
+        setError('');
+        setSuccess('');
+
+        try {
+            const response = await locationsAPI.delete(location.LocationID);
+            if (response.data.success) {
+                setSuccess(response.data.message);
+                fetchLocations();
+            }
+        } catch (error) {
+            console.error('Error deleting location:', error);
+            setError(error.response?.data?.error || 'Failed to delete location');
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="flex items-center justify-center h-64">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-sky-500"></div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            {/* Page Header */}
+            <div className="flex justify-between items-center">
+                <div>
+                    <h1 className="text-3xl font-bold text-gray-900">Locations</h1>
+                    <p className="text-gray-600">Manage the stores and bins where stock is kept</p>
+                </div>
+                {canManageStock(user) && (
+                    <button
+                        onClick={() => {
+                            if (showForm) {
+                                resetForm();
+                            } else {
+                                setShowForm(true);
+                            }
+                        }}
+                        className="btn-primary"
+                    >
+                        {showForm ? 'Cancel' : 'Add Location'}
+                    </button>
+                )}
+            </div>
+
+            {/* Success/Error Messages */}
+            {error && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg">
+                    {error}
+                </div>
+            )}
+            {success && (
+                <div className="bg-sky-100 border border-sky-400 text-sky-700 px-4 py-3 rounded-lg">
+                    {success}
+                </div>
+            )}
+
+            {/* Add/Edit Location Form */}
+            {showForm && (
+                <div className="card">
+                    <h2 className="text-xl font-semibold text-gray-900 mb-4">
+                        {editingLocation ? 'Edit Location' : 'Add Location'}
+                    </h2>
+                    <form onSubmit={handleSubmit} className="space-y-4">
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                            <div>
+                                <label htmlFor="name" className="block text-sm font-medium text-gray-700 mb-1">
+                                    Name *
+                                </label>
+                                <input
+                                    type="text"
+                                    id="name"
+                                    name="name"
+                                    value={formData.name}
+                                    onChange={handleInputChange}
+                                    className="input-field"
+                                    placeholder="e.g. Main Store, Workshop Bin A3"
+                                    maxLength={100}
+                                    required
+                                />
+                            </div>
+                            <div>
+                                <label htmlFor="description" className="block text-sm font-medium text-gray-700 mb-1">
+                                    Description
+                                </label>
+                                <input
+                                    type="text"
+                                    id="description"
+                                    name="description"
+                                    value={formData.description}
+                                    onChange={handleInputChange}
+                                    className="input-field"
+                                    maxLength={255}
+                                />
+                            </div>
+                        </div>
+                        <div className="flex space-x-4">
+                            <button type="submit" className="btn-primary">
+                                {editingLocation ? 'Update Location' : 'Add Location'}
+                            </button>
+                            <button type="button" onClick={resetForm} className="btn-secondary">
+                                Cancel
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            )}
+
+            {stockLocationId && (
+                <LocationStock
+                    locationId={stockLocationId}
+                    onClose={() => setStockLocationId(null)}
+                />
+            )}
+
+            {/* Location List */}
+            <div className="card">
+                <h2 className="text-xl font-semibold text-gray-900 mb-4">
+                    All Locations ({locations.length})
+                </h2>
+
+                {locations.length === 0 ? (
+                    <p className="text-gray-500 text-center py-4">No locations found</p>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-sky-600 text-white">
+                                <tr>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Location
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Parts Held
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Quantity
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Value
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Actions
+                                    </th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {locations.map((location) => (
+                                    <tr key={location.LocationID} className="table-row">
+                                        <td className="px-6 py-4 whitespace-nowrap">
+                                            <div className="font-medium text-gray-900">
+                                                {location.Name}
+                                                {location.IsDefault && (
+                                                    <span className="ml-2 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-sky-100 text-sky-800">
+                                                        Default
+                                                    </span>
+                                                )}
+                                            </div>
+                                            {location.Description && (
+                                                <div className="text-xs text-gray-500">{location.Description}</div>
+                                            )}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {location.PartCount}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {location.TotalQuantity}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                                            {formatCurrency(location.TotalValue)}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium space-x-2">
+                                            <button
+                                                onClick={() => setStockLocationId(location.LocationID)}
+                                                className="text-sky-600 hover:text-sky-900"
+                                            >
+                                                Stock
+                                            </button>
+                                            {canManageStock(user) && (
+                                                <button
+                                                    onClick={() => handleEdit(location)}
+                                                    className="text-blue-600 hover:text-blue-900"
+                                                >
+                                                    Edit
+                                                </button>
+                                            )}
+                                            {canManageStock(user) && !location.IsDefault && (
+                                                <button
+                                                    onClick={() => handleMakeDefault(location)}
+                                                    className="text-gray-600 hover:text-gray-900"
+                                                >
+                                                    Make Default
+                                                </button>
+                                            )}
+                                            {canEditHistory(user) && !location.IsDefault && (
+                                                <button
+                                                    onClick={() => handleDelete(location)}
+                                                    className="text-red-600 hover:text-red-900"
+                                                >
+                                                    Delete
+                                                </button>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default LocationsManagement;
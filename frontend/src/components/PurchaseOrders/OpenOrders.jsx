@@ -0,0 +1,176 @@
+import React, { useState, useEffect } from 'react';
+import { purchaseOrdersAPI } from '../../services/api';
+import { formatCurrency, formatDate, exportToCSV } from '../../utils/formatters';
+
+// Everything still to be received on sent purchase orders, the soonest expected first
+const OpenOrders = ({ refreshKey, onOpenOrder }) => {
+    const [openOrders, setOpenOrders] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const fetchOpenOrders = async () => {
+            setLoading(true);
+            setError('');
+
+            try {
+                const response = await purchaseOrdersAPI.getOpenLines();
+                if (response.data.success) {
+                    setOpenOrders(response.data.data);
+                }
+            } catch (error) {
+                console.error('Error fetching open orders:', error);
+                setError(error.response?.data?.error || 'Failed to fetch open orders');
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        fetchOpenOrders();
+    }, [refreshKey]);
+
+    const handleExport = () => {
+        exportToCSV(
+            openOrders.openLines.map((line) => ({
+                'Purchase Order': line.PurchaseOrderID,
+                Supplier: line.SupplierName,
+                'Spare Part': line.SparePartName,
+                SKU: line.SKU || '',
+                Ordered: line.OrderedQuantity,
+                Received: line.ReceivedQuantity,
+                Outstanding: line.OutstandingQuantity,
+                'Expected Unit Cost': line.ExpectedUnitCost,
+                'Outstanding Value': line.OutstandingValue,
+                'Expected Date': line.ExpectedDate?.split('T')[0] || ''
+            })),
+            `open-orders-${new Date().toISOString().split('T')[0]}.csv`
+        );
+    };
+
+    return (
+        <div className="card">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-xl font-semibold text-gray-900">Open Orders</h2>
+                {openOrders?.openLines.length > 0 && (
+                    <button onClick={handleExport} className="btn-secondary">
+                        Export CSV
+                    </button>
+                )}
+            </div>
+
+            {error && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg">
+                    {error}
+                </div>
+            )}
+
+            {loading ? (
+                <div className="flex items-center justify-center h-32">
+                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-sky-500"></div>
+                </div>
+            ) : openOrders && (
+                <>
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+                        <div className="bg-sky-50 rounded-lg p-4">
+                            <p className="text-sm text-gray-600">Open Orders</p>
+                            <p className="text-2xl font-bold text-gray-900">{openOrders.summary.openOrders}</p>
+                        </div>
+                        <div className="bg-sky-50 rounded-lg p-4">
+                            <p className="text-sm text-gray-600">Units Outstanding</p>
+                            <p className="text-2xl font-bold text-gray-900">{openOrders.summary.outstandingQuantity}</p>
+                        </div>
+                        <div className="bg-sky-50 rounded-lg p-4">
+                            <p className="text-sm text-gray-600">Outstanding Value</p>
+                            <p className="text-2xl font-bold text-gray-900">{formatCurrency(openOrders.summary.outstandingValue)}</p>
+                        </div>
+                        <div className="bg-sky-50 rounded-lg p-4">
+                            <p className="text-sm text-gray-600">Overdue Lines</p>
+                            <p className={`text-2xl font-bold ${openOrders.summary.overdueLines > 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                                {openOrders.summary.overdueLines}
+                            </p>
+                        </div>
+                    </div>
+
+                    {openOrders.openLines.length === 0 ? (
+                        <p className="text-gray-500 text-center py-4">Nothing is waiting to be received</p>
+                    ) : (
+                        <div className="overflow-x-auto">
+                            <table className="min-w-full divide-y divide-gray-200">
+                                <thead className="bg-sky-600 text-white">
+                                    <tr>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Order
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Spare Part
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Ordered
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Received
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Outstanding
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Value
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Expected
+                                        </th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {openOrders.openLines.map((line) => (
+                                        <tr key={line.LineID} className="table-row">
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                <button
+                                                    onClick={() => onOpenOrder(line.PurchaseOrderID)}
+                                                    className="font-medium text-sky-600 hover:text-sky-900"
+                                                >
+                                                    #{line.PurchaseOrderID}
+                                                </button>
+                                                <div className="text-xs text-gray-500">{line.SupplierName}</div>
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                <div className="font-medium text-gray-900">{line.SparePartName}</div>
+                                                {line.SKU && (
+                                                    <div className="text-xs text-gray-500">{line.SKU}</div>
+                                                )}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                {line.OrderedQuantity}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                {line.ReceivedQuantity}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm font-bold text-gray-900">
+                                                {line.OutstandingQuantity}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                {formatCurrency(line.OutstandingValue)}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm">
+                                                {line.ExpectedDate ? (
+                                                    <span className={line.IsOverdue ? 'font-medium text-red-600' : 'text-gray-900'}>
+                                                        {formatDate(line.ExpectedDate)}
+                                                        {line.IsOverdue && ' (overdue)'}
+                                                    </span>
+                                                ) : (
+                                                    <span className="text-gray-500">Not set</span>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default OpenOrders;
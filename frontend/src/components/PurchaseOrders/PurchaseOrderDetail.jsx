@@ -0,0 +1,446 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { purchaseOrdersAPI } from '../../services/api';
+import { canManageStock, canEditHistory } from '../../utils/permissions';
+import { formatCurrency, formatDate } from '../../utils/formatters';
+import { getDefaultLocationId } from '../../utils/locations';
+import { PURCHASE_ORDER_STATUSES } from '../../utils/purchaseOrders';
+
+// A purchase order with its lines and receipts. Sent orders are received here
+const PurchaseOrderDetail = ({ purchaseOrderId, user, locations, onEdit, onChange, onClose }) => {
+    const [details, setDetails] = useState(null);
+    const [receiving, setReceiving] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    const fetchDetails = useCallback(async () => {
+        setError('');
+
+        try {
+            const response = await purchaseOrdersAPI.getById(purchaseOrderId);
+            if (response.data.success) {
+                setDetails(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching purchase order:', error);
+            setError(error.response?.data?.error || 'Failed to fetch purchase order');
+        } finally {
+            setLoading(false);
+        }
+    }, [purchaseOrderId]);
+
+    useEffect(() => {
+        setLoading(true);
+        setReceiving(null);
+        fetchDetails();
+    }, [fetchDetails]);
+
+    const status = details?.purchaseOrder.Status;
+    const canReceive = ['SENT', 'PARTIALLY_RECEIVED'].includes(status) && canManageStock(user);
+
+    // Each outstanding line starts with its full outstanding quantity at the expected cost
+    const startReceiving = () => {
+        setReceiving({
+            receivedDate: new Date().toISOString().split('T')[0],
+            locationId: getDefaultLocationId(locations),
+            invoiceNumber: '',
+            lines: Object.fromEntries(
+                details.lines
+                    .filter((line) => line.OutstandingQuantity > 0)
+                    .map((line) => [line.LineID, {
+                        quantity: line.OutstandingQuantity.toString(),
+                        unitCost: line.ExpectedUnitCost.toString()
+                    }])
+            )
+        });
+    };
+
+    const handleReceivingLineChange = (lineId, field, value) => {
+        setReceiving(prev => ({
+            ...prev,
+            lines: {
+                ...prev.lines,
+                [lineId]: { ...prev.lines[lineId], [field]: value }
+            }
+        }));
+    };
+
+    // Run an order action and reload the order; returns whether it succeeded
+    const runAction = async (action, errorMessage) => {
+        setError('');
+
+        try {
+            const response = await action();
+            if (response.data.success) {
+                onChange(response.data.message);
+                await fetchDetails();
+                return true;
+            }
+        } catch (error) {
+            console.error(`${errorMessage}:`, error);
+            setError(error.response?.data?.error || errorMessage);
+        }
+        return false;
+    };
+
+    const handleReceive = async (e) => {
+        e.preventDefault();
+
+        const received = await runAction(() => purchaseOrdersAPI.receive(purchaseOrderId, {
+            receivedDate: receiving.receivedDate,
+            locationId: parseInt(receiving.locationId),
+            invoiceNumber: receiving.invoiceNumber,
+            lines: Object.entries(receiving.lines)
+                .filter(([, line]) => parseInt(line.quantity) > 0)
+                .map(([lineId, line]) => ({
+                    lineId: parseInt(lineId),
+                    quantity: parseInt(line.quantity),
+                    unitCost: parseFloat(line.unitCost)
+                }))
+        }), 'Failed to receive stock');
+
+        if (received) {
+            setReceiving(null);
+        }
+    };
+
+    const handleSend = () => {
+        if (!window.confirm(`Mark purchase order #${purchaseOrderId} as sent? It can no longer be changed afterwards.`)) {
+            return;
+        }
+        runAction(() => purchaseOrdersAPI.send(purchaseOrderId), 'Failed to send purchase order');
+    };
+
+    const handleCancel = () => {
+        if (!window.confirm(`Cancel purchase order #${purchaseOrderId}? Stock already received stays in stock.`)) {
+            return;
+        }
+        runAction(() => purchaseOrdersAPI.cancel(purchaseOrderId), 'Failed to cancel purchase order');
+    };
+
+    const handleDelete = async () => {
+        if (!window.confirm(`Delete draft purchase order #${purchaseOrderId}?`)) {
+            return;
+        }
+
+        setError('');
+
+        try {
+            const response = await purchaseOrdersAPI.delete(purchaseOrderId);
+            if (response.data.success) {
+                onChange(response.data.message);
+                onClose();
+            }
+        } catch (error) {
+            console.error('Error deleting purchase order:', error);
+            setError(error.response?.data?.error || 'Failed to delete purchase order');
+        }
+    };
+
+    return (
+        <div className="card">
+            <div className="flex justify-between items-center mb-4">
+                <div>
+                    <h2 className="text-xl font-semibold text-gray-900">
+                        Purchase Order #{purchaseOrderId}{details ? ` - ${details.purchaseOrder.SupplierName}` : ''}
+                    </h2>
+                    {details && (
+                        <p className="text-sm text-gray-500">
+                            {PURCHASE_ORDER_STATUSES[status].label} · Ordered {formatDate(details.purchaseOrder.OrderDate)}
+                            {details.purchaseOrder.ExpectedDate && ` · Expected ${formatDate(details.purchaseOrder.ExpectedDate)}`}
+                            {details.purchaseOrder.Notes && ` · ${details.purchaseOrder.Notes}`}
+                        </p>
+                    )}
+                </div>
+                <div className="flex space-x-2">
+                    {status === 'DRAFT' && canManageStock(user) && (
+                        <>
+                            <button onClick={() => onEdit(details)} className="btn-secondary">
+                                Edit
+                            </button>
+                            <button onClick={handleSend} className="btn-primary">
+                                Mark as Sent
+                            </button>
+                        </>
+                    )}
+                    {canReceive && !receiving && (
+                        <button onClick={startReceiving} className="btn-primary">
+                            Receive
+                        </button>
+                    )}
+                    {['DRAFT', 'SENT', 'PARTIALLY_RECEIVED'].includes(status) && canManageStock(user) && (
+                        <button onClick={handleCancel} className="btn-secondary">
+                            Cancel Order
+                        </button>
+                    )}
+                    {status === 'DRAFT' && canEditHistory(user) && (
+                        <button onClick={handleDelete} className="btn-secondary">
+                            Delete
+                        </button>
+                    )}
+                    <button onClick={onClose} className="btn-secondary">
+                        Close
+                    </button>
+                </div>
+            </div>
+
+            {error && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg mb-4">
+                    {error}
+                </div>
+            )}
+
+            {loading ? (
+                <div className="flex items-center justify-center h-32">
+                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-sky-500"></div>
+                </div>
+            ) : details && (
+                <>
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+                        <div className="bg-sky-50 rounded-lg p-4">
+                            <p className="text-sm text-gray-600">Ordered</p>
+                            <p className="text-2xl font-bold text-gray-900">{details.summary.orderedQuantity}</p>
+                        </div>
+                        <div className="bg-sky-50 rounded-lg p-4">
+                            <p className="text-sm text-gray-600">Received</p>
+                            <p className="text-2xl font-bold text-gray-900">{details.summary.receivedQuantity}</p>
+                        </div>
+                        <div className="bg-sky-50 rounded-lg p-4">
+                            <p className="text-sm text-gray-600">Outstanding</p>
+                            <p className="text-2xl font-bold text-gray-900">
+                                {status === 'CANCELLED' ? 0 : details.summary.outstandingQuantity}
+                            </p>
+                        </div>
+                        <div className="bg-sky-50 rounded-lg p-4">
+                            <p className="text-sm text-gray-600">Expected / Received Cost</p>
+                            <p className="text-lg font-bold text-gray-900">
+                                {formatCurrency(details.summary.expectedTotal)} / {formatCurrency(details.summary.receivedCost)}
+                            </p>
+                        </div>
+                    </div>
+
+                    {receiving && (
+                        <form onSubmit={handleReceive} className="space-y-4 mb-4">
+                            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                                <div>
+                                    <label htmlFor="receivedDate" className="block text-sm font-medium text-gray-700 mb-1">
+                                        Received Date *
+                                    </label>
+                                    <input
+                                        type="date"
+                                        id="receivedDate"
+                                        value={receiving.receivedDate}
+                                        onChange={(e) => setReceiving(prev => ({ ...prev, receivedDate: e.target.value }))}
+                                        className="input-field"
+                                        required
+                                    />
+                                </div>
+                                <div>
+                                    <label htmlFor="receiveLocationId" className="block text-sm font-medium text-gray-700 mb-1">
+                                        Location *
+                                    </label>
+                                    <select
+                                        id="receiveLocationId"
+                                        value={receiving.locationId}
+                                        onChange={(e) => setReceiving(prev => ({ ...prev, locationId: e.target.value }))}
+                                        className="input-field"
+                                        required
+                                    >
+                                        {locations.map((location) => (
+                                            <option key={location.LocationID} value={location.LocationID}>
+                                                {location.Name}
+                                            </option>
+                                        ))}
+                                    </select>
+                                </div>
+                                <div>
+                                    <label htmlFor="receiveInvoiceNumber" className="block text-sm font-medium text-gray-700 mb-1">
+                                        Invoice Number
+                                    </label>
+                                    <input
+                                        type="text"
+                                        id="receiveInvoiceNumber"
+                                        value={receiving.invoiceNumber}
+                                        onChange={(e) => setReceiving(prev => ({ ...prev, invoiceNumber: e.target.value }))}
+                                        className="input-field"
+                                        placeholder="Optional"
+                                        maxLength={50}
+                                    />
+                                </div>
+                            </div>
+                            <div className="flex space-x-4">
+                                <button type="submit" className="btn-primary">
+                                    Receive Stock
+                                </button>
+                                <button type="button" onClick={() => setReceiving(null)} className="btn-secondary">
+                                    Cancel
+                                </button>
+                            </div>
+                        </form>
+                    )}
+
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-sky-600 text-white">
+                                <tr>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Spare Part
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Ordered
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Received
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Outstanding
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Expected Unit Cost
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Expected Total
+                                    </th>
+                                    {receiving && (
+                                        <>
+                                            <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                Receive Now
+                                            </th>
+                                            <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                Unit Cost
+                                            </th>
+                                        </>
+                                    )}
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {details.lines.map((line) => (
+                                    <tr key={line.LineID} className="table-row">
+                                        <td className="px-6 py-4 whitespace-nowrap">
+                                            <div className="font-medium text-gray-900">{line.SparePartName}</div>
+                                            {line.SKU && (
+                                                <div className="text-xs text-gray-500">{line.SKU}</div>
+                                            )}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {line.OrderedQuantity}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {line.ReceivedQuantity}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                                            {status === 'CANCELLED' ? '-' : line.OutstandingQuantity}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {formatCurrency(line.ExpectedUnitCost)}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {formatCurrency(line.ExpectedTotal)}
+                                        </td>
+                                        {receiving && (
+                                            receiving.lines[line.LineID] ? (
+                                                <>
+                                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                        <input
+                                                            type="number"
+                                                            value={receiving.lines[line.LineID].quantity}
+                                                            onChange={(e) => handleReceivingLineChange(line.LineID, 'quantity', e.target.value)}
+                                                            className="input-field w-24"
+                                                            aria-label={`Quantity of ${line.SparePartName} received`}
+                                                            min="0"
+                                                            max={line.OutstandingQuantity}
+                                                        />
+                                                    </td>
+                                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                        <input
+                                                            type="number"
+                                                            value={receiving.lines[line.LineID].unitCost}
+                                                            onChange={(e) => handleReceivingLineChange(line.LineID, 'unitCost', e.target.value)}
+                                                            className="input-field w-28"
+                                                            aria-label={`Unit cost of ${line.SparePartName}`}
+                                                            min="0"
+                                                            step="0.01"
+                                                        />
+                                                    </td>
+                                                </>
+                                            ) : (
+                                                <td colSpan="2" className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                                    Fully received
+                                                </td>
+                                            )
+                                        )}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    {details.receipts.length > 0 && (
+                        <>
+                            <h3 className="text-lg font-semibold text-gray-900 mt-6 mb-2">Receipts</h3>
+                            <div className="overflow-x-auto">
+                                <table className="min-w-full divide-y divide-gray-200">
+                                    <thead className="bg-sky-600 text-white">
+                                        <tr>
+                                            <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                Date
+                                            </th>
+                                            <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                Spare Part
+                                            </th>
+                                            <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                Quantity
+                                            </th>
+                                            <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                Unit Cost
+                                            </th>
+                                            <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                Location
+                                            </th>
+                                            <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                Invoice
+                                            </th>
+                                            <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                Received By
+                                            </th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="bg-white divide-y divide-gray-200">
+                                        {details.receipts.map((receipt) => (
+                                            <tr key={receipt.StockInID} className="table-row">
+                                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                    {formatDate(receipt.StockInDate)}
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                                                    {receipt.SparePartName}
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap">
+                                                    <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-sky-100 text-sky-800">
+                                                        +{receipt.StockInQuantity}
+                                                    </span>
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                    {formatCurrency(receipt.UnitCost)}
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                    {receipt.LocationName}
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                    {receipt.InvoiceNumber || '-'}
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                    {receipt.CreatedBy || 'Unknown'}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default PurchaseOrderDetail;
@@ -0,0 +1,265 @@
+import React, { useState } from 'react';
+import { purchaseOrdersAPI } from '../../services/api';
+import { formatCurrency } from '../../utils/formatters';
+
+const EMPTY_LINE = {
+    partId: '',
+    orderedQuantity: '',
+    expectedUnitCost: ''
+};
+
+// Form values for a new order, or for the draft being edited
+const getInitialForm = (order) => order
+    ? {
+        supplierId: order.purchaseOrder.SupplierID.toString(),
+        orderDate: order.purchaseOrder.OrderDate,
+        expectedDate: order.purchaseOrder.ExpectedDate || '',
+        notes: order.purchaseOrder.Notes || '',
+        lines: order.lines.map((line) => ({
+            partId: line.PartID.toString(),
+            orderedQuantity: line.OrderedQuantity.toString(),
+            expectedUnitCost: line.ExpectedUnitCost.toString()
+        }))
+    }
+    : {
+        supplierId: '',
+        orderDate: new Date().toISOString().split('T')[0],
+        expectedDate: '',
+        notes: '',
+        lines: [{ ...EMPTY_LINE }]
+    };
+
+// Create a draft purchase order, or change one that has not been sent yet
+const PurchaseOrderForm = ({ order, suppliers, spareParts, onSaved, onCancel }) => {
+    const [formData, setFormData] = useState(() => getInitialForm(order));
+    const [error, setError] = useState('');
+
+    const handleInputChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({
+            ...prev,
+            [name]: value
+        }));
+    };
+
+    const handleLineChange = (index, field, value) => {
+        setFormData(prev => ({
+            ...prev,
+            lines: prev.lines.map((line, lineIndex) => (lineIndex === index ? { ...line, [field]: value } : line))
+        }));
+    };
+
+    const addLine = () => {
+        setFormData(prev => ({
+            ...prev,
+            lines: [...prev.lines, { ...EMPTY_LINE }]
+        }));
+    };
+
+    const removeLine = (index) => {
+        setFormData(prev => ({
+            ...prev,
+            lines: prev.lines.filter((line, lineIndex) => lineIndex !== index)
+        }));
+    };
+
+    const orderTotal = formData.lines.reduce(
+        (sum, line) => sum + (parseInt(line.orderedQuantity) || 0) * (parseFloat(line.expectedUnitCost) || 0),
+        0
+    );
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        if (formData.lines.length === 0) {
+            setError('Add at least one spare part to the order');
+            return;
+        }
+
+        const data = {
+            supplierId: parseInt(formData.supplierId),
+            orderDate: formData.orderDate,
+            expectedDate: formData.expectedDate || null,
+            notes: formData.notes,
+            lines: formData.lines.map((line) => ({
+                partId: parseInt(line.partId),
+                orderedQuantity: parseInt(line.orderedQuantity),
+                expectedUnitCost: parseFloat(line.expectedUnitCost)
+            }))
+        };
+
+        try {
+            const response = order
+                ? await purchaseOrdersAPI.update(order.purchaseOrder.PurchaseOrderID, data)
+                : await purchaseOrdersAPI.create(data);
+
+            if (response.data.success) {
+                onSaved(response.data.message, order ? order.purchaseOrder.PurchaseOrderID : response.data.data.purchaseOrderId);
+            }
+        } catch (error) {
+            console.error('Error saving purchase order:', error);
+            setError(error.response?.data?.error || 'Failed to save purchase order');
+        }
+    };
+
+    return (
+        <div className="card">
+            <h2 className="text-xl font-semibold text-gray-900 mb-4">
+                {order ? `Edit Purchase Order #${order.purchaseOrder.PurchaseOrderID}` : 'New Purchase Order'}
+            </h2>
+
+            {error && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg mb-4">
+                    {error}
+                </div>
+            )}
+
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                    <div>
+                        <label htmlFor="supplierId" className="block text-sm font-medium text-gray-700 mb-1">
+                            Supplier *
+                        </label>
+                        <select
+                            id="supplierId"
+                            name="supplierId"
+                            value={formData.supplierId}
+                            onChange={handleInputChange}
+                            className="input-field"
+                            required
+                        >
+                            <option value="">Select supplier</option>
+                            {suppliers.map((supplier) => (
+                                <option key={supplier.SupplierID} value={supplier.SupplierID}>
+                                    {supplier.Name}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="orderDate" className="block text-sm font-medium text-gray-700 mb-1">
+                            Order Date *
+                        </label>
+                        <input
+                            type="date"
+                            id="orderDate"
+                            name="orderDate"
+                            value={formData.orderDate}
+                            onChange={handleInputChange}
+                            className="input-field"
+                            required
+                        />
+                    </div>
+                    <div>
+                        <label htmlFor="expectedDate" className="block text-sm font-medium text-gray-700 mb-1">
+                            Expected Date
+                        </label>
+                        <input
+                            type="date"
+                            id="expectedDate"
+                            name="expectedDate"
+                            value={formData.expectedDate}
+                            onChange={handleInputChange}
+                            className="input-field"
+                            min={formData.orderDate}
+                        />
+                    </div>
+                    <div>
+                        <label htmlFor="notes" className="block text-sm font-medium text-gray-700 mb-1">
+                            Notes
+                        </label>
+                        <input
+                            type="text"
+                            id="notes"
+                            name="notes"
+                            value={formData.notes}
+                            onChange={handleInputChange}
+                            className="input-field"
+                            placeholder="Optional"
+                            maxLength={255}
+                        />
+                    </div>
+                </div>
+
+                <div>
+                    <h3 className="text-sm font-medium text-gray-700 mb-2">Spare Parts *</h3>
+                    <div className="space-y-2">
+                        {formData.lines.map((line, index) => (
+                            <div key={index} className="grid grid-cols-1 md:grid-cols-12 gap-2 items-center">
+                                <select
+                                    value={line.partId}
+                                    onChange={(e) => handleLineChange(index, 'partId', e.target.value)}
+                                    className="input-field md:col-span-6"
+                                    aria-label="Spare part"
+                                    required
+                                >
+                                    <option value="">Select spare part</option>
+                                    {spareParts.map((part) => (
+                                        <option key={part.PartID} value={part.PartID}>
+                                            {part.Name} ({part.Category})
+                                        </option>
+                                    ))}
+                                </select>
+                                <input
+                                    type="number"
+                                    value={line.orderedQuantity}
+                                    onChange={(e) => handleLineChange(index, 'orderedQuantity', e.target.value)}
+                                    className="input-field md:col-span-2"
+                                    placeholder="Quantity"
+                                    aria-label="Quantity ordered"
+                                    min="1"
+                                    required
+                                />
+                                <input
+                                    type="number"
+                                    value={line.expectedUnitCost}
+                                    onChange={(e) => handleLineChange(index, 'expectedUnitCost', e.target.value)}
+                                    className="input-field md:col-span-2"
+                                    placeholder="Unit cost (RWF)"
+                                    aria-label="Expected unit cost"
+                                    min="0"
+                                    step="0.01"
+                                    required
+                                />
+                                <div className="md:col-span-2 flex items-center justify-between">
+                                    <span className="text-sm text-gray-900">
+                                        {formatCurrency((parseInt(line.orderedQuantity) || 0) * (parseFloat(line.expectedUnitCost) || 0))}
+                                    </span>
+                                    <button
+                                        type="button"
+                                        onClick={() => removeLine(index)}
+                                        className="text-red-600 hover:text-red-900 text-sm font-medium"
+                                    >
+                                        Remove
+                                    </button>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                    <div className="flex justify-between items-center mt-2">
+                        <button
+                            type="button"
+                            onClick={addLine}
+                            className="text-sky-600 hover:text-sky-900 text-sm font-medium"
+                        >
+                            + Add Spare Part
+                        </button>
+                        <p className="text-sm font-medium text-gray-900">Order total: {formatCurrency(orderTotal)}</p>
+                    </div>
+                </div>
+
+                <div className="flex space-x-4">
+                    <button type="submit" className="btn-primary">
+                        {order ? 'Update Draft' : 'Save Draft'}
+                    </button>
+                    <button type="button" onClick={onCancel} className="btn-secondary">
+                        Cancel
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default PurchaseOrderForm;
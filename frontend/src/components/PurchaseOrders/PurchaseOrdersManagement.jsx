@@ -0,0 +1,288 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { purchaseOrdersAPI, suppliersAPI, sparePartsAPI, locationsAPI } from '../../services/api';
+import { canManageStock } from '../../utils/permissions';
+import { formatCurrency, formatDate } from '../../utils/formatters';
+import { PURCHASE_ORDER_STATUSES } from '../../utils/purchaseOrders';
+import PurchaseOrderForm from './PurchaseOrderForm';
+import PurchaseOrderDetail from './PurchaseOrderDetail';
+import OpenOrders from './OpenOrders';
+
+const PurchaseOrdersManagement = ({ user }) => {
+    const [purchaseOrders, setPurchaseOrders] = useState([]);
+    const [suppliers, setSuppliers] = useState([]);
+    const [spareParts, setSpareParts] = useState([]);
+    const [locations, setLocations] = useState([]);
+    const [statusFilter, setStatusFilter] = useState('');
+    const [showOpenOrders, setShowOpenOrders] = useState(false);
+    const [showForm, setShowForm] = useState(false);
+    const [editingOrder, setEditingOrder] = useState(null);
+    const [selectedOrderId, setSelectedOrderId] = useState(null);
+    const [refreshKey, setRefreshKey] = useState(0);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    const fetchPurchaseOrders = useCallback(async () => {
+        try {
+            const response = await purchaseOrdersAPI.getAll(statusFilter);
+            if (response.data.success) {
+                setPurchaseOrders(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching purchase orders:', error);
+            setError('Failed to fetch purchase orders');
+        } finally {
+            setLoading(false);
+        }
+    }, [statusFilter]);
+
+    useEffect(() => {
+        fetchPurchaseOrders();
+    }, [fetchPurchaseOrders]);
+
+    useEffect(() => {
+        const fetchLookups = async () => {
+            try {
+                const [suppliersResponse, sparePartsResponse, locationsResponse] = await Promise.all([
+                    suppliersAPI.getAll(),
+                    sparePartsAPI.getAll(),
+                    locationsAPI.getAll()
+                ]);
+
+                if (suppliersResponse.data.success) {
+                    setSuppliers(suppliersResponse.data.data);
+                }
+                if (sparePartsResponse.data.success) {
+                    setSpareParts(sparePartsResponse.data.data);
+                }
+                if (locationsResponse.data.success) {
+                    setLocations(locationsResponse.data.data);
+                }
+            } catch (error) {
+                console.error('Error fetching data:', error);
+                setError('Failed to fetch data');
+            }
+        };
+
+        fetchLookups();
+    }, []);
+
+    const closeForm = () => {
+        setShowForm(false);
+        setEditingOrder(null);
+    };
+
+    const handleSaved = (message, purchaseOrderId) => {
+        setSuccess(message);
+        setError('');
+        closeForm();
+        setSelectedOrderId(purchaseOrderId);
+        setRefreshKey(key => key + 1);
+        fetchPurchaseOrders();
+    };
+
+    const handleEdit = (order) => {
+        setEditingOrder(order);
+        setShowForm(true);
+        setSelectedOrderId(null);
+        setSuccess('');
+    };
+
+    const handleDetailChange = (message) => {
+        setSuccess(message);
+        setError('');
+        setRefreshKey(key => key + 1);
+        fetchPurchaseOrders();
+    };
+
+    if (loading) {
+        return (
+            <div className="flex items-center justify-center h-64">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-sky-500"></div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            {/* Page Header */}
+            <div className="flex justify-between items-center">
+                <div>
+                    <h1 className="text-3xl font-bold text-gray-900">Purchase Orders</h1>
+                    <p className="text-gray-600">Order spare parts from suppliers and receive them against the order</p>
+                </div>
+                <div className="flex space-x-2">
+                    <button
+                        onClick={() => setShowOpenOrders(!showOpenOrders)}
+                        className="btn-secondary"
+                    >
+                        {showOpenOrders ? 'All Orders' : 'Open Orders'}
+                    </button>
+                    {canManageStock(user) && (
+                        <button
+                            onClick={() => {
+                                if (showForm) {
+                                    closeForm();
+                                } else {
+                                    setShowForm(true);
+                                    setSelectedOrderId(null);
+                                }
+                            }}
+                            className="btn-primary"
+                        >
+                            {showForm ? 'Cancel' : 'New Purchase Order'}
+                        </button>
+                    )}
+                </div>
+            </div>
+
+            {/* Success/Error Messages */}
+            {error && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg">
+                    {error}
+                </div>
+            )}
+            {success && (
+                <div className="bg-sky-100 border border-sky-400 text-sky-700 px-4 py-3 rounded-lg">
+                    {success}
+                </div>
+            )}
+
+            {showForm && (
+                <PurchaseOrderForm
+                    key={editingOrder ? editingOrder.purchaseOrder.PurchaseOrderID : 'new'}
+                    order={editingOrder}
+                    suppliers={suppliers}
+                    spareParts={spareParts}
+                    onSaved={handleSaved}
+                    onCancel={closeForm}
+                />
+            )}
+
+            {selectedOrderId && (
+                <PurchaseOrderDetail
+                    purchaseOrderId={selectedOrderId}
+                    user={user}
+                    locations={locations}
+                    onEdit={handleEdit}
+                    onChange={handleDetailChange}
+                    onClose={() => setSelectedOrderId(null)}
+                />
+            )}
+
+            {showOpenOrders ? (
+                <OpenOrders refreshKey={refreshKey} onOpenOrder={setSelectedOrderId} />
+            ) : (
+                <div className="card">
+                    <div className="flex justify-between items-center mb-4">
+                        <h2 className="text-xl font-semibold text-gray-900">
+                            Purchase Orders ({purchaseOrders.length} records)
+                        </h2>
+                        <div className="flex items-center space-x-2">
+                            <label htmlFor="statusFilter" className="text-sm font-medium text-gray-700">
+                                Status:
+                            </label>
+                            <select
+                                id="statusFilter"
+                                value={statusFilter}
+                                onChange={(e) => setStatusFilter(e.target.value)}
+                                className="input-field"
+                            >
+                                <option value="">All</option>
+                                {Object.entries(PURCHASE_ORDER_STATUSES).map(([value, { label }]) => (
+                                    <option key={value} value={value}>{label}</option>
+                                ))}
+                            </select>
+                        </div>
+                    </div>
+
+                    {purchaseOrders.length === 0 ? (
+                        <div className="text-center py-8 text-gray-500">
+                            <p className="text-lg font-medium">No purchase orders found</p>
+                            <p>Create a purchase order when you order parts from a supplier.</p>
+                        </div>
+                    ) : (
+                        <div className="overflow-x-auto">
+                            <table className="min-w-full divide-y divide-gray-200">
+                                <thead className="bg-sky-600 text-white">
+                                    <tr>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            #
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Supplier
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Order Date
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Expected
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Received
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Order Value
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Status
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Actions
+                                        </th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {purchaseOrders.map((order) => (
+                                        <tr key={order.PurchaseOrderID} className="table-row">
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                {order.PurchaseOrderID}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                <div className="font-medium text-gray-900">{order.SupplierName}</div>
+                                                {order.Notes && (
+                                                    <div className="text-xs text-gray-500">{order.Notes}</div>
+                                                )}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                {formatDate(order.OrderDate)}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                {order.ExpectedDate ? formatDate(order.ExpectedDate) : '-'}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                {order.ReceivedQuantity} / {order.OrderedQuantity}
+                                                <div className="text-xs text-gray-500">{order.LineCount} parts</div>
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                                                {formatCurrency(order.ExpectedTotal)}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${PURCHASE_ORDER_STATUSES[order.Status].colorClass}`}>
+                                                    {PURCHASE_ORDER_STATUSES[order.Status].label}
+                                                </span>
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                                                <button
+                                                    onClick={() => {
+                                                        closeForm();
+                                                        setSelectedOrderId(order.PurchaseOrderID);
+                                                    }}
+                                                    className="text-sky-600 hover:text-sky-900"
+                                                >
+                                                    View
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default PurchaseOrdersManagement;
@@ -1,6 +1,13 @@
 import React, { useState, useEffect } from 'react';
 import { reportsAPI } from '../../services/api';
-import { exportToCSV } from '../../utils/formatters';
+import { exportToCSV, getStockStatus } from '../../utils/formatters';
+import { RETURN_DISPOSITIONS } from '../../utils/returns';
+
+const REPORT_TITLES = {
+    'daily-stock-out': 'Daily Stock Out Report',
+    'stock-status': 'Stock Status Report',
+    'vehicle-consumption': 'Vehicle Consumption Report'
+};
 
 const ReportsManagement = () => {
     const [activeTab, setActiveTab] = useState('daily-stock-out');
@@ -10,23 +17,37 @@ const ReportsManagement = () => {
     // Daily Stock Out Report State
     const [dailyStockOutReport, setDailyStockOutReport] = useState(null);
     const [selectedDate, setSelectedDate] = useState(new Date().toISOString().split('T')[0]);
+    const [selectedUser, setSelectedUser] = useState('');
+    const [selectedCustomer, setSelectedCustomer] = useState('');
 
     // Stock Status Report State
     const [stockStatusReport, setStockStatusReport] = useState(null);
+    const [selectedLocation, setSelectedLocation] = useState('');
+
+    // Vehicle Consumption Report State, covering the current month by default
+    const [vehicleConsumptionReport, setVehicleConsumptionReport] = useState(null);
+    const [consumptionStartDate, setConsumptionStartDate] = useState(() => {
+        const today = new Date().toISOString().split('T')[0];
+        return `${today.slice(0, 8)}01`;
+    });
+    const [consumptionEndDate, setConsumptionEndDate] = useState(new Date().toISOString().split('T')[0]);
+    const [consumptionPlate, setConsumptionPlate] = useState('');
 
     useEffect(() => {
         if (activeTab === 'daily-stock-out') {
             fetchDailyStockOutReport();
         } else if (activeTab === 'stock-status') {
             fetchStockStatusReport();
+        } else if (activeTab === 'vehicle-consumption') {
+            fetchVehicleConsumptionReport();
         }
-    }, [activeTab, selectedDate]); // eslint-disable-line react-hooks/exhaustive-deps
+    }, [activeTab, selectedDate, selectedUser, selectedCustomer, selectedLocation, consumptionStartDate, consumptionEndDate]); // eslint-disable-line react-hooks/exhaustive-deps
 
     const fetchDailyStockOutReport = async () => {
         setLoading(true);
         setError('');
         try {
-            const response = await reportsAPI.getDailyStockOut(selectedDate);
+            const response = await reportsAPI.getDailyStockOut(selectedDate, selectedUser, selectedCustomer);
             if (response.data.success) {
                 setDailyStockOutReport(response.data.data);
             }
@@ -42,7 +63,7 @@ const ReportsManagement = () => {
         setLoading(true);
         setError('');
         try {
-            const response = await reportsAPI.getStockStatus();
+            const response = await reportsAPI.getStockStatus(selectedLocation);
             if (response.data.success) {
                 setStockStatusReport(response.data.data);
             }
@@ -54,6 +75,24 @@ const ReportsManagement = () => {
         }
     };
 
+    const fetchVehicleConsumptionReport = async () => {
+        setLoading(true);
+        setError('');
+        try {
+            const response = await reportsAPI.getVehicleConsumption(
+                consumptionStartDate, consumptionEndDate, consumptionPlate.trim()
+            );
+            if (response.data.success) {
+                setVehicleConsumptionReport(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching vehicle consumption report:', error);
+            setError(error.response?.data?.error || 'Failed to fetch vehicle consumption report');
+        } finally {
+            setLoading(false);
+        }
+    };
+
     const formatCurrency = (amount) => {
         if (amount === null || amount === undefined || isNaN(amount)) {
             return 'RWF 0';
@@ -72,15 +111,17 @@ const ReportsManagement = () => {
 
     const printReport = () => {
         const printWindow = window.open('', '_blank');
-        const printContent = activeTab === 'daily-stock-out' 
-            ? getDailyStockOutPrintContent()
-            : getStockStatusPrintContent();
+        const printContent = {
+            'daily-stock-out': getDailyStockOutPrintContent,
+            'stock-status': getStockStatusPrintContent,
+            'vehicle-consumption': getVehicleConsumptionPrintContent
+        }[activeTab]();
 
         printWindow.document.write(`
             <!DOCTYPE html>
             <html>
             <head>
-                <title>${activeTab === 'daily-stock-out' ? 'Daily Stock Out Report' : 'Stock Status Report'}</title>
+                <title>${REPORT_TITLES[activeTab]}</title>
                 <style>
                     body {
                         font-family: Arial, sans-serif;
@@ -176,6 +217,8 @@ const ReportsManagement = () => {
             <div className="report-header">
                 <h1 className="report-title">Daily Stock Out Report</h1>
                 <p className="report-date">${formatDate(dailyStockOutReport.reportDate)}</p>
+                ${selectedUser ? `<p className="report-date">Issued by: ${selectedUser}</p>` : ''}
+                ${selectedCustomer ? `<p className="report-date">Customer: ${getSelectedCustomerName()}</p>` : ''}
             </div>
             <table>
                 <thead className="bg-sky-600 text-white">
@@ -186,6 +229,8 @@ const ReportsManagement = () => {
                         <th>Unit Price</th>
                         <th>Total Price</th>
                         <th>Date</th>
+                        <th>Customer</th>
+                        <th>Issued By</th>
                     </tr>
                 </thead>
                 <tbody>
@@ -197,6 +242,80 @@ const ReportsManagement = () => {
                             <td>${formatCurrency(record.StockOutUnitPrice)}</td>
                             <td>${formatCurrency(record.StockOutTotalPrice)}</td>
                             <td>${formatDate(record.StockOutDate)}</td>
+                            <td>${record.CustomerName || 'N/A'}</td>
+                            <td>${record.CreatedBy || 'Unknown'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${dailyStockOutReport.returns.length > 0 ? `
+                <h3>Customer Returns</h3>
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Return</th>
+                            <th>Spare Part</th>
+                            <th>Quantity</th>
+                            <th>Credited Value</th>
+                            <th>Returned Goods</th>
+                            <th>Customer</th>
+                            <th>Recorded By</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${dailyStockOutReport.returns.map(record => `
+                            <tr>
+                                <td>#${record.ReturnID} (stock out #${record.StockOutID})</td>
+                                <td>${record.SparePartName}</td>
+                                <td>+${record.ReturnQuantity}</td>
+                                <td>${formatCurrency(record.ReturnValue)}</td>
+                                <td>${RETURN_DISPOSITIONS[record.Disposition].label}</td>
+                                <td>${record.CustomerName || 'N/A'}</td>
+                                <td>${record.CreatedBy || 'Unknown'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <p>Net value after returns: ${formatCurrency(dailyStockOutReport.summary.netValue)}</p>
+            ` : ''}
+            <h3>Subtotal by User</h3>
+            <table>
+                <thead>
+                    <tr>
+                        <th>User</th>
+                        <th>Records</th>
+                        <th>Quantity</th>
+                        <th>Total Value</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${getVisibleUserSubtotals().map(group => `
+                        <tr>
+                            <td>${group.createdBy}</td>
+                            <td>${group.totalRecords}</td>
+                            <td>-${group.totalQuantity}</td>
+                            <td>${formatCurrency(group.totalValue)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <h3>Subtotal by Customer</h3>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Customer</th>
+                        <th>Records</th>
+                        <th>Quantity</th>
+                        <th>Total Value</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${getVisibleCustomerSubtotals().map(group => `
+                        <tr>
+                            <td>${group.customerName}</td>
+                            <td>${group.totalRecords}</td>
+                            <td>-${group.totalQuantity}</td>
+                            <td>${formatCurrency(group.totalValue)}</td>
                         </tr>
                     `).join('')}
                 </tbody>
@@ -214,12 +333,35 @@ const ReportsManagement = () => {
         `;
     };
 
+    // Subtotals for the selected user only, or for everyone when no user filter is set
+    const getVisibleUserSubtotals = () => {
+        const subtotals = dailyStockOutReport?.userSubtotals || [];
+        return selectedUser ? subtotals.filter(group => group.createdBy === selectedUser) : subtotals;
+    };
+
+    // Same for customers; 'none' groups the records issued without a customer
+    const getVisibleCustomerSubtotals = () => {
+        const subtotals = dailyStockOutReport?.customerSubtotals || [];
+        return selectedCustomer ? subtotals.filter(group => group.customerId === selectedCustomer) : subtotals;
+    };
+
+    const getSelectedCustomerName = () => {
+        const group = (dailyStockOutReport?.customerSubtotals || []).find(group => group.customerId === selectedCustomer);
+        return group ? group.customerName : selectedCustomer;
+    };
+
+    const getSelectedLocationName = () => {
+        const location = (stockStatusReport?.locationSummary || []).find(location => location.LocationID.toString() === selectedLocation);
+        return location ? location.Name : selectedLocation;
+    };
+
     const getStockStatusPrintContent = () => {
         if (!stockStatusReport || stockStatusReport.sparePartStatus.length === 0) {
             return `
                 <div className="report-header">
                     <h1 className="report-title">Stock Status Report</h1>
                     <p className="report-date">${formatDate(new Date())}</p>
+                    ${selectedLocation ? `<p className="report-date">Location: ${getSelectedLocationName()}</p>` : ''}
                 </div>
                 <div className="no-records">
                     <p>No stock status records found</p>
@@ -241,6 +383,11 @@ const ReportsManagement = () => {
             <div className="report-header">
                 <h1 className="report-title">Stock Status Report</h1>
                 <p className="report-date">${formatDate(new Date())}</p>
+                ${selectedLocation ? `<p className="report-date">Location: ${getSelectedLocationName()}</p>` : ''}
+                <p className="report-date">
+                    Retail value: ${formatCurrency(stockStatusReport.summary.totalCurrentValue)},
+                    cost value: ${formatCurrency(stockStatusReport.summary.totalCostValue)}
+                </p>
             </div>
             <table>
                 <thead className="bg-sky-600 text-white">
@@ -249,23 +396,134 @@ const ReportsManagement = () => {
                         <th>Category</th>
                         <th>Stock In</th>
                         <th>Stock Out</th>
+                        <th>Customer Returns</th>
+                        <th>Supplier Returns</th>
+                        ${selectedLocation ? '<th>Transfer In</th><th>Transfer Out</th>' : ''}
+                        <th>Adjustments</th>
                         <th>Current Qty</th>
+                        <th>Reserved</th>
+                        <th>Available</th>
                         <th>Unit Price</th>
-                        <th>Total Value</th>
+                        <th>Retail Value</th>
+                        <th>Unit Cost</th>
+                        <th>Cost Value</th>
                         <th>Status</th>
+                        <th>Suggested Reorder</th>
                     </tr>
                 </thead>
                 <tbody>
                     ${stockStatusReport.sparePartStatus.map(part => `
                         <tr>
-                            <td>${part.SparePartName}</td>
+                            <td>${part.SparePartName}${part.ArchivedAt ? ' (archived)' : ''}</td>
                             <td>${part.Category}</td>
                             <td>+${part.TotalStockIn || 0}</td>
                             <td>-${part.TotalStockOut || 0}</td>
+                            <td>+${part.TotalCustomerReturn}</td>
+                            <td>-${part.TotalSupplierReturn}</td>
+                            ${selectedLocation ? `<td>+${part.TotalTransferIn}</td><td>-${part.TotalTransferOut}</td>` : ''}
+                            <td>${part.TotalAdjustment > 0 ? '+' : ''}${part.TotalAdjustment}</td>
                             <td>${part.CurrentQuantity}</td>
+                            <td>${part.ReservedQuantity}</td>
+                            <td>${part.AvailableQuantity}</td>
                             <td>${formatCurrency(part.UnitPrice)}</td>
                             <td>${formatCurrency(part.TotalPrice)}</td>
-                            <td>${part.CurrentQuantity < 10 ? 'Low Stock' : part.CurrentQuantity < 20 ? 'Medium' : 'In Stock'}</td>
+                            <td>${formatCurrency(part.UnitCost)}</td>
+                            <td>${formatCurrency(part.CostValue)}</td>
+                            <td>${getStockStatus(part.PartQuantity, part).label}</td>
+                            <td>${part.SuggestedReorderQuantity || ''}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${(stockStatusReport.categoryRollup || []).length > 0 ? `
+                <h3>Stock by Category</h3>
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Category</th>
+                            <th>Parts</th>
+                            <th>Current Qty</th>
+                            <th>Total Value</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${stockStatusReport.categoryRollup.map(category => `
+                            <tr>
+                                <td style="padding-left: ${8 + category.Depth * 16}px">${category.Name}</td>
+                                <td>${category.PartCount}</td>
+                                <td>${category.TotalQuantity}</td>
+                                <td>${formatCurrency(category.TotalValue)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : ''}
+            <div className="signature-section">
+                <div className="signature-box">
+                    <p>Prepared By:</p>
+                    <div className="signature-line"></div>
+                </div>
+                <div className="signature-box">
+                    <p>Approved By:</p>
+                    <div className="signature-line"></div>
+                </div>
+            </div>
+        `;
+    };
+
+    const getConsumptionPeriod = () => (
+        `${consumptionStartDate ? formatDate(consumptionStartDate) : 'Start'} - ${consumptionEndDate ? formatDate(consumptionEndDate) : 'Today'}`
+    );
+
+    const getVehicleConsumptionPrintContent = () => {
+        if (!vehicleConsumptionReport || vehicleConsumptionReport.vehicles.length === 0) {
+            return `
+                <div className="report-header">
+                    <h1 className="report-title">Vehicle Consumption Report</h1>
+                    <p className="report-date">${getConsumptionPeriod()}</p>
+                </div>
+                <div className="no-records">
+                    <p>No parts were issued against work orders in this period</p>
+                </div>
+            `;
+        }
+
+        return `
+            <div className="report-header">
+                <h1 className="report-title">Vehicle Consumption Report</h1>
+                <p className="report-date">${getConsumptionPeriod()}</p>
+                ${vehicleConsumptionReport.vehiclePlate ? `<p className="report-date">Vehicle: ${vehicleConsumptionReport.vehiclePlate}</p>` : ''}
+                <p className="report-date">
+                    ${vehicleConsumptionReport.summary.vehicleCount} vehicles,
+                    ${vehicleConsumptionReport.summary.workOrderCount} work orders,
+                    ${formatCurrency(vehicleConsumptionReport.summary.totalValue)}
+                </p>
+            </div>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Vehicle</th>
+                        <th>Spare Part</th>
+                        <th>Category</th>
+                        <th>Quantity</th>
+                        <th>Value</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${vehicleConsumptionReport.vehicles.map(vehicle => `
+                        ${vehicle.parts.map(part => `
+                            <tr>
+                                <td>${vehicle.VehiclePlate}</td>
+                                <td>${part.SparePartName}</td>
+                                <td>${part.Category}</td>
+                                <td>${part.Quantity}</td>
+                                <td>${formatCurrency(part.Value)}</td>
+                            </tr>
+                        `).join('')}
+                        <tr>
+                            <th colspan="3">${vehicle.VehiclePlate} (${vehicle.WorkOrderCount} work orders)</th>
+                            <th>${vehicle.TotalQuantity}</th>
+                            <th>${formatCurrency(vehicle.TotalValue)}</th>
                         </tr>
                     `).join('')}
                 </tbody>
@@ -301,9 +559,21 @@ const ReportsManagement = () => {
                     <button
                         onClick={() => {
                             if (activeTab === 'daily-stock-out' && dailyStockOutReport && dailyStockOutReport.records.length > 0) {
-                                exportToCSV(dailyStockOutReport.records, `daily-stock-out-report-${selectedDate}.csv`);
+                                exportToCSV(
+                                    dailyStockOutReport.records,
+                                    `daily-stock-out-report-${selectedDate}${selectedUser ? `-${selectedUser}` : ''}${selectedCustomer ? `-${getSelectedCustomerName()}` : ''}.csv`
+                                );
                             } else if (activeTab === 'stock-status' && stockStatusReport && stockStatusReport.sparePartStatus.length > 0) {
-                                exportToCSV(stockStatusReport.sparePartStatus, `stock-status-report-${new Date().toISOString().split('T')[0]}.csv`);
+                                exportToCSV(stockStatusReport.sparePartStatus, `stock-status-report-${new Date().toISOString().split('T')[0]}${selectedLocation ? `-${getSelectedLocationName()}` : ''}.csv`);
+                            } else if (activeTab === 'vehicle-consumption' && vehicleConsumptionReport && vehicleConsumptionReport.vehicles.length > 0) {
+                                // One row per vehicle and part
+                                exportToCSV(
+                                    vehicleConsumptionReport.vehicles.flatMap(vehicle => vehicle.parts.map(part => ({
+                                        VehiclePlate: vehicle.VehiclePlate,
+                                        ...part
+                                    }))),
+                                    `vehicle-consumption-report-${consumptionStartDate}-${consumptionEndDate}${vehicleConsumptionReport.vehiclePlate ? `-${vehicleConsumptionReport.vehiclePlate}` : ''}.csv`
+                                );
                             }
                         }}
                         className="btn-primary"
@@ -343,6 +613,16 @@ const ReportsManagement = () => {
                     >
                         Stock Status Report
                     </button>
+                    <button
+                        onClick={() => setActiveTab('vehicle-consumption')}
+                        className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                            activeTab === 'vehicle-consumption'
+                                ? 'border-sky-700 text-sky-700'
+                                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                        }`}
+                    >
+                        Vehicle Consumption
+                    </button>
                 </nav>
             </div>
 
@@ -366,9 +646,45 @@ const ReportsManagement = () => {
                                 type="date"
                                 id="reportDate"
                                 value={selectedDate}
-                                onChange={(e) => setSelectedDate(e.target.value)}
+                                onChange={(e) => {
+                                    setSelectedDate(e.target.value);
+                                    setSelectedUser('');
+                                    setSelectedCustomer('');
+                                }}
                                 className="input-field max-w-xs"
                             />
+                            <label htmlFor="reportUser" className="block text-sm font-medium text-gray-700">
+                                Issued By:
+                            </label>
+                            <select
+                                id="reportUser"
+                                value={selectedUser}
+                                onChange={(e) => setSelectedUser(e.target.value)}
+                                className="input-field max-w-xs"
+                            >
+                                <option value="">All users</option>
+                                {(dailyStockOutReport?.userSubtotals || []).map((group) => (
+                                    <option key={group.createdBy} value={group.createdBy}>
+                                        {group.createdBy}
+                                    </option>
+                                ))}
+                            </select>
+                            <label htmlFor="reportCustomer" className="block text-sm font-medium text-gray-700">
+                                Customer:
+                            </label>
+                            <select
+                                id="reportCustomer"
+                                value={selectedCustomer}
+                                onChange={(e) => setSelectedCustomer(e.target.value)}
+                                className="input-field max-w-xs"
+                            >
+                                <option value="">All customers</option>
+                                {(dailyStockOutReport?.customerSubtotals || []).map((group) => (
+                                    <option key={group.customerId} value={group.customerId}>
+                                        {group.customerName}
+                                    </option>
+                                ))}
+                            </select>
                             <button
                                 onClick={fetchDailyStockOutReport}
                                 className="btn-primary"
@@ -416,6 +732,12 @@ const ReportsManagement = () => {
                                                     <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
                                                         Date
                                                     </th>
+                                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                        Customer
+                                                    </th>
+                                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                        Issued By
+                                                    </th>
                                                 </tr>
                                             </thead>
                                             <tbody className="bg-white divide-y divide-gray-200">
@@ -441,6 +763,12 @@ const ReportsManagement = () => {
                                                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                                                             {formatDate(record.StockOutDate)}
                                                         </td>
+                                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                            {record.CustomerName || 'N/A'}
+                                                        </td>
+                                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                            {record.CreatedBy || 'Unknown'}
+                                                        </td>
                                                     </tr>
                                                 ))}
                                             </tbody>
@@ -448,6 +776,177 @@ const ReportsManagement = () => {
                                     </div>
                                 )}
                             </div>
+
+                            {/* Customer Returns */}
+                            {dailyStockOutReport.returns.length > 0 && (
+                                <div className="card">
+                                    <div className="flex justify-between items-center mb-4">
+                                        <h2 className="text-xl font-semibold text-gray-900">Customer Returns</h2>
+                                        <p className="text-sm text-gray-600">
+                                            Credited {formatCurrency(dailyStockOutReport.summary.returnedValue)}, net value{' '}
+                                            <span className="font-medium text-gray-900">{formatCurrency(dailyStockOutReport.summary.netValue)}</span>
+                                        </p>
+                                    </div>
+                                    <div className="overflow-x-auto">
+                                        <table className="min-w-full divide-y divide-gray-200">
+                                            <thead className="bg-sky-600 text-white">
+                                                <tr>
+                                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                        Return
+                                                    </th>
+                                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                        Spare Part
+                                                    </th>
+                                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                        Quantity
+                                                    </th>
+                                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                        Credited Value
+                                                    </th>
+                                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                        Returned Goods
+                                                    </th>
+                                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                        Customer
+                                                    </th>
+                                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                        Recorded By
+                                                    </th>
+                                                </tr>
+                                            </thead>
+                                            <tbody className="bg-white divide-y divide-gray-200">
+                                                {dailyStockOutReport.returns.map((record) => (
+                                                    <tr key={record.ReturnID} className="table-row">
+                                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                            <div>#{record.ReturnID}</div>
+                                                            <div className="text-xs text-gray-500">Stock out #{record.StockOutID}</div>
+                                                        </td>
+                                                        <td className="px-6 py-4 whitespace-nowrap">
+                                                            <div className="font-medium text-gray-900">{record.SparePartName}</div>
+                                                            {record.Reason && (
+                                                                <div className="text-xs text-gray-500">{record.Reason}</div>
+                                                            )}
+                                                        </td>
+                                                        <td className="px-6 py-4 whitespace-nowrap">
+                                                            <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                                                                +{record.ReturnQuantity}
+                                                            </span>
+                                                        </td>
+                                                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                                                            {formatCurrency(record.ReturnValue)}
+                                                        </td>
+                                                        <td className="px-6 py-4 whitespace-nowrap">
+                                                            <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${RETURN_DISPOSITIONS[record.Disposition].colorClass}`}>
+                                                                {RETURN_DISPOSITIONS[record.Disposition].label}
+                                                            </span>
+                                                        </td>
+                                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                            {record.CustomerName || 'N/A'}
+                                                        </td>
+                                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                            {record.CreatedBy || 'Unknown'}
+                                                        </td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    </div>
+                                </div>
+                            )}
+
+                            {/* Subtotal by User */}
+                            {getVisibleUserSubtotals().length > 0 && (
+                                <div className="card">
+                                    <h2 className="text-xl font-semibold text-gray-900 mb-4">Subtotal by User</h2>
+                                    <div className="overflow-x-auto">
+                                        <table className="min-w-full divide-y divide-gray-200">
+                                            <thead className="bg-sky-600 text-white">
+                                                <tr>
+                                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                        User
+                                                    </th>
+                                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                        Records
+                                                    </th>
+                                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                        Quantity
+                                                    </th>
+                                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                        Total Value
+                                                    </th>
+                                                </tr>
+                                            </thead>
+                                            <tbody className="bg-white divide-y divide-gray-200">
+                                                {getVisibleUserSubtotals().map((group) => (
+                                                    <tr key={group.createdBy} className="table-row">
+                                                        <td className="px-6 py-4 whitespace-nowrap font-medium text-gray-900">
+                                                            {group.createdBy}
+                                                        </td>
+                                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                            {group.totalRecords}
+                                                        </td>
+                                                        <td className="px-6 py-4 whitespace-nowrap">
+                                                            <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                                                                -{group.totalQuantity}
+                                                            </span>
+                                                        </td>
+                                                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                                                            {formatCurrency(group.totalValue)}
+                                                        </td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    </div>
+                                </div>
+                            )}
+
+                            {/* Subtotal by Customer */}
+                            {getVisibleCustomerSubtotals().length > 0 && (
+                                <div className="card">
+                                    <h2 className="text-xl font-semibold text-gray-900 mb-4">Subtotal by Customer</h2>
+                                    <div className="overflow-x-auto">
+                                        <table className="min-w-full divide-y divide-gray-200">
+                                            <thead className="bg-sky-600 text-white">
+                                                <tr>
+                                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                        Customer
+                                                    </th>
+                                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                        Records
+                                                    </th>
+                                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                        Quantity
+                                                    </th>
+                                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                        Total Value
+                                                    </th>
+                                                </tr>
+                                            </thead>
+                                            <tbody className="bg-white divide-y divide-gray-200">
+                                                {getVisibleCustomerSubtotals().map((group) => (
+                                                    <tr key={group.customerId} className="table-row">
+                                                        <td className="px-6 py-4 whitespace-nowrap font-medium text-gray-900">
+                                                            {group.customerName}
+                                                        </td>
+                                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                            {group.totalRecords}
+                                                        </td>
+                                                        <td className="px-6 py-4 whitespace-nowrap">
+                                                            <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                                                                -{group.totalQuantity}
+                                                            </span>
+                                                        </td>
+                                                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                                                            {formatCurrency(group.totalValue)}
+                                                        </td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    </div>
+                                </div>
+                            )}
                         </>
                     )}
                 </div>
@@ -456,13 +955,142 @@ const ReportsManagement = () => {
             {/* Stock Status Report */}
             {activeTab === 'stock-status' && !loading && stockStatusReport && (
                 <div className="space-y-6">
+                    {/* Location Filter */}
+                    <div className="card">
+                        <div className="flex items-center space-x-4">
+                            <label htmlFor="reportLocation" className="block text-sm font-medium text-gray-700">
+                                Location:
+                            </label>
+                            <select
+                                id="reportLocation"
+                                value={selectedLocation}
+                                onChange={(e) => setSelectedLocation(e.target.value)}
+                                className="input-field max-w-xs"
+                            >
+                                <option value="">All locations</option>
+                                {(stockStatusReport.locationSummary || []).map((location) => (
+                                    <option key={location.LocationID} value={location.LocationID}>
+                                        {location.Name}
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                    </div>
+
+                    {/* Stock by Location */}
+                    {!selectedLocation && stockStatusReport.locationSummary?.length > 1 && (
+                        <div className="card">
+                            <h2 className="text-xl font-semibold text-gray-900 mb-4">Stock by Location</h2>
+                            <div className="overflow-x-auto">
+                                <table className="min-w-full divide-y divide-gray-200">
+                                    <thead className="bg-sky-600 text-white">
+                                        <tr>
+                                            <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                Location
+                                            </th>
+                                            <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                Parts
+                                            </th>
+                                            <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                Current Qty
+                                            </th>
+                                            <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                Total Value
+                                            </th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="bg-white divide-y divide-gray-200">
+                                        {stockStatusReport.locationSummary.map((location) => (
+                                            <tr key={location.LocationID} className="table-row">
+                                                <td className="px-6 py-4 whitespace-nowrap font-medium text-gray-900">
+                                                    {location.Name}
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                    {location.PartCount}
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-sm font-bold text-gray-900">
+                                                    {location.TotalQuantity}
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                                                    {formatCurrency(location.TotalValue)}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Stock by Category */}
+                    {stockStatusReport.categoryRollup?.length > 0 && (
+                        <div className="card">
+                            <h2 className="text-xl font-semibold text-gray-900 mb-4">Stock by Category</h2>
+                            <div className="overflow-x-auto">
+                                <table className="min-w-full divide-y divide-gray-200">
+                                    <thead className="bg-sky-600 text-white">
+                                        <tr>
+                                            <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                Category
+                                            </th>
+                                            <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                Parts
+                                            </th>
+                                            <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                Current Qty
+                                            </th>
+                                            <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                Total Value
+                                            </th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="bg-white divide-y divide-gray-200">
+                                        {stockStatusReport.categoryRollup.map((category) => (
+                                            <tr key={category.CategoryID} className="table-row">
+                                                <td className="px-6 py-4 whitespace-nowrap">
+                                                    <div
+                                                        className={`text-gray-900 ${category.Depth === 0 ? 'font-medium' : ''}`}
+                                                        style={{ paddingLeft: `${category.Depth * 1.5}rem` }}
+                                                    >
+                                                        {category.Name}
+                                                    </div>
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                    {category.PartCount}
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-sm font-bold text-gray-900">
+                                                    {category.TotalQuantity}
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                                                    {formatCurrency(category.TotalValue)}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                            <p className="mt-2 text-xs text-gray-500">
+                                Totals include every subcategory. Part counts leave out archived parts.
+                            </p>
+                        </div>
+                    )}
+
                     {/* Stock Status Details */}
                     <div className="card">
                         <div className="flex justify-between items-center mb-4">
                             <h2 className="text-xl font-semibold text-gray-900">
-                                Current Stock Status
+                                Current Stock Status{selectedLocation ? ` - ${getSelectedLocationName()}` : ''}
                             </h2>
+                            <div className="text-sm text-gray-600 text-right">
+                                <div>Retail value: <span className="font-medium text-gray-900">{formatCurrency(stockStatusReport.summary.totalCurrentValue)}</span></div>
+                                <div>Cost value: <span className="font-medium text-gray-900">{formatCurrency(stockStatusReport.summary.totalCostValue)}</span></div>
+                            </div>
                         </div>
+                        {selectedLocation && (
+                            <p className="-mt-2 mb-4 text-xs text-gray-500">
+                                Status and suggested reorder quantities compare each part's stock across all locations with its reorder levels.
+                            </p>
+                        )}
 
                         <div className="overflow-x-auto">
                             <table className="min-w-full divide-y divide-gray-200">
@@ -480,25 +1108,62 @@ const ReportsManagement = () => {
                                         <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
                                             Stock Out
                                         </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Customer Returns
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Supplier Returns
+                                        </th>
+                                        {selectedLocation && (
+                                            <>
+                                                <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                    Transfer In
+                                                </th>
+                                                <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                    Transfer Out
+                                                </th>
+                                            </>
+                                        )}
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Adjustments
+                                        </th>
                                         <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
                                             Current Qty
                                         </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Reserved
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Available
+                                        </th>
                                         <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
                                             Unit Price
                                         </th>
                                         <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
-                                            Total Value
+                                            Retail Value
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Unit Cost
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Cost Value
                                         </th>
                                         <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
                                             Status
                                         </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Suggested Reorder
+                                        </th>
                                     </tr>
                                 </thead>
                                 <tbody className="bg-white divide-y divide-gray-200">
                                     {stockStatusReport.sparePartStatus.map((part) => (
-                                        <tr key={part.SparePartName} className="table-row">
+                                        <tr key={part.PartID} className="table-row">
                                             <td className="px-6 py-4 whitespace-nowrap">
                                                 <div className="font-medium text-gray-900">{part.SparePartName}</div>
+                                                {part.ArchivedAt && (
+                                                    <div className="text-xs text-gray-500">Archived</div>
+                                                )}
                                             </td>
                                             <td className="px-6 py-4 whitespace-nowrap">
                                                 <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
@@ -515,26 +1180,57 @@ const ReportsManagement = () => {
                                                     -{part.TotalStockOut || 0}
                                                 </span>
                                             </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                +{part.TotalCustomerReturn}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                -{part.TotalSupplierReturn}
+                                            </td>
+                                            {selectedLocation && (
+                                                <>
+                                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                        +{part.TotalTransferIn}
+                                                    </td>
+                                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                        -{part.TotalTransferOut}
+                                                    </td>
+                                                </>
+                                            )}
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                {part.TotalAdjustment > 0 ? `+${part.TotalAdjustment}` : part.TotalAdjustment}
+                                            </td>
                                             <td className="px-6 py-4 whitespace-nowrap text-sm font-bold text-gray-900">
                                                 {part.CurrentQuantity}
                                             </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                {part.ReservedQuantity}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                {part.AvailableQuantity}
+                                            </td>
                                             <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                                                 {formatCurrency(part.UnitPrice)}
                                             </td>
                                             <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
                                                 {formatCurrency(part.TotalPrice)}
                                             </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                <div>{formatCurrency(part.UnitCost)}</div>
+                                                <div className="text-xs text-gray-500">
+                                                    {part.CostingMethod === 'FIFO' ? 'FIFO' : 'Weighted avg.'}
+                                                </div>
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                                                {formatCurrency(part.CostValue)}
+                                            </td>
                                             <td className="px-6 py-4 whitespace-nowrap">
-                                                <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-                                                    part.CurrentQuantity < 10
-                                                        ? 'bg-red-100 text-red-800'
-                                                        : part.CurrentQuantity < 20
-                                                        ? 'bg-yellow-100 text-yellow-800'
-                                                        : 'bg-sky-100 text-sky-800'
-                                                }`}>
-                                                    {part.CurrentQuantity < 10 ? 'Low Stock' : part.CurrentQuantity < 20 ? 'Medium' : 'In Stock'}
+                                                <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStockStatus(part.PartQuantity, part).colorClass}`}>
+                                                    {getStockStatus(part.PartQuantity, part).label}
                                                 </span>
                                             </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                                                {part.SuggestedReorderQuantity > 0 ? part.SuggestedReorderQuantity : '-'}
+                                            </td>
                                         </tr>
                                     ))}
                                 </tbody>
@@ -543,6 +1239,153 @@ const ReportsManagement = () => {
                     </div>
                 </div>
             )}
+
+            {/* Vehicle Consumption Report */}
+            {activeTab === 'vehicle-consumption' && !loading && (
+                <div className="space-y-6">
+                    {/* Period and Vehicle Filter */}
+                    <div className="card">
+                        <div className="flex items-center space-x-4">
+                            <label htmlFor="consumptionStartDate" className="block text-sm font-medium text-gray-700">
+                                From:
+                            </label>
+                            <input
+                                type="date"
+                                id="consumptionStartDate"
+                                value={consumptionStartDate}
+                                onChange={(e) => setConsumptionStartDate(e.target.value)}
+                                className="input-field max-w-xs"
+                            />
+                            <label htmlFor="consumptionEndDate" className="block text-sm font-medium text-gray-700">
+                                To:
+                            </label>
+                            <input
+                                type="date"
+                                id="consumptionEndDate"
+                                value={consumptionEndDate}
+                                onChange={(e) => setConsumptionEndDate(e.target.value)}
+                                className="input-field max-w-xs"
+                            />
+                            <label htmlFor="consumptionPlate" className="block text-sm font-medium text-gray-700">
+                                Vehicle:
+                            </label>
+                            <input
+                                type="text"
+                                id="consumptionPlate"
+                                value={consumptionPlate}
+                                onChange={(e) => setConsumptionPlate(e.target.value)}
+                                className="input-field max-w-xs uppercase"
+                                placeholder="All vehicles"
+                                maxLength={20}
+                            />
+                            <button
+                                onClick={fetchVehicleConsumptionReport}
+                                className="btn-primary"
+                            >
+                                Generate Report
+                            </button>
+                        </div>
+                    </div>
+
+                    {vehicleConsumptionReport && (
+                        <>
+                            {/* Summary */}
+                            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                                <div className="card">
+                                    <p className="text-sm text-gray-600">Vehicles</p>
+                                    <p className="text-2xl font-bold text-gray-900">{vehicleConsumptionReport.summary.vehicleCount}</p>
+                                </div>
+                                <div className="card">
+                                    <p className="text-sm text-gray-600">Work Orders</p>
+                                    <p className="text-2xl font-bold text-gray-900">{vehicleConsumptionReport.summary.workOrderCount}</p>
+                                </div>
+                                <div className="card">
+                                    <p className="text-sm text-gray-600">Parts Used</p>
+                                    <p className="text-2xl font-bold text-gray-900">{vehicleConsumptionReport.summary.totalQuantity}</p>
+                                </div>
+                                <div className="card">
+                                    <p className="text-sm text-gray-600">Total Value</p>
+                                    <p className="text-2xl font-bold text-gray-900">{formatCurrency(vehicleConsumptionReport.summary.totalValue)}</p>
+                                </div>
+                            </div>
+
+                            {/* Consumption by Vehicle */}
+                            <div className="card">
+                                <h2 className="text-xl font-semibold text-gray-900 mb-4">
+                                    Parts by Vehicle - {getConsumptionPeriod()}
+                                </h2>
+
+                                {vehicleConsumptionReport.vehicles.length === 0 ? (
+                                    <div className="text-center py-8 text-gray-500">
+                                        <p className="text-lg font-medium">No parts used on work orders</p>
+                                        <p>Parts issued against a work order in this period will show here.</p>
+                                    </div>
+                                ) : (
+                                    <div className="overflow-x-auto">
+                                        <table className="min-w-full divide-y divide-gray-200">
+                                            <thead className="bg-sky-600 text-white">
+                                                <tr>
+                                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                        Vehicle
+                                                    </th>
+                                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                        Spare Part
+                                                    </th>
+                                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                        Category
+                                                    </th>
+                                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                        Quantity
+                                                    </th>
+                                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                                        Value
+                                                    </th>
+                                                </tr>
+                                            </thead>
+                                            <tbody className="bg-white divide-y divide-gray-200">
+                                                {vehicleConsumptionReport.vehicles.map((vehicle) => (
+                                                    <React.Fragment key={vehicle.VehiclePlate}>
+                                                        {vehicle.parts.map((part, index) => (
+                                                            <tr key={part.PartID} className="table-row">
+                                                                <td className="px-6 py-4 whitespace-nowrap font-medium text-gray-900">
+                                                                    {index === 0 && vehicle.VehiclePlate}
+                                                                </td>
+                                                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                                    {part.SparePartName}
+                                                                </td>
+                                                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                                    {part.Category}
+                                                                </td>
+                                                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                                    {part.Quantity}
+                                                                </td>
+                                                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                                    {formatCurrency(part.Value)}
+                                                                </td>
+                                                            </tr>
+                                                        ))}
+                                                        <tr className="bg-gray-50">
+                                                            <td colSpan="3" className="px-6 py-3 whitespace-nowrap text-sm font-medium text-gray-900">
+                                                                {vehicle.WorkOrderCount} work orders, last part issued {formatDate(vehicle.LastIssuedDate)}
+                                                            </td>
+                                                            <td className="px-6 py-3 whitespace-nowrap text-sm font-bold text-gray-900">
+                                                                {vehicle.TotalQuantity}
+                                                            </td>
+                                                            <td className="px-6 py-3 whitespace-nowrap text-sm font-bold text-gray-900">
+                                                                {formatCurrency(vehicle.TotalValue)}
+                                                            </td>
+                                                        </tr>
+                                                    </React.Fragment>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    </div>
+                                )}
+                            </div>
+                        </>
+                    )}
+                </div>
+            )}
         </div>
     );
 };
@@ -0,0 +1,175 @@
+import React, { useState } from 'react';
+import { reservationsAPI } from '../../services/api';
+import { getDefaultLocationId, getAvailableAt } from '../../utils/locations';
+
+// Hold stock of a part at one location for a job or customer, or change an existing hold
+const ReservationForm = ({ reservation, spareParts, locations, stockLevels, onSaved, onCancel }) => {
+    const [formData, setFormData] = useState(() => (reservation ? {
+        partId: reservation.PartID.toString(),
+        locationId: reservation.LocationID.toString(),
+        quantity: reservation.Quantity.toString(),
+        reference: reservation.Reference,
+        expiresAt: reservation.ExpiresAt || ''
+    } : {
+        partId: '',
+        locationId: getDefaultLocationId(locations),
+        quantity: '',
+        reference: '',
+        expiresAt: ''
+    }));
+    const [error, setError] = useState('');
+
+    const handleInputChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({
+            ...prev,
+            [name]: value
+        }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        const data = {
+            quantity: parseInt(formData.quantity),
+            reference: formData.reference,
+            expiresAt: formData.expiresAt || null
+        };
+
+        try {
+            const response = reservation
+                ? await reservationsAPI.update(reservation.ReservationID, data)
+                : await reservationsAPI.create({
+                    ...data,
+                    partId: parseInt(formData.partId),
+                    locationId: parseInt(formData.locationId)
+                });
+
+            if (response.data.success) {
+                onSaved(response.data.message);
+            }
+        } catch (error) {
+            console.error('Error saving reservation:', error);
+            setError(error.response?.data?.error || 'Failed to save reservation');
+        }
+    };
+
+    return (
+        <div className="card">
+            <h2 className="text-xl font-semibold text-gray-900 mb-4">
+                {reservation ? `Edit Reservation #${reservation.ReservationID}` : 'New Reservation'}
+            </h2>
+
+            {error && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg mb-4">
+                    {error}
+                </div>
+            )}
+
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+                    <div>
+                        <label htmlFor="reservationPartId" className="block text-sm font-medium text-gray-700 mb-1">
+                            Spare Part *
+                        </label>
+                        <select
+                            id="reservationPartId"
+                            name="partId"
+                            value={formData.partId}
+                            onChange={handleInputChange}
+                            className="input-field"
+                            disabled={!!reservation} // A reservation stays on its part and location
+                            required
+                        >
+                            <option value="">Select spare part</option>
+                            {spareParts.map((part) => (
+                                <option key={part.PartID} value={part.PartID}>
+                                    {part.Name} (Available: {part.AvailableQuantity})
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="reservationLocationId" className="block text-sm font-medium text-gray-700 mb-1">
+                            Hold At *
+                        </label>
+                        <select
+                            id="reservationLocationId"
+                            name="locationId"
+                            value={formData.locationId}
+                            onChange={handleInputChange}
+                            className="input-field"
+                            disabled={!!reservation}
+                            required
+                        >
+                            {locations.map((location) => (
+                                <option key={location.LocationID} value={location.LocationID}>
+                                    {location.Name}
+                                    {formData.partId && ` (Available: ${getAvailableAt(stockLevels, formData.partId, location.LocationID)})`}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="reservationQuantity" className="block text-sm font-medium text-gray-700 mb-1">
+                            Quantity *
+                        </label>
+                        <input
+                            type="number"
+                            id="reservationQuantity"
+                            name="quantity"
+                            value={formData.quantity}
+                            onChange={handleInputChange}
+                            className="input-field"
+                            min={reservation ? Math.max(1, reservation.FulfilledQuantity) : 1}
+                            required
+                        />
+                    </div>
+                    <div>
+                        <label htmlFor="reservationExpiresAt" className="block text-sm font-medium text-gray-700 mb-1">
+                            Expires On
+                        </label>
+                        <input
+                            type="date"
+                            id="reservationExpiresAt"
+                            name="expiresAt"
+                            value={formData.expiresAt}
+                            onChange={handleInputChange}
+                            className="input-field"
+                            min={new Date().toISOString().split('T')[0]}
+                        />
+                    </div>
+                </div>
+
+                <div>
+                    <label htmlFor="reservationReference" className="block text-sm font-medium text-gray-700 mb-1">
+                        Reason / Reference *
+                    </label>
+                    <input
+                        type="text"
+                        id="reservationReference"
+                        name="reference"
+                        value={formData.reference}
+                        onChange={handleInputChange}
+                        className="input-field"
+                        placeholder="e.g. Job card 1042 for RAB 123C"
+                        maxLength={255}
+                        required
+                    />
+                </div>
+
+                <div className="flex space-x-4">
+                    <button type="submit" className="btn-primary">
+                        {reservation ? 'Update Reservation' : 'Reserve Stock'}
+                    </button>
+                    <button type="button" onClick={onCancel} className="btn-secondary">
+                        Cancel
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default ReservationForm;
@@ -0,0 +1,148 @@
+import React, { useState } from 'react';
+import { stockOutAPI } from '../../services/api';
+
+// Issue the parts a reservation holds, recorded as a stock out that fulfils the reservation
+const ReservationIssueForm = ({ reservation, spareParts, customers, onIssued, onCancel }) => {
+    const part = spareParts.find(item => item.PartID === reservation.PartID);
+    const [formData, setFormData] = useState({
+        quantity: reservation.OutstandingQuantity.toString(),
+        unitPrice: part?.UnitPrice?.toString() || '',
+        stockOutDate: new Date().toISOString().split('T')[0],
+        customerId: ''
+    });
+    const [error, setError] = useState('');
+
+    const handleInputChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({
+            ...prev,
+            [name]: value
+        }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        if (parseInt(formData.quantity) > reservation.OutstandingQuantity) {
+            setError(`Only ${reservation.OutstandingQuantity} are still reserved. Issue any extra as a separate stock out`);
+            return;
+        }
+
+        try {
+            const response = await stockOutAPI.create({
+                partId: reservation.PartID,
+                stockOutQuantity: parseInt(formData.quantity),
+                stockOutUnitPrice: parseFloat(formData.unitPrice),
+                stockOutDate: formData.stockOutDate,
+                customerId: formData.customerId ? parseInt(formData.customerId) : null,
+                reservationId: reservation.ReservationID
+            });
+
+            if (response.data.success) {
+                onIssued(response.data.message);
+            }
+        } catch (error) {
+            console.error('Error issuing reserved stock:', error);
+            setError(error.response?.data?.error || 'Failed to issue reserved stock');
+        }
+    };
+
+    return (
+        <div className="card">
+            <h2 className="text-xl font-semibold text-gray-900 mb-1">
+                Issue Reservation #{reservation.ReservationID}
+            </h2>
+            <p className="text-sm text-gray-600 mb-4">
+                {reservation.OutstandingQuantity} {reservation.SparePartName} reserved at {reservation.LocationName} for {reservation.Reference}
+            </p>
+
+            {error && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg mb-4">
+                    {error}
+                </div>
+            )}
+
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+                    <div>
+                        <label htmlFor="issueQuantity" className="block text-sm font-medium text-gray-700 mb-1">
+                            Quantity *
+                        </label>
+                        <input
+                            type="number"
+                            id="issueQuantity"
+                            name="quantity"
+                            value={formData.quantity}
+                            onChange={handleInputChange}
+                            className="input-field"
+                            min="1"
+                            max={reservation.OutstandingQuantity}
+                            required
+                        />
+                    </div>
+                    <div>
+                        <label htmlFor="issueUnitPrice" className="block text-sm font-medium text-gray-700 mb-1">
+                            Unit Price (RWF) *
+                        </label>
+                        <input
+                            type="number"
+                            id="issueUnitPrice"
+                            name="unitPrice"
+                            value={formData.unitPrice}
+                            onChange={handleInputChange}
+                            className="input-field"
+                            min="0"
+                            step="1"
+                            required
+                        />
+                    </div>
+                    <div>
+                        <label htmlFor="issueDate" className="block text-sm font-medium text-gray-700 mb-1">
+                            Date *
+                        </label>
+                        <input
+                            type="date"
+                            id="issueDate"
+                            name="stockOutDate"
+                            value={formData.stockOutDate}
+                            onChange={handleInputChange}
+                            className="input-field"
+                            required
+                        />
+                    </div>
+                    <div>
+                        <label htmlFor="issueCustomerId" className="block text-sm font-medium text-gray-700 mb-1">
+                            Customer
+                        </label>
+                        <select
+                            id="issueCustomerId"
+                            name="customerId"
+                            value={formData.customerId}
+                            onChange={handleInputChange}
+                            className="input-field"
+                        >
+                            <option value="">No customer</option>
+                            {customers.map((customer) => (
+                                <option key={customer.CustomerID} value={customer.CustomerID}>
+                                    {customer.Name}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                </div>
+
+                <div className="flex space-x-4">
+                    <button type="submit" className="btn-primary">
+                        Issue Stock
+                    </button>
+                    <button type="button" onClick={onCancel} className="btn-secondary">
+                        Cancel
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default ReservationIssueForm;
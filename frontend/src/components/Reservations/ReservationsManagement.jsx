@@ -0,0 +1,332 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { reservationsAPI, sparePartsAPI, customersAPI, locationsAPI } from '../../services/api';
+import { canManageStock } from '../../utils/permissions';
+import { formatDate } from '../../utils/formatters';
+import { RESERVATION_STATUSES } from '../../utils/reservations';
+import ReservationForm from './ReservationForm';
+import ReservationIssueForm from './ReservationIssueForm';
+
+const ReservationsManagement = ({ user }) => {
+    const [reservations, setReservations] = useState([]);
+    const [spareParts, setSpareParts] = useState([]);
+    const [customers, setCustomers] = useState([]);
+    const [locations, setLocations] = useState([]);
+    const [stockLevels, setStockLevels] = useState([]);
+    const [statusFilter, setStatusFilter] = useState('ACTIVE');
+    const [showForm, setShowForm] = useState(false);
+    const [editingReservation, setEditingReservation] = useState(null);
+    const [issuingReservation, setIssuingReservation] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    const fetchReservations = useCallback(async () => {
+        try {
+            const response = await reservationsAPI.getAll(statusFilter);
+            if (response.data.success) {
+                setReservations(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching reservations:', error);
+            setError('Failed to fetch reservations');
+        } finally {
+            setLoading(false);
+        }
+    }, [statusFilter]);
+
+    // Available quantities change whenever stock is reserved, released or issued
+    const fetchStock = useCallback(async () => {
+        try {
+            const [sparePartsResponse, stockLevelsResponse] = await Promise.all([
+                sparePartsAPI.getAll(),
+                locationsAPI.getStockLevels()
+            ]);
+
+            if (sparePartsResponse.data.success) {
+                setSpareParts(sparePartsResponse.data.data);
+            }
+            if (stockLevelsResponse.data.success) {
+                setStockLevels(stockLevelsResponse.data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching stock:', error);
+            setError('Failed to fetch stock');
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchReservations();
+    }, [fetchReservations]);
+
+    useEffect(() => {
+        fetchStock();
+    }, [fetchStock]);
+
+    useEffect(() => {
+        const fetchLookups = async () => {
+            try {
+                const [customersResponse, locationsResponse] = await Promise.all([
+                    customersAPI.getAll(),
+                    locationsAPI.getAll()
+                ]);
+
+                if (customersResponse.data.success) {
+                    setCustomers(customersResponse.data.data);
+                }
+                if (locationsResponse.data.success) {
+                    setLocations(locationsResponse.data.data);
+                }
+            } catch (error) {
+                console.error('Error fetching data:', error);
+                setError('Failed to fetch data');
+            }
+        };
+
+        fetchLookups();
+    }, []);
+
+    const closeForms = () => {
+        setShowForm(false);
+        setEditingReservation(null);
+        setIssuingReservation(null);
+    };
+
+    const handleSaved = (message) => {
+        closeForms();
+        setSuccess(message);
+        setError('');
+        fetchReservations();
+        fetchStock();
+    };
+
+    const handleEdit = (reservation) => {
+        closeForms();
+        setEditingReservation(reservation);
+        setShowForm(true);
+        setSuccess('');
+    };
+
+    const handleIssue = (reservation) => {
+        closeForms();
+        setIssuingReservation(reservation);
+        setSuccess('');
+    };
+
+    const handleCancelReservation = async (reservation) => {
+        if (!window.confirm(`Cancel reservation #${reservation.ReservationID} and release ${reservation.OutstandingQuantity} ${reservation.SparePartName}?`)) {
+            return;
+        }
+
+        try {
+            const response = await reservationsAPI.cancel(reservation.ReservationID);
+            if (response.data.success) {
+                closeForms();
+                setSuccess(response.data.message);
+                setError('');
+                fetchReservations();
+                fetchStock();
+            }
+        } catch (error) {
+            console.error('Error cancelling reservation:', error);
+            setError(error.response?.data?.error || 'Failed to cancel reservation');
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="flex items-center justify-center h-64">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-sky-500"></div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            {/* Page Header */}
+            <div className="flex justify-between items-center">
+                <div>
+                    <h1 className="text-3xl font-bold text-gray-900">Reservations</h1>
+                    <p className="text-gray-600">Hold stock for a job or customer so it isn't issued to anyone else</p>
+                </div>
+                {canManageStock(user) && (
+                    <button
+                        onClick={() => {
+                            closeForms();
+                            if (!showForm) {
+                                setShowForm(true);
+                                setSuccess('');
+                            }
+                        }}
+                        className="btn-primary"
+                    >
+                        {showForm ? 'Cancel' : 'New Reservation'}
+                    </button>
+                )}
+            </div>
+
+            {/* Success/Error Messages */}
+            {error && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg">
+                    {error}
+                </div>
+            )}
+            {success && (
+                <div className="bg-sky-100 border border-sky-400 text-sky-700 px-4 py-3 rounded-lg">
+                    {success}
+                </div>
+            )}
+
+            {showForm && (
+                <ReservationForm
+                    key={editingReservation ? editingReservation.ReservationID : 'new'}
+                    reservation={editingReservation}
+                    spareParts={spareParts}
+                    locations={locations}
+                    stockLevels={stockLevels}
+                    onSaved={handleSaved}
+                    onCancel={closeForms}
+                />
+            )}
+
+            {issuingReservation && (
+                <ReservationIssueForm
+                    key={issuingReservation.ReservationID}
+                    reservation={issuingReservation}
+                    spareParts={spareParts}
+                    customers={customers}
+                    onIssued={handleSaved}
+                    onCancel={closeForms}
+                />
+            )}
+
+            <div className="card">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-xl font-semibold text-gray-900">
+                        Reservations ({reservations.length} records)
+                    </h2>
+                    <div className="flex items-center space-x-2">
+                        <label htmlFor="reservationStatusFilter" className="text-sm font-medium text-gray-700">
+                            Status:
+                        </label>
+                        <select
+                            id="reservationStatusFilter"
+                            value={statusFilter}
+                            onChange={(e) => setStatusFilter(e.target.value)}
+                            className="input-field"
+                        >
+                            <option value="">All</option>
+                            {Object.entries(RESERVATION_STATUSES).map(([value, { label }]) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                        </select>
+                    </div>
+                </div>
+
+                {reservations.length === 0 ? (
+                    <div className="text-center py-8 text-gray-500">
+                        <p className="text-lg font-medium">No reservations found</p>
+                        <p>Reserve stock when parts are promised to a job that hasn't started yet.</p>
+                    </div>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-sky-600 text-white">
+                                <tr>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        #
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Spare Part
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Location
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Issued
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Expires
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Status
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Reserved By
+                                    </th>
+                                    {canManageStock(user) && (
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Actions
+                                        </th>
+                                    )}
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {reservations.map((reservation) => (
+                                    <tr key={reservation.ReservationID} className="table-row">
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {reservation.ReservationID}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap">
+                                            <div className="font-medium text-gray-900">{reservation.SparePartName}</div>
+                                            <div className="text-xs text-gray-500">{reservation.Reference}</div>
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {reservation.LocationName}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {reservation.FulfilledQuantity} / {reservation.Quantity}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {reservation.ExpiresAt ? formatDate(reservation.ExpiresAt) : '-'}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap">
+                                            <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${RESERVATION_STATUSES[reservation.Status].colorClass}`}>
+                                                {RESERVATION_STATUSES[reservation.Status].label}
+                                            </span>
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            <div>{reservation.CreatedBy || 'Unknown'}</div>
+                                            <div className="text-xs text-gray-500">{formatDate(reservation.CreatedAt)}</div>
+                                        </td>
+                                        {canManageStock(user) && (
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                                                <div className="flex space-x-2">
+                                                    {reservation.Status === 'ACTIVE' && (
+                                                        <button
+                                                            onClick={() => handleIssue(reservation)}
+                                                            className="text-sky-600 hover:text-sky-900"
+                                                        >
+                                                            Issue
+                                                        </button>
+                                                    )}
+                                                    {(reservation.Status === 'ACTIVE' || reservation.Status === 'EXPIRED') && (
+                                                        <>
+                                                            <button
+                                                                onClick={() => handleEdit(reservation)}
+                                                                className="text-sky-600 hover:text-sky-900"
+                                                            >
+                                                                Edit
+                                                            </button>
+                                                            <button
+                                                                onClick={() => handleCancelReservation(reservation)}
+                                                                className="text-red-600 hover:text-red-900"
+                                                            >
+                                                                Cancel
+                                                            </button>
+                                                        </>
+                                                    )}
+                                                </div>
+                                            </td>
+                                        )}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ReservationsManagement;
@@ -0,0 +1,246 @@
+import React, { useState, useEffect } from 'react';
+import { returnsAPI } from '../../services/api';
+import { formatDate } from '../../utils/formatters';
+import { RETURN_TYPES, RETURN_DISPOSITIONS } from '../../utils/returns';
+
+const getInitialForm = (returnType) => ({
+    returnType,
+    sourceId: '',
+    quantity: '',
+    disposition: 'RESTOCK',
+    locationId: '',
+    returnDate: new Date().toISOString().split('T')[0],
+    reason: ''
+});
+
+// Record goods a customer brought back, or goods sent back to a supplier, against the original movement
+const ReturnForm = ({ locations, onSaved, onCancel }) => {
+    const [formData, setFormData] = useState(() => getInitialForm('CUSTOMER'));
+    const [returnable, setReturnable] = useState([]);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const fetchReturnable = async () => {
+            try {
+                const response = await returnsAPI.getReturnable(formData.returnType);
+                if (response.data.success) {
+                    setReturnable(response.data.data);
+                }
+            } catch (error) {
+                console.error('Error fetching returnable records:', error);
+                setError(error.response?.data?.error || 'Failed to fetch returnable records');
+            }
+        };
+
+        fetchReturnable();
+    }, [formData.returnType]);
+
+    const source = returnable.find(item => item.SourceID === parseInt(formData.sourceId));
+    const sourceLocation = source && locations.find(location => location.LocationID === source.LocationID);
+    const isCustomerReturn = formData.returnType === 'CUSTOMER';
+
+    const handleInputChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({
+            ...prev,
+            [name]: value
+        }));
+    };
+
+    const handleTypeChange = (returnType) => {
+        setReturnable([]);
+        setFormData(getInitialForm(returnType));
+        setError('');
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        if (!source) {
+            setError(`Select the ${RETURN_TYPES[formData.returnType].sourceLabel.toLowerCase()} record being returned`);
+            return;
+        }
+
+        if (parseInt(formData.quantity) > source.ReturnableQuantity) {
+            setError(`Only ${source.ReturnableQuantity} can still be returned`);
+            return;
+        }
+
+        try {
+            const response = await returnsAPI.create({
+                returnType: formData.returnType,
+                [isCustomerReturn ? 'stockOutId' : 'stockInId']: source.SourceID,
+                quantity: parseInt(formData.quantity),
+                disposition: isCustomerReturn ? formData.disposition : undefined,
+                locationId: formData.locationId ? parseInt(formData.locationId) : null,
+                returnDate: formData.returnDate,
+                reason: formData.reason
+            });
+
+            if (response.data.success) {
+                onSaved(response.data.message);
+            }
+        } catch (error) {
+            console.error('Error recording return:', error);
+            setError(error.response?.data?.error || 'Failed to record return');
+        }
+    };
+
+    return (
+        <div className="card">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-xl font-semibold text-gray-900">Record Return</h2>
+                <div className="flex space-x-2">
+                    {Object.entries(RETURN_TYPES).map(([value, { label }]) => (
+                        <button
+                            key={value}
+                            type="button"
+                            onClick={() => handleTypeChange(value)}
+                            className={formData.returnType === value ? 'btn-primary' : 'btn-secondary'}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {error && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg mb-4">
+                    {error}
+                </div>
+            )}
+
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div>
+                    <label htmlFor="sourceId" className="block text-sm font-medium text-gray-700 mb-1">
+                        {RETURN_TYPES[formData.returnType].sourceLabel} Record *
+                    </label>
+                    <select
+                        id="sourceId"
+                        name="sourceId"
+                        value={formData.sourceId}
+                        onChange={handleInputChange}
+                        className="input-field"
+                        required
+                    >
+                        <option value="">
+                            {returnable.length === 0 ? 'Nothing left to return' : 'Select the original record'}
+                        </option>
+                        {returnable.map((item) => (
+                            <option key={item.SourceID} value={item.SourceID}>
+                                #{item.SourceID} {formatDate(item.SourceDate)} - {item.SparePartName}
+                                {item.PartyName && ` - ${item.PartyName}`}
+                                {item.Reference && ` (${item.Reference})`}
+                                {` - ${item.ReturnableQuantity} of ${item.Quantity} returnable`}
+                            </option>
+                        ))}
+                    </select>
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+                    <div>
+                        <label htmlFor="returnQuantity" className="block text-sm font-medium text-gray-700 mb-1">
+                            Quantity *
+                        </label>
+                        <input
+                            type="number"
+                            id="returnQuantity"
+                            name="quantity"
+                            value={formData.quantity}
+                            onChange={handleInputChange}
+                            className="input-field"
+                            min="1"
+                            max={source?.ReturnableQuantity}
+                            required
+                        />
+                    </div>
+                    {isCustomerReturn && (
+                        <div>
+                            <label htmlFor="disposition" className="block text-sm font-medium text-gray-700 mb-1">
+                                Returned Goods *
+                            </label>
+                            <select
+                                id="disposition"
+                                name="disposition"
+                                value={formData.disposition}
+                                onChange={handleInputChange}
+                                className="input-field"
+                                required
+                            >
+                                {Object.entries(RETURN_DISPOSITIONS).map(([value, { label }]) => (
+                                    <option key={value} value={value}>{label}</option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+                    {(!isCustomerReturn || formData.disposition === 'RESTOCK') && (
+                        <div>
+                            <label htmlFor="returnLocationId" className="block text-sm font-medium text-gray-700 mb-1">
+                                {isCustomerReturn ? 'Restock At' : 'Send From'}
+                            </label>
+                            <select
+                                id="returnLocationId"
+                                name="locationId"
+                                value={formData.locationId}
+                                onChange={handleInputChange}
+                                className="input-field"
+                            >
+                                <option value="">
+                                    Original location{sourceLocation ? ` (${sourceLocation.Name})` : ''}
+                                </option>
+                                {locations.map((location) => (
+                                    <option key={location.LocationID} value={location.LocationID}>
+                                        {location.Name}
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+                    <div>
+                        <label htmlFor="returnDate" className="block text-sm font-medium text-gray-700 mb-1">
+                            Return Date *
+                        </label>
+                        <input
+                            type="date"
+                            id="returnDate"
+                            name="returnDate"
+                            value={formData.returnDate}
+                            onChange={handleInputChange}
+                            className="input-field"
+                            min={source?.SourceDate}
+                            required
+                        />
+                    </div>
+                </div>
+
+                <div>
+                    <label htmlFor="returnReason" className="block text-sm font-medium text-gray-700 mb-1">
+                        Reason
+                    </label>
+                    <input
+                        type="text"
+                        id="returnReason"
+                        name="reason"
+                        value={formData.reason}
+                        onChange={handleInputChange}
+                        className="input-field"
+                        placeholder={isCustomerReturn ? 'e.g. Wrong part ordered' : 'e.g. Defective on arrival'}
+                        maxLength={255}
+                    />
+                </div>
+
+                <div className="flex space-x-4">
+                    <button type="submit" className="btn-primary">
+                        Record Return
+                    </button>
+                    <button type="button" onClick={onCancel} className="btn-secondary">
+                        Cancel
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default ReturnForm;
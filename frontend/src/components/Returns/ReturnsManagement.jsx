@@ -0,0 +1,250 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { returnsAPI, locationsAPI } from '../../services/api';
+import { canManageStock, canEditHistory } from '../../utils/permissions';
+import { formatCurrency, formatDate } from '../../utils/formatters';
+import { RETURN_TYPES, RETURN_DISPOSITIONS } from '../../utils/returns';
+import ReturnForm from './ReturnForm';
+
+const ReturnsManagement = ({ user }) => {
+    const [returns, setReturns] = useState([]);
+    const [locations, setLocations] = useState([]);
+    const [typeFilter, setTypeFilter] = useState('');
+    const [showForm, setShowForm] = useState(false);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    const fetchReturns = useCallback(async () => {
+        try {
+            const response = await returnsAPI.getAll(typeFilter);
+            if (response.data.success) {
+                setReturns(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching returns:', error);
+            setError('Failed to fetch returns');
+        } finally {
+            setLoading(false);
+        }
+    }, [typeFilter]);
+
+    useEffect(() => {
+        fetchReturns();
+    }, [fetchReturns]);
+
+    useEffect(() => {
+        const fetchLocations = async () => {
+            try {
+                const response = await locationsAPI.getAll();
+                if (response.data.success) {
+                    setLocations(response.data.data);
+                }
+            } catch (error) {
+                console.error('Error fetching locations:', error);
+                setError('Failed to fetch locations');
+            }
+        };
+
+        fetchLocations();
+    }, []);
+
+    const handleSaved = (message) => {
+        setShowForm(false);
+        setSuccess(message);
+        setError('');
+        fetchReturns();
+    };
+
+    const handleDelete = async (record) => {
+        if (!window.confirm(`Delete return #${record.ReturnID} and undo its effect on stock?`)) {
+            return;
+        }
+
+        try {
+            const response = await returnsAPI.delete(record.ReturnID);
+            if (response.data.success) {
+                setSuccess(response.data.message);
+                setError('');
+                fetchReturns();
+            }
+        } catch (error) {
+            console.error('Error deleting return:', error);
+            setError(error.response?.data?.error || 'Failed to delete return');
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="flex items-center justify-center h-64">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-sky-500"></div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            {/* Page Header */}
+            <div className="flex justify-between items-center">
+                <div>
+                    <h1 className="text-3xl font-bold text-gray-900">Returns</h1>
+                    <p className="text-gray-600">Take back parts from customers and send defective parts back to suppliers</p>
+                </div>
+                {canManageStock(user) && (
+                    <button
+                        onClick={() => {
+                            setShowForm(!showForm);
+                            setSuccess('');
+                        }}
+                        className="btn-primary"
+                    >
+                        {showForm ? 'Cancel' : 'Record Return'}
+                    </button>
+                )}
+            </div>
+
+            {/* Success/Error Messages */}
+            {error && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg">
+                    {error}
+                </div>
+            )}
+            {success && (
+                <div className="bg-sky-100 border border-sky-400 text-sky-700 px-4 py-3 rounded-lg">
+                    {success}
+                </div>
+            )}
+
+            {showForm && (
+                <ReturnForm
+                    locations={locations}
+                    onSaved={handleSaved}
+                    onCancel={() => setShowForm(false)}
+                />
+            )}
+
+            <div className="card">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-xl font-semibold text-gray-900">
+                        Returns ({returns.length} records)
+                    </h2>
+                    <div className="flex items-center space-x-2">
+                        <label htmlFor="returnTypeFilter" className="text-sm font-medium text-gray-700">
+                            Type:
+                        </label>
+                        <select
+                            id="returnTypeFilter"
+                            value={typeFilter}
+                            onChange={(e) => setTypeFilter(e.target.value)}
+                            className="input-field"
+                        >
+                            <option value="">All</option>
+                            {Object.entries(RETURN_TYPES).map(([value, { label }]) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                        </select>
+                    </div>
+                </div>
+
+                {returns.length === 0 ? (
+                    <div className="text-center py-8 text-gray-500">
+                        <p className="text-lg font-medium">No returns found</p>
+                        <p>Returns are recorded against the stock out or stock in they reverse.</p>
+                    </div>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-sky-600 text-white">
+                                <tr>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Date
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Type
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Spare Part
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Quantity
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Value
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Original
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Location
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Recorded By
+                                    </th>
+                                    {canEditHistory(user) && (
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Actions
+                                        </th>
+                                    )}
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {returns.map((record) => (
+                                    <tr key={record.ReturnID} className="table-row">
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {formatDate(record.ReturnDate)}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap">
+                                            <div className="text-sm text-gray-900">{RETURN_TYPES[record.ReturnType].label}</div>
+                                            {record.Disposition && (
+                                                <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${RETURN_DISPOSITIONS[record.Disposition].colorClass}`}>
+                                                    {RETURN_DISPOSITIONS[record.Disposition].label}
+                                                </span>
+                                            )}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap">
+                                            <div className="font-medium text-gray-900">{record.SparePartName}</div>
+                                            {record.Reason && (
+                                                <div className="text-xs text-gray-500">{record.Reason}</div>
+                                            )}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                                            {record.ReturnQuantity}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {formatCurrency(record.ReturnValue)}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            <div>
+                                                {RETURN_TYPES[record.ReturnType].sourceLabel} #{record.StockOutID || record.StockInID}
+                                            </div>
+                                            <div className="text-xs text-gray-500">
+                                                {[record.PartyName, record.Reference].filter(Boolean).join(' - ') || '-'}
+                                            </div>
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {record.LocationName}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {record.CreatedBy || 'Unknown'}
+                                        </td>
+                                        {canEditHistory(user) && (
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                                                <button
+                                                    onClick={() => handleDelete(record)}
+                                                    className="text-red-600 hover:text-red-900"
+                                                >
+                                                    Delete
+                                                </button>
+                                            </td>
+                                        )}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ReturnsManagement;
@@ -0,0 +1,237 @@
+import React, { useState, useEffect } from 'react';
+import { sparePartsAPI } from '../../services/api';
+import { formatCurrency, formatDate, formatDateTime } from '../../utils/formatters';
+
+// Archived spare parts with restore and, for admins, a permanent purge
+const ArchivedParts = ({ onRestored }) => {
+    const [parts, setParts] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+    const [purgePreview, setPurgePreview] = useState(null);
+
+    useEffect(() => {
+        fetchArchivedParts();
+    }, []);
+
+    const fetchArchivedParts = async () => {
+        try {
+            const response = await sparePartsAPI.getArchived();
+            if (response.data.success) {
+                setParts(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching archived spare parts:', error);
+            setError('Failed to fetch archived spare parts');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleRestore = async (part) => {
+        setError('');
+        setSuccess('');
+
+        try {
+            const response = await sparePartsAPI.restore(part.PartID);
+            if (response.data.success) {
+                setSuccess(`"${part.Name}" restored successfully!`);
+                fetchArchivedParts();
+                onRestored?.();
+            }
+        } catch (error) {
+            console.error('Error restoring spare part:', error);
+            setError(error.response?.data?.error || 'Failed to restore spare part');
+        }
+    };
+
+    const handleShowPurge = async (part) => {
+        setError('');
+        setSuccess('');
+
+        try {
+            const response = await sparePartsAPI.getPurgePreview(part.PartID);
+            if (response.data.success) {
+                setPurgePreview(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error preparing purge:', error);
+            setError(error.response?.data?.error || 'Failed to prepare purge');
+        }
+    };
+
+    const handlePurge = async () => {
+        const { PartID, Name } = purgePreview.sparePart;
+        if (!window.confirm(`Permanently delete "${Name}" and all of its history? This cannot be undone.`)) {
+            return;
+        }
+
+        setError('');
+        setSuccess('');
+
+        try {
+            const response = await sparePartsAPI.purge(PartID);
+            if (response.data.success) {
+                setSuccess(response.data.message);
+                setPurgePreview(null);
+                fetchArchivedParts();
+            }
+        } catch (error) {
+            console.error('Error purging spare part:', error);
+            setError(error.response?.data?.error || 'Failed to purge spare part');
+        }
+    };
+
+    const formatDateRange = (summary) => {
+        if (!summary.Records) {
+            return 'none';
+        }
+        return `${summary.Records} records from ${formatDate(summary.FirstDate)} to ${formatDate(summary.LastDate)}`;
+    };
+
+    if (loading) {
+        return (
+            <div className="flex items-center justify-center h-64">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-green-700"></div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            {/* Success/Error Messages */}
+            {error && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg">
+                    {error}
+                </div>
+            )}
+            {success && (
+                <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded-lg">
+                    {success}
+                </div>
+            )}
+
+            {/* Purge Preview */}
+            {purgePreview && (
+                <div className="card border border-red-300 bg-red-50">
+                    <h2 className="text-xl font-semibold text-gray-900 mb-2">
+                        Purge "{purgePreview.sparePart.Name}"
+                    </h2>
+                    <p className="text-sm text-gray-700 mb-3">
+                        Purging permanently deletes the part and every stock movement recorded for it.
+                        Past daily stock out reports and stock status totals will change, and the
+                        records cannot be recovered. Archiving alone already hides the part from lists.
+                    </p>
+                    <ul className="list-disc list-inside text-sm text-gray-900 mb-4 space-y-1">
+                        <li>Stock in: {formatDateRange(purgePreview.stockIn)}, {purgePreview.stockIn.Quantity} units</li>
+                        <li>
+                            Stock out: {formatDateRange(purgePreview.stockOut)}, {purgePreview.stockOut.Quantity} units
+                            worth {formatCurrency(purgePreview.stockOut.TotalValue)}
+                        </li>
+                        {purgePreview.transfers.Records > 0 && (
+                            <li>Transfers between locations: {purgePreview.transfers.Records} records</li>
+                        )}
+                        {purgePreview.adjustments.Records > 0 && (
+                            <li>Stocktake adjustments: {purgePreview.adjustments.Records} records</li>
+                        )}
+                        {purgePreview.returns.Records > 0 && (
+                            <li>Customer and supplier returns: {purgePreview.returns.Records} records</li>
+                        )}
+                        {purgePreview.reservations.Records > 0 && (
+                            <li>Reservations: {purgePreview.reservations.Records} records</li>
+                        )}
+                        {purgePreview.kitComponents.Records > 0 && (
+                            <li>Kits it is a component of: {purgePreview.kitComponents.Records}, which will no longer include it</li>
+                        )}
+                        {purgePreview.purchaseOrderLines.Records > 0 && (
+                            <li>Purchase order lines: {purgePreview.purchaseOrderLines.Records}, which will be removed from their orders</li>
+                        )}
+                        <li>Quantity on hand that will no longer be counted: {purgePreview.sparePart.Quantity}</li>
+                    </ul>
+                    <div className="flex justify-end space-x-2">
+                        <button onClick={() => setPurgePreview(null)} className="btn-secondary">
+                            Cancel
+                        </button>
+                        <button onClick={handlePurge} className="btn-danger">
+                            Purge Permanently
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {/* Archived Parts List */}
+            <div className="card">
+                <h2 className="text-xl font-semibold text-gray-900 mb-4">
+                    Archived Parts ({parts.length} items)
+                </h2>
+
+                {parts.length === 0 ? (
+                    <p className="text-gray-500 text-center py-4">No archived spare parts</p>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-sky-600 text-white">
+                                <tr>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Name
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Category
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Quantity
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Archived
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Actions
+                                    </th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {parts.map((part) => (
+                                    <tr key={part.PartID} className="table-row">
+                                        <td className="px-6 py-4 whitespace-nowrap">
+                                            <div className="font-medium text-gray-900">{part.Name}</div>
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap">
+                                            <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                                                {part.Category}
+                                            </span>
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-gray-900">
+                                            {part.Quantity}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {formatDateTime(part.ArchivedAt)}
+                                            {part.ArchivedBy && (
+                                                <div className="text-xs text-gray-500">by {part.ArchivedBy}</div>
+                                            )}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium space-x-2">
+                                            <button
+                                                onClick={() => handleRestore(part)}
+                                                className="text-green-600 hover:text-green-900"
+                                            >
+                                                Restore
+                                            </button>
+                                            <button
+                                                onClick={() => handleShowPurge(part)}
+                                                className="text-red-600 hover:text-red-900"
+                                            >
+                                                Purge
+                                            </button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ArchivedParts;
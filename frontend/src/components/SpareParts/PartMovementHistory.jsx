@@ -0,0 +1,205 @@
+import React, { useState, useEffect } from 'react';
+import { reportsAPI } from '../../services/api';
+import { formatDate, exportToCSV } from '../../utils/formatters';
+
+const MOVEMENT_LABELS = {
+    STOCK_IN: 'Stock In',
+    STOCK_OUT: 'Stock Out',
+    TRANSFER: 'Transfer',
+    ADJUSTMENT: 'Adjustment',
+    CUSTOMER_RETURN: 'Customer Return',
+    SUPPLIER_RETURN: 'Supplier Return'
+};
+
+// Every stock in, stock out, transfer, adjustment and return of one part, with the balance each one left
+const PartMovementHistory = ({ partId, onClose }) => {
+    const [history, setHistory] = useState(null);
+    const [startDate, setStartDate] = useState('');
+    const [endDate, setEndDate] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const fetchHistory = async () => {
+            setLoading(true);
+            setError('');
+
+            try {
+                const response = await reportsAPI.getStockMovement(partId, startDate, endDate);
+                if (response.data.success) {
+                    setHistory(response.data.data);
+                }
+            } catch (error) {
+                console.error('Error fetching movement history:', error);
+                setError(error.response?.data?.error || 'Failed to fetch movement history');
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        fetchHistory();
+    }, [partId, startDate, endDate]);
+
+    const handleExport = () => {
+        exportToCSV(
+            history.movements.map((movement) => ({
+                Date: movement.MovementDate,
+                Type: MOVEMENT_LABELS[movement.MovementType],
+                Reference: movement.ReferenceID,
+                Location: movement.LocationName || '',
+                Details: movement.Details || '',
+                Change: movement.QuantityChange,
+                Balance: movement.BalanceAfter,
+                'Recorded By': movement.CreatedBy || ''
+            })),
+            `movement-history-${history.part.Name}-${startDate || 'start'}-${endDate || 'today'}.csv`
+        );
+    };
+
+    return (
+        <div className="card">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-xl font-semibold text-gray-900">
+                    Movement History{history ? ` - ${history.part.Name}` : ''}
+                </h2>
+                <div className="flex space-x-2">
+                    {history?.movements.length > 0 && (
+                        <button onClick={handleExport} className="btn-secondary">
+                            Export CSV
+                        </button>
+                    )}
+                    <button onClick={onClose} className="btn-secondary">
+                        Close
+                    </button>
+                </div>
+            </div>
+
+            <div className="flex items-center space-x-4 mb-4">
+                <label htmlFor="movementStartDate" className="block text-sm font-medium text-gray-700">
+                    From:
+                </label>
+                <input
+                    type="date"
+                    id="movementStartDate"
+                    value={startDate}
+                    onChange={(e) => setStartDate(e.target.value)}
+                    className="input-field max-w-xs"
+                />
+                <label htmlFor="movementEndDate" className="block text-sm font-medium text-gray-700">
+                    To:
+                </label>
+                <input
+                    type="date"
+                    id="movementEndDate"
+                    value={endDate}
+                    onChange={(e) => setEndDate(e.target.value)}
+                    className="input-field max-w-xs"
+                />
+            </div>
+
+            {error && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg">
+                    {error}
+                </div>
+            )}
+
+            {loading ? (
+                <div className="flex items-center justify-center h-32">
+                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-sky-500"></div>
+                </div>
+            ) : history && (
+                <>
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+                        <div className="bg-sky-50 rounded-lg p-4">
+                            <p className="text-sm text-gray-600">Movements</p>
+                            <p className="text-2xl font-bold text-gray-900">{history.summary.totalMovements}</p>
+                        </div>
+                        <div className="bg-sky-50 rounded-lg p-4">
+                            <p className="text-sm text-gray-600">Units In</p>
+                            <p className="text-2xl font-bold text-gray-900">{history.summary.totalIn}</p>
+                        </div>
+                        <div className="bg-sky-50 rounded-lg p-4">
+                            <p className="text-sm text-gray-600">Units Out</p>
+                            <p className="text-2xl font-bold text-gray-900">{history.summary.totalOut}</p>
+                        </div>
+                        <div className="bg-sky-50 rounded-lg p-4">
+                            <p className="text-sm text-gray-600">Current Quantity</p>
+                            <p className="text-2xl font-bold text-gray-900">{history.summary.currentQuantity}</p>
+                        </div>
+                    </div>
+
+                    {history.movements.length === 0 ? (
+                        <p className="text-gray-500 text-center py-4">This part has no movements in this period</p>
+                    ) : (
+                        <div className="overflow-x-auto">
+                            <table className="min-w-full divide-y divide-gray-200">
+                                <thead className="bg-sky-600 text-white">
+                                    <tr>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Date
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Type
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Location
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Details
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Change
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Balance
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Recorded By
+                                        </th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {history.movements.map((movement) => (
+                                        <tr key={`${movement.MovementType}-${movement.ReferenceID}`} className="table-row">
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                {formatDate(movement.MovementDate)}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                {MOVEMENT_LABELS[movement.MovementType]} #{movement.ReferenceID}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                {movement.LocationName || '-'}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                                {movement.Details || '-'}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                {movement.QuantityChange === 0 ? (
+                                                    <span className="text-sm text-gray-500">0</span>
+                                                ) : (
+                                                    <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                                                        movement.QuantityChange > 0 ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+                                                    }`}>
+                                                        {movement.QuantityChange > 0 ? `+${movement.QuantityChange}` : movement.QuantityChange}
+                                                    </span>
+                                                )}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                                                {movement.BalanceAfter}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                {movement.CreatedBy || 'Unknown'}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default PartMovementHistory;
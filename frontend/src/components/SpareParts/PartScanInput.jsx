@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import { sparePartsAPI } from '../../services/api';
+
+// Scan field for keyboard-wedge barcode scanners, which type the code and press Enter.
+// Resolves the SKU or barcode to one of the selectable parts and hands it to onScan
+const PartScanInput = ({ parts, onScan }) => {
+    const [code, setCode] = useState('');
+    const [error, setError] = useState('');
+    const [scanning, setScanning] = useState(false);
+
+    const handleKeyDown = async (e) => {
+        if (e.key !== 'Enter') {
+            return;
+        }
+
+        // Keep the scanner's Enter from submitting the surrounding form
+        e.preventDefault();
+        const scannedCode = code.trim();
+        if (!scannedCode || scanning) {
+            return;
+        }
+
+        setError('');
+        setScanning(true);
+
+        try {
+            const response = await sparePartsAPI.getByCode(scannedCode);
+            if (response.data.success) {
+                const part = parts.find((p) => p.PartID === response.data.data.PartID);
+                if (part) {
+                    onScan(part);
+                } else {
+                    setError(`"${response.data.data.Name}" cannot be selected here`);
+                }
+            }
+        } catch (error) {
+            console.error('Error looking up scanned code:', error);
+            setError(error.response?.data?.error || 'Failed to look up scanned code');
+        } finally {
+            setCode('');
+            setScanning(false);
+        }
+    };
+
+    return (
+        <div>
+            <label htmlFor="scanCode" className="block text-sm font-medium text-gray-700 mb-1">
+                Scan Barcode or SKU
+            </label>
+            <input
+                type="text"
+                id="scanCode"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                onKeyDown={handleKeyDown}
+                className="input-field font-mono"
+                placeholder="Scan or type a code and press Enter"
+                autoComplete="off"
+                autoFocus
+            />
+            {error && <p className="mt-1 text-sm text-red-600">{error}</p>}
+        </div>
+    );
+};
+
+export default PartScanInput;
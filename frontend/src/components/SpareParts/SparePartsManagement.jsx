@@ -1,21 +1,49 @@
 import React, { useState, useEffect } from 'react';
-import { sparePartsAPI } from '../../services/api';
+import { sparePartsAPI, categoriesAPI } from '../../services/api';
+import { canManageStock, canEditHistory } from '../../utils/permissions';
+import { sortCategoryTree, getCategoryOptionLabel } from '../../utils/categories';
+import { getStockStatus } from '../../utils/formatters';
+import ArchivedParts from './ArchivedParts';
+import PartMovementHistory from './PartMovementHistory';
 
-const SparePartsManagement = () => {
+const EMPTY_FORM = {
+    name: '',
+    sku: '',
+    barcode: '',
+    categoryId: '',
+    quantity: '',
+    unitPrice: '',
+    reorderPoint: '10',
+    minLevel: '0',
+    maxLevel: '20',
+    costingMethod: 'AVERAGE'
+};
+
+const COSTING_METHOD_LABELS = {
+    AVERAGE: 'Weighted average',
+    FIFO: 'FIFO'
+};
+
+const SparePartsManagement = ({ user }) => {
     const [spareParts, setSpareParts] = useState([]);
+    const [categories, setCategories] = useState([]);
     const [loading, setLoading] = useState(true);
     const [showForm, setShowForm] = useState(false);
-    const [formData, setFormData] = useState({
-        name: '',
-        category: '',
-        quantity: '',
-        unitPrice: ''
-    });
+    const [showArchived, setShowArchived] = useState(false);
+    // Part being renamed inline: { partId, name }
+    const [renaming, setRenaming] = useState(null);
+    // Part whose SKU and barcode are being edited inline: { partId, sku, barcode }
+    const [editingCodes, setEditingCodes] = useState(null);
+    // Part whose reorder levels are being edited inline: { partId, reorderPoint, minLevel, maxLevel }
+    const [editingLevels, setEditingLevels] = useState(null);
+    const [historyPartId, setHistoryPartId] = useState(null);
+    const [formData, setFormData] = useState(EMPTY_FORM);
     const [error, setError] = useState('');
     const [success, setSuccess] = useState('');
 
     useEffect(() => {
         fetchSpareParts();
+        fetchCategories();
     }, []);
 
     const fetchSpareParts = async () => {
@@ -32,6 +60,18 @@ const SparePartsManagement = () => {
         }
     };
 
+    const fetchCategories = async () => {
+        try {
+            const response = await categoriesAPI.getAll();
+            if (response.data.success) {
+                setCategories(sortCategoryTree(response.data.data));
+            }
+        } catch (error) {
+            console.error('Error fetching categories:', error);
+            setError('Failed to fetch categories');
+        }
+    };
+
     const handleInputChange = (e) => {
         const { name, value } = e.target;
         setFormData(prev => ({
@@ -46,7 +86,7 @@ const SparePartsManagement = () => {
         setSuccess('');
 
         // Validation
-        if (!formData.name || !formData.category || !formData.quantity || !formData.unitPrice) {
+        if (!formData.name || !formData.categoryId || !formData.quantity || !formData.unitPrice) {
             setError('All fields are required');
             return;
         }
@@ -59,14 +99,20 @@ const SparePartsManagement = () => {
         try {
             const response = await sparePartsAPI.create({
                 name: formData.name,
-                category: formData.category,
+                sku: formData.sku,
+                barcode: formData.barcode,
+                categoryId: parseInt(formData.categoryId),
                 quantity: parseInt(formData.quantity),
-                unitPrice: parseFloat(formData.unitPrice)
+                unitPrice: parseFloat(formData.unitPrice),
+                reorderPoint: parseInt(formData.reorderPoint),
+                minLevel: parseInt(formData.minLevel),
+                maxLevel: parseInt(formData.maxLevel),
+                costingMethod: formData.costingMethod
             });
 
             if (response.data.success) {
                 setSuccess('Spare part added successfully!');
-                setFormData({ name: '', category: '', quantity: '', unitPrice: '' });
+                setFormData(EMPTY_FORM);
                 setShowForm(false);
                 fetchSpareParts(); // Refresh the list
             }
@@ -76,6 +122,109 @@ const SparePartsManagement = () => {
         }
     };
 
+    const handleRename = async (e) => {
+        e.preventDefault();
+        setError('');
+        setSuccess('');
+
+        try {
+            const response = await sparePartsAPI.rename(renaming.partId, renaming.name);
+            if (response.data.success) {
+                setSuccess(response.data.message);
+                setRenaming(null);
+                fetchSpareParts();
+            }
+        } catch (error) {
+            console.error('Error renaming spare part:', error);
+            setError(error.response?.data?.error || 'Failed to rename spare part');
+        }
+    };
+
+    const handleUpdateCodes = async (e) => {
+        e.preventDefault();
+        setError('');
+        setSuccess('');
+
+        try {
+            const response = await sparePartsAPI.updateCodes(editingCodes.partId, {
+                sku: editingCodes.sku,
+                barcode: editingCodes.barcode
+            });
+            if (response.data.success) {
+                setSuccess(response.data.message);
+                setEditingCodes(null);
+                fetchSpareParts();
+            }
+        } catch (error) {
+            console.error('Error updating spare part codes:', error);
+            setError(error.response?.data?.error || 'Failed to update spare part codes');
+        }
+    };
+
+    const handleUpdateLevels = async (e) => {
+        e.preventDefault();
+        setError('');
+        setSuccess('');
+
+        try {
+            const response = await sparePartsAPI.updateLevels(editingLevels.partId, {
+                reorderPoint: parseInt(editingLevels.reorderPoint),
+                minLevel: parseInt(editingLevels.minLevel),
+                maxLevel: parseInt(editingLevels.maxLevel)
+            });
+            if (response.data.success) {
+                setSuccess(response.data.message);
+                setEditingLevels(null);
+                fetchSpareParts();
+            }
+        } catch (error) {
+            console.error('Error updating stock levels:', error);
+            setError(error.response?.data?.error || 'Failed to update stock levels');
+        }
+    };
+
+    const handleChangeCostingMethod = async (part) => {
+        const costingMethod = part.CostingMethod === 'FIFO' ? 'AVERAGE' : 'FIFO';
+
+        if (!window.confirm(`Value "${part.Name}" using ${COSTING_METHOD_LABELS[costingMethod]} cost from now on?`)) {
+            return;
+        }
+
+        setError('');
+        setSuccess('');
+
+        try {
+            const response = await sparePartsAPI.updateCostingMethod(part.PartID, costingMethod);
+            if (response.data.success) {
+                setSuccess(response.data.message);
+                fetchSpareParts();
+            }
+        } catch (error) {
+            console.error('Error changing costing method:', error);
+            setError(error.response?.data?.error || 'Failed to change costing method');
+        }
+    };
+
+    const handleArchive = async (part) => {
+        if (!window.confirm(`Archive "${part.Name}"? It will be hidden from lists and pickers, but its history stays in reports.`)) {
+            return;
+        }
+
+        setError('');
+        setSuccess('');
+
+        try {
+            const response = await sparePartsAPI.archive(part.PartID);
+            if (response.data.success) {
+                setSuccess(`"${part.Name}" archived successfully!`);
+                fetchSpareParts();
+            }
+        } catch (error) {
+            console.error('Error archiving spare part:', error);
+            setError(error.response?.data?.error || 'Failed to archive spare part');
+        }
+    };
+
     const formatCurrency = (amount) => {
         if (amount === null || amount === undefined || isNaN(amount)) {
             return 'RWF 0';
@@ -104,14 +253,33 @@ const SparePartsManagement = () => {
                     <h1 className="text-3xl font-bold text-gray-900">Spare Parts Management</h1>
                     <p className="text-gray-600">Manage your spare parts inventory</p>
                 </div>
-                <button
-                    onClick={() => setShowForm(!showForm)}
-                    className="btn-primary"
-                >
-                    {showForm ? 'Cancel' : 'Add New Spare Part'}
-                </button>
+                <div className="flex space-x-2">
+                    {canEditHistory(user) && (
+                        <button
+                            onClick={() => {
+                                setShowArchived(!showArchived);
+                                setShowForm(false);
+                                setError('');
+                                setSuccess('');
+                            }}
+                            className="btn-secondary"
+                        >
+                            {showArchived ? 'Back to Inventory' : 'Archived Parts'}
+                        </button>
+                    )}
+                    {canManageStock(user) && !showArchived && (
+                        <button
+                            onClick={() => setShowForm(!showForm)}
+                            className="btn-primary"
+                        >
+                            {showForm ? 'Cancel' : 'Add New Spare Part'}
+                        </button>
+                    )}
+                </div>
             </div>
 
+            {showArchived && <ArchivedParts onRestored={fetchSpareParts} />}
+
             {/* Success/Error Messages */}
             {error && (
                 <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg">
@@ -125,7 +293,7 @@ const SparePartsManagement = () => {
             )}
 
             {/* Add Spare Part Form */}
-            {showForm && (
+            {showForm && !showArchived && (
                 <div className="card">
                     <h2 className="text-xl font-semibold text-gray-900 mb-4">Add New Spare Part</h2>
                     <form onSubmit={handleSubmit} className="space-y-4">
@@ -146,25 +314,23 @@ const SparePartsManagement = () => {
                                 />
                             </div>
                             <div>
-                                <label htmlFor="category" className="block text-sm font-medium text-gray-700 mb-1">
+                                <label htmlFor="categoryId" className="block text-sm font-medium text-gray-700 mb-1">
                                     Category *
                                 </label>
                                 <select
-                                    id="category"
-                                    name="category"
-                                    value={formData.category}
+                                    id="categoryId"
+                                    name="categoryId"
+                                    value={formData.categoryId}
                                     onChange={handleInputChange}
                                     className="input-field"
                                     required
                                 >
                                     <option value="">Select category</option>
-                                    <option value="Engine">Engine</option>
-                                    <option value="Brakes">Brakes</option>
-                                    <option value="Transmission">Transmission</option>
-                                    <option value="Electrical">Electrical</option>
-                                    <option value="Suspension">Suspension</option>
-                                    <option value="Body">Body</option>
-                                    <option value="Other">Other</option>
+                                    {categories.map((category) => (
+                                        <option key={category.CategoryID} value={category.CategoryID}>
+                                            {getCategoryOptionLabel(category)}
+                                        </option>
+                                    ))}
                                 </select>
                             </div>
                             <div>
@@ -200,7 +366,103 @@ const SparePartsManagement = () => {
                                     required
                                 />
                             </div>
+                            <div>
+                                <label htmlFor="sku" className="block text-sm font-medium text-gray-700 mb-1">
+                                    SKU
+                                </label>
+                                <input
+                                    type="text"
+                                    id="sku"
+                                    name="sku"
+                                    value={formData.sku}
+                                    onChange={handleInputChange}
+                                    className="input-field"
+                                    placeholder="Optional stock keeping unit"
+                                    maxLength={50}
+                                />
+                            </div>
+                            <div>
+                                <label htmlFor="barcode" className="block text-sm font-medium text-gray-700 mb-1">
+                                    Barcode
+                                </label>
+                                <input
+                                    type="text"
+                                    id="barcode"
+                                    name="barcode"
+                                    value={formData.barcode}
+                                    onChange={handleInputChange}
+                                    className="input-field"
+                                    placeholder="Scan or type the barcode"
+                                    maxLength={100}
+                                />
+                            </div>
+                            <div>
+                                <label htmlFor="reorderPoint" className="block text-sm font-medium text-gray-700 mb-1">
+                                    Reorder Point *
+                                </label>
+                                <input
+                                    type="number"
+                                    id="reorderPoint"
+                                    name="reorderPoint"
+                                    value={formData.reorderPoint}
+                                    onChange={handleInputChange}
+                                    className="input-field"
+                                    min="0"
+                                    required
+                                />
+                            </div>
+                            <div className="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label htmlFor="minLevel" className="block text-sm font-medium text-gray-700 mb-1">
+                                        Min Level *
+                                    </label>
+                                    <input
+                                        type="number"
+                                        id="minLevel"
+                                        name="minLevel"
+                                        value={formData.minLevel}
+                                        onChange={handleInputChange}
+                                        className="input-field"
+                                        min="0"
+                                        required
+                                    />
+                                </div>
+                                <div>
+                                    <label htmlFor="maxLevel" className="block text-sm font-medium text-gray-700 mb-1">
+                                        Max Level *
+                                    </label>
+                                    <input
+                                        type="number"
+                                        id="maxLevel"
+                                        name="maxLevel"
+                                        value={formData.maxLevel}
+                                        onChange={handleInputChange}
+                                        className="input-field"
+                                        min="1"
+                                        required
+                                    />
+                                </div>
+                            </div>
+                            <div>
+                                <label htmlFor="costingMethod" className="block text-sm font-medium text-gray-700 mb-1">
+                                    Costing Method
+                                </label>
+                                <select
+                                    id="costingMethod"
+                                    name="costingMethod"
+                                    value={formData.costingMethod}
+                                    onChange={handleInputChange}
+                                    className="input-field"
+                                >
+                                    {Object.entries(COSTING_METHOD_LABELS).map(([value, label]) => (
+                                        <option key={value} value={value}>{label}</option>
+                                    ))}
+                                </select>
+                            </div>
                         </div>
+                        <p className="text-xs text-gray-500">
+                            The part shows as low stock below its reorder point and is reordered up to its max level.
+                        </p>
                         <div className="flex space-x-4">
                             <button type="submit" className="btn-primary">
                                 Add Spare Part
@@ -217,80 +479,267 @@ const SparePartsManagement = () => {
                 </div>
             )}
 
+            {historyPartId && !showArchived && (
+                <PartMovementHistory
+                    partId={historyPartId}
+                    onClose={() => setHistoryPartId(null)}
+                />
+            )}
+
             {/* Spare Parts List */}
-            <div className="card">
-                <h2 className="text-xl font-semibold text-gray-900 mb-4">
-                    Spare Parts Inventory ({spareParts.length} items)
-                </h2>
-
-                {spareParts.length === 0 ? (
-                    <div className="text-center py-8 text-gray-500">
-                        <p className="text-lg font-medium">No spare parts found</p>
-                        <p>Add your first spare part to get started.</p>
-                    </div>
-                ) : (
-                    <div className="overflow-x-auto">
-                        <table className="min-w-full divide-y divide-gray-200">
-                            <thead className="bg-sky-600 text-white">
-                                <tr>
-                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
-                                        Name
-                                    </th>
-                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
-                                        Category
-                                    </th>
-                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
-                                        Quantity
-                                    </th>
-                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
-                                        Unit Price
-                                    </th>
-                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
-                                        Total Value
-                                    </th>
-                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
-                                        Status
-                                    </th>
-                                </tr>
-                            </thead>
-                            <tbody className="bg-white divide-y divide-gray-200">
-                                {spareParts.map((part) => (
-                                    <tr key={part.Name} className="table-row">
-                                        <td className="px-6 py-4 whitespace-nowrap">
-                                            <div className="font-medium text-gray-900">{part.Name}</div>
-                                        </td>
-                                        <td className="px-6 py-4 whitespace-nowrap">
-                                            <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
-                                                {part.Category}
-                                            </span>
-                                        </td>
-                                        <td className="px-6 py-4 whitespace-nowrap text-gray-900">
-                                            {part.Quantity}
-                                        </td>
-                                        <td className="px-6 py-4 whitespace-nowrap text-gray-900">
-                                            {formatCurrency(part.UnitPrice)}
-                                        </td>
-                                        <td className="px-6 py-4 whitespace-nowrap text-gray-900">
-                                            {formatCurrency(part.TotalPrice)}
-                                        </td>
-                                        <td className="px-6 py-4 whitespace-nowrap">
-                                            <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-                                                part.Quantity < 10
-                                                    ? 'bg-red-100 text-red-800'
-                                                    : part.Quantity < 20
-                                                    ? 'bg-yellow-100 text-yellow-800'
-                                                    : 'bg-green-100 text-green-800'
-                                            }`}>
-                                                {part.Quantity < 10 ? 'Low Stock' : part.Quantity < 20 ? 'Medium' : 'In Stock'}
-                                            </span>
-                                        </td>
+            {!showArchived && (
+                <div className="card">
+                    <h2 className="text-xl font-semibold text-gray-900 mb-4">
+                        Spare Parts Inventory ({spareParts.length} items)
+                    </h2>
+
+                    {spareParts.length === 0 ? (
+                        <div className="text-center py-8 text-gray-500">
+                            <p className="text-lg font-medium">No spare parts found</p>
+                            <p>Add your first spare part to get started.</p>
+                        </div>
+                    ) : (
+                        <div className="overflow-x-auto">
+                            <table className="min-w-full divide-y divide-gray-200">
+                                <thead className="bg-sky-600 text-white">
+                                    <tr>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Name
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Category
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Quantity
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Unit Price
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Total Value
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Levels
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Status
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Actions
+                                        </th>
                                     </tr>
-                                ))}
-                            </tbody>
-                        </table>
-                    </div>
-                )}
-            </div>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {spareParts.map((part) => (
+                                        <tr key={part.PartID} className="table-row">
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                {renaming?.partId === part.PartID ? (
+                                                    <form onSubmit={handleRename} className="flex items-center space-x-2">
+                                                        <input
+                                                            type="text"
+                                                            value={renaming.name}
+                                                            onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                                                            className="input-field"
+                                                            maxLength={100}
+                                                            aria-label={`New name for ${part.Name}`}
+                                                            autoFocus
+                                                            required
+                                                        />
+                                                        <button type="submit" className="text-green-600 hover:text-green-900 text-sm font-medium">
+                                                            Save
+                                                        </button>
+                                                        <button
+                                                            type="button"
+                                                            onClick={() => setRenaming(null)}
+                                                            className="text-gray-600 hover:text-gray-900 text-sm font-medium"
+                                                        >
+                                                            Cancel
+                                                        </button>
+                                                    </form>
+                                                ) : (
+                                                    <div className="font-medium text-gray-900">{part.Name}</div>
+                                                )}
+                                                {editingCodes?.partId === part.PartID ? (
+                                                    <form onSubmit={handleUpdateCodes} className="mt-2 flex items-center space-x-2">
+                                                        <input
+                                                            type="text"
+                                                            value={editingCodes.sku}
+                                                            onChange={(e) => setEditingCodes({ ...editingCodes, sku: e.target.value })}
+                                                            className="input-field"
+                                                            placeholder="SKU"
+                                                            maxLength={50}
+                                                            aria-label={`SKU for ${part.Name}`}
+                                                            autoFocus
+                                                        />
+                                                        <input
+                                                            type="text"
+                                                            value={editingCodes.barcode}
+                                                            onChange={(e) => setEditingCodes({ ...editingCodes, barcode: e.target.value })}
+                                                            className="input-field"
+                                                            placeholder="Barcode"
+                                                            maxLength={100}
+                                                            aria-label={`Barcode for ${part.Name}`}
+                                                        />
+                                                        <button type="submit" className="text-green-600 hover:text-green-900 text-sm font-medium">
+                                                            Save
+                                                        </button>
+                                                        <button
+                                                            type="button"
+                                                            onClick={() => setEditingCodes(null)}
+                                                            className="text-gray-600 hover:text-gray-900 text-sm font-medium"
+                                                        >
+                                                            Cancel
+                                                        </button>
+                                                    </form>
+                                                ) : (part.SKU || part.Barcode) && (
+                                                    <div className="text-xs text-gray-500">
+                                                        {[part.SKU && `SKU ${part.SKU}`, part.Barcode && `Barcode ${part.Barcode}`]
+                                                            .filter(Boolean)
+                                                            .join(' · ')}
+                                                    </div>
+                                                )}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                                                    {part.Category}
+                                                </span>
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-gray-900">
+                                                <div>{part.Quantity}</div>
+                                                {part.ReservedQuantity > 0 && (
+                                                    <div className="text-xs text-gray-500">
+                                                        {part.ReservedQuantity} reserved, {part.AvailableQuantity} available
+                                                    </div>
+                                                )}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-gray-900">
+                                                <div>{formatCurrency(part.UnitPrice)}</div>
+                                                <div className="text-xs text-gray-500">
+                                                    {COSTING_METHOD_LABELS[part.CostingMethod]} cost
+                                                </div>
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-gray-900">
+                                                {formatCurrency(part.TotalPrice)}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                {editingLevels?.partId === part.PartID ? (
+                                                    <form onSubmit={handleUpdateLevels} className="flex items-center space-x-2">
+                                                        <input
+                                                            type="number"
+                                                            value={editingLevels.minLevel}
+                                                            onChange={(e) => setEditingLevels({ ...editingLevels, minLevel: e.target.value })}
+                                                            className="input-field w-20"
+                                                            min="0"
+                                                            aria-label={`Min level for ${part.Name}`}
+                                                            title="Min level"
+                                                            autoFocus
+                                                            required
+                                                        />
+                                                        <input
+                                                            type="number"
+                                                            value={editingLevels.reorderPoint}
+                                                            onChange={(e) => setEditingLevels({ ...editingLevels, reorderPoint: e.target.value })}
+                                                            className="input-field w-20"
+                                                            min="0"
+                                                            aria-label={`Reorder point for ${part.Name}`}
+                                                            title="Reorder point"
+                                                            required
+                                                        />
+                                                        <input
+                                                            type="number"
+                                                            value={editingLevels.maxLevel}
+                                                            onChange={(e) => setEditingLevels({ ...editingLevels, maxLevel: e.target.value })}
+                                                            className="input-field w-20"
+                                                            min="1"
+                                                            aria-label={`Max level for ${part.Name}`}
+                                                            title="Max level"
+                                                            required
+                                                        />
+                                                        <button type="submit" className="text-green-600 hover:text-green-900 text-sm font-medium">
+                                                            Save
+                                                        </button>
+                                                        <button
+                                                            type="button"
+                                                            onClick={() => setEditingLevels(null)}
+                                                            className="text-gray-600 hover:text-gray-900 text-sm font-medium"
+                                                        >
+                                                            Cancel
+                                                        </button>
+                                                    </form>
+                                                ) : (
+                                                    <span title="Min / reorder point / max">
+                                                        {part.MinLevel} / {part.ReorderPoint} / {part.MaxLevel}
+                                                    </span>
+                                                )}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStockStatus(part.Quantity, part).colorClass}`}>
+                                                    {getStockStatus(part.Quantity, part).label}
+                                                </span>
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium space-x-2">
+                                                <button
+                                                    onClick={() => setHistoryPartId(part.PartID)}
+                                                    className="text-sky-600 hover:text-sky-900"
+                                                >
+                                                    History
+                                                </button>
+                                                {canManageStock(user) && (
+                                                    <>
+                                                        <button
+                                                            onClick={() => setRenaming({ partId: part.PartID, name: part.Name })}
+                                                            className="text-blue-600 hover:text-blue-900"
+                                                        >
+                                                            Rename
+                                                        </button>
+                                                        <button
+                                                            onClick={() => setEditingCodes({
+                                                                partId: part.PartID,
+                                                                sku: part.SKU || '',
+                                                                barcode: part.Barcode || ''
+                                                            })}
+                                                            className="text-blue-600 hover:text-blue-900"
+                                                        >
+                                                            Codes
+                                                        </button>
+                                                        <button
+                                                            onClick={() => setEditingLevels({
+                                                                partId: part.PartID,
+                                                                reorderPoint: part.ReorderPoint.toString(),
+                                                                minLevel: part.MinLevel.toString(),
+                                                                maxLevel: part.MaxLevel.toString()
+                                                            })}
+                                                            className="text-blue-600 hover:text-blue-900"
+                                                        >
+                                                            Levels
+                                                        </button>
+                                                        {canEditHistory(user) && (
+                                                            <button
+                                                                onClick={() => handleChangeCostingMethod(part)}
+                                                                className="text-blue-600 hover:text-blue-900"
+                                                            >
+                                                                Costing
+                                                            </button>
+                                                        )}
+                                                        {canEditHistory(user) && (
+                                                            <button
+                                                                onClick={() => handleArchive(part)}
+                                                                className="text-red-600 hover:text-red-900"
+                                                            >
+                                                                Archive
+                                                            </button>
+                                                        )}
+                                                    </>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+            )}
         </div>
     );
 };
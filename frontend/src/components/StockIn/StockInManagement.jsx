@@ -1,18 +1,28 @@
-import React, { useState, useEffect } from 'react';
-import { stockInAPI, sparePartsAPI } from '../../services/api';
+import React, { useState, useEffect, useRef } from 'react';
+import { stockInAPI, sparePartsAPI, suppliersAPI, locationsAPI } from '../../services/api';
+import PartScanInput from '../SpareParts/PartScanInput';
+import { canManageStock } from '../../utils/permissions';
+import { getDefaultLocationId } from '../../utils/locations';
 
-const StockInManagement = () => {
+const StockInManagement = ({ user }) => {
     const [stockInRecords, setStockInRecords] = useState([]);
     const [spareParts, setSpareParts] = useState([]);
+    const [suppliers, setSuppliers] = useState([]);
+    const [locations, setLocations] = useState([]);
     const [loading, setLoading] = useState(true);
     const [showForm, setShowForm] = useState(false);
     const [formData, setFormData] = useState({
-        sparePartName: '',
+        partId: '',
         stockInQuantity: '',
-        stockInDate: new Date().toISOString().split('T')[0]
+        unitCost: '',
+        stockInDate: new Date().toISOString().split('T')[0],
+        supplierId: '',
+        invoiceNumber: '',
+        locationId: ''
     });
     const [error, setError] = useState('');
     const [success, setSuccess] = useState('');
+    const quantityInputRef = useRef(null);
 
     useEffect(() => {
         fetchData();
@@ -20,9 +30,11 @@ const StockInManagement = () => {
 
     const fetchData = async () => {
         try {
-            const [stockInResponse, sparePartsResponse] = await Promise.all([
+            const [stockInResponse, sparePartsResponse, suppliersResponse, locationsResponse] = await Promise.all([
                 stockInAPI.getAll(),
-                sparePartsAPI.getAll()
+                sparePartsAPI.getAll(),
+                suppliersAPI.getAll(),
+                locationsAPI.getAll()
             ]);
 
             if (stockInResponse.data.success) {
@@ -31,6 +43,16 @@ const StockInManagement = () => {
             if (sparePartsResponse.data.success) {
                 setSpareParts(sparePartsResponse.data.data);
             }
+            if (suppliersResponse.data.success) {
+                setSuppliers(suppliersResponse.data.data);
+            }
+            if (locationsResponse.data.success) {
+                setLocations(locationsResponse.data.data);
+                setFormData(prev => ({
+                    ...prev,
+                    locationId: prev.locationId || getDefaultLocationId(locationsResponse.data.data)
+                }));
+            }
         } catch (error) {
             console.error('Error fetching data:', error);
             setError('Failed to fetch data');
@@ -39,6 +61,15 @@ const StockInManagement = () => {
         }
     };
 
+    // A scanned part is selected and the cursor moves on to the quantity
+    const handlePartScanned = (part) => {
+        setFormData(prev => ({
+            ...prev,
+            partId: part.PartID.toString()
+        }));
+        quantityInputRef.current?.focus();
+    };
+
     const handleInputChange = (e) => {
         const { name, value } = e.target;
         setFormData(prev => ({
@@ -53,7 +84,7 @@ const StockInManagement = () => {
         setSuccess('');
 
         // Validation
-        if (!formData.sparePartName || !formData.stockInQuantity || !formData.stockInDate) {
+        if (!formData.partId || !formData.stockInQuantity || formData.unitCost === '' || !formData.stockInDate) {
             setError('All fields are required');
             return;
         }
@@ -63,19 +94,32 @@ const StockInManagement = () => {
             return;
         }
 
+        if (parseFloat(formData.unitCost) < 0) {
+            setError('Unit cost must be non-negative');
+            return;
+        }
+
         try {
             const response = await stockInAPI.create({
-                sparePartName: formData.sparePartName,
+                partId: parseInt(formData.partId),
                 stockInQuantity: parseInt(formData.stockInQuantity),
-                stockInDate: formData.stockInDate
+                unitCost: parseFloat(formData.unitCost),
+                stockInDate: formData.stockInDate,
+                supplierId: formData.supplierId ? parseInt(formData.supplierId) : null,
+                invoiceNumber: formData.invoiceNumber,
+                locationId: formData.locationId ? parseInt(formData.locationId) : null
             });
 
             if (response.data.success) {
                 setSuccess('Stock in record added successfully!');
                 setFormData({
-                    sparePartName: '',
+                    partId: '',
                     stockInQuantity: '',
-                    stockInDate: new Date().toISOString().split('T')[0]
+                    unitCost: '',
+                    stockInDate: new Date().toISOString().split('T')[0],
+                    supplierId: '',
+                    invoiceNumber: '',
+                    locationId: getDefaultLocationId(locations)
                 });
                 setShowForm(false);
                 fetchData(); // Refresh the data
@@ -106,12 +150,14 @@ const StockInManagement = () => {
                     <h1 className="text-3xl font-bold text-gray-900">Stock In Management</h1>
                     <p className="text-gray-600">Record incoming spare parts inventory</p>
                 </div>
-                <button
-                    onClick={() => setShowForm(!showForm)}
-                    className="btn-primary"
-                >
-                    {showForm ? 'Cancel' : 'Add Stock In Record'}
-                </button>
+                {canManageStock(user) && (
+                    <button
+                        onClick={() => setShowForm(!showForm)}
+                        className="btn-primary"
+                    >
+                        {showForm ? 'Cancel' : 'Add Stock In Record'}
+                    </button>
+                )}
             </div>
 
             {/* Success/Error Messages */}
@@ -131,22 +177,23 @@ const StockInManagement = () => {
                 <div className="card">
                     <h2 className="text-xl font-semibold text-gray-900 mb-4">Add Stock In Record</h2>
                     <form onSubmit={handleSubmit} className="space-y-4">
+                        <PartScanInput parts={spareParts} onScan={handlePartScanned} />
                         <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
                             <div>
-                                <label htmlFor="sparePartName" className="block text-sm font-medium text-gray-700 mb-1">
+                                <label htmlFor="partId" className="block text-sm font-medium text-gray-700 mb-1">
                                     Spare Part *
                                 </label>
                                 <select
-                                    id="sparePartName"
-                                    name="sparePartName"
-                                    value={formData.sparePartName}
+                                    id="partId"
+                                    name="partId"
+                                    value={formData.partId}
                                     onChange={handleInputChange}
                                     className="input-field"
                                     required
                                 >
                                     <option value="">Select spare part</option>
                                     {spareParts.map((part) => (
-                                        <option key={part.Name} value={part.Name}>
+                                        <option key={part.PartID} value={part.PartID}>
                                             {part.Name} ({part.Category})
                                         </option>
                                     ))}
@@ -159,6 +206,7 @@ const StockInManagement = () => {
                                 <input
                                     type="number"
                                     id="stockInQuantity"
+                                    ref={quantityInputRef}
                                     name="stockInQuantity"
                                     value={formData.stockInQuantity}
                                     onChange={handleInputChange}
@@ -168,6 +216,23 @@ const StockInManagement = () => {
                                     required
                                 />
                             </div>
+                            <div>
+                                <label htmlFor="unitCost" className="block text-sm font-medium text-gray-700 mb-1">
+                                    Unit Cost (RWF) *
+                                </label>
+                                <input
+                                    type="number"
+                                    id="unitCost"
+                                    name="unitCost"
+                                    value={formData.unitCost}
+                                    onChange={handleInputChange}
+                                    className="input-field"
+                                    placeholder="Purchase price per unit"
+                                    min="0"
+                                    step="0.01"
+                                    required
+                                />
+                            </div>
                             <div>
                                 <label htmlFor="stockInDate" className="block text-sm font-medium text-gray-700 mb-1">
                                     Date *
@@ -182,6 +247,58 @@ const StockInManagement = () => {
                                     required
                                 />
                             </div>
+                            <div>
+                                <label htmlFor="supplierId" className="block text-sm font-medium text-gray-700 mb-1">
+                                    Supplier
+                                </label>
+                                <select
+                                    id="supplierId"
+                                    name="supplierId"
+                                    value={formData.supplierId}
+                                    onChange={handleInputChange}
+                                    className="input-field"
+                                >
+                                    <option value="">No supplier</option>
+                                    {suppliers.map((supplier) => (
+                                        <option key={supplier.SupplierID} value={supplier.SupplierID}>
+                                            {supplier.Name}
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div>
+                                <label htmlFor="invoiceNumber" className="block text-sm font-medium text-gray-700 mb-1">
+                                    Supplier Invoice No.
+                                </label>
+                                <input
+                                    type="text"
+                                    id="invoiceNumber"
+                                    name="invoiceNumber"
+                                    value={formData.invoiceNumber}
+                                    onChange={handleInputChange}
+                                    className="input-field"
+                                    placeholder="Optional"
+                                    maxLength={50}
+                                />
+                            </div>
+                            <div>
+                                <label htmlFor="locationId" className="block text-sm font-medium text-gray-700 mb-1">
+                                    Receive Into
+                                </label>
+                                <select
+                                    id="locationId"
+                                    name="locationId"
+                                    value={formData.locationId}
+                                    onChange={handleInputChange}
+                                    className="input-field"
+                                >
+                                    {locations.map((location) => (
+                                        <option key={location.LocationID} value={location.LocationID}>
+                                            {location.Name}{location.IsDefault ? ' (default)' : ''}
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
                         </div>
                         <div className="flex space-x-4">
                             <button type="submit" className="btn-primary">
@@ -227,9 +344,21 @@ const StockInManagement = () => {
                                     <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
                                         Quantity
                                     </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Unit Cost
+                                    </th>
                                     <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
                                         Unit Price
                                     </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Supplier
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Location
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Recorded By
+                                    </th>
                                 </tr>
                             </thead>
                             <tbody className="bg-white divide-y divide-gray-200">
@@ -251,9 +380,30 @@ const StockInManagement = () => {
                                                 +{record.stockInQuantity || record.StockInQuantity}
                                             </span>
                                         </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {record.UnitCost === null ? 'N/A' : `RWF ${parseFloat(record.UnitCost).toLocaleString()}`}
+                                        </td>
                                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                                             {record.sparePart?.unitPrice ? `RWF ${parseFloat(record.sparePart.unitPrice).toLocaleString()}` : (record.UnitPrice ? `RWF ${parseFloat(record.UnitPrice).toLocaleString()}` : 'N/A')}
                                         </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            <div>{record.SupplierName || 'N/A'}</div>
+                                            {record.InvoiceNumber && (
+                                                <div className="text-xs text-gray-500">Invoice {record.InvoiceNumber}</div>
+                                            )}
+                                            {record.PurchaseOrderID && (
+                                                <div className="text-xs text-gray-500">Purchase order #{record.PurchaseOrderID}</div>
+                                            )}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {record.LocationName || 'N/A'}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            <div>{record.CreatedBy || 'Unknown'}</div>
+                                            {record.UpdatedBy && (
+                                                <div className="text-xs text-gray-500">Edited by {record.UpdatedBy}</div>
+                                            )}
+                                        </td>
                                     </tr>
                                 ))}
                             </tbody>
@@ -0,0 +1,383 @@
+import React, { useState, useRef } from 'react';
+import { stockOutDocumentsAPI } from '../../services/api';
+import PartScanInput from '../SpareParts/PartScanInput';
+import { formatCurrency } from '../../utils/formatters';
+import { getDefaultLocationId, getAvailableAt } from '../../utils/locations';
+
+const EMPTY_ITEM = {
+    partId: '',
+    quantity: '',
+    unitPrice: ''
+};
+
+// Build a stock out document one part at a time and post all of its lines together
+const StockOutCart = ({ spareParts, customers, locations, stockLevels, workOrders, onPosted, onCancel }) => {
+    const [header, setHeader] = useState(() => ({
+        documentDate: new Date().toISOString().split('T')[0],
+        workOrderId: '',
+        customerId: '',
+        locationId: getDefaultLocationId(locations),
+        notes: ''
+    }));
+    const [item, setItem] = useState(EMPTY_ITEM);
+    const [cart, setCart] = useState([]);
+    const [posting, setPosting] = useState(false);
+    const [error, setError] = useState('');
+    const quantityInputRef = useRef(null);
+
+    const getPart = (partId) => spareParts.find(part => part.PartID === parseInt(partId));
+
+    // Quantity at the location the document issues from that isn't held by a reservation
+    const getAvailable = (partId) => getAvailableAt(stockLevels, partId, header.locationId);
+
+    const handleHeaderChange = (e) => {
+        const { name, value } = e.target;
+        setHeader(prev => ({
+            ...prev,
+            [name]: value
+        }));
+    };
+
+    const getWorkOrder = (workOrderId) => workOrders.find(order => order.WorkOrderID === parseInt(workOrderId));
+
+    // Parts issued for a work order are charged to its customer
+    const handleWorkOrderChange = (e) => {
+        const workOrder = getWorkOrder(e.target.value);
+        setHeader(prev => ({
+            ...prev,
+            workOrderId: e.target.value,
+            customerId: workOrder?.CustomerID ? workOrder.CustomerID.toString() : prev.customerId
+        }));
+    };
+
+    const handleItemChange = (e) => {
+        const { name, value } = e.target;
+        setItem(prev => ({
+            ...prev,
+            [name]: value,
+            // Selecting a part suggests its selling price
+            ...(name === 'partId' && { unitPrice: getPart(value)?.UnitPrice?.toString() || '' })
+        }));
+    };
+
+    // A scanned part is selected and the cursor moves on to the quantity
+    const handlePartScanned = (part) => {
+        setItem(prev => ({
+            ...prev,
+            partId: part.PartID.toString(),
+            unitPrice: part.UnitPrice?.toString() || ''
+        }));
+        quantityInputRef.current?.focus();
+    };
+
+    const handleAddToCart = (e) => {
+        e.preventDefault();
+        setError('');
+
+        const quantity = parseInt(item.quantity);
+        const unitPrice = parseFloat(item.unitPrice);
+
+        if (!item.partId || !quantity || isNaN(unitPrice)) {
+            setError('Select a spare part and enter its quantity and unit price');
+            return;
+        }
+
+        if (quantity <= 0 || unitPrice < 0) {
+            setError('Quantity must be positive and unit price must be non-negative');
+            return;
+        }
+
+        // Adding a part that is already in the cart raises its quantity instead of adding a second line
+        const existing = cart.find(line => line.partId === item.partId);
+        const totalQuantity = quantity + (existing ? existing.quantity : 0);
+
+        if (totalQuantity > getAvailable(item.partId)) {
+            setError(`Only ${getAvailable(item.partId)} of ${getPart(item.partId).Name} available at this location`);
+            return;
+        }
+
+        setCart(prev => existing
+            ? prev.map(line => (line.partId === item.partId ? { ...line, quantity: totalQuantity, unitPrice } : line))
+            : [...prev, { partId: item.partId, quantity, unitPrice }]
+        );
+        setItem(EMPTY_ITEM);
+    };
+
+    const removeFromCart = (partId) => {
+        setCart(prev => prev.filter(line => line.partId !== partId));
+    };
+
+    const cartTotal = cart.reduce((sum, line) => sum + line.quantity * line.unitPrice, 0);
+
+    const handlePost = async () => {
+        setError('');
+
+        if (cart.length === 0) {
+            setError('Add at least one spare part to the document');
+            return;
+        }
+
+        setPosting(true);
+
+        try {
+            const response = await stockOutDocumentsAPI.create({
+                documentDate: header.documentDate,
+                workOrderId: header.workOrderId ? parseInt(header.workOrderId) : null,
+                customerId: header.customerId ? parseInt(header.customerId) : null,
+                locationId: parseInt(header.locationId),
+                notes: header.notes,
+                lines: cart.map(line => ({
+                    partId: parseInt(line.partId),
+                    quantity: line.quantity,
+                    unitPrice: line.unitPrice
+                }))
+            });
+
+            if (response.data.success) {
+                onPosted(response.data.message, response.data.data.documentId);
+            }
+        } catch (error) {
+            console.error('Error posting stock out document:', error);
+            setError(error.response?.data?.error || 'Failed to post stock out document');
+        } finally {
+            setPosting(false);
+        }
+    };
+
+    return (
+        <div className="card">
+            <h2 className="text-xl font-semibold text-gray-900 mb-4">New Stock Out Document</h2>
+
+            {error && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg mb-4">
+                    {error}
+                </div>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-5 gap-4 mb-6">
+                <div>
+                    <label htmlFor="documentDate" className="block text-sm font-medium text-gray-700 mb-1">
+                        Date *
+                    </label>
+                    <input
+                        type="date"
+                        id="documentDate"
+                        name="documentDate"
+                        value={header.documentDate}
+                        onChange={handleHeaderChange}
+                        className="input-field"
+                        required
+                    />
+                </div>
+                <div>
+                    <label htmlFor="documentWorkOrderId" className="block text-sm font-medium text-gray-700 mb-1">
+                        Work Order
+                    </label>
+                    <select
+                        id="documentWorkOrderId"
+                        name="workOrderId"
+                        value={header.workOrderId}
+                        onChange={handleWorkOrderChange}
+                        className="input-field"
+                    >
+                        <option value="">No work order</option>
+                        {workOrders.map((workOrder) => (
+                            <option key={workOrder.WorkOrderID} value={workOrder.WorkOrderID}>
+                                #{workOrder.WorkOrderID} {workOrder.VehiclePlate}
+                            </option>
+                        ))}
+                    </select>
+                </div>
+                <div>
+                    <label htmlFor="documentCustomerId" className="block text-sm font-medium text-gray-700 mb-1">
+                        Customer
+                    </label>
+                    <select
+                        id="documentCustomerId"
+                        name="customerId"
+                        value={header.customerId}
+                        onChange={handleHeaderChange}
+                        className="input-field"
+                        disabled={!!getWorkOrder(header.workOrderId)?.CustomerID}
+                    >
+                        <option value="">No customer</option>
+                        {customers.map((customer) => (
+                            <option key={customer.CustomerID} value={customer.CustomerID}>
+                                {customer.Name}
+                            </option>
+                        ))}
+                    </select>
+                </div>
+                <div>
+                    <label htmlFor="documentLocationId" className="block text-sm font-medium text-gray-700 mb-1">
+                        Issue From *
+                    </label>
+                    <select
+                        id="documentLocationId"
+                        name="locationId"
+                        value={header.locationId}
+                        onChange={handleHeaderChange}
+                        className="input-field"
+                        disabled={cart.length > 0} // Quantities in the cart were checked against this location
+                        required
+                    >
+                        {locations.map((location) => (
+                            <option key={location.LocationID} value={location.LocationID}>
+                                {location.Name}
+                            </option>
+                        ))}
+                    </select>
+                </div>
+                <div>
+                    <label htmlFor="documentNotes" className="block text-sm font-medium text-gray-700 mb-1">
+                        Notes
+                    </label>
+                    <input
+                        type="text"
+                        id="documentNotes"
+                        name="notes"
+                        value={header.notes}
+                        onChange={handleHeaderChange}
+                        className="input-field"
+                        placeholder="Optional"
+                        maxLength={255}
+                    />
+                </div>
+            </div>
+
+            <form onSubmit={handleAddToCart} className="space-y-4 mb-6">
+                <PartScanInput parts={spareParts} onScan={handlePartScanned} />
+                <div className="grid grid-cols-1 md:grid-cols-12 gap-2 items-end">
+                    <div className="md:col-span-6">
+                        <label htmlFor="cartPartId" className="block text-sm font-medium text-gray-700 mb-1">
+                            Spare Part
+                        </label>
+                        <select
+                            id="cartPartId"
+                            name="partId"
+                            value={item.partId}
+                            onChange={handleItemChange}
+                            className="input-field"
+                        >
+                            <option value="">Select spare part</option>
+                            {spareParts.map((part) => (
+                                <option key={part.PartID} value={part.PartID}>
+                                    {part.Name} (Available: {getAvailable(part.PartID)})
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="md:col-span-2">
+                        <label htmlFor="cartQuantity" className="block text-sm font-medium text-gray-700 mb-1">
+                            Quantity
+                        </label>
+                        <input
+                            type="number"
+                            id="cartQuantity"
+                            ref={quantityInputRef}
+                            name="quantity"
+                            value={item.quantity}
+                            onChange={handleItemChange}
+                            className="input-field"
+                            min="1"
+                        />
+                    </div>
+                    <div className="md:col-span-2">
+                        <label htmlFor="cartUnitPrice" className="block text-sm font-medium text-gray-700 mb-1">
+                            Unit Price (RWF)
+                        </label>
+                        <input
+                            type="number"
+                            id="cartUnitPrice"
+                            name="unitPrice"
+                            value={item.unitPrice}
+                            onChange={handleItemChange}
+                            className="input-field"
+                            min="0"
+                            step="1"
+                        />
+                    </div>
+                    <div className="md:col-span-2">
+                        <button type="submit" className="btn-secondary w-full">
+                            Add to Cart
+                        </button>
+                    </div>
+                </div>
+            </form>
+
+            {cart.length === 0 ? (
+                <p className="text-gray-500 text-center py-4">The cart is empty. Scan or select the parts to issue.</p>
+            ) : (
+                <div className="overflow-x-auto mb-4">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-sky-600 text-white">
+                            <tr>
+                                <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                    Spare Part
+                                </th>
+                                <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                    Quantity
+                                </th>
+                                <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                    Unit Price
+                                </th>
+                                <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                    Total
+                                </th>
+                                <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                    Actions
+                                </th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {cart.map((line) => (
+                                <tr key={line.partId} className="table-row">
+                                    <td className="px-6 py-4 whitespace-nowrap font-medium text-gray-900">
+                                        {getPart(line.partId)?.Name}
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                        {line.quantity}
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                        {formatCurrency(line.unitPrice)}
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                                        {formatCurrency(line.quantity * line.unitPrice)}
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                                        <button
+                                            onClick={() => removeFromCart(line.partId)}
+                                            className="text-red-600 hover:text-red-900"
+                                        >
+                                            Remove
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            <div className="flex justify-between items-center">
+                <div className="flex space-x-4">
+                    <button
+                        onClick={handlePost}
+                        className="btn-primary"
+                        disabled={posting || cart.length === 0}
+                    >
+                        {posting ? 'Posting...' : 'Post Document'}
+                    </button>
+                    <button onClick={onCancel} className="btn-secondary">
+                        Cancel
+                    </button>
+                </div>
+                <p className="text-lg font-semibold text-gray-900">
+                    {cart.length} lines, total {formatCurrency(cartTotal)}
+                </p>
+            </div>
+        </div>
+    );
+};
+
+export default StockOutCart;
@@ -0,0 +1,268 @@
+import React, { useState, useEffect } from 'react';
+import { stockOutDocumentsAPI } from '../../services/api';
+import { canEditHistory } from '../../utils/permissions';
+import { formatCurrency, formatDate } from '../../utils/formatters';
+
+// One issue note or invoice with its lines, ready to print
+const StockOutDocumentDetail = ({ documentId, user, onDeleted, onClose }) => {
+    const [details, setDetails] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const fetchDocument = async () => {
+            setLoading(true);
+            setError('');
+
+            try {
+                const response = await stockOutDocumentsAPI.getById(documentId);
+                if (response.data.success) {
+                    setDetails(response.data.data);
+                }
+            } catch (error) {
+                console.error('Error fetching stock out document:', error);
+                setError(error.response?.data?.error || 'Failed to fetch stock out document');
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        fetchDocument();
+    }, [documentId]);
+
+    const handleDelete = async () => {
+        if (!window.confirm(`Delete ${details.document.DocumentNumber} and return all of its lines to stock?`)) {
+            return;
+        }
+
+        try {
+            const response = await stockOutDocumentsAPI.delete(documentId);
+            if (response.data.success) {
+                onDeleted(response.data.message);
+            }
+        } catch (error) {
+            console.error('Error deleting stock out document:', error);
+            setError(error.response?.data?.error || 'Failed to delete stock out document');
+        }
+    };
+
+    const handlePrint = () => {
+        const { document: stockOutDocument, lines, summary } = details;
+        const printWindow = window.open('', '_blank');
+
+        printWindow.document.write(`
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <title>${stockOutDocument.DocumentNumber}</title>
+                <style>
+                    body {
+                        font-family: Arial, sans-serif;
+                        margin: 20mm;
+                        color: #333;
+                    }
+                    .header {
+                        display: flex;
+                        justify-content: space-between;
+                        margin-bottom: 20px;
+                    }
+                    .title {
+                        font-size: 24px;
+                        font-weight: bold;
+                    }
+                    table {
+                        width: 100%;
+                        border-collapse: collapse;
+                        margin-bottom: 40px;
+                    }
+                    th, td {
+                        border: 1px solid #999;
+                        padding: 8px;
+                        text-align: left;
+                        font-size: 12px;
+                    }
+                    th {
+                        background-color: #f2f2f2;
+                        text-transform: uppercase;
+                    }
+                    .signature-section {
+                        margin-top: 60px;
+                        display: flex;
+                        justify-content: space-between;
+                    }
+                    .signature-box {
+                        width: 200px;
+                        text-align: center;
+                        border-top: 1px solid #000;
+                        padding-top: 8px;
+                    }
+                </style>
+            </head>
+            <body>
+                <div class="header">
+                    <div>
+                        <div class="title">Issue Note ${stockOutDocument.DocumentNumber}</div>
+                        <p>Date: ${formatDate(stockOutDocument.DocumentDate)}</p>
+                        <p>Issued from: ${stockOutDocument.LocationName}</p>
+                        ${stockOutDocument.KitName ? `<p>Kit: ${stockOutDocument.KitQuantity} x ${stockOutDocument.KitName}</p>` : ''}
+                    </div>
+                    <div>
+                        <p><strong>${stockOutDocument.CustomerName || 'Walk-in customer'}</strong></p>
+                        ${stockOutDocument.CustomerPhone ? `<p>${stockOutDocument.CustomerPhone}</p>` : ''}
+                        ${stockOutDocument.CustomerAddress ? `<p>${stockOutDocument.CustomerAddress}</p>` : ''}
+                    </div>
+                </div>
+                ${stockOutDocument.Notes ? `<p>Notes: ${stockOutDocument.Notes}</p>` : ''}
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Spare Part</th>
+                            <th>SKU</th>
+                            <th>Quantity</th>
+                            <th>Unit Price</th>
+                            <th>Total</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${lines.map(line => `
+                            <tr>
+                                <td>${line.SparePartName}</td>
+                                <td>${line.SKU || ''}</td>
+                                <td>${line.StockOutQuantity}</td>
+                                <td>${formatCurrency(line.StockOutUnitPrice)}</td>
+                                <td>${formatCurrency(line.StockOutTotalPrice)}</td>
+                            </tr>
+                        `).join('')}
+                        <tr>
+                            <th colspan="2">Total</th>
+                            <th>${summary.totalQuantity}</th>
+                            <th></th>
+                            <th>${formatCurrency(summary.totalValue)}</th>
+                        </tr>
+                    </tbody>
+                </table>
+                <div class="signature-section">
+                    <div class="signature-box">Issued By: ${stockOutDocument.CreatedBy || ''}</div>
+                    <div class="signature-box">Received By</div>
+                </div>
+            </body>
+            </html>
+        `);
+        printWindow.document.close();
+        printWindow.print();
+    };
+
+    return (
+        <div className="card">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-xl font-semibold text-gray-900">
+                    Stock Out Document{details ? ` ${details.document.DocumentNumber}` : ''}
+                </h2>
+                <div className="flex space-x-2">
+                    {details && (
+                        <button onClick={handlePrint} className="btn-secondary">
+                            Print
+                        </button>
+                    )}
+                    {details && canEditHistory(user) && (
+                        <button onClick={handleDelete} className="btn-danger">
+                            Delete
+                        </button>
+                    )}
+                    <button onClick={onClose} className="btn-secondary">
+                        Close
+                    </button>
+                </div>
+            </div>
+
+            {error && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg">
+                    {error}
+                </div>
+            )}
+
+            {loading ? (
+                <div className="flex items-center justify-center h-32">
+                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-sky-500"></div>
+                </div>
+            ) : details && (
+                <>
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+                        <div className="bg-sky-50 rounded-lg p-4">
+                            <p className="text-sm text-gray-600">Date</p>
+                            <p className="text-lg font-bold text-gray-900">{formatDate(details.document.DocumentDate)}</p>
+                        </div>
+                        <div className="bg-sky-50 rounded-lg p-4">
+                            <p className="text-sm text-gray-600">Customer</p>
+                            <p className="text-lg font-bold text-gray-900">{details.document.CustomerName || 'No customer'}</p>
+                        </div>
+                        <div className="bg-sky-50 rounded-lg p-4">
+                            <p className="text-sm text-gray-600">Issued From</p>
+                            <p className="text-lg font-bold text-gray-900">{details.document.LocationName}</p>
+                        </div>
+                        <div className="bg-sky-50 rounded-lg p-4">
+                            <p className="text-sm text-gray-600">Total</p>
+                            <p className="text-lg font-bold text-gray-900">{formatCurrency(details.summary.totalValue)}</p>
+                        </div>
+                    </div>
+
+                    {details.document.KitName && (
+                        <p className="text-sm text-gray-600 mb-4">
+                            Kit: {details.document.KitQuantity} x {details.document.KitName}
+                        </p>
+                    )}
+                    {details.document.Notes && (
+                        <p className="text-sm text-gray-600 mb-4">Notes: {details.document.Notes}</p>
+                    )}
+
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-sky-600 text-white">
+                                <tr>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Spare Part
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Quantity
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Unit Price
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Total
+                                    </th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {details.lines.map((line) => (
+                                    <tr key={line.StockOutID} className="table-row">
+                                        <td className="px-6 py-4 whitespace-nowrap">
+                                            <div className="font-medium text-gray-900">{line.SparePartName}</div>
+                                            {line.SKU && (
+                                                <div className="text-xs text-gray-500">{line.SKU}</div>
+                                            )}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {line.StockOutQuantity}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {formatCurrency(line.StockOutUnitPrice)}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                                            {formatCurrency(line.StockOutTotalPrice)}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    <p className="text-xs text-gray-500 mt-2">
+                        Posted by {details.document.CreatedBy || 'Unknown'}
+                    </p>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default StockOutDocumentDetail;
@@ -1,17 +1,30 @@
 import React, { useState, useEffect } from 'react';
-import { stockOutAPI, sparePartsAPI } from '../../services/api';
+import { stockOutAPI, sparePartsAPI, customersAPI, locationsAPI, workOrdersAPI } from '../../services/api';
+import { canManageStock, canEditHistory } from '../../utils/permissions';
+import { getDefaultLocationId, getQuantityAt } from '../../utils/locations';
+import { isWorkOrderOpen } from '../../utils/workOrders';
+import StockOutCart from './StockOutCart';
+import StockOutDocumentDetail from './StockOutDocumentDetail';
 
-const StockOutManagement = () => {
+const StockOutManagement = ({ user }) => {
     const [stockOutRecords, setStockOutRecords] = useState([]);
     const [spareParts, setSpareParts] = useState([]);
+    const [customers, setCustomers] = useState([]);
+    const [locations, setLocations] = useState([]);
+    const [stockLevels, setStockLevels] = useState([]);
+    const [workOrders, setWorkOrders] = useState([]);
     const [loading, setLoading] = useState(true);
     const [showForm, setShowForm] = useState(false);
+    const [showCart, setShowCart] = useState(false);
+    const [selectedDocumentId, setSelectedDocumentId] = useState(null);
     const [editingRecord, setEditingRecord] = useState(null);
     const [formData, setFormData] = useState({
-        sparePartName: '',
+        partId: '',
         stockOutQuantity: '',
         stockOutUnitPrice: '',
-        stockOutDate: new Date().toISOString().split('T')[0]
+        stockOutDate: new Date().toISOString().split('T')[0],
+        customerId: '',
+        locationId: ''
     });
     const [error, setError] = useState('');
     const [success, setSuccess] = useState('');
@@ -22,9 +35,16 @@ const StockOutManagement = () => {
 
     const fetchData = async () => {
         try {
-            const [stockOutResponse, sparePartsResponse] = await Promise.all([
+            const [
+                stockOutResponse, sparePartsResponse, customersResponse, locationsResponse, stockLevelsResponse,
+                workOrdersResponse
+            ] = await Promise.all([
                 stockOutAPI.getAll(),
-                sparePartsAPI.getAll()
+                sparePartsAPI.getAll(),
+                customersAPI.getAll(),
+                locationsAPI.getAll(),
+                locationsAPI.getStockLevels(),
+                workOrdersAPI.getAll()
             ]);
 
             if (stockOutResponse.data.success) {
@@ -33,6 +53,22 @@ const StockOutManagement = () => {
             if (sparePartsResponse.data.success) {
                 setSpareParts(sparePartsResponse.data.data);
             }
+            if (customersResponse.data.success) {
+                setCustomers(customersResponse.data.data);
+            }
+            if (locationsResponse.data.success) {
+                setLocations(locationsResponse.data.data);
+                setFormData(prev => ({
+                    ...prev,
+                    locationId: prev.locationId || getDefaultLocationId(locationsResponse.data.data)
+                }));
+            }
+            if (stockLevelsResponse.data.success) {
+                setStockLevels(stockLevelsResponse.data.data);
+            }
+            if (workOrdersResponse.data.success) {
+                setWorkOrders(workOrdersResponse.data.data.filter(isWorkOrderOpen));
+            }
         } catch (error) {
             console.error('Error fetching data:', error);
             setError('Failed to fetch data');
@@ -51,10 +87,12 @@ const StockOutManagement = () => {
 
     const resetForm = () => {
         setFormData({
-            sparePartName: '',
+            partId: '',
             stockOutQuantity: '',
             stockOutUnitPrice: '',
-            stockOutDate: new Date().toISOString().split('T')[0]
+            stockOutDate: new Date().toISOString().split('T')[0],
+            customerId: '',
+            locationId: getDefaultLocationId(locations)
         });
         setEditingRecord(null);
         setShowForm(false);
@@ -62,14 +100,14 @@ const StockOutManagement = () => {
         setSuccess('');
     };
 
-    // INSERT Operation
+    // Stock is issued through documents; this form only corrects a record that was already issued
     const handleSubmit = async (e) => {
         e.preventDefault();
         setError('');
         setSuccess('');
 
         // Validation
-        if (!formData.sparePartName || !formData.stockOutQuantity || !formData.stockOutUnitPrice || !formData.stockOutDate) {
+        if (!formData.partId || !formData.stockOutQuantity || !formData.stockOutUnitPrice || !formData.stockOutDate) {
             setError('All fields are required');
             return;
         }
@@ -80,28 +118,17 @@ const StockOutManagement = () => {
         }
 
         try {
-            let response;
-            if (editingRecord) {
-                // UPDATE Operation
-                response = await stockOutAPI.update(editingRecord.StockOutID, {
-                    stockOutQuantity: parseInt(formData.stockOutQuantity),
-                    stockOutUnitPrice: parseFloat(formData.stockOutUnitPrice),
-                    stockOutDate: formData.stockOutDate
-                });
-                setSuccess('Stock out record updated successfully!');
-            } else {
-                // INSERT Operation
-                response = await stockOutAPI.create({
-                    sparePartName: formData.sparePartName,
-                    stockOutQuantity: parseInt(formData.stockOutQuantity),
-                    stockOutUnitPrice: parseFloat(formData.stockOutUnitPrice),
-                    stockOutDate: formData.stockOutDate
-                });
-                setSuccess('Stock out record added successfully!');
-            }
+            const response = await stockOutAPI.update(editingRecord.StockOutID, {
+                stockOutQuantity: parseInt(formData.stockOutQuantity),
+                stockOutUnitPrice: parseFloat(formData.stockOutUnitPrice),
+                stockOutDate: formData.stockOutDate,
+                customerId: formData.customerId ? parseInt(formData.customerId) : null,
+                locationId: parseInt(formData.locationId)
+            });
 
             if (response.data.success) {
                 resetForm();
+                setSuccess('Stock out record updated successfully!');
                 fetchData(); // Refresh the data
             }
         } catch (error) {
@@ -114,16 +141,35 @@ const StockOutManagement = () => {
     const handleEdit = (record) => {
         setEditingRecord(record);
         setFormData({
-            sparePartName: record.SparePartName,
+            partId: record.PartID.toString(),
             stockOutQuantity: record.StockOutQuantity.toString(),
             stockOutUnitPrice: record.StockOutUnitPrice.toString(),
-            stockOutDate: record.StockOutDate.split('T')[0]
+            stockOutDate: record.StockOutDate.split('T')[0],
+            customerId: record.CustomerID ? record.CustomerID.toString() : '',
+            locationId: record.LocationID.toString()
         });
         setShowForm(true);
+        setShowCart(false);
+        setSelectedDocumentId(null);
         setError('');
         setSuccess('');
     };
 
+    const handleDocumentPosted = (message, documentId) => {
+        setShowCart(false);
+        setSelectedDocumentId(documentId);
+        setSuccess(message);
+        setError('');
+        fetchData();
+    };
+
+    const handleDocumentDeleted = (message) => {
+        setSelectedDocumentId(null);
+        setSuccess(message);
+        setError('');
+        fetchData();
+    };
+
     // DELETE Operation
     const handleDelete = async (recordId) => {
         if (!window.confirm('Are you sure you want to delete this stock out record?')) {
@@ -174,18 +220,18 @@ const StockOutManagement = () => {
                     <h1 className="text-3xl font-bold text-gray-900">Stock Out Management</h1>
                     <p className="text-gray-600">Manage outgoing spare parts with full CRUD operations</p>
                 </div>
-                <button
-                    onClick={() => {
-                        if (showForm) {
+                {canManageStock(user) && (
+                    <button
+                        onClick={() => {
                             resetForm();
-                        } else {
-                            setShowForm(true);
-                        }
-                    }}
-                    className="btn-primary"
-                >
-                    {showForm ? 'Cancel' : 'Add Stock Out Record'}
-                </button>
+                            setShowCart(!showCart);
+                            setSelectedDocumentId(null);
+                        }}
+                        className="btn-primary"
+                    >
+                        {showCart ? 'Cancel' : 'New Stock Out'}
+                    </button>
+                )}
             </div>
 
             {/* Success/Error Messages */}
@@ -200,30 +246,53 @@ const StockOutManagement = () => {
                 </div>
             )}
 
-            {/* Add/Edit Stock Out Form */}
-            {showForm && (
+            {showCart && (
+                <StockOutCart
+                    spareParts={spareParts}
+                    customers={customers}
+                    locations={locations}
+                    stockLevels={stockLevels}
+                    workOrders={workOrders}
+                    onPosted={handleDocumentPosted}
+                    onCancel={() => setShowCart(false)}
+                />
+            )}
+
+            {selectedDocumentId && (
+                <StockOutDocumentDetail
+                    key={selectedDocumentId}
+                    documentId={selectedDocumentId}
+                    user={user}
+                    onDeleted={handleDocumentDeleted}
+                    onClose={() => setSelectedDocumentId(null)}
+                />
+            )}
+
+            {/* Edit Stock Out Form */}
+            {showForm && editingRecord && (
                 <div className="card">
                     <h2 className="text-xl font-semibold text-gray-900 mb-4">
-                        {editingRecord ? 'Edit Stock Out Record' : 'Add Stock Out Record'}
+                        Edit Stock Out Record
+                        {editingRecord.DocumentNumber && ` (line of ${editingRecord.DocumentNumber})`}
                     </h2>
                     <form onSubmit={handleSubmit} className="space-y-4">
                         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
                             <div>
-                                <label htmlFor="sparePartName" className="block text-sm font-medium text-gray-700 mb-1">
+                                <label htmlFor="partId" className="block text-sm font-medium text-gray-700 mb-1">
                                     Spare Part *
                                 </label>
                                 <select
-                                    id="sparePartName"
-                                    name="sparePartName"
-                                    value={formData.sparePartName}
+                                    id="partId"
+                                    name="partId"
+                                    value={formData.partId}
                                     onChange={handleInputChange}
                                     className="input-field"
                                     required
-                                    disabled={editingRecord} // Can't change spare part when editing
+                                    disabled // Can't change spare part when editing
                                 >
                                     <option value="">Select spare part</option>
                                     {spareParts.map((part) => (
-                                        <option key={part.Name} value={part.Name}>
+                                        <option key={part.PartID} value={part.PartID}>
                                             {part.Name} (Available: {part.Quantity})
                                         </option>
                                     ))}
@@ -276,10 +345,51 @@ const StockOutManagement = () => {
                                     required
                                 />
                             </div>
+                            <div>
+                                <label htmlFor="customerId" className="block text-sm font-medium text-gray-700 mb-1">
+                                    Customer
+                                </label>
+                                <select
+                                    id="customerId"
+                                    name="customerId"
+                                    value={formData.customerId}
+                                    onChange={handleInputChange}
+                                    className="input-field"
+                                    disabled={!!editingRecord.DocumentID} // Set on the document
+                                >
+                                    <option value="">No customer</option>
+                                    {customers.map((customer) => (
+                                        <option key={customer.CustomerID} value={customer.CustomerID}>
+                                            {customer.Name}
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div>
+                                <label htmlFor="locationId" className="block text-sm font-medium text-gray-700 mb-1">
+                                    Issue From *
+                                </label>
+                                <select
+                                    id="locationId"
+                                    name="locationId"
+                                    value={formData.locationId}
+                                    onChange={handleInputChange}
+                                    className="input-field"
+                                    disabled={!!editingRecord.DocumentID} // Set on the document
+                                    required
+                                >
+                                    {locations.map((location) => (
+                                        <option key={location.LocationID} value={location.LocationID}>
+                                            {location.Name}
+                                            {formData.partId && ` (Available: ${getQuantityAt(stockLevels, formData.partId, location.LocationID)})`}
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
                         </div>
                         <div className="flex space-x-4">
                             <button type="submit" className="btn-primary">
-                                {editingRecord ? 'Update Record' : 'Add Record'}
+                                Update Record
                             </button>
                             <button
                                 type="button"
@@ -302,7 +412,7 @@ const StockOutManagement = () => {
                 {stockOutRecords.length === 0 ? (
                     <div className="text-center py-8 text-gray-500">
                         <p className="text-lg font-medium">No stock out records found</p>
-                        <p>Add your first stock out record to get started.</p>
+                        <p>Post your first stock out document to get started.</p>
                     </div>
                 ) : (
                     <div className="overflow-x-auto">
@@ -328,15 +438,38 @@ const StockOutManagement = () => {
                                         Date
                                     </th>
                                     <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
-                                        Actions
+                                        Customer
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Location
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Issued By
                                     </th>
+                                    {canEditHistory(user) && (
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Actions
+                                        </th>
+                                    )}
                                 </tr>
                             </thead>
                             <tbody className="bg-white divide-y divide-gray-200">
                                 {stockOutRecords.map((record) => (
                                     <tr key={record.StockOutID} className="table-row">
                                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                                            #{record.StockOutID}
+                                            <div>#{record.StockOutID}</div>
+                                            {record.DocumentNumber && (
+                                                <button
+                                                    onClick={() => {
+                                                        resetForm();
+                                                        setShowCart(false);
+                                                        setSelectedDocumentId(record.DocumentID);
+                                                    }}
+                                                    className="text-xs font-medium text-sky-600 hover:text-sky-900"
+                                                >
+                                                    {record.DocumentNumber}
+                                                </button>
+                                            )}
                                         </td>
                                         <td className="px-6 py-4 whitespace-nowrap">
                                             <div className="font-medium text-gray-900">{record.SparePartName}</div>
@@ -356,20 +489,39 @@ const StockOutManagement = () => {
                                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                                             {formatDate(record.StockOutDate)}
                                         </td>
-                                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium space-x-2">
-                                            <button
-                                                onClick={() => handleEdit(record)}
-                                                className="text-blue-600 hover:text-blue-900"
-                                            >
-                                                Edit
-                                            </button>
-                                            <button
-                                                onClick={() => handleDelete(record.StockOutID)}
-                                                className="text-red-600 hover:text-red-900"
-                                            >
-                                                Delete
-                                            </button>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            <div>{record.CustomerName || 'N/A'}</div>
+                                            {record.WorkOrderID && (
+                                                <div className="text-xs text-gray-500">
+                                                    WO #{record.WorkOrderID} {record.VehiclePlate}
+                                                </div>
+                                            )}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {record.LocationName || 'N/A'}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            <div>{record.CreatedBy || 'Unknown'}</div>
+                                            {record.UpdatedBy && (
+                                                <div className="text-xs text-gray-500">Edited by {record.UpdatedBy}</div>
+                                            )}
                                         </td>
+                                        {canEditHistory(user) && (
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium space-x-2">
+                                                <button
+                                                    onClick={() => handleEdit(record)}
+                                                    className="text-blue-600 hover:text-blue-900"
+                                                >
+                                                    Edit
+                                                </button>
+                                                <button
+                                                    onClick={() => handleDelete(record.StockOutID)}
+                                                    className="text-red-600 hover:text-red-900"
+                                                >
+                                                    Delete
+                                                </button>
+                                            </td>
+                                        )}
                                     </tr>
                                 ))}
                             </tbody>
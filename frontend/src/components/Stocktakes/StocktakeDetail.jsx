@@ -0,0 +1,319 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { stocktakesAPI } from '../../services/api';
+import { canManageStock, canEditHistory } from '../../utils/permissions';
+import { formatCurrency, formatDate, exportToCSV } from '../../utils/formatters';
+
+// Form values for the counts of each line, keyed by PartID
+const getCountInputs = (lines) => Object.fromEntries(
+    lines.map((line) => [line.PartID, line.CountedQuantity === null ? '' : line.CountedQuantity.toString()])
+);
+
+// The count sheet of one stocktake. While it is open, counts can be entered and saved as often as needed
+const StocktakeDetail = ({ stocktakeId, user, onChange, onClose }) => {
+    const [details, setDetails] = useState(null);
+    const [counts, setCounts] = useState({});
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const fetchDetails = useCallback(async () => {
+        setError('');
+
+        try {
+            const response = await stocktakesAPI.getById(stocktakeId);
+            if (response.data.success) {
+                setDetails(response.data.data);
+                setCounts(getCountInputs(response.data.data.lines));
+            }
+        } catch (error) {
+            console.error('Error fetching stocktake:', error);
+            setError(error.response?.data?.error || 'Failed to fetch stocktake');
+        } finally {
+            setLoading(false);
+        }
+    }, [stocktakeId]);
+
+    useEffect(() => {
+        setLoading(true);
+        fetchDetails();
+    }, [fetchDetails]);
+
+    const isOpen = details?.stocktake.Status === 'OPEN';
+    const canCount = isOpen && canManageStock(user);
+
+    // Counts that differ from what was last saved
+    const getChangedCounts = () => details.lines
+        .filter((line) => counts[line.PartID] !== (line.CountedQuantity === null ? '' : line.CountedQuantity.toString()))
+        .map((line) => ({
+            partId: line.PartID,
+            countedQuantity: counts[line.PartID] === '' ? null : parseInt(counts[line.PartID])
+        }));
+
+    const handleCountChange = (partId, value) => {
+        setCounts(prev => ({
+            ...prev,
+            [partId]: value
+        }));
+    };
+
+    const saveCounts = async () => {
+        const changedCounts = getChangedCounts();
+        if (changedCounts.length === 0) {
+            return null;
+        }
+
+        if (changedCounts.some((count) => count.countedQuantity !== null && (isNaN(count.countedQuantity) || count.countedQuantity < 0))) {
+            throw new Error('Counted quantities must be zero or more');
+        }
+
+        const response = await stocktakesAPI.saveCounts(stocktakeId, changedCounts);
+        return response.data.message;
+    };
+
+    const handleSave = async () => {
+        setError('');
+        setSaving(true);
+
+        try {
+            const message = await saveCounts();
+            if (message) {
+                onChange(message);
+                await fetchDetails();
+            }
+        } catch (error) {
+            console.error('Error saving counts:', error);
+            setError(error.response?.data?.error || error.message || 'Failed to save counts');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handlePost = async () => {
+        if (!window.confirm(
+            'Post this stocktake? Each counted part will be adjusted to its counted quantity and the stocktake can no longer be changed.'
+        )) {
+            return;
+        }
+
+        setError('');
+        setSaving(true);
+
+        try {
+            await saveCounts();
+            const response = await stocktakesAPI.post(stocktakeId);
+            if (response.data.success) {
+                onChange(response.data.message);
+                await fetchDetails();
+            }
+        } catch (error) {
+            console.error('Error posting stocktake:', error);
+            setError(error.response?.data?.error || error.message || 'Failed to post stocktake');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleCancel = async () => {
+        if (!window.confirm('Cancel this stocktake? No stock will be adjusted.')) {
+            return;
+        }
+
+        setError('');
+
+        try {
+            const response = await stocktakesAPI.cancel(stocktakeId);
+            if (response.data.success) {
+                onChange(response.data.message);
+                await fetchDetails();
+            }
+        } catch (error) {
+            console.error('Error cancelling stocktake:', error);
+            setError(error.response?.data?.error || 'Failed to cancel stocktake');
+        }
+    };
+
+    const handleExport = () => {
+        exportToCSV(
+            details.lines.map((line) => ({
+                'Spare Part': line.SparePartName,
+                SKU: line.SKU || '',
+                Category: line.Category,
+                'System Quantity': line.SystemQuantity ?? '',
+                'Counted Quantity': line.CountedQuantity ?? '',
+                Variance: line.Variance ?? '',
+                'Unit Cost': line.UnitCost,
+                'Variance Value': line.VarianceValue ?? ''
+            })),
+            `stocktake-${stocktakeId}-${details.stocktake.LocationName}.csv`
+        );
+    };
+
+    return (
+        <div className="card">
+            <div className="flex justify-between items-center mb-4">
+                <div>
+                    <h2 className="text-xl font-semibold text-gray-900">
+                        Stocktake #{stocktakeId}{details ? ` - ${details.stocktake.LocationName}` : ''}
+                    </h2>
+                    {details && (
+                        <p className="text-sm text-gray-500">
+                            {details.stocktake.CategoryName || 'All categories'} · {details.stocktake.Status}
+                            {details.stocktake.PostedAt && ` on ${formatDate(details.stocktake.PostedAt)} by ${details.stocktake.PostedBy || 'Unknown'}`}
+                        </p>
+                    )}
+                </div>
+                <div className="flex space-x-2">
+                    {canCount && (
+                        <button onClick={handleSave} className="btn-primary" disabled={saving}>
+                            Save Counts
+                        </button>
+                    )}
+                    {isOpen && canEditHistory(user) && (
+                        <button onClick={handlePost} className="btn-primary" disabled={saving}>
+                            Post
+                        </button>
+                    )}
+                    {canCount && (
+                        <button onClick={handleCancel} className="btn-secondary" disabled={saving}>
+                            Cancel Stocktake
+                        </button>
+                    )}
+                    {details && (
+                        <button onClick={handleExport} className="btn-secondary">
+                            Export CSV
+                        </button>
+                    )}
+                    <button onClick={onClose} className="btn-secondary">
+                        Close
+                    </button>
+                </div>
+            </div>
+
+            {error && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg mb-4">
+                    {error}
+                </div>
+            )}
+
+            {loading ? (
+                <div className="flex items-center justify-center h-32">
+                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-sky-500"></div>
+                </div>
+            ) : details && (
+                <>
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+                        <div className="bg-sky-50 rounded-lg p-4">
+                            <p className="text-sm text-gray-600">Counted</p>
+                            <p className="text-2xl font-bold text-gray-900">
+                                {details.summary.countedLines} / {details.summary.totalLines}
+                            </p>
+                        </div>
+                        <div className="bg-sky-50 rounded-lg p-4">
+                            <p className="text-sm text-gray-600">Parts With Variance</p>
+                            <p className="text-2xl font-bold text-gray-900">{details.summary.varianceLines}</p>
+                        </div>
+                        <div className="bg-sky-50 rounded-lg p-4">
+                            <p className="text-sm text-gray-600">Units Over / Short</p>
+                            <p className="text-2xl font-bold text-gray-900">
+                                +{details.summary.unitsOver} / -{details.summary.unitsShort}
+                            </p>
+                        </div>
+                        <div className="bg-sky-50 rounded-lg p-4">
+                            <p className="text-sm text-gray-600">Value Impact (at cost)</p>
+                            <p className={`text-2xl font-bold ${parseFloat(details.summary.varianceValue) < 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                                {formatCurrency(details.summary.varianceValue)}
+                            </p>
+                        </div>
+                    </div>
+
+                    {isOpen && (
+                        <p className="text-sm text-gray-500 mb-4">
+                            System quantities are live until the stocktake is posted. Parts left blank are not adjusted.
+                        </p>
+                    )}
+
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-sky-600 text-white">
+                                <tr>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Spare Part
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Category
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        System
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Counted
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Variance
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Unit Cost
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Variance Value
+                                    </th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {details.lines.map((line) => (
+                                    <tr key={line.PartID} className="table-row">
+                                        <td className="px-6 py-4 whitespace-nowrap">
+                                            <div className="font-medium text-gray-900">{line.SparePartName}</div>
+                                            {line.SKU && (
+                                                <div className="text-xs text-gray-500">{line.SKU}</div>
+                                            )}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {line.Category}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {line.SystemQuantity ?? '-'}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {canCount ? (
+                                                <input
+                                                    type="number"
+                                                    value={counts[line.PartID] ?? ''}
+                                                    onChange={(e) => handleCountChange(line.PartID, e.target.value)}
+                                                    className="input-field w-24"
+                                                    aria-label={`Counted quantity of ${line.SparePartName}`}
+                                                    min="0"
+                                                />
+                                            ) : (line.CountedQuantity ?? '-')}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap">
+                                            {line.Variance === null ? (
+                                                <span className="text-sm text-gray-500">-</span>
+                                            ) : (
+                                                <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                                                    line.Variance > 0
+                                                        ? 'bg-green-100 text-green-800'
+                                                        : line.Variance < 0 ? 'bg-red-100 text-red-800' : 'bg-gray-100 text-gray-800'
+                                                }`}>
+                                                    {line.Variance > 0 ? `+${line.Variance}` : line.Variance}
+                                                </span>
+                                            )}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {formatCurrency(line.UnitCost)}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                                            {line.VarianceValue === null ? '-' : formatCurrency(line.VarianceValue)}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default StocktakeDetail;
@@ -0,0 +1,333 @@
+import React, { useState, useEffect } from 'react';
+import { stocktakesAPI, locationsAPI, categoriesAPI } from '../../services/api';
+import { canManageStock } from '../../utils/permissions';
+import { formatDate } from '../../utils/formatters';
+import { getDefaultLocationId } from '../../utils/locations';
+import { sortCategoryTree, getCategoryOptionLabel } from '../../utils/categories';
+import StocktakeDetail from './StocktakeDetail';
+
+const STATUS_CLASSES = {
+    OPEN: 'bg-yellow-100 text-yellow-800',
+    POSTED: 'bg-green-100 text-green-800',
+    CANCELLED: 'bg-gray-100 text-gray-800'
+};
+
+const StocktakesManagement = ({ user }) => {
+    const [stocktakes, setStocktakes] = useState([]);
+    const [locations, setLocations] = useState([]);
+    const [categories, setCategories] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [showForm, setShowForm] = useState(false);
+    const [selectedStocktakeId, setSelectedStocktakeId] = useState(null);
+    const [formData, setFormData] = useState({
+        locationId: '',
+        categoryId: '',
+        notes: ''
+    });
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    useEffect(() => {
+        fetchData();
+    }, []);
+
+    const fetchData = async () => {
+        try {
+            const [stocktakesResponse, locationsResponse, categoriesResponse] = await Promise.all([
+                stocktakesAPI.getAll(),
+                locationsAPI.getAll(),
+                categoriesAPI.getAll()
+            ]);
+
+            if (stocktakesResponse.data.success) {
+                setStocktakes(stocktakesResponse.data.data);
+            }
+            if (locationsResponse.data.success) {
+                setLocations(locationsResponse.data.data);
+                setFormData(prev => ({
+                    ...prev,
+                    locationId: prev.locationId || getDefaultLocationId(locationsResponse.data.data)
+                }));
+            }
+            if (categoriesResponse.data.success) {
+                setCategories(sortCategoryTree(categoriesResponse.data.data));
+            }
+        } catch (error) {
+            console.error('Error fetching data:', error);
+            setError('Failed to fetch data');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleInputChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({
+            ...prev,
+            [name]: value
+        }));
+    };
+
+    const resetForm = () => {
+        setFormData({
+            locationId: getDefaultLocationId(locations),
+            categoryId: '',
+            notes: ''
+        });
+        setShowForm(false);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setSuccess('');
+
+        try {
+            const response = await stocktakesAPI.create({
+                locationId: parseInt(formData.locationId),
+                categoryId: formData.categoryId ? parseInt(formData.categoryId) : null,
+                notes: formData.notes
+            });
+
+            if (response.data.success) {
+                setSuccess(response.data.message);
+                resetForm();
+                setSelectedStocktakeId(response.data.data.stocktakeId);
+                fetchData();
+            }
+        } catch (error) {
+            console.error('Error opening stocktake:', error);
+            setError(error.response?.data?.error || 'Failed to open stocktake');
+        }
+    };
+
+    const handleDetailChange = (message) => {
+        setSuccess(message);
+        fetchData();
+    };
+
+    if (loading) {
+        return (
+            <div className="flex items-center justify-center h-64">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-sky-500"></div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            {/* Page Header */}
+            <div className="flex justify-between items-center">
+                <div>
+                    <h1 className="text-3xl font-bold text-gray-900">Stocktakes</h1>
+                    <p className="text-gray-600">Count stock at a location and post the differences as adjustments</p>
+                </div>
+                {canManageStock(user) && (
+                    <button
+                        onClick={() => {
+                            if (showForm) {
+                                resetForm();
+                            } else {
+                                setShowForm(true);
+                            }
+                        }}
+                        className="btn-primary"
+                    >
+                        {showForm ? 'Cancel' : 'New Stocktake'}
+                    </button>
+                )}
+            </div>
+
+            {/* Success/Error Messages */}
+            {error && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg">
+                    {error}
+                </div>
+            )}
+            {success && (
+                <div className="bg-sky-100 border border-sky-400 text-sky-700 px-4 py-3 rounded-lg">
+                    {success}
+                </div>
+            )}
+
+            {/* New Stocktake Form */}
+            {showForm && (
+                <div className="card">
+                    <h2 className="text-xl font-semibold text-gray-900 mb-4">New Stocktake</h2>
+                    <form onSubmit={handleSubmit} className="space-y-4">
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                            <div>
+                                <label htmlFor="locationId" className="block text-sm font-medium text-gray-700 mb-1">
+                                    Location *
+                                </label>
+                                <select
+                                    id="locationId"
+                                    name="locationId"
+                                    value={formData.locationId}
+                                    onChange={handleInputChange}
+                                    className="input-field"
+                                    required
+                                >
+                                    {locations.map((location) => (
+                                        <option key={location.LocationID} value={location.LocationID}>
+                                            {location.Name}
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div>
+                                <label htmlFor="categoryId" className="block text-sm font-medium text-gray-700 mb-1">
+                                    Category
+                                </label>
+                                <select
+                                    id="categoryId"
+                                    name="categoryId"
+                                    value={formData.categoryId}
+                                    onChange={handleInputChange}
+                                    className="input-field"
+                                >
+                                    <option value="">All categories (full count)</option>
+                                    {categories.map((category) => (
+                                        <option key={category.CategoryID} value={category.CategoryID}>
+                                            {getCategoryOptionLabel(category)}
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div>
+                                <label htmlFor="notes" className="block text-sm font-medium text-gray-700 mb-1">
+                                    Notes
+                                </label>
+                                <input
+                                    type="text"
+                                    id="notes"
+                                    name="notes"
+                                    value={formData.notes}
+                                    onChange={handleInputChange}
+                                    className="input-field"
+                                    placeholder="Optional"
+                                    maxLength={255}
+                                />
+                            </div>
+                        </div>
+                        <p className="text-sm text-gray-500">
+                            Choosing a category makes this a cycle count of that category and its subcategories.
+                        </p>
+                        <div className="flex space-x-4">
+                            <button type="submit" className="btn-primary">
+                                Open Stocktake
+                            </button>
+                            <button type="button" onClick={resetForm} className="btn-secondary">
+                                Cancel
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            )}
+
+            {selectedStocktakeId && (
+                <StocktakeDetail
+                    stocktakeId={selectedStocktakeId}
+                    user={user}
+                    onChange={handleDetailChange}
+                    onClose={() => setSelectedStocktakeId(null)}
+                />
+            )}
+
+            {/* Stocktake List */}
+            <div className="card">
+                <h2 className="text-xl font-semibold text-gray-900 mb-4">
+                    Stocktakes ({stocktakes.length} records)
+                </h2>
+
+                {stocktakes.length === 0 ? (
+                    <div className="text-center py-8 text-gray-500">
+                        <p className="text-lg font-medium">No stocktakes found</p>
+                        <p>Open a stocktake to count the stock held at a location.</p>
+                    </div>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-sky-600 text-white">
+                                <tr>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        #
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Location
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Scope
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Counted
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Status
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Opened
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Posted
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Actions
+                                    </th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {stocktakes.map((stocktake) => (
+                                    <tr key={stocktake.StocktakeID} className="table-row">
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {stocktake.StocktakeID}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap">
+                                            <div className="font-medium text-gray-900">{stocktake.LocationName}</div>
+                                            {stocktake.Notes && (
+                                                <div className="text-xs text-gray-500">{stocktake.Notes}</div>
+                                            )}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {stocktake.CategoryName || 'All categories'}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {stocktake.CountedCount} / {stocktake.LineCount}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap">
+                                            <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${STATUS_CLASSES[stocktake.Status]}`}>
+                                                {stocktake.Status}
+                                            </span>
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            <div>{formatDate(stocktake.CreatedAt)}</div>
+                                            <div className="text-xs text-gray-500">{stocktake.CreatedBy || 'Unknown'}</div>
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {stocktake.PostedAt ? (
+                                                <>
+                                                    <div>{formatDate(stocktake.PostedAt)}</div>
+                                                    <div className="text-xs text-gray-500">{stocktake.PostedBy || 'Unknown'}</div>
+                                                </>
+                                            ) : '-'}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                                            <button
+                                                onClick={() => setSelectedStocktakeId(stocktake.StocktakeID)}
+                                                className="text-sky-600 hover:text-sky-900"
+                                            >
+                                                {stocktake.Status === 'OPEN' && canManageStock(user) ? 'Count' : 'View'}
+                                            </button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default StocktakesManagement;
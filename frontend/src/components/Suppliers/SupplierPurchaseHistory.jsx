@@ -0,0 +1,168 @@
+import React, { useState, useEffect } from 'react';
+import { suppliersAPI } from '../../services/api';
+import { formatCurrency, formatDate, exportToCSV } from '../../utils/formatters';
+
+// Every stock in receipt recorded against one supplier
+const SupplierPurchaseHistory = ({ supplierId, onClose }) => {
+    const [history, setHistory] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const fetchHistory = async () => {
+            setLoading(true);
+            setError('');
+
+            try {
+                const response = await suppliersAPI.getPurchases(supplierId);
+                if (response.data.success) {
+                    setHistory(response.data.data);
+                }
+            } catch (error) {
+                console.error('Error fetching supplier purchase history:', error);
+                setError(error.response?.data?.error || 'Failed to fetch supplier purchase history');
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        fetchHistory();
+    }, [supplierId]);
+
+    const handleExport = () => {
+        exportToCSV(
+            history.records.map((record) => ({
+                Date: record.StockInDate?.split('T')[0],
+                'Spare Part': record.SparePartName,
+                Quantity: record.StockInQuantity,
+                'Unit Cost': record.UnitCost ?? '',
+                'Total Cost': record.TotalCost ?? '',
+                Invoice: record.InvoiceNumber || '',
+                'Recorded By': record.CreatedBy || ''
+            })),
+            `supplier-purchases-${history.supplier.Name}.csv`
+        );
+    };
+
+    return (
+        <div className="card">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-xl font-semibold text-gray-900">
+                    Purchase History{history ? ` - ${history.supplier.Name}` : ''}
+                </h2>
+                <div className="flex space-x-2">
+                    {history?.records.length > 0 && (
+                        <button onClick={handleExport} className="btn-secondary">
+                            Export CSV
+                        </button>
+                    )}
+                    <button onClick={onClose} className="btn-secondary">
+                        Close
+                    </button>
+                </div>
+            </div>
+
+            {error && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg">
+                    {error}
+                </div>
+            )}
+
+            {loading ? (
+                <div className="flex items-center justify-center h-32">
+                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-sky-500"></div>
+                </div>
+            ) : history && (
+                <>
+                    <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-4">
+                        <div className="bg-sky-50 rounded-lg p-4">
+                            <p className="text-sm text-gray-600">Receipts</p>
+                            <p className="text-2xl font-bold text-gray-900">{history.summary.totalReceipts}</p>
+                        </div>
+                        <div className="bg-sky-50 rounded-lg p-4">
+                            <p className="text-sm text-gray-600">Invoices</p>
+                            <p className="text-2xl font-bold text-gray-900">{history.summary.totalInvoices}</p>
+                        </div>
+                        <div className="bg-sky-50 rounded-lg p-4">
+                            <p className="text-sm text-gray-600">Units Received</p>
+                            <p className="text-2xl font-bold text-gray-900">{history.summary.totalQuantity}</p>
+                        </div>
+                        <div className="bg-sky-50 rounded-lg p-4">
+                            <p className="text-sm text-gray-600">Different Parts</p>
+                            <p className="text-2xl font-bold text-gray-900">{history.summary.distinctParts}</p>
+                        </div>
+                        <div className="bg-sky-50 rounded-lg p-4">
+                            <p className="text-sm text-gray-600">Total Cost</p>
+                            <p className="text-2xl font-bold text-gray-900">{formatCurrency(history.summary.totalCost)}</p>
+                        </div>
+                    </div>
+
+                    {history.records.length === 0 ? (
+                        <p className="text-gray-500 text-center py-4">Nothing has been received from this supplier yet</p>
+                    ) : (
+                        <div className="overflow-x-auto">
+                            <table className="min-w-full divide-y divide-gray-200">
+                                <thead className="bg-sky-600 text-white">
+                                    <tr>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Date
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Spare Part
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Quantity
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Unit Cost
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Total Cost
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Invoice
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Recorded By
+                                        </th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {history.records.map((record) => (
+                                        <tr key={record.StockInID} className="table-row">
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                {formatDate(record.StockInDate)}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap font-medium text-gray-900">
+                                                {record.SparePartName}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-sky-100 text-sky-800">
+                                                    +{record.StockInQuantity}
+                                                </span>
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                {record.UnitCost === null ? 'N/A' : formatCurrency(record.UnitCost)}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                                                {record.TotalCost === null ? 'N/A' : formatCurrency(record.TotalCost)}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                {record.InvoiceNumber || 'N/A'}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                {record.CreatedBy || 'Unknown'}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default SupplierPurchaseHistory;
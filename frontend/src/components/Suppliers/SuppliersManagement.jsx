@@ -0,0 +1,370 @@
+import React, { useState, useEffect } from 'react';
+import { suppliersAPI } from '../../services/api';
+import { canManageStock, canEditHistory } from '../../utils/permissions';
+import { formatDate } from '../../utils/formatters';
+import SupplierPurchaseHistory from './SupplierPurchaseHistory';
+
+const EMPTY_FORM = {
+    name: '',
+    contactPerson: '',
+    phone: '',
+    email: '',
+    address: '',
+    paymentTerms: ''
+};
+
+const SuppliersManagement = ({ user }) => {
+    const [suppliers, setSuppliers] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [showForm, setShowForm] = useState(false);
+    const [editingSupplier, setEditingSupplier] = useState(null);
+    const [historySupplierId, setHistorySupplierId] = useState(null);
+    const [formData, setFormData] = useState(EMPTY_FORM);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    useEffect(() => {
+        fetchSuppliers();
+    }, []);
+
+    const fetchSuppliers = async () => {
+        try {
+            const response = await suppliersAPI.getAll();
+            if (response.data.success) {
+                setSuppliers(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching suppliers:', error);
+            setError('Failed to fetch suppliers');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleInputChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({
+            ...prev,
+            [name]: value
+        }));
+    };
+
+    const resetForm = () => {
+        setFormData(EMPTY_FORM);
+        setEditingSupplier(null);
+        setShowForm(false);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setSuccess('');
+
+        try {
+            const response = editingSupplier
+                ? await suppliersAPI.update(editingSupplier.SupplierID, formData)
+                : await suppliersAPI.create(formData);
+
+            if (response.data.success) {
+                setSuccess(response.data.message);
+                resetForm();
+                fetchSuppliers();
+            }
+        } catch (error) {
+            console.error('Error saving supplier:', error);
+            setError(error.response?.data?.error || 'Failed to save supplier');
+        }
+    };
+
+    const handleEdit = (supplier) => {
+        setEditingSupplier(supplier);
+        setFormData({
+            name: supplier.Name,
+            contactPerson: supplier.ContactPerson || '',
+            phone: supplier.Phone || '',
+            email: supplier.Email || '',
+            address: supplier.Address || '',
+            paymentTerms: supplier.PaymentTerms || ''
+        });
+        setShowForm(true);
+        setHistorySupplierId(null);
+        setError('');
+        setSuccess('');
+    };
+
+    const handleDelete = async (supplier) => {
+        if (!window.confirm(`Delete supplier "${supplier.Name}"?`)) {
+            return;
+        }
+
+        setError('');
+        setSuccess('');
+
+        try {
+            const response = await suppliersAPI.delete(supplier.SupplierID);
+            if (response.data.success) {
+                setSuccess(response.data.message);
+                fetchSuppliers();
+            }
+        } catch (error) {
+            console.error('Error deleting supplier:', error);
+            setError(error.response?.data?.error || 'Failed to delete supplier');
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="flex items-center justify-center h-64">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-sky-500"></div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            {/* Page Header */}
+            <div className="flex justify-between items-center">
+                <div>
+                    <h1 className="text-3xl font-bold text-gray-900">Suppliers</h1>
+                    <p className="text-gray-600">Manage suppliers and review what was received from each</p>
+                </div>
+                {canManageStock(user) && (
+                    <button
+                        onClick={() => {
+                            if (showForm) {
+                                resetForm();
+                            } else {
+                                setShowForm(true);
+                            }
+                        }}
+                        className="btn-primary"
+                    >
+                        {showForm ? 'Cancel' : 'Add Supplier'}
+                    </button>
+                )}
+            </div>
+
+            {/* Success/Error Messages */}
+            {error && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg">
+                    {error}
+                </div>
+            )}
+            {success && (
+                <div className="bg-sky-100 border border-sky-400 text-sky-700 px-4 py-3 rounded-lg">
+                    {success}
+                </div>
+            )}
+
+            {/* Add/Edit Supplier Form */}
+            {showForm && (
+                <div className="card">
+                    <h2 className="text-xl font-semibold text-gray-900 mb-4">
+                        {editingSupplier ? 'Edit Supplier' : 'Add Supplier'}
+                    </h2>
+                    <form onSubmit={handleSubmit} className="space-y-4">
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                            <div>
+                                <label htmlFor="name" className="block text-sm font-medium text-gray-700 mb-1">
+                                    Name *
+                                </label>
+                                <input
+                                    type="text"
+                                    id="name"
+                                    name="name"
+                                    value={formData.name}
+                                    onChange={handleInputChange}
+                                    className="input-field"
+                                    placeholder="Enter supplier name"
+                                    maxLength={100}
+                                    required
+                                />
+                            </div>
+                            <div>
+                                <label htmlFor="contactPerson" className="block text-sm font-medium text-gray-700 mb-1">
+                                    Contact Person
+                                </label>
+                                <input
+                                    type="text"
+                                    id="contactPerson"
+                                    name="contactPerson"
+                                    value={formData.contactPerson}
+                                    onChange={handleInputChange}
+                                    className="input-field"
+                                    maxLength={100}
+                                />
+                            </div>
+                            <div>
+                                <label htmlFor="phone" className="block text-sm font-medium text-gray-700 mb-1">
+                                    Phone
+                                </label>
+                                <input
+                                    type="tel"
+                                    id="phone"
+                                    name="phone"
+                                    value={formData.phone}
+                                    onChange={handleInputChange}
+                                    className="input-field"
+                                    maxLength={30}
+                                />
+                            </div>
+                            <div>
+                                <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
+                                    Email
+                                </label>
+                                <input
+                                    type="email"
+                                    id="email"
+                                    name="email"
+                                    value={formData.email}
+                                    onChange={handleInputChange}
+                                    className="input-field"
+                                    maxLength={100}
+                                />
+                            </div>
+                            <div>
+                                <label htmlFor="address" className="block text-sm font-medium text-gray-700 mb-1">
+                                    Address
+                                </label>
+                                <input
+                                    type="text"
+                                    id="address"
+                                    name="address"
+                                    value={formData.address}
+                                    onChange={handleInputChange}
+                                    className="input-field"
+                                    maxLength={255}
+                                />
+                            </div>
+                            <div>
+                                <label htmlFor="paymentTerms" className="block text-sm font-medium text-gray-700 mb-1">
+                                    Payment Terms
+                                </label>
+                                <input
+                                    type="text"
+                                    id="paymentTerms"
+                                    name="paymentTerms"
+                                    value={formData.paymentTerms}
+                                    onChange={handleInputChange}
+                                    className="input-field"
+                                    placeholder="e.g. Net 30, cash on delivery"
+                                    maxLength={100}
+                                />
+                            </div>
+                        </div>
+                        <div className="flex space-x-4">
+                            <button type="submit" className="btn-primary">
+                                {editingSupplier ? 'Update Supplier' : 'Add Supplier'}
+                            </button>
+                            <button type="button" onClick={resetForm} className="btn-secondary">
+                                Cancel
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            )}
+
+            {historySupplierId && (
+                <SupplierPurchaseHistory
+                    supplierId={historySupplierId}
+                    onClose={() => setHistorySupplierId(null)}
+                />
+            )}
+
+            {/* Supplier List */}
+            <div className="card">
+                <h2 className="text-xl font-semibold text-gray-900 mb-4">
+                    All Suppliers ({suppliers.length})
+                </h2>
+
+                {suppliers.length === 0 ? (
+                    <div className="text-center py-8 text-gray-500">
+                        <p className="text-lg font-medium">No suppliers found</p>
+                        <p>Add a supplier to record where stock comes from.</p>
+                    </div>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-sky-600 text-white">
+                                <tr>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Supplier
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Contact
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Payment Terms
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Receipts
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Actions
+                                    </th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {suppliers.map((supplier) => (
+                                    <tr key={supplier.SupplierID} className="table-row">
+                                        <td className="px-6 py-4 whitespace-nowrap">
+                                            <div className="font-medium text-gray-900">{supplier.Name}</div>
+                                            {supplier.Address && (
+                                                <div className="text-xs text-gray-500">{supplier.Address}</div>
+                                            )}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            <div>{supplier.ContactPerson || 'N/A'}</div>
+                                            {(supplier.Phone || supplier.Email) && (
+                                                <div className="text-xs text-gray-500">
+                                                    {[supplier.Phone, supplier.Email].filter(Boolean).join(' · ')}
+                                                </div>
+                                            )}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {supplier.PaymentTerms || 'N/A'}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            <div>{supplier.ReceiptCount}</div>
+                                            {supplier.LastReceiptDate && (
+                                                <div className="text-xs text-gray-500">
+                                                    Last on {formatDate(supplier.LastReceiptDate)}
+                                                </div>
+                                            )}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium space-x-2">
+                                            <button
+                                                onClick={() => setHistorySupplierId(supplier.SupplierID)}
+                                                className="text-sky-600 hover:text-sky-900"
+                                            >
+                                                History
+                                            </button>
+                                            {canManageStock(user) && (
+                                                <button
+                                                    onClick={() => handleEdit(supplier)}
+                                                    className="text-blue-600 hover:text-blue-900"
+                                                >
+                                                    Edit
+                                                </button>
+                                            )}
+                                            {canEditHistory(user) && (
+                                                <button
+                                                    onClick={() => handleDelete(supplier)}
+                                                    className="text-red-600 hover:text-red-900"
+                                                >
+                                                    Delete
+                                                </button>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default SuppliersManagement;
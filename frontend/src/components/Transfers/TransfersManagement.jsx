@@ -0,0 +1,405 @@
+import React, { useState, useEffect } from 'react';
+import { transfersAPI, sparePartsAPI, locationsAPI } from '../../services/api';
+import PartScanInput from '../SpareParts/PartScanInput';
+import { canManageStock, canEditHistory } from '../../utils/permissions';
+import { formatDate } from '../../utils/formatters';
+import { getDefaultLocationId, getQuantityAt } from '../../utils/locations';
+
+const TransfersManagement = ({ user }) => {
+    const [transfers, setTransfers] = useState([]);
+    const [spareParts, setSpareParts] = useState([]);
+    const [locations, setLocations] = useState([]);
+    const [stockLevels, setStockLevels] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [showForm, setShowForm] = useState(false);
+    const [formData, setFormData] = useState({
+        partId: '',
+        fromLocationId: '',
+        toLocationId: '',
+        transferQuantity: '',
+        transferDate: new Date().toISOString().split('T')[0],
+        notes: ''
+    });
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    useEffect(() => {
+        fetchData();
+    }, []);
+
+    const fetchData = async () => {
+        try {
+            const [transfersResponse, sparePartsResponse, locationsResponse, stockLevelsResponse] = await Promise.all([
+                transfersAPI.getAll(),
+                sparePartsAPI.getAll(),
+                locationsAPI.getAll(),
+                locationsAPI.getStockLevels()
+            ]);
+
+            if (transfersResponse.data.success) {
+                setTransfers(transfersResponse.data.data);
+            }
+            if (sparePartsResponse.data.success) {
+                setSpareParts(sparePartsResponse.data.data);
+            }
+            if (locationsResponse.data.success) {
+                setLocations(locationsResponse.data.data);
+                setFormData(prev => ({
+                    ...prev,
+                    fromLocationId: prev.fromLocationId || getDefaultLocationId(locationsResponse.data.data)
+                }));
+            }
+            if (stockLevelsResponse.data.success) {
+                setStockLevels(stockLevelsResponse.data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching data:', error);
+            setError('Failed to fetch data');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handlePartScanned = (part) => {
+        setFormData(prev => ({
+            ...prev,
+            partId: part.PartID.toString()
+        }));
+    };
+
+    const handleInputChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({
+            ...prev,
+            [name]: value
+        }));
+    };
+
+    const resetForm = () => {
+        setFormData({
+            partId: '',
+            fromLocationId: getDefaultLocationId(locations),
+            toLocationId: '',
+            transferQuantity: '',
+            transferDate: new Date().toISOString().split('T')[0],
+            notes: ''
+        });
+        setShowForm(false);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setSuccess('');
+
+        if (formData.fromLocationId === formData.toLocationId) {
+            setError('Choose two different locations');
+            return;
+        }
+
+        if (parseInt(formData.transferQuantity) <= 0) {
+            setError('Transfer quantity must be positive');
+            return;
+        }
+
+        try {
+            const response = await transfersAPI.create({
+                partId: parseInt(formData.partId),
+                fromLocationId: parseInt(formData.fromLocationId),
+                toLocationId: parseInt(formData.toLocationId),
+                transferQuantity: parseInt(formData.transferQuantity),
+                transferDate: formData.transferDate,
+                notes: formData.notes
+            });
+
+            if (response.data.success) {
+                setSuccess(response.data.message);
+                resetForm();
+                fetchData();
+            }
+        } catch (error) {
+            console.error('Error transferring stock:', error);
+            setError(error.response?.data?.error || 'Failed to transfer stock');
+        }
+    };
+
+    const handleDelete = async (transfer) => {
+        if (!window.confirm(
+            `Delete this transfer and move ${transfer.TransferQuantity} x ${transfer.SparePartName} back to ${transfer.FromLocationName}?`
+        )) {
+            return;
+        }
+
+        setError('');
+        setSuccess('');
+
+        try {
+            const response = await transfersAPI.delete(transfer.TransferID);
+            if (response.data.success) {
+                setSuccess(response.data.message);
+                fetchData();
+            }
+        } catch (error) {
+            console.error('Error deleting transfer:', error);
+            setError(error.response?.data?.error || 'Failed to delete transfer');
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="flex items-center justify-center h-64">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-sky-500"></div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            {/* Page Header */}
+            <div className="flex justify-between items-center">
+                <div>
+                    <h1 className="text-3xl font-bold text-gray-900">Stock Transfers</h1>
+                    <p className="text-gray-600">Move spare parts between locations</p>
+                </div>
+                {canManageStock(user) && (
+                    <button
+                        onClick={() => {
+                            if (showForm) {
+                                resetForm();
+                            } else {
+                                setShowForm(true);
+                            }
+                        }}
+                        className="btn-primary"
+                    >
+                        {showForm ? 'Cancel' : 'New Transfer'}
+                    </button>
+                )}
+            </div>
+
+            {/* Success/Error Messages */}
+            {error && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg">
+                    {error}
+                </div>
+            )}
+            {success && (
+                <div className="bg-sky-100 border border-sky-400 text-sky-700 px-4 py-3 rounded-lg">
+                    {success}
+                </div>
+            )}
+
+            {/* New Transfer Form */}
+            {showForm && (
+                <div className="card">
+                    <h2 className="text-xl font-semibold text-gray-900 mb-4">New Transfer</h2>
+                    <form onSubmit={handleSubmit} className="space-y-4">
+                        <PartScanInput parts={spareParts} onScan={handlePartScanned} />
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                            <div>
+                                <label htmlFor="partId" className="block text-sm font-medium text-gray-700 mb-1">
+                                    Spare Part *
+                                </label>
+                                <select
+                                    id="partId"
+                                    name="partId"
+                                    value={formData.partId}
+                                    onChange={handleInputChange}
+                                    className="input-field"
+                                    required
+                                >
+                                    <option value="">Select spare part</option>
+                                    {spareParts.map((part) => (
+                                        <option key={part.PartID} value={part.PartID}>
+                                            {part.Name} ({part.Category})
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div>
+                                <label htmlFor="fromLocationId" className="block text-sm font-medium text-gray-700 mb-1">
+                                    From *
+                                </label>
+                                <select
+                                    id="fromLocationId"
+                                    name="fromLocationId"
+                                    value={formData.fromLocationId}
+                                    onChange={handleInputChange}
+                                    className="input-field"
+                                    required
+                                >
+                                    {locations.map((location) => (
+                                        <option key={location.LocationID} value={location.LocationID}>
+                                            {location.Name}
+                                            {formData.partId && ` (Available: ${getQuantityAt(stockLevels, formData.partId, location.LocationID)})`}
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div>
+                                <label htmlFor="toLocationId" className="block text-sm font-medium text-gray-700 mb-1">
+                                    To *
+                                </label>
+                                <select
+                                    id="toLocationId"
+                                    name="toLocationId"
+                                    value={formData.toLocationId}
+                                    onChange={handleInputChange}
+                                    className="input-field"
+                                    required
+                                >
+                                    <option value="">Select location</option>
+                                    {locations
+                                        .filter((location) => location.LocationID.toString() !== formData.fromLocationId)
+                                        .map((location) => (
+                                            <option key={location.LocationID} value={location.LocationID}>
+                                                {location.Name}
+                                            </option>
+                                        ))}
+                                </select>
+                            </div>
+                            <div>
+                                <label htmlFor="transferQuantity" className="block text-sm font-medium text-gray-700 mb-1">
+                                    Quantity *
+                                </label>
+                                <input
+                                    type="number"
+                                    id="transferQuantity"
+                                    name="transferQuantity"
+                                    value={formData.transferQuantity}
+                                    onChange={handleInputChange}
+                                    className="input-field"
+                                    placeholder="Enter quantity"
+                                    min="1"
+                                    required
+                                />
+                            </div>
+                            <div>
+                                <label htmlFor="transferDate" className="block text-sm font-medium text-gray-700 mb-1">
+                                    Date *
+                                </label>
+                                <input
+                                    type="date"
+                                    id="transferDate"
+                                    name="transferDate"
+                                    value={formData.transferDate}
+                                    onChange={handleInputChange}
+                                    className="input-field"
+                                    required
+                                />
+                            </div>
+                            <div>
+                                <label htmlFor="notes" className="block text-sm font-medium text-gray-700 mb-1">
+                                    Notes
+                                </label>
+                                <input
+                                    type="text"
+                                    id="notes"
+                                    name="notes"
+                                    value={formData.notes}
+                                    onChange={handleInputChange}
+                                    className="input-field"
+                                    placeholder="Optional"
+                                    maxLength={255}
+                                />
+                            </div>
+                        </div>
+                        <div className="flex space-x-4">
+                            <button type="submit" className="btn-primary">
+                                Transfer Stock
+                            </button>
+                            <button type="button" onClick={resetForm} className="btn-secondary">
+                                Cancel
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            )}
+
+            {/* Transfer List */}
+            <div className="card">
+                <h2 className="text-xl font-semibold text-gray-900 mb-4">
+                    Transfers ({transfers.length} records)
+                </h2>
+
+                {transfers.length === 0 ? (
+                    <div className="text-center py-8 text-gray-500">
+                        <p className="text-lg font-medium">No transfers found</p>
+                        <p>Transfers appear here once stock is moved between locations.</p>
+                    </div>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-sky-600 text-white">
+                                <tr>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Date
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Spare Part
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Quantity
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        From
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        To
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Moved By
+                                    </th>
+                                    {canEditHistory(user) && (
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Actions
+                                        </th>
+                                    )}
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {transfers.map((transfer) => (
+                                    <tr key={transfer.TransferID} className="table-row">
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {formatDate(transfer.TransferDate)}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap">
+                                            <div className="font-medium text-gray-900">{transfer.SparePartName}</div>
+                                            {transfer.Notes && (
+                                                <div className="text-xs text-gray-500">{transfer.Notes}</div>
+                                            )}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {transfer.TransferQuantity}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {transfer.FromLocationName}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {transfer.ToLocationName}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {transfer.CreatedBy || 'Unknown'}
+                                        </td>
+                                        {canEditHistory(user) && (
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                                                <button
+                                                    onClick={() => handleDelete(transfer)}
+                                                    className="text-red-600 hover:text-red-900"
+                                                >
+                                                    Delete
+                                                </button>
+                                            </td>
+                                        )}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default TransfersManagement;
@@ -0,0 +1,176 @@
+import React, { useState, useEffect } from 'react';
+import { securityAPI } from '../../services/api';
+import { formatDateTime } from '../../utils/formatters';
+
+const REASON_LABELS = {
+    invalid_password: 'Wrong password',
+    invalid_2fa_code: 'Wrong 2FA code',
+    unknown_user: 'Unknown username',
+    account_locked: 'Account locked',
+    ip_blocked: 'Device blocked',
+    disabled: 'Account disabled',
+};
+
+// Sign-in attempts and active lockouts, shown on the user administration page
+const LoginActivity = ({ onChange }) => {
+    const [attempts, setAttempts] = useState([]);
+    const [blockedAddresses, setBlockedAddresses] = useState([]);
+    const [showFailuresOnly, setShowFailuresOnly] = useState(false);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    useEffect(() => {
+        fetchActivity();
+    }, []);
+
+    const fetchActivity = async () => {
+        try {
+            const [attemptsResponse, lockoutsResponse] = await Promise.all([
+                securityAPI.getLoginAttempts(),
+                securityAPI.getLockouts()
+            ]);
+
+            if (attemptsResponse.data.success) {
+                setAttempts(attemptsResponse.data.data);
+            }
+            if (lockoutsResponse.data.success) {
+                setBlockedAddresses(lockoutsResponse.data.data.blockedAddresses);
+            }
+        } catch (error) {
+            console.error('Error fetching sign-in activity:', error);
+            setError('Failed to fetch sign-in activity');
+        }
+    };
+
+    const handleClearAddress = async (ipAddress) => {
+        setError('');
+        setSuccess('');
+
+        try {
+            const response = await securityAPI.clearIpLockout(ipAddress);
+            if (response.data.success) {
+                setSuccess(response.data.message);
+                fetchActivity();
+                onChange?.();
+            }
+        } catch (error) {
+            console.error('Error clearing address block:', error);
+            setError(error.response?.data?.error || 'Failed to clear address block');
+        }
+    };
+
+    const visibleAttempts = showFailuresOnly ? attempts.filter((attempt) => !attempt.Success) : attempts;
+
+    return (
+        <div className="card">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-xl font-semibold text-gray-900">Sign-in Activity</h2>
+                <div className="flex items-center space-x-4">
+                    <label className="flex items-center text-sm text-gray-700">
+                        <input
+                            type="checkbox"
+                            checked={showFailuresOnly}
+                            onChange={(e) => setShowFailuresOnly(e.target.checked)}
+                            className="mr-2"
+                        />
+                        Failures only
+                    </label>
+                    <button onClick={fetchActivity} className="btn-secondary">
+                        Refresh
+                    </button>
+                </div>
+            </div>
+
+            {error && (
+                <div className="mb-4 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg">
+                    {error}
+                </div>
+            )}
+            {success && (
+                <div className="mb-4 bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded-lg">
+                    {success}
+                </div>
+            )}
+
+            {/* Blocked Addresses */}
+            {blockedAddresses.length > 0 && (
+                <div className="mb-6">
+                    <h3 className="text-lg font-medium text-gray-900 mb-2">Blocked Devices</h3>
+                    <div className="space-y-2">
+                        {blockedAddresses.map((address) => (
+                            <div
+                                key={address.IPAddress}
+                                className="flex justify-between items-center p-3 bg-red-50 border border-red-200 rounded-lg"
+                            >
+                                <div className="text-sm">
+                                    <span className="font-medium text-gray-900">{address.IPAddress}</span>
+                                    <span className="text-gray-600">
+                                        {' '}- {address.Failures} failed attempts, blocked until {formatDateTime(address.BlockedUntil)}
+                                    </span>
+                                </div>
+                                <button
+                                    onClick={() => handleClearAddress(address.IPAddress)}
+                                    className="text-green-600 hover:text-green-900 text-sm font-medium"
+                                >
+                                    Clear
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            {/* Recent Attempts */}
+            {visibleAttempts.length === 0 ? (
+                <p className="text-gray-500 text-center py-4">No sign-in attempts recorded</p>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-sky-600 text-white">
+                            <tr>
+                                <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                    Time
+                                </th>
+                                <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                    Username
+                                </th>
+                                <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                    Address
+                                </th>
+                                <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                    Result
+                                </th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {visibleAttempts.map((attempt) => (
+                                <tr key={attempt.AttemptID} className="table-row">
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                        {formatDateTime(attempt.CreatedAt)}
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                                        {attempt.Username}
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                        {attempt.IPAddress}
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap">
+                                        <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                                            attempt.Success
+                                                ? 'bg-green-100 text-green-800'
+                                                : 'bg-red-100 text-red-800'
+                                        }`}>
+                                            {attempt.Success ? 'Success' : (REASON_LABELS[attempt.Reason] || 'Failed')}
+                                        </span>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default LoginActivity;
@@ -0,0 +1,90 @@
+import React, { useState, useEffect } from 'react';
+import { settingsAPI } from '../../services/api';
+
+// System-wide security options, shown on the user administration page
+const SecuritySettings = () => {
+    const [settings, setSettings] = useState(null);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    useEffect(() => {
+        fetchSettings();
+    }, []);
+
+    const fetchSettings = async () => {
+        try {
+            const response = await settingsAPI.get();
+            if (response.data.success) {
+                setSettings(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching settings:', error);
+            setError('Failed to fetch settings');
+        }
+    };
+
+    const handleToggleAdminTwoFactor = async (e) => {
+        const requireAdminTwoFactor = e.target.checked;
+        if (requireAdminTwoFactor && !window.confirm(
+            'Require two-factor authentication for all administrators? ' +
+            'Administrators without it, including you, will have to set it up before they can continue.'
+        )) {
+            return;
+        }
+
+        setError('');
+        setSuccess('');
+
+        try {
+            const response = await settingsAPI.update({ requireAdminTwoFactor });
+            if (response.data.success) {
+                setSettings(response.data.data);
+                setSuccess(response.data.message);
+                if (requireAdminTwoFactor) {
+                    // Reload so the app can ask this administrator to enroll if needed
+                    window.location.reload();
+                }
+            }
+        } catch (error) {
+            console.error('Error updating settings:', error);
+            setError(error.response?.data?.error || 'Failed to update settings');
+        }
+    };
+
+    return (
+        <div className="card">
+            <h2 className="text-xl font-semibold text-gray-900 mb-4">Security Settings</h2>
+
+            {error && (
+                <div className="mb-4 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg">
+                    {error}
+                </div>
+            )}
+            {success && (
+                <div className="mb-4 bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded-lg">
+                    {success}
+                </div>
+            )}
+
+            {settings && (
+                <label className="flex items-start text-sm text-gray-700">
+                    <input
+                        type="checkbox"
+                        checked={settings.requireAdminTwoFactor}
+                        onChange={handleToggleAdminTwoFactor}
+                        className="mr-2 mt-1"
+                    />
+                    <span>
+                        <span className="font-medium text-gray-900">Require two-factor authentication for administrators</span>
+                        <span className="block text-gray-600">
+                            Administrators must set up an authenticator app before they can use the system,
+                            and cannot turn it off while this is on.
+                        </span>
+                    </span>
+                </label>
+            )}
+        </div>
+    );
+};
+
+export default SecuritySettings;
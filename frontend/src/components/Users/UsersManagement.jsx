@@ -0,0 +1,556 @@
+import React, { useState, useEffect } from 'react';
+import { usersAPI } from '../../services/api';
+import { formatDate, formatDateTime } from '../../utils/formatters';
+import { ROLES, ROLE_LABELS } from '../../utils/permissions';
+import LoginActivity from './LoginActivity';
+import SecuritySettings from './SecuritySettings';
+import SessionList from '../Account/SessionList';
+
+const UsersManagement = ({ user }) => {
+    const [users, setUsers] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [showForm, setShowForm] = useState(false);
+    const [formData, setFormData] = useState({
+        username: '',
+        password: '',
+        confirmPassword: '',
+        role: ROLES.STOREKEEPER
+    });
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+    const [resetCode, setResetCode] = useState(null);
+    const [sessionsUser, setSessionsUser] = useState(null);
+    const [userSessions, setUserSessions] = useState([]);
+
+    useEffect(() => {
+        fetchUsers();
+    }, []);
+
+    const fetchUsers = async () => {
+        try {
+            const response = await usersAPI.getAll();
+            if (response.data.success) {
+                setUsers(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching users:', error);
+            setError('Failed to fetch users');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleInputChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({
+            ...prev,
+            [name]: value
+        }));
+    };
+
+    const resetForm = () => {
+        setFormData({ username: '', password: '', confirmPassword: '', role: ROLES.STOREKEEPER });
+        setShowForm(false);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setSuccess('');
+
+        // Validation
+        if (!formData.username || !formData.password) {
+            setError('Username and password are required');
+            return;
+        }
+
+        if (formData.password.length < 6) {
+            setError('Password must be at least 6 characters');
+            return;
+        }
+
+        if (formData.password !== formData.confirmPassword) {
+            setError('Passwords do not match');
+            return;
+        }
+
+        try {
+            const response = await usersAPI.create({
+                username: formData.username.trim(),
+                password: formData.password,
+                role: formData.role
+            });
+
+            if (response.data.success) {
+                setSuccess('User created successfully!');
+                resetForm();
+                fetchUsers(); // Refresh the list
+            }
+        } catch (error) {
+            console.error('Error creating user:', error);
+            setError(error.response?.data?.error || 'Failed to create user');
+        }
+    };
+
+    const handleToggleStatus = async (record) => {
+        setError('');
+        setSuccess('');
+
+        try {
+            const response = await usersAPI.setStatus(record.UserID, !record.IsActive);
+            if (response.data.success) {
+                setSuccess(response.data.message);
+                fetchUsers();
+            }
+        } catch (error) {
+            console.error('Error updating user status:', error);
+            setError(error.response?.data?.error || 'Failed to update user status');
+        }
+    };
+
+    const handleRoleChange = async (record, role) => {
+        setError('');
+        setSuccess('');
+
+        try {
+            const response = await usersAPI.setRole(record.UserID, role);
+            if (response.data.success) {
+                setSuccess(`${record.Username} is now ${ROLE_LABELS[role]}`);
+                fetchUsers();
+            }
+        } catch (error) {
+            console.error('Error updating user role:', error);
+            setError(error.response?.data?.error || 'Failed to update user role');
+        }
+    };
+
+    const handleResetPassword = async (record) => {
+        if (!window.confirm(`Issue a one-time password reset code for "${record.Username}"?`)) {
+            return;
+        }
+
+        setError('');
+        setSuccess('');
+
+        try {
+            const response = await usersAPI.resetPassword(record.UserID);
+            if (response.data.success) {
+                setResetCode(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error issuing password reset:', error);
+            setError(error.response?.data?.error || 'Failed to issue password reset');
+        }
+    };
+
+    const handleUnlock = async (record) => {
+        setError('');
+        setSuccess('');
+
+        try {
+            const response = await usersAPI.unlock(record.UserID);
+            if (response.data.success) {
+                setSuccess(`${record.Username} has been unlocked`);
+                fetchUsers();
+            }
+        } catch (error) {
+            console.error('Error unlocking user:', error);
+            setError(error.response?.data?.error || 'Failed to unlock user');
+        }
+    };
+
+    const handleResetTwoFactor = async (record) => {
+        if (!window.confirm(`Turn off two-factor authentication for "${record.Username}"? Only do this if they lost their device.`)) {
+            return;
+        }
+
+        setError('');
+        setSuccess('');
+
+        try {
+            const response = await usersAPI.resetTwoFactor(record.UserID);
+            if (response.data.success) {
+                setSuccess(response.data.message);
+                fetchUsers();
+            }
+        } catch (error) {
+            console.error('Error resetting two-factor authentication:', error);
+            setError(error.response?.data?.error || 'Failed to reset two-factor authentication');
+        }
+    };
+
+    const fetchUserSessions = async (record) => {
+        try {
+            const response = await usersAPI.getSessions(record.UserID);
+            if (response.data.success) {
+                setSessionsUser(record);
+                setUserSessions(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching user sessions:', error);
+            setError(error.response?.data?.error || 'Failed to fetch user sessions');
+        }
+    };
+
+    const handleRevokeSession = async (session) => {
+        setError('');
+        setSuccess('');
+
+        try {
+            const response = await usersAPI.revokeSession(sessionsUser.UserID, session.UserSessionID);
+            if (response.data.success) {
+                setSuccess('Session revoked successfully!');
+                fetchUserSessions(sessionsUser);
+            }
+        } catch (error) {
+            console.error('Error revoking session:', error);
+            setError(error.response?.data?.error || 'Failed to revoke session');
+        }
+    };
+
+    const handleRevokeAllSessions = async () => {
+        if (!window.confirm(`Sign "${sessionsUser.Username}" out of all devices?`)) {
+            return;
+        }
+
+        setError('');
+        setSuccess('');
+
+        try {
+            const response = await usersAPI.revokeSessions(sessionsUser.UserID);
+            if (response.data.success) {
+                setSuccess(response.data.message);
+                fetchUserSessions(sessionsUser);
+            }
+        } catch (error) {
+            console.error('Error revoking sessions:', error);
+            setError(error.response?.data?.error || 'Failed to revoke sessions');
+        }
+    };
+
+    const handleDelete = async (record) => {
+        if (!window.confirm(`Are you sure you want to delete the user "${record.Username}"?`)) {
+            return;
+        }
+
+        setError('');
+        setSuccess('');
+
+        try {
+            const response = await usersAPI.delete(record.UserID);
+            if (response.data.success) {
+                setSuccess('User deleted successfully!');
+                fetchUsers();
+            }
+        } catch (error) {
+            console.error('Error deleting user:', error);
+            setError(error.response?.data?.error || 'Failed to delete user');
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="flex items-center justify-center h-64">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-sky-500"></div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            {/* Page Header */}
+            <div className="flex justify-between items-center">
+                <div>
+                    <h1 className="text-3xl font-bold text-gray-900">User Management</h1>
+                    <p className="text-gray-600">Give each storekeeper a personal login</p>
+                </div>
+                <button
+                    onClick={() => (showForm ? resetForm() : setShowForm(true))}
+                    className="btn-primary"
+                >
+                    {showForm ? 'Cancel' : 'Add New User'}
+                </button>
+            </div>
+
+            {/* Success/Error Messages */}
+            {error && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg">
+                    {error}
+                </div>
+            )}
+            {success && (
+                <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded-lg">
+                    {success}
+                </div>
+            )}
+
+            {/* One-time Reset Code */}
+            {resetCode && (
+                <div className="bg-yellow-100 border border-yellow-400 text-yellow-800 px-4 py-3 rounded-lg">
+                    <div className="flex justify-between items-start">
+                        <div>
+                            <p>
+                                Reset code for <span className="font-medium">{resetCode.username}</span>.
+                                Give it to the user now - it will not be shown again.
+                            </p>
+                            <p className="mt-2 font-mono text-lg select-all">{resetCode.token}</p>
+                            <p className="mt-1 text-sm">
+                                Valid once, until {formatDateTime(resetCode.expiresAt)}. The user enters it on the
+                                sign-in page under &quot;Have a password reset code?&quot;.
+                            </p>
+                        </div>
+                        <button onClick={() => setResetCode(null)} className="text-sm hover:text-yellow-900">
+                            Dismiss
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {/* Add User Form */}
+            {showForm && (
+                <div className="card">
+                    <h2 className="text-xl font-semibold text-gray-900 mb-4">Add New User</h2>
+                    <form onSubmit={handleSubmit} className="space-y-4">
+                        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+                            <div>
+                                <label htmlFor="username" className="block text-sm font-medium text-gray-700 mb-1">
+                                    Username *
+                                </label>
+                                <input
+                                    type="text"
+                                    id="username"
+                                    name="username"
+                                    value={formData.username}
+                                    onChange={handleInputChange}
+                                    className="input-field"
+                                    placeholder="Enter username"
+                                    maxLength="50"
+                                    required
+                                />
+                            </div>
+                            <div>
+                                <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">
+                                    Password *
+                                </label>
+                                <input
+                                    type="password"
+                                    id="password"
+                                    name="password"
+                                    value={formData.password}
+                                    onChange={handleInputChange}
+                                    className="input-field"
+                                    placeholder="At least 6 characters"
+                                    required
+                                />
+                            </div>
+                            <div>
+                                <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700 mb-1">
+                                    Confirm Password *
+                                </label>
+                                <input
+                                    type="password"
+                                    id="confirmPassword"
+                                    name="confirmPassword"
+                                    value={formData.confirmPassword}
+                                    onChange={handleInputChange}
+                                    className="input-field"
+                                    placeholder="Repeat password"
+                                    required
+                                />
+                            </div>
+                            <div>
+                                <label htmlFor="role" className="block text-sm font-medium text-gray-700 mb-1">
+                                    Role *
+                                </label>
+                                <select
+                                    id="role"
+                                    name="role"
+                                    value={formData.role}
+                                    onChange={handleInputChange}
+                                    className="input-field"
+                                    required
+                                >
+                                    {Object.values(ROLES).map((role) => (
+                                        <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        </div>
+                        <div className="flex space-x-4">
+                            <button type="submit" className="btn-primary">
+                                Create User
+                            </button>
+                            <button
+                                type="button"
+                                onClick={resetForm}
+                                className="btn-secondary"
+                            >
+                                Cancel
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            )}
+
+            {/* Users List */}
+            <div className="card">
+                <h2 className="text-xl font-semibold text-gray-900 mb-4">
+                    Users ({users.length} accounts)
+                </h2>
+
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-sky-600 text-white">
+                            <tr>
+                                <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                    Username
+                                </th>
+                                <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                    Role
+                                </th>
+                                <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                    Status
+                                </th>
+                                <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                    2FA
+                                </th>
+                                <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                    Created
+                                </th>
+                                <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                    Actions
+                                </th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {users.map((record) => {
+                                const isCurrentUser = record.UserID === user?.id;
+
+                                return (
+                                    <tr key={record.UserID} className="table-row">
+                                        <td className="px-6 py-4 whitespace-nowrap">
+                                            <div className="font-medium text-gray-900">
+                                                {record.Username}
+                                                {isCurrentUser && <span className="ml-2 text-xs text-gray-500">(you)</span>}
+                                            </div>
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {isCurrentUser ? (
+                                                ROLE_LABELS[record.Role]
+                                            ) : (
+                                                <select
+                                                    value={record.Role}
+                                                    onChange={(e) => handleRoleChange(record, e.target.value)}
+                                                    className="input-field"
+                                                    aria-label={`Role for ${record.Username}`}
+                                                >
+                                                    {Object.values(ROLES).map((role) => (
+                                                        <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                                                    ))}
+                                                </select>
+                                            )}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap">
+                                            <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                                                record.IsActive
+                                                    ? 'bg-green-100 text-green-800'
+                                                    : 'bg-gray-100 text-gray-800'
+                                            }`}>
+                                                {record.IsActive ? 'Active' : 'Disabled'}
+                                            </span>
+                                            {record.LockedUntil && (
+                                                <span className="ml-2 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                                                    Locked until {formatDateTime(record.LockedUntil)}
+                                                </span>
+                                            )}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {record.TwoFactorEnabled ? 'On' : 'Off'}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {formatDate(record.CreatedAt)}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium space-x-2">
+                                            {!isCurrentUser && (
+                                                <>
+                                                    {record.LockedUntil && (
+                                                        <button
+                                                            onClick={() => handleUnlock(record)}
+                                                            className="text-green-600 hover:text-green-900"
+                                                        >
+                                                            Unlock
+                                                        </button>
+                                                    )}
+                                                    <button
+                                                        onClick={() => handleToggleStatus(record)}
+                                                        className="text-blue-600 hover:text-blue-900"
+                                                    >
+                                                        {record.IsActive ? 'Disable' : 'Enable'}
+                                                    </button>
+                                                    <button
+                                                        onClick={() => fetchUserSessions(record)}
+                                                        className="text-blue-600 hover:text-blue-900"
+                                                    >
+                                                        Sessions
+                                                    </button>
+                                                    <button
+                                                        onClick={() => handleResetPassword(record)}
+                                                        className="text-blue-600 hover:text-blue-900"
+                                                    >
+                                                        Reset Password
+                                                    </button>
+                                                    {record.TwoFactorEnabled && (
+                                                        <button
+                                                            onClick={() => handleResetTwoFactor(record)}
+                                                            className="text-blue-600 hover:text-blue-900"
+                                                        >
+                                                            Reset 2FA
+                                                        </button>
+                                                    )}
+                                                    <button
+                                                        onClick={() => handleDelete(record)}
+                                                        className="text-red-600 hover:text-red-900"
+                                                    >
+                                                        Delete
+                                                    </button>
+                                                </>
+                                            )}
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            {/* Sessions of the selected user */}
+            {sessionsUser && (
+                <div className="card">
+                    <div className="flex justify-between items-center mb-4">
+                        <h2 className="text-xl font-semibold text-gray-900">
+                            Active Sessions - {sessionsUser.Username}
+                        </h2>
+                        <div className="flex space-x-4">
+                            {userSessions.length > 0 && (
+                                <button onClick={handleRevokeAllSessions} className="btn-danger">
+                                    Revoke All
+                                </button>
+                            )}
+                            <button onClick={() => setSessionsUser(null)} className="btn-secondary">
+                                Close
+                            </button>
+                        </div>
+                    </div>
+                    <SessionList sessions={userSessions} onRevoke={handleRevokeSession} />
+                </div>
+            )}
+
+            <SecuritySettings />
+
+            <LoginActivity onChange={fetchUsers} />
+        </div>
+    );
+};
+
+export default UsersManagement;
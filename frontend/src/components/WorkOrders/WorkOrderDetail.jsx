@@ -0,0 +1,258 @@
+import React, { useState, useEffect } from 'react';
+import { workOrdersAPI } from '../../services/api';
+import { formatCurrency, formatDate } from '../../utils/formatters';
+import { WORK_ORDER_STATUSES } from '../../utils/workOrders';
+
+// Job costing for one work order: the parts issued for it, less anything returned, ready to print
+const WorkOrderDetail = ({ workOrderId, onClose }) => {
+    const [details, setDetails] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const fetchWorkOrder = async () => {
+            setLoading(true);
+            setError('');
+
+            try {
+                const response = await workOrdersAPI.getById(workOrderId);
+                if (response.data.success) {
+                    setDetails(response.data.data);
+                }
+            } catch (error) {
+                console.error('Error fetching work order:', error);
+                setError(error.response?.data?.error || 'Failed to fetch work order');
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        fetchWorkOrder();
+    }, [workOrderId]);
+
+    const handlePrint = () => {
+        const { workOrder, parts, summary } = details;
+        const printWindow = window.open('', '_blank');
+
+        printWindow.document.write(`
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <title>Work Order #${workOrder.WorkOrderID}</title>
+                <style>
+                    body {
+                        font-family: Arial, sans-serif;
+                        margin: 20mm;
+                        color: #333;
+                    }
+                    .header {
+                        display: flex;
+                        justify-content: space-between;
+                        margin-bottom: 20px;
+                    }
+                    .title {
+                        font-size: 24px;
+                        font-weight: bold;
+                    }
+                    table {
+                        width: 100%;
+                        border-collapse: collapse;
+                        margin-bottom: 40px;
+                    }
+                    th, td {
+                        border: 1px solid #999;
+                        padding: 8px;
+                        text-align: left;
+                        font-size: 12px;
+                    }
+                    th {
+                        background-color: #f2f2f2;
+                        text-transform: uppercase;
+                    }
+                </style>
+            </head>
+            <body>
+                <div class="header">
+                    <div>
+                        <div class="title">Work Order #${workOrder.WorkOrderID}</div>
+                        <p>Vehicle: ${workOrder.VehiclePlate}</p>
+                        <p>Opened: ${formatDate(workOrder.OpenedDate)}</p>
+                        ${workOrder.CompletedDate ? `<p>Completed: ${formatDate(workOrder.CompletedDate)}</p>` : ''}
+                        ${workOrder.Technician ? `<p>Technician: ${workOrder.Technician}</p>` : ''}
+                    </div>
+                    <div>
+                        <p><strong>${workOrder.CustomerName || 'Walk-in customer'}</strong></p>
+                        ${workOrder.CustomerPhone ? `<p>${workOrder.CustomerPhone}</p>` : ''}
+                    </div>
+                </div>
+                ${workOrder.Description ? `<p>Job: ${workOrder.Description}</p>` : ''}
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Date</th>
+                            <th>Spare Part</th>
+                            <th>Issued</th>
+                            <th>Returned</th>
+                            <th>Used</th>
+                            <th>Unit Price</th>
+                            <th>Total</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${parts.map(part => `
+                            <tr>
+                                <td>${formatDate(part.StockOutDate)}</td>
+                                <td>${part.SparePartName}</td>
+                                <td>${part.StockOutQuantity}</td>
+                                <td>${part.ReturnedQuantity}</td>
+                                <td>${part.UsedQuantity}</td>
+                                <td>${formatCurrency(part.StockOutUnitPrice)}</td>
+                                <td>${formatCurrency(part.Value)}</td>
+                            </tr>
+                        `).join('')}
+                        <tr>
+                            <th colspan="2">Total</th>
+                            <th>${summary.issuedQuantity}</th>
+                            <th>${summary.returnedQuantity}</th>
+                            <th>${summary.usedQuantity}</th>
+                            <th></th>
+                            <th>${formatCurrency(summary.partsValue)}</th>
+                        </tr>
+                    </tbody>
+                </table>
+            </body>
+            </html>
+        `);
+        printWindow.document.close();
+        printWindow.print();
+    };
+
+    return (
+        <div className="card">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-xl font-semibold text-gray-900">
+                    Work Order #{workOrderId}{details ? ` - ${details.workOrder.VehiclePlate}` : ''}
+                </h2>
+                <div className="flex space-x-2">
+                    {details && (
+                        <button onClick={handlePrint} className="btn-secondary">
+                            Print
+                        </button>
+                    )}
+                    <button onClick={onClose} className="btn-secondary">
+                        Close
+                    </button>
+                </div>
+            </div>
+
+            {error && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg">
+                    {error}
+                </div>
+            )}
+
+            {loading ? (
+                <div className="flex items-center justify-center h-32">
+                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-sky-500"></div>
+                </div>
+            ) : details && (
+                <>
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+                        <div className="bg-sky-50 rounded-lg p-4">
+                            <p className="text-sm text-gray-600">Customer</p>
+                            <p className="text-lg font-bold text-gray-900">{details.workOrder.CustomerName || 'No customer'}</p>
+                        </div>
+                        <div className="bg-sky-50 rounded-lg p-4">
+                            <p className="text-sm text-gray-600">Status</p>
+                            <p className="text-lg font-bold text-gray-900">
+                                {WORK_ORDER_STATUSES[details.workOrder.Status].label}
+                            </p>
+                        </div>
+                        <div className="bg-sky-50 rounded-lg p-4">
+                            <p className="text-sm text-gray-600">Parts Used</p>
+                            <p className="text-lg font-bold text-gray-900">{details.summary.usedQuantity}</p>
+                        </div>
+                        <div className="bg-sky-50 rounded-lg p-4">
+                            <p className="text-sm text-gray-600">Parts Cost</p>
+                            <p className="text-lg font-bold text-gray-900">{formatCurrency(details.summary.partsValue)}</p>
+                        </div>
+                    </div>
+
+                    {details.workOrder.Description && (
+                        <p className="text-sm text-gray-600 mb-4">Job: {details.workOrder.Description}</p>
+                    )}
+
+                    {details.parts.length === 0 ? (
+                        <div className="text-center py-8 text-gray-500">
+                            <p className="text-lg font-medium">No parts issued yet</p>
+                            <p>Choose this work order when issuing stock out to charge parts to it.</p>
+                        </div>
+                    ) : (
+                        <div className="overflow-x-auto">
+                            <table className="min-w-full divide-y divide-gray-200">
+                                <thead className="bg-sky-600 text-white">
+                                    <tr>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Date
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Spare Part
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Used
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Unit Price
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Total
+                                        </th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {details.parts.map((part) => (
+                                        <tr key={part.StockOutID} className="table-row">
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                <div>{formatDate(part.StockOutDate)}</div>
+                                                {part.DocumentNumber && (
+                                                    <div className="text-xs text-gray-500">{part.DocumentNumber}</div>
+                                                )}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                <div className="font-medium text-gray-900">{part.SparePartName}</div>
+                                                {part.SKU && (
+                                                    <div className="text-xs text-gray-500">{part.SKU}</div>
+                                                )}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                {part.UsedQuantity}
+                                                {part.ReturnedQuantity > 0 && (
+                                                    <span className="text-xs text-gray-500">
+                                                        {' '}({part.StockOutQuantity} issued, {part.ReturnedQuantity} returned)
+                                                    </span>
+                                                )}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                {formatCurrency(part.StockOutUnitPrice)}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                                                {formatCurrency(part.Value)}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                    <p className="text-xs text-gray-500 mt-2">
+                        Opened {formatDate(details.workOrder.OpenedDate)} by {details.workOrder.CreatedBy || 'Unknown'}
+                        {details.workOrder.Technician && `, technician ${details.workOrder.Technician}`}
+                        {details.workOrder.CompletedDate && `, completed ${formatDate(details.workOrder.CompletedDate)}`}
+                    </p>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default WorkOrderDetail;
@@ -0,0 +1,161 @@
+import React, { useState } from 'react';
+import { workOrdersAPI } from '../../services/api';
+
+// Open a work order for a vehicle, or change the details of an existing one
+const WorkOrderForm = ({ workOrder, customers, onSaved, onCancel }) => {
+    const [formData, setFormData] = useState(() => (workOrder ? {
+        vehiclePlate: workOrder.VehiclePlate,
+        customerId: workOrder.CustomerID ? workOrder.CustomerID.toString() : '',
+        technician: workOrder.Technician || '',
+        description: workOrder.Description || '',
+        openedDate: workOrder.OpenedDate
+    } : {
+        vehiclePlate: '',
+        customerId: '',
+        technician: '',
+        description: '',
+        openedDate: new Date().toISOString().split('T')[0]
+    }));
+    const [error, setError] = useState('');
+
+    const handleInputChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({
+            ...prev,
+            [name]: value
+        }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        const data = {
+            ...formData,
+            customerId: formData.customerId ? parseInt(formData.customerId) : null
+        };
+
+        try {
+            const response = workOrder
+                ? await workOrdersAPI.update(workOrder.WorkOrderID, data)
+                : await workOrdersAPI.create(data);
+
+            if (response.data.success) {
+                onSaved(response.data.message);
+            }
+        } catch (error) {
+            console.error('Error saving work order:', error);
+            setError(error.response?.data?.error || 'Failed to save work order');
+        }
+    };
+
+    return (
+        <div className="card">
+            <h2 className="text-xl font-semibold text-gray-900 mb-4">
+                {workOrder ? `Edit Work Order #${workOrder.WorkOrderID}` : 'New Work Order'}
+            </h2>
+
+            {error && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg mb-4">
+                    {error}
+                </div>
+            )}
+
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+                    <div>
+                        <label htmlFor="workOrderVehiclePlate" className="block text-sm font-medium text-gray-700 mb-1">
+                            Vehicle Plate *
+                        </label>
+                        <input
+                            type="text"
+                            id="workOrderVehiclePlate"
+                            name="vehiclePlate"
+                            value={formData.vehiclePlate}
+                            onChange={handleInputChange}
+                            className="input-field uppercase"
+                            placeholder="e.g. B 1234 XYZ"
+                            maxLength={20}
+                            required
+                        />
+                    </div>
+                    <div>
+                        <label htmlFor="workOrderCustomerId" className="block text-sm font-medium text-gray-700 mb-1">
+                            Customer
+                        </label>
+                        <select
+                            id="workOrderCustomerId"
+                            name="customerId"
+                            value={formData.customerId}
+                            onChange={handleInputChange}
+                            className="input-field"
+                        >
+                            <option value="">No customer</option>
+                            {customers.map((customer) => (
+                                <option key={customer.CustomerID} value={customer.CustomerID}>
+                                    {customer.Name}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="workOrderTechnician" className="block text-sm font-medium text-gray-700 mb-1">
+                            Technician
+                        </label>
+                        <input
+                            type="text"
+                            id="workOrderTechnician"
+                            name="technician"
+                            value={formData.technician}
+                            onChange={handleInputChange}
+                            className="input-field"
+                            placeholder="Optional"
+                            maxLength={100}
+                        />
+                    </div>
+                    <div>
+                        <label htmlFor="workOrderOpenedDate" className="block text-sm font-medium text-gray-700 mb-1">
+                            Opened On *
+                        </label>
+                        <input
+                            type="date"
+                            id="workOrderOpenedDate"
+                            name="openedDate"
+                            value={formData.openedDate}
+                            onChange={handleInputChange}
+                            className="input-field"
+                            required
+                        />
+                    </div>
+                </div>
+
+                <div>
+                    <label htmlFor="workOrderDescription" className="block text-sm font-medium text-gray-700 mb-1">
+                        Job Description
+                    </label>
+                    <input
+                        type="text"
+                        id="workOrderDescription"
+                        name="description"
+                        value={formData.description}
+                        onChange={handleInputChange}
+                        className="input-field"
+                        placeholder="e.g. 20,000 km service, front brake pads"
+                        maxLength={255}
+                    />
+                </div>
+
+                <div className="flex space-x-4">
+                    <button type="submit" className="btn-primary">
+                        {workOrder ? 'Update Work Order' : 'Open Work Order'}
+                    </button>
+                    <button type="button" onClick={onCancel} className="btn-secondary">
+                        Cancel
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default WorkOrderForm;
@@ -0,0 +1,352 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { workOrdersAPI, customersAPI } from '../../services/api';
+import { canManageStock, canEditHistory } from '../../utils/permissions';
+import { formatCurrency, formatDate } from '../../utils/formatters';
+import { WORK_ORDER_STATUSES, isWorkOrderOpen } from '../../utils/workOrders';
+import WorkOrderForm from './WorkOrderForm';
+import WorkOrderDetail from './WorkOrderDetail';
+
+const WorkOrdersManagement = ({ user }) => {
+    const [workOrders, setWorkOrders] = useState([]);
+    const [customers, setCustomers] = useState([]);
+    const [statusFilter, setStatusFilter] = useState('');
+    const [plateFilter, setPlateFilter] = useState('');
+    const [showForm, setShowForm] = useState(false);
+    const [editingWorkOrder, setEditingWorkOrder] = useState(null);
+    const [viewingWorkOrderId, setViewingWorkOrderId] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    const fetchWorkOrders = useCallback(async () => {
+        try {
+            const response = await workOrdersAPI.getAll(statusFilter, plateFilter.trim());
+            if (response.data.success) {
+                setWorkOrders(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching work orders:', error);
+            setError('Failed to fetch work orders');
+        } finally {
+            setLoading(false);
+        }
+    }, [statusFilter, plateFilter]);
+
+    useEffect(() => {
+        fetchWorkOrders();
+    }, [fetchWorkOrders]);
+
+    useEffect(() => {
+        const fetchCustomers = async () => {
+            try {
+                const response = await customersAPI.getAll();
+                if (response.data.success) {
+                    setCustomers(response.data.data);
+                }
+            } catch (error) {
+                console.error('Error fetching customers:', error);
+                setError('Failed to fetch customers');
+            }
+        };
+
+        fetchCustomers();
+    }, []);
+
+    const closeForms = () => {
+        setShowForm(false);
+        setEditingWorkOrder(null);
+        setViewingWorkOrderId(null);
+    };
+
+    const handleSaved = (message) => {
+        closeForms();
+        setSuccess(message);
+        setError('');
+        fetchWorkOrders();
+    };
+
+    const handleEdit = (workOrder) => {
+        closeForms();
+        setEditingWorkOrder(workOrder);
+        setShowForm(true);
+        setSuccess('');
+    };
+
+    const handleView = (workOrder) => {
+        closeForms();
+        setViewingWorkOrderId(workOrder.WorkOrderID);
+        setSuccess('');
+    };
+
+    const handleStatusChange = async (workOrder, status) => {
+        if (status === 'CANCELLED' && !window.confirm(`Cancel work order #${workOrder.WorkOrderID} for ${workOrder.VehiclePlate}?`)) {
+            return;
+        }
+
+        try {
+            const response = await workOrdersAPI.setStatus(workOrder.WorkOrderID, status);
+            if (response.data.success) {
+                handleSaved(response.data.message);
+            }
+        } catch (error) {
+            console.error('Error updating work order status:', error);
+            setError(error.response?.data?.error || 'Failed to update work order status');
+        }
+    };
+
+    const handleDelete = async (workOrder) => {
+        if (!window.confirm(`Delete work order #${workOrder.WorkOrderID} for ${workOrder.VehiclePlate}?`)) {
+            return;
+        }
+
+        try {
+            const response = await workOrdersAPI.delete(workOrder.WorkOrderID);
+            if (response.data.success) {
+                handleSaved(response.data.message);
+            }
+        } catch (error) {
+            console.error('Error deleting work order:', error);
+            setError(error.response?.data?.error || 'Failed to delete work order');
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="flex items-center justify-center h-64">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-sky-500"></div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            {/* Page Header */}
+            <div className="flex justify-between items-center">
+                <div>
+                    <h1 className="text-3xl font-bold text-gray-900">Work Orders</h1>
+                    <p className="text-gray-600">Track workshop jobs per vehicle and the parts used on each</p>
+                </div>
+                {canManageStock(user) && (
+                    <button
+                        onClick={() => {
+                            closeForms();
+                            if (!showForm) {
+                                setShowForm(true);
+                                setSuccess('');
+                            }
+                        }}
+                        className="btn-primary"
+                    >
+                        {showForm ? 'Cancel' : 'New Work Order'}
+                    </button>
+                )}
+            </div>
+
+            {/* Success/Error Messages */}
+            {error && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg">
+                    {error}
+                </div>
+            )}
+            {success && (
+                <div className="bg-sky-100 border border-sky-400 text-sky-700 px-4 py-3 rounded-lg">
+                    {success}
+                </div>
+            )}
+
+            {showForm && (
+                <WorkOrderForm
+                    key={editingWorkOrder ? editingWorkOrder.WorkOrderID : 'new'}
+                    workOrder={editingWorkOrder}
+                    customers={customers}
+                    onSaved={handleSaved}
+                    onCancel={closeForms}
+                />
+            )}
+
+            {viewingWorkOrderId && (
+                <WorkOrderDetail
+                    key={viewingWorkOrderId}
+                    workOrderId={viewingWorkOrderId}
+                    onClose={closeForms}
+                />
+            )}
+
+            <div className="card">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-xl font-semibold text-gray-900">
+                        Work Orders ({workOrders.length} records)
+                    </h2>
+                    <div className="flex items-center space-x-2">
+                        <label htmlFor="workOrderPlateFilter" className="text-sm font-medium text-gray-700">
+                            Plate:
+                        </label>
+                        <input
+                            type="text"
+                            id="workOrderPlateFilter"
+                            value={plateFilter}
+                            onChange={(e) => setPlateFilter(e.target.value)}
+                            className="input-field uppercase"
+                            placeholder="Any vehicle"
+                            maxLength={20}
+                        />
+                        <label htmlFor="workOrderStatusFilter" className="text-sm font-medium text-gray-700">
+                            Status:
+                        </label>
+                        <select
+                            id="workOrderStatusFilter"
+                            value={statusFilter}
+                            onChange={(e) => setStatusFilter(e.target.value)}
+                            className="input-field"
+                        >
+                            <option value="">All</option>
+                            {Object.entries(WORK_ORDER_STATUSES).map(([value, { label }]) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                        </select>
+                    </div>
+                </div>
+
+                {workOrders.length === 0 ? (
+                    <div className="text-center py-8 text-gray-500">
+                        <p className="text-lg font-medium">No work orders found</p>
+                        <p>Open a work order when a vehicle comes into the workshop.</p>
+                    </div>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-sky-600 text-white">
+                                <tr>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        #
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Vehicle
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Customer
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Technician
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Opened
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Parts
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Status
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                        Actions
+                                    </th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {workOrders.map((workOrder) => (
+                                    <tr key={workOrder.WorkOrderID} className="table-row">
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {workOrder.WorkOrderID}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap">
+                                            <div className="font-medium text-gray-900">{workOrder.VehiclePlate}</div>
+                                            {workOrder.Description && (
+                                                <div className="text-xs text-gray-500">{workOrder.Description}</div>
+                                            )}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {workOrder.CustomerName || '-'}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {workOrder.Technician || '-'}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            <div>{formatDate(workOrder.OpenedDate)}</div>
+                                            {workOrder.CompletedDate && (
+                                                <div className="text-xs text-gray-500">
+                                                    Completed {formatDate(workOrder.CompletedDate)}
+                                                </div>
+                                            )}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            <div>{formatCurrency(workOrder.PartsValue)}</div>
+                                            <div className="text-xs text-gray-500">{workOrder.PartsQuantity} parts</div>
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap">
+                                            <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${WORK_ORDER_STATUSES[workOrder.Status].colorClass}`}>
+                                                {WORK_ORDER_STATUSES[workOrder.Status].label}
+                                            </span>
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                                            <div className="flex space-x-2">
+                                                <button
+                                                    onClick={() => handleView(workOrder)}
+                                                    className="text-sky-600 hover:text-sky-900"
+                                                >
+                                                    View
+                                                </button>
+                                                {canManageStock(user) && (
+                                                    <>
+                                                        {workOrder.Status === 'OPEN' && (
+                                                            <button
+                                                                onClick={() => handleStatusChange(workOrder, 'IN_PROGRESS')}
+                                                                className="text-sky-600 hover:text-sky-900"
+                                                            >
+                                                                Start
+                                                            </button>
+                                                        )}
+                                                        {isWorkOrderOpen(workOrder) && (
+                                                            <button
+                                                                onClick={() => handleStatusChange(workOrder, 'COMPLETED')}
+                                                                className="text-green-600 hover:text-green-900"
+                                                            >
+                                                                Complete
+                                                            </button>
+                                                        )}
+                                                        {!isWorkOrderOpen(workOrder) && (
+                                                            <button
+                                                                onClick={() => handleStatusChange(workOrder, 'IN_PROGRESS')}
+                                                                className="text-sky-600 hover:text-sky-900"
+                                                            >
+                                                                Reopen
+                                                            </button>
+                                                        )}
+                                                        <button
+                                                            onClick={() => handleEdit(workOrder)}
+                                                            className="text-sky-600 hover:text-sky-900"
+                                                        >
+                                                            Edit
+                                                        </button>
+                                                        {isWorkOrderOpen(workOrder) && workOrder.LineCount === 0 && (
+                                                            <button
+                                                                onClick={() => handleStatusChange(workOrder, 'CANCELLED')}
+                                                                className="text-red-600 hover:text-red-900"
+                                                            >
+                                                                Cancel
+                                                            </button>
+                                                        )}
+                                                        {canEditHistory(user) && workOrder.LineCount === 0 && (
+                                                            <button
+                                                                onClick={() => handleDelete(workOrder)}
+                                                                className="text-red-600 hover:text-red-900"
+                                                            >
+                                                                Delete
+                                                            </button>
+                                                        )}
+                                                    </>
+                                                )}
+                                            </div>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default WorkOrdersManagement;
@@ -38,18 +38,117 @@ api.interceptors.response.use(
 // Auth API calls
 export const authAPI = {
     login: (credentials) => api.post('/auth/login', credentials),
+    verifyTwoFactor: (data) => api.post('/auth/login/verify', data),
     logout: () => api.post('/auth/logout'),
     checkSession: () => api.get('/auth/session'),
     register: (userData) => api.post('/auth/register', userData),
+    changePassword: (data) => api.post('/auth/change-password', data),
+    resetPassword: (data) => api.post('/auth/reset-password', data),
+    getSessions: () => api.get('/auth/sessions'),
+    revokeSession: (id) => api.delete(`/auth/sessions/${id}`),
+    revokeOtherSessions: () => api.delete('/auth/sessions'),
+};
+
+// Two-factor authentication API calls
+export const twoFactorAPI = {
+    getStatus: () => api.get('/auth/2fa'),
+    setup: () => api.post('/auth/2fa/setup'),
+    enable: (code) => api.post('/auth/2fa/enable', { code }),
+    disable: (password) => api.post('/auth/2fa/disable', { password }),
+    regenerateRecoveryCodes: (password) => api.post('/auth/2fa/recovery-codes', { password }),
+};
+
+// Users API calls
+export const usersAPI = {
+    getAll: () => api.get('/users'),
+    create: (userData) => authAPI.register(userData),
+    setStatus: (id, isActive) => api.put(`/users/${id}/status`, { isActive }),
+    setRole: (id, role) => api.put(`/users/${id}/role`, { role }),
+    resetPassword: (id) => api.post(`/users/${id}/reset-password`),
+    unlock: (id) => api.delete(`/users/${id}/lockout`),
+    resetTwoFactor: (id) => api.delete(`/users/${id}/two-factor`),
+    getSessions: (id) => api.get(`/users/${id}/sessions`),
+    revokeSessions: (id) => api.delete(`/users/${id}/sessions`),
+    revokeSession: (id, sessionId) => api.delete(`/users/${id}/sessions/${sessionId}`),
+    delete: (id) => api.delete(`/users/${id}`),
+};
+
+// Security API calls
+export const securityAPI = {
+    getLoginAttempts: (filters) => api.get('/security/login-attempts', { params: filters }),
+    getLockouts: () => api.get('/security/lockouts'),
+    clearIpLockout: (ipAddress) => api.delete(`/security/ip-lockouts/${encodeURIComponent(ipAddress)}`),
+};
+
+// Settings API calls
+export const settingsAPI = {
+    get: () => api.get('/settings'),
+    update: (settings) => api.put('/settings', settings),
+};
+
+// API Tokens API calls
+export const apiTokensAPI = {
+    getAll: () => api.get('/api-tokens'),
+    create: (data) => api.post('/api-tokens', data),
+    revoke: (id) => api.delete(`/api-tokens/${id}`),
+};
+
+// Categories API calls
+export const categoriesAPI = {
+    getAll: () => api.get('/categories'),
+    create: (data) => api.post('/categories', data),
+    update: (id, data) => api.put(`/categories/${id}`, data),
+    delete: (id, reassignTo) => api.delete(`/categories/${id}`, { params: reassignTo ? { reassignTo } : {} }),
+};
+
+// Locations API calls
+export const locationsAPI = {
+    getAll: () => api.get('/locations'),
+    getStockLevels: () => api.get('/locations/stock-levels'),
+    getStock: (id) => api.get(`/locations/${id}/stock`),
+    create: (data) => api.post('/locations', data),
+    update: (id, data) => api.put(`/locations/${id}`, data),
+    delete: (id) => api.delete(`/locations/${id}`),
 };
 
 // Spare Parts API calls
 export const sparePartsAPI = {
     getAll: () => api.get('/spare-parts'),
-    getById: (name) => api.get(`/spare-parts/${encodeURIComponent(name)}`),
+    getById: (id) => api.get(`/spare-parts/${id}`),
+    getByCode: (code) => api.get(`/spare-parts/by-code/${encodeURIComponent(code)}`),
     create: (data) => api.post('/spare-parts', data),
-    update: (name, data) => api.put(`/spare-parts/${encodeURIComponent(name)}`, data),
-    delete: (name) => api.delete(`/spare-parts/${encodeURIComponent(name)}`),
+    update: (id, data) => api.put(`/spare-parts/${id}`, data),
+    rename: (id, name) => api.put(`/spare-parts/${id}/name`, { name }),
+    updateCodes: (id, codes) => api.put(`/spare-parts/${id}/codes`, codes),
+    updateLevels: (id, levels) => api.put(`/spare-parts/${id}/levels`, levels),
+    updateCostingMethod: (id, costingMethod) => api.put(`/spare-parts/${id}/costing-method`, { costingMethod }),
+    archive: (id) => api.delete(`/spare-parts/${id}`),
+    getArchived: () => api.get('/spare-parts', { params: { archived: true } }),
+    restore: (id) => api.post(`/spare-parts/${id}/restore`),
+    getPurgePreview: (id) => api.get(`/spare-parts/${id}/purge`),
+    purge: (id) => api.delete(`/spare-parts/${id}/purge`),
+};
+
+// Suppliers API calls
+export const suppliersAPI = {
+    getAll: () => api.get('/suppliers'),
+    getPurchases: (id) => api.get(`/suppliers/${id}/purchases`),
+    create: (data) => api.post('/suppliers', data),
+    update: (id, data) => api.put(`/suppliers/${id}`, data),
+    delete: (id) => api.delete(`/suppliers/${id}`),
+};
+
+// Purchase Orders API calls
+export const purchaseOrdersAPI = {
+    getAll: (status) => api.get('/purchase-orders', { params: { status: status || undefined } }),
+    getOpenLines: () => api.get('/purchase-orders/open-lines'),
+    getById: (id) => api.get(`/purchase-orders/${id}`),
+    create: (data) => api.post('/purchase-orders', data),
+    update: (id, data) => api.put(`/purchase-orders/${id}`, data),
+    send: (id) => api.post(`/purchase-orders/${id}/send`),
+    cancel: (id) => api.post(`/purchase-orders/${id}/cancel`),
+    receive: (id, data) => api.post(`/purchase-orders/${id}/receive`, data),
+    delete: (id) => api.delete(`/purchase-orders/${id}`),
 };
 
 // Stock In API calls
@@ -61,6 +160,36 @@ export const stockInAPI = {
     delete: (id) => api.delete(`/stock-in/${id}`),
 };
 
+// Kits API calls
+export const kitsAPI = {
+    getAll: (locationId) => api.get('/kits', { params: { locationId: locationId || undefined } }),
+    create: (data) => api.post('/kits', data),
+    update: (id, data) => api.put(`/kits/${id}`, data),
+    delete: (id) => api.delete(`/kits/${id}`),
+    issue: (id, data) => api.post(`/kits/${id}/issue`, data),
+};
+
+// Work orders API calls
+export const workOrdersAPI = {
+    getAll: (status, vehiclePlate) =>
+        api.get('/work-orders', { params: { status: status || undefined, vehiclePlate: vehiclePlate || undefined } }),
+    getById: (id) => api.get(`/work-orders/${id}`),
+    create: (data) => api.post('/work-orders', data),
+    update: (id, data) => api.put(`/work-orders/${id}`, data),
+    setStatus: (id, status) => api.post(`/work-orders/${id}/status`, { status }),
+    delete: (id) => api.delete(`/work-orders/${id}`),
+};
+
+// Customers API calls
+export const customersAPI = {
+    getAll: () => api.get('/customers'),
+    getHistory: (id, startDate, endDate) =>
+        api.get(`/customers/${id}/history`, { params: { startDate: startDate || undefined, endDate: endDate || undefined } }),
+    create: (data) => api.post('/customers', data),
+    update: (id, data) => api.put(`/customers/${id}`, data),
+    delete: (id) => api.delete(`/customers/${id}`),
+};
+
 // Stock Out API calls
 export const stockOutAPI = {
     getAll: () => api.get('/stock-out'),
@@ -71,18 +200,77 @@ export const stockOutAPI = {
     delete: (id) => api.delete(`/stock-out/${id}`),
 };
 
+// Stock Out Documents API calls
+export const stockOutDocumentsAPI = {
+    getAll: () => api.get('/stock-out-documents'),
+    getById: (id) => api.get(`/stock-out-documents/${id}`),
+    create: (data) => api.post('/stock-out-documents', data),
+    delete: (id) => api.delete(`/stock-out-documents/${id}`),
+};
+
+// Returns API calls
+export const returnsAPI = {
+    getAll: (type) => api.get('/returns', { params: { type: type || undefined } }),
+    getReturnable: (type) => api.get('/returns/returnable', { params: { type } }),
+    create: (data) => api.post('/returns', data),
+    delete: (id) => api.delete(`/returns/${id}`),
+};
+
+// Reservations API calls
+export const reservationsAPI = {
+    getAll: (status) => api.get('/reservations', { params: { status: status || undefined } }),
+    create: (data) => api.post('/reservations', data),
+    update: (id, data) => api.put(`/reservations/${id}`, data),
+    cancel: (id) => api.post(`/reservations/${id}/cancel`),
+};
+
+// Transfers API calls
+export const transfersAPI = {
+    getAll: () => api.get('/transfers'),
+    create: (data) => api.post('/transfers', data),
+    delete: (id) => api.delete(`/transfers/${id}`),
+};
+
+// Stocktakes API calls
+export const stocktakesAPI = {
+    getAll: () => api.get('/stocktakes'),
+    getById: (id) => api.get(`/stocktakes/${id}`),
+    create: (data) => api.post('/stocktakes', data),
+    saveCounts: (id, counts) => api.put(`/stocktakes/${id}/counts`, { counts }),
+    post: (id) => api.post(`/stocktakes/${id}/post`),
+    cancel: (id) => api.post(`/stocktakes/${id}/cancel`),
+};
+
 // Reports API calls
 export const reportsAPI = {
-    getDailyStockOut: (date) => api.get('/reports/daily-stock-out', { params: { date } }),
-    getStockStatus: () => api.get('/reports/stock-status'),
-    getStockMovement: (sparePartName, startDate, endDate) => 
-        api.get(`/reports/stock-movement/${encodeURIComponent(sparePartName)}`, { 
-            params: { startDate, endDate } 
+    getDailyStockOut: (date, createdBy, customerId) =>
+        api.get('/reports/daily-stock-out', {
+            params: { date, createdBy: createdBy || undefined, customerId: customerId || undefined }
+        }),
+    getStockStatus: (locationId) =>
+        api.get('/reports/stock-status', { params: { locationId: locationId || undefined } }),
+    getStockMovement: (partId, startDate, endDate) =>
+        api.get(`/reports/stock-movement/${partId}`, {
+            params: { startDate: startDate || undefined, endDate: endDate || undefined }
+        }),
+    getVehicleConsumption: (startDate, endDate, vehiclePlate) =>
+        api.get('/reports/vehicle-consumption', {
+            params: {
+                startDate: startDate || undefined,
+                endDate: endDate || undefined,
+                vehiclePlate: vehiclePlate || undefined
+            }
         }),
     getMonthlySummary: (year, month) => 
         api.get('/reports/monthly-summary', { params: { year, month } }),
 };
 
+// Audit Log API calls
+export const auditLogAPI = {
+    getAll: (filters) => api.get('/audit-log', { params: filters }),
+    getUsers: () => api.get('/audit-log/users'),
+};
+
 // Health check
 export const healthAPI = {
     check: () => api.get('/health'),
@@ -0,0 +1,32 @@
+// Helpers for the nested spare part categories
+
+/**
+ * Order a flat category list as a tree: each parent is followed by its subcategories,
+ * and siblings are sorted by name
+ * @param {Array<object>} categories - Categories with CategoryID, Name and ParentID
+ * @returns {Array<object>} The same categories in tree order, each with a Depth starting at 0
+ */
+export const sortCategoryTree = (categories) => {
+    const byName = [...categories].sort((a, b) => a.Name.localeCompare(b.Name));
+    const sorted = [];
+
+    const visit = (parentId, depth) => {
+        byName
+            .filter((category) => (category.ParentID ?? null) === parentId)
+            .forEach((category) => {
+                sorted.push({ ...category, Depth: depth });
+                visit(category.CategoryID, depth + 1);
+            });
+    };
+    visit(null, 0);
+
+    return sorted;
+};
+
+/**
+ * Label for a category in a select list, indented with non-breaking spaces (browsers
+ * collapse ordinary leading spaces in options) to show where it sits in the tree
+ * @param {object} category - Category from sortCategoryTree
+ * @returns {string} Indented category name
+ */
+export const getCategoryOptionLabel = (category) => `${'\u00A0\u00A0\u00A0'.repeat(category.Depth)}${category.Name}`;
@@ -31,6 +31,51 @@ export const formatDate = (dateString) => {
     }
 };
 
+/**
+ * Format date strings to localized date and time format
+ * @param {string} dateString - ISO date string
+ * @returns {string} Formatted date and time string
+ */
+export const formatDateTime = (dateString) => {
+    if (!dateString) return 'N/A';
+    try {
+        return new Date(dateString).toLocaleString();
+    } catch {
+        return 'Invalid Date';
+    }
+};
+
+/**
+ * Describe a browser user agent as "Browser on OS"
+ * @param {string|null} userAgent - User-Agent header value
+ * @returns {string} Short device description
+ */
+export const describeUserAgent = (userAgent) => {
+    if (!userAgent) return 'Unknown device';
+
+    const browsers = [
+        ['Edg/', 'Edge'],
+        ['OPR/', 'Opera'],
+        ['Firefox/', 'Firefox'],
+        ['Chrome/', 'Chrome'],
+        ['Safari/', 'Safari'],
+    ];
+    const systems = [
+        ['Windows', 'Windows'],
+        ['Android', 'Android'],
+        ['iPhone', 'iOS'],
+        ['iPad', 'iPadOS'],
+        ['Mac OS X', 'macOS'],
+        ['Linux', 'Linux'],
+    ];
+
+    const browser = browsers.find(([marker]) => userAgent.includes(marker))?.[1];
+    const system = systems.find(([marker]) => userAgent.includes(marker))?.[1];
+
+    if (!browser && !system) return userAgent.slice(0, 60);
+    return [browser || 'Unknown browser', system].filter(Boolean).join(' on ');
+};
+
 /**
  * Safe integer parsing with fallback
  * @param {any} value - Value to parse as integer
@@ -80,23 +125,27 @@ export const calculateTotalQuantity = (records, field) => {
 };
 
 /**
- * Get stock status based on quantity
+ * Get stock status by comparing a quantity with a part's reorder levels
  * @param {number} quantity - Current quantity
- * @param {number} lowThreshold - Low stock threshold (default: 10)
- * @param {number} mediumThreshold - Medium stock threshold (default: 20)
+ * @param {object} levels - Part with ReorderPoint, MinLevel and MaxLevel (defaults: 10, 0 and 20)
  * @returns {object} Status object with label and color class
  */
-export const getStockStatus = (quantity, lowThreshold = 10, mediumThreshold = 20) => {
+export const getStockStatus = (quantity, { ReorderPoint = 10, MinLevel = 0, MaxLevel = 20 } = {}) => {
     const qty = safeParseInt(quantity, 0);
 
-    if (qty < lowThreshold) {
+    if (qty < MinLevel) {
+        return {
+            label: 'Below Minimum',
+            colorClass: 'bg-red-200 text-red-900'
+        };
+    } else if (qty < ReorderPoint) {
         return {
             label: 'Low Stock',
             colorClass: 'bg-red-100 text-red-800'
         };
-    } else if (qty < mediumThreshold) {
+    } else if (qty > MaxLevel) {
         return {
-            label: 'Medium',
+            label: 'Overstocked',
             colorClass: 'bg-yellow-100 text-yellow-800'
         };
     } else {
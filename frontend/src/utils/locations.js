@@ -0,0 +1,39 @@
+// Helpers for stock held at several locations
+
+/**
+ * Form value for the default location, which receives stock recorded without a location
+ * @param {Array<object>} locations - Locations as returned by locationsAPI.getAll()
+ * @returns {string} The default LocationID, or '' while locations are still loading
+ */
+export const getDefaultLocationId = (locations) => {
+    const location = locations.find((item) => item.IsDefault);
+    return location ? location.LocationID.toString() : '';
+};
+
+/**
+ * Quantity of a part held at one location
+ * @param {Array<object>} stockLevels - Rows from locationsAPI.getStockLevels()
+ * @param {number|string} partId
+ * @param {number|string} locationId
+ * @returns {number} The quantity, 0 when the location holds none of the part
+ */
+export const getQuantityAt = (stockLevels, partId, locationId) => {
+    const level = stockLevels.find((item) =>
+        item.PartID === parseInt(partId) && item.LocationID === parseInt(locationId)
+    );
+    return level ? level.Quantity : 0;
+};
+
+/**
+ * Quantity of a part at one location that can still be issued, leaving out stock held by reservations
+ * @param {Array<object>} stockLevels - Rows from locationsAPI.getStockLevels()
+ * @param {number|string} partId
+ * @param {number|string} locationId
+ * @returns {number} The available quantity, 0 when the location holds none of the part or all of it is reserved
+ */
+export const getAvailableAt = (stockLevels, partId, locationId) => {
+    const level = stockLevels.find((item) =>
+        item.PartID === parseInt(partId) && item.LocationID === parseInt(locationId)
+    );
+    return level ? Math.max(0, level.AvailableQuantity) : 0;
+};
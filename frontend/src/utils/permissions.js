@@ -0,0 +1,50 @@
+// Role-based permission helpers for the SIMS application
+// These only decide what the UI shows; the backend enforces the same rules on every route.
+
+export const ROLES = {
+    ADMIN: 'admin',
+    STOREKEEPER: 'storekeeper',
+    AUDITOR: 'auditor'
+};
+
+export const ROLE_LABELS = {
+    [ROLES.ADMIN]: 'Administrator',
+    [ROLES.STOREKEEPER]: 'Storekeeper',
+    [ROLES.AUDITOR]: 'Auditor (read-only)'
+};
+
+/**
+ * Check whether the user has one of the given roles
+ * @param {object|null} user - Current user from the session
+ * @param {...string} roles - Allowed roles
+ * @returns {boolean} True if the user's role is allowed
+ */
+export const hasRole = (user, ...roles) => roles.includes(user?.role);
+
+/**
+ * Whether the user can add spare parts and record new stock movements
+ * @param {object|null} user - Current user from the session
+ * @returns {boolean}
+ */
+export const canManageStock = (user) => hasRole(user, ROLES.ADMIN, ROLES.STOREKEEPER);
+
+/**
+ * Whether the user can edit, archive or delete existing records (spare parts and stock history)
+ * @param {object|null} user - Current user from the session
+ * @returns {boolean}
+ */
+export const canEditHistory = (user) => hasRole(user, ROLES.ADMIN);
+
+/**
+ * Whether the user can administer user accounts
+ * @param {object|null} user - Current user from the session
+ * @returns {boolean}
+ */
+export const canManageUsers = (user) => hasRole(user, ROLES.ADMIN);
+
+/**
+ * Whether the user can view the audit trail of inventory changes
+ * @param {object|null} user - Current user from the session
+ * @returns {boolean}
+ */
+export const canViewAuditLog = (user) => hasRole(user, ROLES.ADMIN, ROLES.AUDITOR);
@@ -0,0 +1,13 @@
+// Helpers for purchase orders
+
+/**
+ * Label and badge colour of each purchase order status
+ * @type {Object<string, {label: string, colorClass: string}>}
+ */
+export const PURCHASE_ORDER_STATUSES = {
+    DRAFT: { label: 'Draft', colorClass: 'bg-gray-100 text-gray-800' },
+    SENT: { label: 'Sent', colorClass: 'bg-blue-100 text-blue-800' },
+    PARTIALLY_RECEIVED: { label: 'Partially Received', colorClass: 'bg-yellow-100 text-yellow-800' },
+    RECEIVED: { label: 'Received', colorClass: 'bg-green-100 text-green-800' },
+    CANCELLED: { label: 'Cancelled', colorClass: 'bg-red-100 text-red-800' }
+};
@@ -0,0 +1,12 @@
+// Helpers for stock reservations
+
+/**
+ * Label and badge colour of each reservation status
+ * @type {Object<string, {label: string, colorClass: string}>}
+ */
+export const RESERVATION_STATUSES = {
+    ACTIVE: { label: 'Active', colorClass: 'bg-blue-100 text-blue-800' },
+    FULFILLED: { label: 'Fulfilled', colorClass: 'bg-green-100 text-green-800' },
+    EXPIRED: { label: 'Expired', colorClass: 'bg-yellow-100 text-yellow-800' },
+    CANCELLED: { label: 'Cancelled', colorClass: 'bg-red-100 text-red-800' }
+};
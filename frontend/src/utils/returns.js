@@ -0,0 +1,19 @@
+// Helpers for customer and supplier returns
+
+/**
+ * Label of each return type and of the movement it points back to
+ * @type {Object<string, {label: string, sourceLabel: string}>}
+ */
+export const RETURN_TYPES = {
+    CUSTOMER: { label: 'Customer Return', sourceLabel: 'Stock out' },
+    SUPPLIER: { label: 'Supplier Return', sourceLabel: 'Stock in' }
+};
+
+/**
+ * Label and badge colour of what happened to goods a customer returned
+ * @type {Object<string, {label: string, colorClass: string}>}
+ */
+export const RETURN_DISPOSITIONS = {
+    RESTOCK: { label: 'Restocked', colorClass: 'bg-green-100 text-green-800' },
+    WRITE_OFF: { label: 'Written Off', colorClass: 'bg-red-100 text-red-800' }
+};
@@ -0,0 +1,19 @@
+// Helpers for workshop work orders
+
+/**
+ * Label and badge colour of each work order status
+ * @type {Object<string, {label: string, colorClass: string}>}
+ */
+export const WORK_ORDER_STATUSES = {
+    OPEN: { label: 'Open', colorClass: 'bg-blue-100 text-blue-800' },
+    IN_PROGRESS: { label: 'In Progress', colorClass: 'bg-yellow-100 text-yellow-800' },
+    COMPLETED: { label: 'Completed', colorClass: 'bg-green-100 text-green-800' },
+    CANCELLED: { label: 'Cancelled', colorClass: 'bg-red-100 text-red-800' }
+};
+
+/**
+ * Whether parts can still be issued against a work order
+ * @param {{Status: string}} workOrder
+ * @returns {boolean}
+ */
+export const isWorkOrderOpen = (workOrder) => workOrder.Status === 'OPEN' || workOrder.Status === 'IN_PROGRESS';